@@ -0,0 +1,44 @@
+/**
+ * 솔라나 Vanity 지갑 생성기 라이브러리 진입점
+ *
+ * import하면 대화형 앱을 실행하지 않고 API만 내보냅니다 (대화형/CLI 실행은 index.js).
+ * 여기서 내보내는 함수는 콘솔에 출력하지 않습니다.
+ *
+ * @example
+ * import { createVanitySearch } from 'solana-vanity-wallet-generator';
+ *
+ * const search = createVanitySearch({ pattern: 'Sol', caseSensitive: false, workerCount: 4 });
+ * search.on('progress', ({ attempts, rate }) => { ... });
+ * const { matches } = await search.start();
+ */
+
+// 검색
+export { createVanitySearch, SEARCH_STATES } from './utils/vanity-search.js';
+export { SearchCancelledError, WorkerPoolError, createWorkerPool, getDefaultWorkerCount } from './utils/worker-pool.js';
+
+// 패턴 검증과 난이도
+export { isValidPattern } from './utils/wallet-generator.js';
+export { validatePatternExpression, compilePatternExpression } from './utils/regex-pattern.js';
+export { normalizePatternSpecs, describePatternSpec } from './utils/pattern-set.js';
+export { getMatchProbability, getExpectedAttempts, getEta } from './utils/statistics.js';
+
+// 키와 지갑 파일
+export { keypairFromPrivateKey, getAddressFromKeypair } from './utils/wallet-generator.js';
+export {
+    DEFAULT_WALLETS_DIR,
+    createWalletData,
+    saveWalletInFormat,
+    loadWalletFile,
+    loadPrivateKeyFromFile,
+    toSolanaKeypairJson
+} from './utils/wallet-storage.js';
+export { getAddressWithSeed } from './utils/seed-address.js';
+export { getProgramAddress } from './utils/program-address.js';
+export { encryptWalletData, decryptWalletData, isEncryptedWalletData } from './utils/wallet-crypto.js';
+export { auditWalletFile, auditWallets } from './utils/wallet-audit.js';
+
+// 설정 파일 (.vanityrc.json)
+export { CONFIG_FILE_NAME, loadConfig, getPreset, getConfiguredWorkerCount } from './utils/config.js';
+
+// 메시지 서명
+export { signMessage, verifyMessageSignature, encodeSignature, decodeSignature } from './utils/message-signing.js';
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * 키 생성 엔진 벤치마크
+ *
+ * 1. 정확성 검사: 범위 필터가 거른 공개키 중 실제로 패턴과 일치하는 주소가 없는지,
+ *    빠른 엔진의 개인키가 같은 주소로 복원되는지 확인합니다.
+ * 2. 속도 비교: 기존 방식(Keypair.generate + toBase58)과 빠른 엔진(native + 범위 필터)의
+ *    단일 스레드 초당 시도 횟수를 비교합니다.
+ *
+ * 사용법: node benchmark/keygen.js [측정 시간(초), 기본 3] [패턴, 기본 ABCD]
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import {
+    generateKeypair,
+    getAddressFromKeypair,
+    matchesPattern
+} from '../utils/wallet-generator.js';
+import {
+    generateRawKeypair,
+    getSecretKeyFromRawKeypair,
+    createPrefixFilter
+} from '../utils/fast-keygen.js';
+
+const seconds = Number(process.argv[2]) || 3;
+const benchPattern = process.argv[3] || 'ABCD';
+
+function checkCorrectness(sampleCount = 20000) {
+    const cases = [
+        { pattern: 'A', caseSensitive: true },
+        { pattern: 'z', caseSensitive: true },
+        { pattern: '1', caseSensitive: true },
+        { pattern: '2', caseSensitive: true },
+        { pattern: 'ab', caseSensitive: false },
+        { pattern: 'Hk', caseSensitive: false },
+        { pattern: 'G', caseSensitive: true }
+    ];
+    const filters = cases.map(spec => createPrefixFilter([spec]));
+    const stats = cases.map(() => ({ matches: 0, rejected: 0 }));
+    let failures = 0;
+
+    for (let i = 0; i < sampleCount; i++) {
+        const raw = generateRawKeypair();
+        const address = bs58.encode(raw.publicKey);
+
+        cases.forEach((spec, index) => {
+            const mayMatch = filters[index](raw.publicKey);
+            const matches = matchesPattern(address, spec.pattern, spec.caseSensitive);
+            if (matches) stats[index].matches++;
+            if (!mayMatch) stats[index].rejected++;
+            if (matches && !mayMatch) {
+                failures++;
+                console.error(`❌ 범위 필터 오류: ${address} 는 "${spec.pattern}"와 일치하지만 걸러졌습니다`);
+            }
+        });
+
+        if (i < 100) {
+            const restored = Keypair.fromSecretKey(getSecretKeyFromRawKeypair(raw));
+            if (restored.publicKey.toBase58() !== address) {
+                failures++;
+                console.error(`❌ 개인키 복원 오류: ${address}`);
+            }
+        }
+    }
+
+    console.log(`✅ 정확성 검사: 무작위 키 ${sampleCount.toLocaleString()}개`);
+    cases.forEach((spec, index) => {
+        const rejectRate = (stats[index].rejected / sampleCount * 100).toFixed(1);
+        console.log(`   "${spec.pattern}"${spec.caseSensitive ? '' : ' (i)'}: 일치 ${stats[index].matches}개, 인코딩 전 제외 ${rejectRate}%`);
+    });
+    return failures;
+}
+
+function measure(label, iterate) {
+    const deadline = Date.now() + seconds * 1000;
+    const startTime = Date.now();
+    let attempts = 0;
+
+    while (Date.now() < deadline) {
+        // Date.now() 호출 비용을 줄이기 위해 100회씩 실행
+        for (let i = 0; i < 100; i++) {
+            iterate();
+        }
+        attempts += 100;
+    }
+
+    const rate = attempts / ((Date.now() - startTime) / 1000);
+    console.log(`   ${label.padEnd(36)} ${Math.round(rate).toLocaleString().padStart(10)} 키/초`);
+    return rate;
+}
+
+console.log('🔬 키 생성 엔진 벤치마크\n');
+
+const failures = checkCorrectness();
+
+console.log(`\n⏱️  속도 비교 (단일 스레드, 각 ${seconds}초, 시작 패턴 "${benchPattern}")`);
+
+const legacyRate = measure('기존 (Keypair.generate + toBase58)', () => {
+    const keypair = generateKeypair();
+    matchesPattern(getAddressFromKeypair(keypair), benchPattern);
+});
+
+const nativeNoFilterRate = measure('native (전체 인코딩)', () => {
+    const raw = generateRawKeypair();
+    matchesPattern(bs58.encode(raw.publicKey), benchPattern);
+});
+
+const prefixFilter = createPrefixFilter([{ pattern: benchPattern, caseSensitive: true }]);
+const nativeRate = measure('native + 범위 필터', () => {
+    const raw = generateRawKeypair();
+    if (prefixFilter(raw.publicKey)) {
+        matchesPattern(bs58.encode(raw.publicKey), benchPattern);
+    }
+});
+
+// 참고용: tweetnacl은 순수 JS 구현이라 핫 루프에 사용하지 않음
+const naclRate = measure('참고: tweetnacl nacl.sign.keyPair', () => {
+    const keypair = nacl.sign.keyPair();
+    matchesPattern(bs58.encode(keypair.publicKey), benchPattern);
+});
+
+console.log(`\n🚀 native 전체 인코딩: 기존 대비 ${(nativeNoFilterRate / legacyRate).toFixed(2)}배`);
+console.log(`🚀 native + 범위 필터: 기존 대비 ${(nativeRate / legacyRate).toFixed(2)}배`);
+console.log(`🐢 tweetnacl: 기존 대비 ${(naclRate / legacyRate).toFixed(2)}배`);
+
+if (failures > 0) {
+    console.error(`\n❌ 정확성 검사 실패: ${failures}건`);
+    process.exit(1);
+}
@@ -2,26 +2,96 @@
 
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import cliProgress from 'cli-progress';
 import fs from 'fs';
-import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
 import { EventEmitter } from 'events';
 
 // EventEmitter 최대 리스너 수 증가 (메모리 누수 경고 방지)
 EventEmitter.defaultMaxListeners = 20;
 import {
-    generateVanityWallet,
-    generateVanityWalletMultiWorker,
-    generateVanityWalletContains,
-    generateVanityWalletContainsMultiWorker,
-    generateVanityWalletStartEnd,
-    generateVanityWalletStartEndMultiWorker,
+    SearchCancelledError,
     isValidPattern,
-    estimateAttempts,
     formatWalletInfo,
     keypairFromPrivateKey,
     getAddressFromKeypair
 } from './utils/wallet-generator.js';
+import {
+    createWalletData,
+    saveWalletInFormat,
+    loadWalletFile,
+    loadPrivateKeyFromFile,
+    getSolanaKeypairPath,
+    saveSolanaKeypairFile,
+    encryptWalletFile,
+    getDisplayPattern
+} from './utils/wallet-storage.js';
+import {
+    JOB_STATUS,
+    getJobsDir,
+    createJob,
+    listResumableJobs,
+    isCollectJob,
+    getRemainingSearchOptions,
+    describeJob,
+    createJobCheckpoint
+} from './utils/job-store.js';
+import { runCli, parseInteractiveArgs } from './utils/cli.js';
+import { getDefaultConfig, loadConfig, getConfiguredWorkerCount } from './utils/config.js';
+import { validatePatternExpression, compilePatternExpression } from './utils/regex-pattern.js';
+import { normalizePatternSpecs, describePatternSpec } from './utils/pattern-set.js';
+import { validatePassword, isEncryptedWalletData, decryptWalletData } from './utils/wallet-crypto.js';
+import { MNEMONIC_WORD_COUNTS } from './utils/mnemonic.js';
+import { verifySplitKey } from './utils/split-key.js';
+import {
+    SIGNATURE_ENCODINGS,
+    readMessage,
+    signMessage,
+    encodeSignature,
+    decodeSignature,
+    decodeAddress,
+    verifyMessageSignature
+} from './utils/message-signing.js';
+import { createWorkerPool, getDefaultWorkerCount, DEFAULT_MAX_WORKER_RESTARTS } from './utils/worker-pool.js';
+import { getMatchProbability, getEta, formatDuration } from './utils/statistics.js';
+import { createVanitySearch } from './utils/vanity-search.js';
+import { createProgressDisplay, formatSearchStart } from './utils/progress-display.js';
+import {
+    WALLET_SORT_KEYS,
+    WALLET_FILTER_MODES,
+    loadWalletLibrary,
+    parseDateFilter,
+    filterWallets,
+    sortWallets,
+    normalizeLabels,
+    updateWalletMetadata,
+    deleteWalletFile,
+    exportWalletBundle,
+    formatWalletTable
+} from './utils/wallet-library.js';
+import { AUDIT_STATUS, AUDIT_ISSUES, auditWallets } from './utils/wallet-audit.js';
+import {
+    DEFAULT_BENCHMARK_SECONDS,
+    runBenchmark,
+    saveBenchmark,
+    loadBenchmark,
+    getBenchmarkRate,
+    formatBenchmarkTable
+} from './utils/benchmark.js';
+
+// 저장된 벤치마크가 없을 때 검색 전 예상 시간에 사용하는 대략적인 초당 생성 속도
+const DEFAULT_RATE_PER_SECOND = 10000;
+// 니모닉 방식의 대략적인 초당 생성 속도 (니모닉마다 PBKDF2 2048회)
+const MNEMONIC_RATE_PER_SECOND = 200;
+
+// 지갑 관리 화면의 정렬 기준 이름
+const WALLET_SORT_LABELS = {
+    createdAt: '생성일',
+    address: '주소',
+    pattern: '패턴',
+    mode: '검색 모드',
+    label: '라벨'
+};
 
 // ASCII 아트 로고
 const LOGO = `
@@ -40,8 +110,21 @@ const LOGO = `
 `;
 
 class VanityWalletGenerator {
-    constructor() {
+    /**
+     * @param {Object} config - loadConfig로 읽은 설정 (기본값, 프리셋, 저장 폴더 등)
+     */
+    constructor(config = getDefaultConfig()) {
+        this.config = config;
         this.progressBar = null;
+        // 메뉴에서 여러 번 검색해도 워커 스레드를 다시 만들지 않도록 풀을 공유
+        this.workerPool = null;
+    }
+
+    getWorkerPool() {
+        if (!this.workerPool) {
+            this.workerPool = createWorkerPool(getConfiguredWorkerCount(this.config));
+        }
+        return this.workerPool;
     }
 
     displayLogo() {
@@ -56,14 +139,22 @@ class VanityWalletGenerator {
                 name: '🎯 새 Vanity 지갑 생성',
                 value: 'generate'
             },
+            {
+                name: '⏯️  중단된 작업 이어서 하기',
+                value: 'resume'
+            },
             {
                 name: '📋 기존 지갑 검증',
                 value: 'verify'
             },
             {
-                name: '💾 생성된 지갑 저장/불러오기',
+                name: '💾 지갑 관리 (검색/라벨/삭제/내보내기)',
                 value: 'manage'
             },
+            {
+                name: '⚡ 성능 벤치마크',
+                value: 'benchmark'
+            },
             {
                 name: '❓ 사용법 및 정보',
                 value: 'help'
@@ -89,12 +180,21 @@ class VanityWalletGenerator {
     async generateVanityWallet() {
         console.log(chalk.blue('\n🎯 Vanity 지갑 생성기\n'));
 
+        // 설정 파일의 기본값과 고른 프리셋에 들어 있는 항목은 다시 묻지 않음
+        const preset = { ...this.config.defaults, ...await this.promptPreset() };
+        const { maxPatternLength } = this.config;
+        const appliedKeys = Object.keys(preset).filter(key => key !== 'description');
+        if (appliedKeys.length > 0) {
+            console.log(chalk.gray(`⚙️  설정 파일 값 사용: ${appliedKeys.map(key => `${key}=${preset[key]}`).join(', ')}`));
+        }
+
         // 검색 모드 선택
-        const { searchMode } = await inquirer.prompt([
+        const { searchMode = preset.mode } = await inquirer.prompt([
             {
                 type: 'list',
                 name: 'searchMode',
                 message: '검색 모드를 선택하세요:',
+                when: preset.mode === undefined,
                 choices: [
                     {
                         name: '🎯 시작 패턴 (주소가 패턴으로 시작) - 예: ABC로 시작하는 주소',
@@ -107,17 +207,31 @@ class VanityWalletGenerator {
                     {
                         name: '🎯🎯 앞뒤 패턴 (주소가 앞패턴으로 시작하고 뒤패턴으로 끝남) - 예: ABC로 시작하고 XYZ로 끝나는 주소',
                         value: 'startEnd'
+                    },
+                    {
+                        name: '🧩 정규식/와일드카드 패턴 - 예: So?ana*, ^[A-C]{3}.*9$',
+                        value: 'regex'
+                    },
+                    {
+                        name: '📚 여러 패턴 동시 검색 (목록 중 하나와 일치하면 성공) - 예: Sol, SOL, Moon, Pump',
+                        value: 'multi'
                     }
                 ]
             }
         ]);
 
-        // 패턴 입력
-        let pattern, startPattern, endPattern;
-        
-        if (searchMode === 'startEnd') {
+        // 패턴 입력 (프리셋의 패턴은 설정 파일에서 검사한 모드와 같은 종류일 때만 사용)
+        let pattern, startPattern, endPattern, patterns;
+        const presetPattern = preset.pattern !== undefined && (searchMode === 'regex') === (preset.mode === 'regex')
+            ? preset.pattern
+            : undefined;
+
+        if (searchMode === 'multi') {
+            patterns = await this.promptPatternSet();
+        } else if (searchMode === 'startEnd') {
             // 앞뒤 패턴 입력
-            const patterns = await inquirer.prompt([
+            const hasPresetPatterns = preset.start !== undefined || preset.end !== undefined;
+            const patterns = hasPresetPatterns ? { startPattern: preset.start || '', endPattern: preset.end || '' } : await inquirer.prompt([
                 {
                     type: 'input',
                     name: 'startPattern',
@@ -127,8 +241,8 @@ class VanityWalletGenerator {
                         if (!input || input.trim().length === 0) {
                             return true;
                         }
-                        if (input.length > 8) {
-                            return '패턴이 너무 깁니다. 8자 이하로 입력해주세요.';
+                        if (input.length > maxPatternLength) {
+                            return `패턴이 너무 깁니다. ${maxPatternLength}자 이하로 입력해주세요.`;
                         }
                         if (!isValidPattern(input)) {
                             return '유효하지 않은 패턴입니다. Base58 문자(1-9, A-H, J-N, P-Z, a-k, m-z)만 사용 가능합니다.';
@@ -145,8 +259,8 @@ class VanityWalletGenerator {
                         if (!input || input.trim().length === 0) {
                             return true;
                         }
-                        if (input.length > 8) {
-                            return '패턴이 너무 깁니다. 8자 이하로 입력해주세요.';
+                        if (input.length > maxPatternLength) {
+                            return `패턴이 너무 깁니다. ${maxPatternLength}자 이하로 입력해주세요.`;
                         }
                         if (!isValidPattern(input)) {
                             return '유효하지 않은 패턴입니다. Base58 문자(1-9, A-H, J-N, P-Z, a-k, m-z)만 사용 가능합니다.';
@@ -170,6 +284,20 @@ class VanityWalletGenerator {
                 console.log(chalk.red('❌ 시작 패턴과 끝 패턴의 총 길이가 너무 깁니다. 합쳐서 43자 이하여야 합니다.'));
                 return;
             }
+        } else if (presetPattern !== undefined) {
+            pattern = presetPattern;
+        } else if (searchMode === 'regex') {
+            // 정규식/와일드카드 패턴 입력
+            const result = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'pattern',
+                    message: '정규식(^ 또는 $ 사용) 또는 와일드카드(?, *, [...]) 패턴을 입력하세요 (예: So?ana*, ^[A-C]{3}.*9$):',
+                    validate: (input) => validatePatternExpression(input)
+                }
+            ]);
+
+            pattern = result.pattern;
         } else {
             // 단일 패턴 입력
             const patternMessage = searchMode === 'startsWith' 
@@ -185,8 +313,8 @@ class VanityWalletGenerator {
                         if (!input || input.length === 0) {
                             return '패턴을 입력해주세요.';
                         }
-                        if (input.length > 8) {
-                            return '패턴이 너무 깁니다. 8자 이하로 입력해주세요.';
+                        if (input.length > maxPatternLength) {
+                            return `패턴이 너무 깁니다. ${maxPatternLength}자 이하로 입력해주세요.`;
                         }
                         if (!isValidPattern(input)) {
                             return '유효하지 않은 패턴입니다. Base58 문자(1-9, A-H, J-N, P-Z, a-k, m-z)만 사용 가능합니다.';
@@ -199,51 +327,154 @@ class VanityWalletGenerator {
             pattern = result.pattern;
         }
 
-        // 추가 옵션
-        const options = await inquirer.prompt([
+        // 추가 옵션 (설정 파일에 있는 값은 묻지 않고 그대로 사용)
+        const keySourceOf = (answers) => preset.mnemonic === undefined ? answers.keySource : (preset.mnemonic ? 'mnemonic' : 'random');
+        const multiCoreOf = (answers) => preset.multiCore ?? answers.useMultiCore;
+        const formatOf = (answers) => preset.format ?? answers.exportFormat;
+        const hasPresetCollect = preset.count !== undefined || preset.duration !== undefined;
+
+        const answers = await inquirer.prompt([
             {
                 type: 'confirm',
                 name: 'caseSensitive',
                 message: '대소문자를 구분하시겠습니까?',
-                default: true
+                default: true,
+                when: () => searchMode !== 'multi' && preset.caseSensitive === undefined // 여러 패턴 검색은 패턴별로 입력받음
+            },
+            {
+                type: 'list',
+                name: 'keySource',
+                message: '키 생성 방식을 선택하세요:',
+                when: preset.mnemonic === undefined,
+                choices: [
+                    { name: '🎲 무작위 키페어 (가장 빠름, 개인키로 가져오기)', value: 'random' },
+                    { name: '🌱 BIP39 니모닉 (Phantom/Solflare에서 시드 문구로 가져오기, 수십 배 느림)', value: 'mnemonic' }
+                ]
+            },
+            {
+                type: 'list',
+                name: 'mnemonicWords',
+                message: '니모닉 단어 수를 선택하세요:',
+                when: (answers) => keySourceOf(answers) === 'mnemonic' && preset.words === undefined,
+                choices: MNEMONIC_WORD_COUNTS.map(count => ({ name: `${count}단어`, value: count }))
             },
             {
                 type: 'confirm',
                 name: 'useMultiCore',
                 message: '멀티코어를 사용하여 빠르게 생성하시겠습니까?',
-                default: true
+                default: true,
+                when: preset.multiCore === undefined
+            },
+            {
+                type: 'list',
+                name: 'collectMode',
+                message: '몇 개의 지갑을 찾을까요?',
+                when: (answers) => multiCoreOf(answers) && !hasPresetCollect, // 수집 모드는 멀티코어 전용
+                choices: [
+                    { name: '1개 (첫 번째 해답에서 종료)', value: 'first' },
+                    { name: 'N개 찾을 때까지 계속 검색', value: 'count' },
+                    { name: '정해진 시간(분) 동안 찾은 지갑 모두 수집', value: 'duration' }
+                ]
+            },
+            {
+                type: 'input',
+                name: 'collectValue',
+                message: (answers) => answers.collectMode === 'count' ? '찾을 지갑 수를 입력하세요:' : '검색 시간(분)을 입력하세요:',
+                when: (answers) => answers.collectMode === 'count' || answers.collectMode === 'duration',
+                validate: (input, answers) => {
+                    const value = Number(input);
+                    if (answers.collectMode === 'count') {
+                        return Number.isInteger(value) && value >= 1 ? true : '1 이상의 정수를 입력해주세요.';
+                    }
+                    return Number.isFinite(value) && value > 0 ? true : '0보다 큰 숫자를 입력해주세요.';
+                }
+            },
+            {
+                type: 'list',
+                name: 'exportFormat',
+                message: '지갑 저장 형식을 선택하세요:',
+                when: preset.format === undefined,
+                choices: [
+                    { name: '📄 기본 JSON (주소, base58 개인키, 생성 정보)', value: 'json' },
+                    { name: '🔑 Solana CLI 키페어 (id.json, solana-keygen/Anchor 호환)', value: 'keypair' },
+                    { name: '📄🔑 두 형식 모두', value: 'both' }
+                ]
+            },
+            {
+                type: 'confirm',
+                name: 'encrypt',
+                message: '지갑 파일의 개인키를 비밀번호로 암호화하시겠습니까?',
+                default: false,
+                when: (answers) => formatOf(answers) === 'json' && preset.encrypt === undefined // solana-keygen은 암호화된 파일을 읽을 수 없음
             }
         ]);
 
+        const options = {
+            caseSensitive: preset.caseSensitive ?? answers.caseSensitive,
+            keySource: keySourceOf(answers),
+            mnemonicWords: preset.words ?? answers.mnemonicWords,
+            useMultiCore: multiCoreOf(answers),
+            exportFormat: formatOf(answers),
+            encrypt: formatOf(answers) === 'json' && Boolean(preset.encrypt ?? answers.encrypt)
+        };
+        // 수집 개수와 시간은 프리셋에서 함께 쓸 수 있음 (CLI의 --count, --duration과 같음)
+        if (!options.useMultiCore) {
+            options.maxMatches = 1;
+            options.durationMs = null;
+        } else if (hasPresetCollect) {
+            options.maxMatches = preset.count ?? Infinity;
+            options.durationMs = preset.duration !== undefined ? Math.round(preset.duration * 60 * 1000) : null;
+        } else {
+            options.maxMatches = answers.collectMode === 'count' ? Number(answers.collectValue) : answers.collectMode === 'duration' ? Infinity : 1;
+            options.durationMs = answers.collectMode === 'duration' ? Math.round(Number(answers.collectValue) * 60 * 1000) : null;
+        }
+
+        const password = options.encrypt ? await this.promptPassword(true) : null;
+
         // 예상 시도 횟수 표시
-        let estimatedAttempts;
         let modeDescription;
         
-        if (searchMode === 'startEnd') {
+        if (searchMode === 'multi') {
+            modeDescription = `여러 패턴 동시 검색 (${patterns.map(describePatternSpec).join(', ')})`;
+        } else if (searchMode === 'startEnd') {
             const hasStartPattern = startPattern && startPattern.length > 0;
             const hasEndPattern = endPattern && endPattern.length > 0;
             
             if (hasStartPattern && hasEndPattern) {
-                estimatedAttempts = estimateAttempts(startPattern, options.caseSensitive) * estimateAttempts(endPattern, options.caseSensitive);
                 modeDescription = `앞뒤 패턴 (${startPattern}...${endPattern})`;
             } else if (hasStartPattern) {
-                estimatedAttempts = estimateAttempts(startPattern, options.caseSensitive);
                 modeDescription = `시작 패턴 (${startPattern})`;
             } else {
-                estimatedAttempts = estimateAttempts(endPattern, options.caseSensitive);
                 modeDescription = `끝 패턴 (...${endPattern})`;
             }
+        } else if (searchMode === 'regex') {
+            modeDescription = `정규식/와일드카드 패턴 (${pattern})`;
         } else if (searchMode === 'contains') {
-            estimatedAttempts = Math.floor(estimateAttempts(pattern, options.caseSensitive) / (44 - pattern.length + 1)); // 포함 패턴은 더 쉬움
             modeDescription = `포함 패턴 (${pattern})`;
         } else {
-            estimatedAttempts = estimateAttempts(pattern, options.caseSensitive);
             modeDescription = `시작 패턴 (${pattern})`;
         }
+
+        const probability = getMatchProbability({ searchMode, pattern, startPattern, endPattern, patterns, caseSensitive: options.caseSensitive });
+        // 저장된 벤치마크가 있으면 이 머신에서 측정한 속도를 사용 (니모닉 방식은 측정하지 않으므로 고정값)
+        const benchmarkRate = options.keySource === 'mnemonic'
+            ? null
+            : getBenchmarkRate(loadBenchmark(this.config.walletsDir), searchMode, options.useMultiCore ? getConfiguredWorkerCount(this.config) : 1);
+        const ratePerSecond = options.keySource === 'mnemonic'
+            ? MNEMONIC_RATE_PER_SECOND
+            : benchmarkRate || DEFAULT_RATE_PER_SECOND;
+        const eta = getEta(probability, 0, ratePerSecond);
         
         console.log(chalk.yellow(`\n📊 검색 모드: ${modeDescription}`));
-        console.log(chalk.yellow(`📊 예상 시도 횟수: ${estimatedAttempts.toLocaleString()}`));
-        console.log(chalk.yellow(`⏱️  예상 소요 시간: ${this.getEstimatedTime(estimatedAttempts)} (하드웨어에 따라 차이가 있을 수 있습니다)\n`));
+        console.log(chalk.yellow(`📊 일치 확률: 1 / ${eta.expectedAttempts.toLocaleString()} (평균 시도 횟수)`));
+        eta.levels.forEach(({ confidence, attempts, remainingSeconds }) => {
+            console.log(chalk.yellow(`⏱️  ${Math.round(confidence * 100)}% 확률로 찾는 시점: ${attempts.toLocaleString()}회 (${formatDuration(remainingSeconds)})`));
+        });
+        if (benchmarkRate) {
+            console.log(chalk.gray(`   (벤치마크로 측정한 속도 ${Math.round(benchmarkRate).toLocaleString()}/초 기준)\n`));
+        } else {
+            console.log(chalk.gray(`   (대략적인 속도 ${ratePerSecond.toLocaleString()}/초 기준, 메인 메뉴의 '성능 벤치마크'를 실행하면 더 정확해집니다)\n`));
+        }
 
         const { confirm } = await inquirer.prompt([
             {
@@ -258,99 +489,373 @@ class VanityWalletGenerator {
             return;
         }
 
+        const settings = {
+            searchMode,
+            pattern: pattern || null,
+            startPattern: startPattern ?? null,
+            endPattern: endPattern ?? null,
+            patterns: patterns || null,
+            caseSensitive: options.caseSensitive !== false,
+            useMultiCore: options.useMultiCore,
+            workerCount: this.config.workers, // null이면 기본 워커 수 사용
+            keySource: options.keySource,
+            mnemonicWords: options.mnemonicWords || 12,
+            maxMatches: options.maxMatches,
+            durationMs: options.durationMs,
+            outDir: this.config.walletsDir,
+            exportFormat: options.exportFormat,
+            encrypt: Boolean(options.encrypt)
+        };
+
+        // 긴 검색이 중단되어도 이어서 할 수 있도록 작업 파일 생성
+        const job = createJob(settings, getJobsDir(settings.outDir));
+        console.log(chalk.gray(`📝 작업 ID: ${job.id} (중단되면 메인 메뉴의 '중단된 작업 이어서 하기'로 계속할 수 있습니다)`));
+
+        await this.runSearchJob(job, password);
+    }
+
+    async promptPreset() {
+        const names = Object.keys(this.config.presets);
+        if (names.length === 0) {
+            return {};
+        }
+
+        const { presetName } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'presetName',
+                message: `프리셋을 선택하세요 (${this.config.path}):`,
+                choices: [
+                    { name: '✏️  직접 입력', value: null },
+                    ...names.map(name => {
+                        const { description } = this.config.presets[name];
+                        return { name: `⭐ ${name}` + (description ? chalk.gray(` - ${description}`) : ''), value: name };
+                    })
+                ]
+            }
+        ]);
+
+        return presetName === null ? {} : this.config.presets[presetName];
+    }
+
+    async promptPassword(confirm = false) {
+        const { password } = await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'password',
+                mask: '*',
+                message: confirm ? '지갑 파일 암호화 비밀번호를 입력하세요:' : '지갑 파일 비밀번호를 입력하세요:',
+                validate: confirm ? validatePassword : () => true
+            },
+            {
+                type: 'password',
+                name: 'passwordConfirm',
+                mask: '*',
+                message: '비밀번호를 한 번 더 입력하세요:',
+                when: () => confirm,
+                validate: (input, answers) => input === answers.password ? true : '비밀번호가 일치하지 않습니다.'
+            }
+        ]);
+
+        return password;
+    }
+
+    async runSearchJob(job, password = null) {
+        const { settings } = job;
+        const { searchMode, pattern, startPattern, endPattern, patterns } = settings;
+        // 비밀번호는 작업 파일에 저장하지 않고 실행 중에만 사용
+        const storage = { exportFormat: settings.exportFormat || 'json', password };
+        const jobsDir = getJobsDir(settings.outDir);
+        const remaining = getRemainingSearchOptions(job);
+        const collect = isCollectJob(job);
+
+        if (!remaining) {
+            createJobCheckpoint(job, jobsDir).finish(JOB_STATUS.COMPLETED);
+            console.log(chalk.yellow('✅ 이 작업은 이미 목표를 달성했습니다.'));
+            return;
+        }
+
         console.log(chalk.green('\n🔄 지갑 생성 중...\n'));
 
-        // 진행률 표시
-        let totalAttempts = 0;
+        // 진행률 표시 (이전 실행까지의 시도 횟수와 시간을 누적)
+        const baseElapsedMs = job.elapsedMs;
+        const checkpoint = createJobCheckpoint(job, jobsDir);
         const startTime = Date.now();
 
-        const progressCallback = (attempts) => {
-            totalAttempts = attempts;
-            const elapsed = (Date.now() - startTime) / 1000;
-            const rate = attempts / elapsed;
-            console.log(chalk.cyan(`💪 시도 횟수: ${attempts.toLocaleString()} | 속도: ${Math.round(rate).toLocaleString()}/초 | 경과 시간: ${Math.round(elapsed)}초`));
-        };
+        // 터미널이면 멀티바 대시보드, 아니면 로그 줄 (이전 실행까지의 시도 횟수도 누적 확률에 반영)
+        const display = createProgressDisplay({ probability: getMatchProbability(settings), attempts: job.totalAttempts });
+        this.progressBar = display;
+
+        // Ctrl+C로 검색만 중단하고 메인 메뉴로 돌아갈 수 있도록 중단 신호를 넘김
+        const abortController = new AbortController();
+        const search = createVanitySearch({
+            ...settings,
+            ...remaining,
+            pool: this.getWorkerPool(),
+            signal: abortController.signal
+        });
+
+        search.on('start', ({ workerCount }) => {
+            if (!display.isLive) {
+                display.log(chalk.cyan(formatSearchStart(settings, workerCount)));
+            }
+        });
+        search.on('progress', ({ attempts, workers }) => {
+            checkpoint.update(attempts);
+            display.update({
+                totalAttempts: job.totalAttempts,
+                elapsedMs: job.elapsedMs,
+                found: collect ? job.wallets.length : null,
+                workers
+            });
+        });
+        search.on('workerError', ({ workerId, message, restarted, restarts }) => {
+            const action = restarted ? `다시 시작합니다 (${restarts}/${DEFAULT_MAX_WORKER_RESTARTS})` : '재시작 한도를 넘어 이 워커 없이 계속합니다';
+            display.log(chalk.red(`❌ 워커 ${workerId} 오류: ${message} → ${action}`));
+        });
+        // 수집 모드: 찾은 지갑을 발견 즉시 파일로 저장
+        if (collect) {
+            search.on('match', ({ wallet: found }) => {
+                const matched = found.matchedPattern || { searchMode, pattern, startPattern, endPattern };
+                const filepath = this.saveCollectedWallet(found, matched, (baseElapsedMs + Date.now() - startTime) / 1000, job.wallets.length + 1, patterns, storage);
+                checkpoint.recordWallet(found.address, filepath);
+                // 다음 지갑의 예상 시간은 이번에 찾은 시점부터 다시 계산
+                display.markMatch();
+            });
+        }
+
+        // Ctrl+C: 검색을 중단하고 요약을 보여준 뒤 메인 메뉴로 돌아감 (검색은 항상 워커에서 실행되므로 신호를 받을 수 있음)
+        const onInterrupt = () => abortController.abort();
+        process.once('SIGINT', onInterrupt);
 
         try {
-            let wallet;
-            
-            if (searchMode === 'startEnd') {
-                // 앞뒤 패턴 검색
-                if (options.useMultiCore) {
-                    wallet = await generateVanityWalletStartEndMultiWorker(
-                        startPattern,
-                        endPattern,
-                        null, // 기본 워커 수 사용
-                        options.caseSensitive,
-                        progressCallback
-                    );
-                } else {
-                    wallet = generateVanityWalletStartEnd(
-                        startPattern,
-                        endPattern,
-                        options.caseSensitive,
-                        progressCallback
-                    );
-                }
-            } else if (searchMode === 'contains') {
-                // 포함 패턴 검색
-                if (options.useMultiCore) {
-                    wallet = await generateVanityWalletContainsMultiWorker(
-                        pattern,
-                        null, // 기본 워커 수 사용
-                        options.caseSensitive,
-                        progressCallback
-                    );
-                } else {
-                    wallet = generateVanityWalletContains(
-                        pattern,
-                        options.caseSensitive,
-                        progressCallback
-                    );
-                }
-            } else {
-                // 시작 패턴 검색 (기존 방식)
-                if (options.useMultiCore) {
-                    wallet = await generateVanityWalletMultiWorker(
-                        pattern,
-                        null, // 기본 워커 수 사용
-                        options.caseSensitive,
-                        progressCallback
-                    );
-                } else {
-                    wallet = generateVanityWallet(
-                        pattern,
-                        options.caseSensitive,
-                        progressCallback
-                    );
+            const result = await search.start();
+            this.stopProgressDisplay();
+
+            checkpoint.update(result.totalAttempts);
+
+            if (collect) {
+                checkpoint.finish(JOB_STATUS.COMPLETED);
+
+                // 수집 모드는 이미 지갑별로 저장했으므로 요약만 표시
+                console.log(chalk.green(`\n🎉 이번 실행에서 ${result.matches.length}개의 지갑을 찾았습니다! (작업 전체: ${job.wallets.length}개)`));
+                console.log(chalk.white(`   🔢 전체 시도 횟수: ${job.totalAttempts.toLocaleString()}`));
+                console.log(chalk.white(`   ⏱️  검색 시간: ${(job.elapsedMs / 1000).toFixed(2)}초`));
+                if (job.wallets.length > 0) {
+                    console.log(chalk.yellow(`   💾 지갑 정보는 ${settings.outDir}/ 디렉토리에 저장되었습니다. 안전한 곳에 백업하세요.`));
                 }
+                return;
             }
 
-            const endTime = Date.now();
-            const totalTime = (endTime - startTime) / 1000;
+            // 이전 실행을 포함한 누적 시도 횟수/시간으로 기록
+            const [wallet] = result.matches;
+            wallet.totalAttempts = job.totalAttempts;
+            const totalTime = job.elapsedMs / 1000;
 
             // 결과 표시
             console.log(chalk.green('\n🎉 성공! 원하는 패턴의 지갑을 찾았습니다!\n'));
-            
-            if (searchMode === 'startEnd') {
-                const hasStartPattern = startPattern && startPattern.length > 0;
-                const hasEndPattern = endPattern && endPattern.length > 0;
-                
-                const displayPattern = hasStartPattern && hasEndPattern 
-                    ? `${startPattern}...${endPattern}`
-                    : hasStartPattern 
-                        ? startPattern
-                        : `...${endPattern}`;
-                
+
+            let filepath;
+            if (searchMode === 'multi') {
+                // 일치한 패턴 기준으로 표시/저장
+                const matched = wallet.matchedPattern;
+                const displayPattern = getDisplayPattern(matched.searchMode, matched.pattern, matched.startPattern, matched.endPattern);
+
+                console.log(chalk.cyan(`📚 일치한 패턴: ${describePatternSpec(matched)} (${patterns.length}개 중 ${matched.index + 1}번째)`));
+                this.displayWalletInfo(wallet, displayPattern, totalTime, matched.searchMode, matched.startPattern, matched.endPattern);
+                filepath = await this.saveWalletToFile(wallet, displayPattern, totalTime, matched.searchMode, matched.startPattern, matched.endPattern, patterns, storage);
+            } else if (searchMode === 'startEnd') {
+                const displayPattern = getDisplayPattern(searchMode, pattern, startPattern, endPattern);
+
                 this.displayWalletInfo(wallet, displayPattern, totalTime, searchMode, startPattern, endPattern);
-                await this.saveWalletToFile(wallet, displayPattern, totalTime, searchMode, startPattern, endPattern);
+                filepath = await this.saveWalletToFile(wallet, displayPattern, totalTime, searchMode, startPattern, endPattern, null, storage);
             } else {
                 this.displayWalletInfo(wallet, pattern, totalTime, searchMode);
-                await this.saveWalletToFile(wallet, pattern, totalTime, searchMode);
+                filepath = await this.saveWalletToFile(wallet, pattern, totalTime, searchMode, null, null, null, storage);
             }
 
+            checkpoint.recordWallet(wallet.address, filepath);
+            checkpoint.finish(JOB_STATUS.COMPLETED);
+
         } catch (error) {
+            this.stopProgressDisplay();
+            if (error instanceof SearchCancelledError) {
+                checkpoint.update(error.attempts);
+                checkpoint.finish(JOB_STATUS.INTERRUPTED);
+                this.displayInterruptSummary(job, error, collect);
+                return;
+            }
+            checkpoint.finish(JOB_STATUS.INTERRUPTED);
             console.error(chalk.red('❌ 오류가 발생했습니다:'), error.message);
+        } finally {
+            this.stopProgressDisplay();
+            process.off('SIGINT', onInterrupt);
+        }
+    }
+
+    stopProgressDisplay() {
+        if (this.progressBar) {
+            this.progressBar.stop();
+            this.progressBar = null;
+        }
+    }
+
+    /**
+     * 검색 중 메시지를 출력합니다 (대시보드가 켜져 있으면 대시보드 위에 출력)
+     */
+    logProgress(message) {
+        if (this.progressBar) {
+            this.progressBar.log(message);
+        } else {
+            console.log(message);
+        }
+    }
+
+    displayInterruptSummary(job, cancelled, collect) {
+        const seconds = cancelled.elapsedMs / 1000;
+        const rate = seconds > 0 ? Math.round(cancelled.attempts / seconds) : 0;
+
+        console.log(chalk.yellow('\n\n⏸️  검색을 중단했습니다.\n'));
+        console.log(chalk.white(`   🔢 이번 실행 시도 횟수: ${cancelled.attempts.toLocaleString()} (${seconds.toFixed(1)}초, ${rate.toLocaleString()}/초)`));
+        console.log(chalk.white(`   🔢 누적 시도 횟수: ${job.totalAttempts.toLocaleString()} | 누적 시간: ${Math.round(job.elapsedMs / 1000)}초`));
+        if (collect) {
+            console.log(chalk.white(`   💾 찾은 지갑: 이번 실행 ${cancelled.matches.length}개 (작업 전체: ${job.wallets.length}개)`));
+        }
+        console.log(chalk.yellow(`\n   작업이 저장되었습니다: ${job.id}`));
+        console.log(chalk.yellow('   메인 메뉴의 \'중단된 작업 이어서 하기\' 또는 `node index.js resume <작업 ID>`로 계속할 수 있습니다.'));
+    }
+
+    async resumeJob() {
+        console.log(chalk.blue('\n⏯️  중단된 작업 이어서 하기\n'));
+
+        const jobs = listResumableJobs(getJobsDir(this.config.walletsDir));
+        if (jobs.length === 0) {
+            console.log(chalk.yellow('이어서 할 수 있는 작업이 없습니다.'));
+            return;
+        }
+
+        const { jobId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'jobId',
+                message: '이어서 할 작업을 선택하세요:',
+                choices: jobs.map(job => ({
+                    name: `${job.id}  ${describeJob(job)}`,
+                    value: job.id
+                }))
+            }
+        ]);
+
+        const job = jobs.find(candidate => candidate.id === jobId);
+        console.log(chalk.yellow(`\n📊 ${describeJob(job)}`));
+        console.log(chalk.gray(`   상태: ${job.status} | 실행 횟수: ${job.sessions} | 마지막 기록: ${job.updatedAt}`));
+
+        // 암호화 작업은 비밀번호를 다시 입력받음 (작업 파일에는 저장하지 않음)
+        const password = job.settings.encrypt ? await this.promptPassword(true) : null;
+        await this.runSearchJob(job, password);
+    }
+
+    saveCollectedWallet(wallet, matched, generationTime, matchCount, patternSet = null, storage = {}) {
+        const displayPattern = getDisplayPattern(matched.searchMode, matched.pattern, matched.startPattern, matched.endPattern);
+        const walletData = createWalletData(wallet, {
+            pattern: displayPattern,
+            generationTime,
+            searchMode: matched.searchMode,
+            startPattern: matched.startPattern,
+            endPattern: matched.endPattern,
+            patternSet
+        });
+
+        try {
+            const { filepath, keypairPath } = saveWalletInFormat(walletData, this.config.walletsDir, storage.exportFormat, storage.password);
+            const savedPaths = [filepath, keypairPath].filter(Boolean).join(', ');
+            this.logProgress(chalk.green(`💾 [${matchCount}] ${wallet.address}`) + chalk.gray(` → ${savedPaths}`));
+            return filepath || keypairPath;
+        } catch (error) {
+            this.logProgress(chalk.red(`❌ 파일 저장 중 오류가 발생했습니다: ${error.message}`));
+            return null;
+        }
+    }
+
+    async promptPatternSet() {
+        const patterns = [];
+        const patternLimits = { maxPatternLength: this.config.maxPatternLength };
+
+        while (true) {
+            const { patternMode } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'patternMode',
+                    message: `${patterns.length + 1}번째 패턴의 검색 모드를 선택하세요:`,
+                    choices: [
+                        { name: '🎯 시작 패턴', value: 'startsWith' },
+                        { name: '🔍 포함 패턴', value: 'contains' },
+                        { name: '🎯🎯 앞뒤 패턴', value: 'startEnd' },
+                        { name: '🧩 정규식/와일드카드 패턴', value: 'regex' }
+                    ]
+                }
+            ]);
+
+            const spec = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'pattern',
+                    message: '패턴을 입력하세요:',
+                    when: () => patternMode !== 'startEnd',
+                    validate: (input) => {
+                        if (patternMode === 'regex') {
+                            return validatePatternExpression(input);
+                        }
+                        try {
+                            normalizePatternSpecs([{ searchMode: patternMode, pattern: input }], patternLimits);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'startPattern',
+                    message: '시작 패턴을 입력하세요 (빈칸=무시):',
+                    when: () => patternMode === 'startEnd'
+                },
+                {
+                    type: 'input',
+                    name: 'endPattern',
+                    message: '끝 패턴을 입력하세요 (빈칸=무시):',
+                    when: () => patternMode === 'startEnd',
+                    validate: (input, answers) => {
+                        try {
+                            normalizePatternSpecs([{ searchMode: 'startEnd', startPattern: answers.startPattern, endPattern: input }], patternLimits);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
+                },
+                {
+                    type: 'confirm',
+                    name: 'caseSensitive',
+                    message: '이 패턴은 대소문자를 구분하시겠습니까?',
+                    default: true
+                }
+            ]);
+
+            patterns.push({ searchMode: patternMode, ...spec });
+
+            const { addMore } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'addMore',
+                    message: `패턴을 더 추가하시겠습니까? (현재 ${patterns.length}개)`,
+                    default: patterns.length < 2
+                }
+            ]);
+
+            if (!addMore) {
+                return normalizePatternSpecs(patterns, patternLimits);
+            }
         }
     }
 
@@ -377,6 +882,13 @@ class VanityWalletGenerator {
                 const end = wallet.address.substring(wallet.address.length - endPattern.length);
                 highlightedAddress = start + chalk.bgYellow.black(end);
             }
+        } else if (searchMode === 'regex') {
+            const match = compilePatternExpression(pattern, false).exec(wallet.address);
+            if (match && match[0].length > 0) {
+                const before = wallet.address.substring(0, match.index);
+                const after = wallet.address.substring(match.index + match[0].length);
+                highlightedAddress = before + chalk.bgYellow.black(match[0]) + after;
+            }
         } else if (searchMode === 'contains') {
             const cleanPattern = pattern.replace('...', ''); // 앞뒤 패턴에서 ... 제거
             const patternIndex = wallet.address.toLowerCase().indexOf(cleanPattern.toLowerCase());
@@ -393,8 +905,40 @@ class VanityWalletGenerator {
         console.log(chalk.cyan('🏠 지갑 주소:'));
         console.log(`   ${highlightedAddress}\n`);
         
-        console.log(chalk.cyan('🔑 개인키 (Private Key):'));
-        console.log(chalk.red(`   ${wallet.privateKey}\n`));
+        if (wallet.partialKey) {
+            // 분할 키 검색 결과: 요청자의 비밀 키와 합쳐야 최종 개인키가 됨
+            console.log(chalk.cyan('🧩 부분 키 (Partial Key):'));
+            console.log(chalk.yellow(`   ${wallet.partialKey}\n`));
+            console.log(chalk.cyan('📍 기준점 (Base Point):'));
+            console.log(chalk.blue(`   ${wallet.basePoint}\n`));
+        } else if (wallet.seed) {
+            // createWithSeed 주소: 개인키 없이 base 공개키, seed, owner 프로그램으로 정해짐
+            console.log(chalk.cyan('🌱 Seed:'));
+            console.log(chalk.yellow(`   ${wallet.seed}\n`));
+            console.log(chalk.cyan('📍 Base 공개키:'));
+            console.log(chalk.blue(`   ${wallet.basePubkey}\n`));
+            console.log(chalk.cyan('🏛️  Owner 프로그램:'));
+            console.log(chalk.blue(`   ${wallet.programId}\n`));
+        } else if (wallet.nonce !== undefined) {
+            // PDA: 개인키 없이 프로그램 ID, 고정 seed, nonce, bump로 정해짐
+            console.log(chalk.cyan('🏛️  프로그램 ID:'));
+            console.log(chalk.blue(`   ${wallet.programId}\n`));
+            console.log(chalk.cyan('🌱 고정 Seed:'));
+            console.log(chalk.blue(`   ${wallet.seeds.length > 0 ? wallet.seeds.join(', ') : '(없음)'}\n`));
+            console.log(chalk.cyan(`🎲 Nonce (${wallet.nonceEncoding}) / Bump:`));
+            console.log(chalk.yellow(`   ${wallet.nonce} / ${wallet.bump}\n`));
+        } else if (wallet.privateScalar) {
+            console.log(chalk.cyan('🔑 개인키 스칼라 (분할 키 합성, 지갑 앱으로 가져올 수 없음):'));
+            console.log(chalk.red(`   ${wallet.privateScalar}\n`));
+        } else {
+            console.log(chalk.cyan('🔑 개인키 (Private Key):'));
+            console.log(chalk.red(`   ${wallet.privateKey}\n`));
+        }
+
+        if (wallet.mnemonic) {
+            console.log(chalk.cyan(`🌱 니모닉 (시드 문구, ${wallet.derivationPath}):`));
+            console.log(chalk.red(`   ${wallet.mnemonic}\n`));
+        }
         
         console.log(chalk.cyan('🔐 공개키 (Public Key):'));
         console.log(chalk.blue(`   ${wallet.publicKey}\n`));
@@ -416,89 +960,69 @@ class VanityWalletGenerator {
         console.log(chalk.red('   • 이 정보를 스크린샷으로 찍지 마세요\n'));
     }
 
-    async saveWalletToFile(wallet, pattern, generationTime = null, searchMode = 'startsWith', startPattern = null, endPattern = null) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        let modePrefix, filePattern;
-        
-        if (searchMode === 'startEnd') {
-            const hasStartPattern = startPattern && startPattern.length > 0;
-            const hasEndPattern = endPattern && endPattern.length > 0;
-            
-            if (hasStartPattern && hasEndPattern) {
-                modePrefix = 'startEnd';
-                filePattern = `${startPattern}-${endPattern}`;
-            } else if (hasStartPattern) {
-                modePrefix = 'starts';
-                filePattern = startPattern;
-            } else {
-                modePrefix = 'ends';
-                filePattern = endPattern;
-            }
-        } else if (searchMode === 'contains') {
-            modePrefix = 'contains';
-            filePattern = pattern;
-        } else {
-            modePrefix = 'starts';
-            filePattern = pattern;
-        }
-        
-        const filename = `solana-wallet-${modePrefix}-${filePattern}-${timestamp}.json`;
-        
-        let searchModeDescription;
-        if (searchMode === 'startEnd') {
-            const hasStartPattern = startPattern && startPattern.length > 0;
-            const hasEndPattern = endPattern && endPattern.length > 0;
-            
-            if (hasStartPattern && hasEndPattern) {
-                searchModeDescription = `앞뒤 패턴 (${startPattern}로 시작, ${endPattern}로 끝남)`;
-            } else if (hasStartPattern) {
-                searchModeDescription = `시작 패턴 (${startPattern}로 시작)`;
-            } else {
-                searchModeDescription = `끝 패턴 (${endPattern}로 끝남)`;
-            }
-        } else if (searchMode === 'contains') {
-            searchModeDescription = '주소 내 포함';
-        } else {
-            searchModeDescription = '주소 시작';
-        }
-        
-        const walletData = {
-            address: wallet.address,
-            privateKey: wallet.privateKey,
-            publicKey: wallet.publicKey,
-            pattern: pattern,
-            startPattern: startPattern,
-            endPattern: endPattern,
-            searchMode: searchMode,
-            searchModeDescription: searchModeDescription,
-            individualWorkerAttempts: wallet.attempts || 0,
-            totalAttempts: wallet.totalAttempts || wallet.attempts || 0,
-            generationTime: generationTime ? `${generationTime.toFixed(2)}초` : null,
-            createdAt: new Date().toISOString(),
-            createdBy: 'Solana Vanity Wallet Generator (Interactive Mode)',
-            warning: "⚠️ 이 파일에는 개인키가 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요!"
-        };
+    async saveWalletToFile(wallet, pattern, generationTime = null, searchMode = 'startsWith', startPattern = null, endPattern = null, patternSet = null, storage = {}) {
+        const walletData = createWalletData(wallet, {
+            pattern,
+            generationTime,
+            searchMode,
+            startPattern,
+            endPattern,
+            patternSet
+        });
 
         try {
-            // wallets 디렉토리가 없으면 생성
-            const walletsDir = 'wallets';
-            if (!fs.existsSync(walletsDir)) {
-                fs.mkdirSync(walletsDir);
-            }
-
-            const filepath = path.join(walletsDir, filename);
-            fs.writeFileSync(filepath, JSON.stringify(walletData, null, 2));
+            const { filepath, keypairPath } = saveWalletInFormat(walletData, this.config.walletsDir, storage.exportFormat, storage.password);
             
-            console.log(chalk.green(`\n💾 지갑 정보가 자동으로 저장되었습니다: ${filepath}`));
+            if (filepath) {
+                console.log(chalk.green(`\n💾 지갑 정보가 자동으로 저장되었습니다: ${filepath}`) + (storage.password ? chalk.gray(' (🔒 암호화됨)') : ''));
+            }
+            if (keypairPath) {
+                console.log(chalk.green(`\n🔑 Solana CLI 키페어 파일이 저장되었습니다: ${keypairPath}`));
+                console.log(chalk.gray(`   solana-keygen pubkey ${keypairPath} 로 주소를 확인할 수 있습니다.`));
+            }
             console.log(chalk.yellow('   안전한 곳에 백업하고 불필요한 경우 삭제하세요.'));
+            return filepath || keypairPath;
         } catch (error) {
             console.error(chalk.red('❌ 파일 저장 중 오류가 발생했습니다:'), error.message);
+            return null;
         }
     }
 
     async verifyWallet() {
         console.log(chalk.blue('\n📋 지갑 검증\n'));
 
+        const { source } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'source',
+                message: '무엇을 할까요?',
+                choices: [
+                    { name: '⌨️  base58 개인키 직접 입력', value: 'key' },
+                    { name: '📂 파일에서 불러오기 (Solana CLI 키페어 id.json 또는 지갑 JSON)', value: 'file' },
+                    { name: '✍️  메시지/파일에 서명 (주소 소유 증명)', value: 'sign' },
+                    { name: '🔏 서명 검증', value: 'verifySignature' },
+                    { name: '🩺 저장된 지갑 파일 모두 점검 (개인키-주소, 패턴 일치)', value: 'audit' }
+                ]
+            }
+        ]);
+
+        if (source === 'file') {
+            await this.verifyWalletFile();
+            return;
+        }
+        if (source === 'sign') {
+            await this.signWalletMessage();
+            return;
+        }
+        if (source === 'verifySignature') {
+            await this.verifyWalletSignature();
+            return;
+        }
+        if (source === 'audit') {
+            await this.auditWalletFiles();
+            return;
+        }
+
         const { privateKey } = await inquirer.prompt([
             {
                 type: 'input',
@@ -531,46 +1055,747 @@ class VanityWalletGenerator {
         }
     }
 
-    async manageWallets() {
-        console.log(chalk.blue('\n💾 지갑 관리\n'));
-
-        const walletsDir = 'wallets';
-        if (!fs.existsSync(walletsDir)) {
-            console.log(chalk.yellow('저장된 지갑이 없습니다.'));
-            return;
-        }
-
-        const files = fs.readdirSync(walletsDir).filter(file => file.endsWith('.json'));
-        
-        if (files.length === 0) {
-            console.log(chalk.yellow('저장된 지갑이 없습니다.'));
-            return;
-        }
-
-        const { selectedFile } = await inquirer.prompt([
+    async promptMessage(action) {
+        const { messageSource } = await inquirer.prompt([
             {
                 type: 'list',
-                name: 'selectedFile',
-                message: '불러올 지갑을 선택하세요:',
-                choices: files.map(file => ({
-                    name: file,
-                    value: file
-                }))
+                name: 'messageSource',
+                message: `${action} 메시지를 어떻게 입력할까요?`,
+                choices: [
+                    { name: '⌨️  텍스트 직접 입력', value: 'text' },
+                    { name: '📂 파일 (내용 그대로)', value: 'file' }
+                ]
             }
         ]);
 
-        try {
-            const filepath = path.join(walletsDir, selectedFile);
-            const walletData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        if (messageSource === 'file') {
+            const { messageFile } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'messageFile',
+                    message: '메시지 파일 경로를 입력하세요:',
+                    filter: (input) => input.trim().replace(/^~(?=$|\/)/, os.homedir()),
+                    validate: (input) => fs.existsSync(input) ? true : '파일을 찾을 수 없습니다.'
+                }
+            ]);
+            return readMessage({ messageFile });
+        }
+
+        const { message } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'message',
+                message: `${action} 메시지를 입력하세요:`,
+                validate: (input) => input.length > 0 ? true : '메시지를 입력해주세요.'
+            }
+        ]);
+        return readMessage({ message });
+    }
+
+    async signWalletMessage() {
+        const { keySource } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'keySource',
+                message: '어떤 키로 서명할까요?',
+                choices: [
+                    { name: '⌨️  base58 개인키 직접 입력', value: 'key' },
+                    { name: '📂 지갑 파일 (지갑 JSON, 암호화/분할 키 지갑, Solana CLI 키페어 id.json)', value: 'file' }
+                ]
+            }
+        ]);
+
+        try {
+            let key;
+            let expectedAddress = null;
+            if (keySource === 'file') {
+                const { filepath } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'filepath',
+                        message: '지갑 파일 경로를 입력하세요:',
+                        filter: (input) => input.trim().replace(/^~(?=$|\/)/, os.homedir()),
+                        validate: (input) => fs.existsSync(input) ? true : '파일을 찾을 수 없습니다.'
+                    }
+                ]);
+                const password = this.isEncryptedFile(filepath) ? await this.promptPassword() : null;
+                const { privateKey, privateScalar, address } = loadPrivateKeyFromFile(filepath, password);
+                key = { privateKey, privateScalar };
+                expectedAddress = address;
+            } else {
+                const { privateKey } = await inquirer.prompt([
+                    {
+                        type: 'password',
+                        name: 'privateKey',
+                        mask: '*',
+                        message: '서명할 개인키를 입력하세요:',
+                        validate: (input) => {
+                            try {
+                                keypairFromPrivateKey(input.trim());
+                                return true;
+                            } catch (error) {
+                                return '유효하지 않은 개인키입니다.';
+                            }
+                        }
+                    }
+                ]);
+                key = { privateKey: privateKey.trim() };
+            }
+
+            const message = await this.promptMessage('서명할');
+            const { encoding } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'encoding',
+                    message: '서명 인코딩:',
+                    choices: SIGNATURE_ENCODINGS
+                }
+            ]);
+
+            const { address, signature } = signMessage(message, key);
+            if (expectedAddress && expectedAddress !== address) {
+                console.error(chalk.red('\n❌ 개인키에서 계산한 주소가 파일의 주소와 다릅니다. 서명하지 않았습니다.'));
+                return;
+            }
+
+            console.log(chalk.green('\n✍️  메시지에 서명했습니다!\n'));
+            console.log(chalk.cyan('서명한 주소:'), chalk.green(address));
+            console.log(chalk.cyan(`서명 (${encoding}):`), encodeSignature(signature, encoding));
+            console.log(chalk.gray(`메시지: ${message.length.toLocaleString()}바이트`));
+            console.log(chalk.yellow('\n💡 주소, 메시지, 서명을 함께 전달하면 상대방이 개인키 없이 주소 소유를 확인할 수 있습니다.'));
+        } catch (error) {
+            console.error(chalk.red('❌ 서명 실패:'), error.message);
+        }
+    }
+
+    async verifyWalletSignature() {
+        const { address } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'address',
+                message: '서명한 지갑 주소를 입력하세요:',
+                filter: (input) => input.trim(),
+                validate: (input) => {
+                    try {
+                        decodeAddress(input);
+                        return true;
+                    } catch (error) {
+                        return '올바른 솔라나 주소가 아닙니다.';
+                    }
+                }
+            }
+        ]);
+
+        try {
+            const message = await this.promptMessage('서명된');
+            const { signatureInput } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'signatureInput',
+                    message: '서명을 입력하세요 (base58 또는 hex):',
+                    validate: (input) => {
+                        try {
+                            decodeSignature(input);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
+                }
+            ]);
+
+            const { signature, encoding } = decodeSignature(signatureInput);
+            if (verifyMessageSignature(message, signature, address)) {
+                console.log(chalk.green('\n✅ 유효한 서명입니다!\n'));
+                console.log(chalk.cyan('서명한 주소:'), chalk.green(address));
+                console.log(chalk.gray(`메시지 ${message.length.toLocaleString()}바이트, ${encoding} 서명`));
+            } else {
+                console.error(chalk.red('\n❌ 서명이 이 주소와 메시지에 맞지 않습니다.'));
+            }
+        } catch (error) {
+            console.error(chalk.red('❌ 서명 검증 실패:'), error.message);
+        }
+    }
+
+    async auditWalletFiles() {
+        let { results, summary } = auditWallets(this.config.walletsDir);
+        if (summary.total === 0) {
+            console.log(chalk.yellow('\n점검할 지갑 파일이 없습니다.'));
+            return;
+        }
+
+        // 암호화된 파일은 비밀번호가 있어야 개인키까지 점검할 수 있음
+        const encryptedCount = results.filter(result => result.issues.some(issue => issue.code === AUDIT_ISSUES.ENCRYPTED)).length;
+        if (encryptedCount > 0) {
+            const { decrypt } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'decrypt',
+                    message: `암호화된 지갑 ${encryptedCount}개가 있습니다. 비밀번호를 입력해 개인키까지 점검할까요?`,
+                    default: true
+                }
+            ]);
+            if (decrypt) {
+                const password = await this.promptPassword();
+                ({ results, summary } = auditWallets(this.config.walletsDir, { password }));
+            }
+        }
+
+        console.log('');
+        for (const result of results) {
+            const line = result.file + (result.address ? chalk.gray(` (${result.address})`) : '');
+            if (result.status === AUDIT_STATUS.OK) {
+                console.log(chalk.green('✓ ') + line);
+                continue;
+            }
+            console.log(result.status === AUDIT_STATUS.FAILED ? chalk.red(`✗ ${line}`) : chalk.yellow(`⚠ ${line}`));
+            for (const issue of result.issues) {
+                console.log((issue.severity === 'error' ? chalk.red : chalk.yellow)(`   - ${issue.message}`));
+            }
+        }
+
+        const summaryLine = `\n🩺 ${summary.total}개 점검: 정상 ${summary.ok}개, 경고 ${summary.warning}개, 실패 ${summary.failed}개`;
+        console.log(summary.failed > 0 ? chalk.red(summaryLine) : chalk.green(summaryLine));
+        if (summary.failed > 0) {
+            console.log(chalk.gray('   실패한 파일은 손으로 고쳤거나 손상되었을 수 있습니다. 개인키를 사용하기 전에 확인하세요.'));
+        }
+    }
+
+    async verifyWalletFile() {
+        const { filepath } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'filepath',
+                message: '파일 경로를 입력하세요 (예: ~/.config/solana/id.json):',
+                filter: (input) => input.trim().replace(/^~(?=$|\/)/, os.homedir()),
+                validate: (input) => fs.existsSync(input) ? true : '파일을 찾을 수 없습니다.'
+            }
+        ]);
+
+        try {
+            // 암호화된 지갑 파일이면 비밀번호를 받아 복호화
+            const password = this.isEncryptedFile(filepath) ? await this.promptPassword() : null;
+            const { privateKey, privateScalar, address: expectedAddress, format } = loadPrivateKeyFromFile(filepath, password);
+
+            if (privateScalar) {
+                this.verifySplitKeyWallet(privateScalar, expectedAddress);
+                return;
+            }
+
+            const keypair = keypairFromPrivateKey(privateKey);
+            const address = getAddressFromKeypair(keypair);
+
+            if (expectedAddress && expectedAddress !== address) {
+                console.error(chalk.red('\n❌ 개인키에서 계산한 주소가 파일의 주소와 다릅니다.'));
+                console.error(chalk.cyan('파일 주소:'), expectedAddress);
+                console.error(chalk.cyan('계산된 주소:'), address);
+                return;
+            }
+
+            console.log(chalk.green('\n✅ 유효한 지갑입니다!\n'));
+            console.log(chalk.cyan('파일 형식:'), format === 'keypair' ? 'Solana CLI 키페어 (64바이트 배열)' : '지갑 JSON');
+            console.log(chalk.cyan('지갑 주소:'), chalk.green(address));
+            console.log(chalk.cyan('공개키:'), chalk.blue(keypair.publicKey.toBase58()));
+
+        } catch (error) {
+            console.error(chalk.red('❌ 지갑 검증 실패:'), error.message);
+        }
+    }
+
+    verifySplitKeyWallet(privateScalar, expectedAddress) {
+        const { address, matches, canSign } = verifySplitKey(privateScalar, expectedAddress);
+
+        if (!matches) {
+            console.error(chalk.red('\n❌ 개인키 스칼라에서 계산한 주소가 파일의 주소와 다릅니다.'));
+            console.error(chalk.cyan('파일 주소:'), expectedAddress);
+            console.error(chalk.cyan('계산된 주소:'), address);
+            return;
+        }
+        if (!canSign) {
+            console.error(chalk.red('\n❌ 개인키 스칼라로 만든 서명이 검증되지 않습니다.'));
+            return;
+        }
+
+        console.log(chalk.green('\n✅ 유효한 분할 키 지갑입니다!\n'));
+        console.log(chalk.cyan('파일 형식:'), '분할 키 합성 지갑 (개인키 스칼라)');
+        console.log(chalk.cyan('지갑 주소:'), chalk.green(address));
+        console.log(chalk.cyan('서명 검증:'), chalk.green('성공'));
+        console.log(chalk.yellow('⚠️ 시드 형식이 아니므로 지갑 앱이나 solana-keygen으로 가져올 수 없습니다.'));
+    }
+
+    async exportSolanaKeypair(walletData, walletsDir) {
+        const { outPath } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'outPath',
+                message: '저장할 키페어 파일 경로를 입력하세요:',
+                default: getSolanaKeypairPath(walletData.address, walletsDir)
+            }
+        ]);
+
+        let overwrite = false;
+        if (fs.existsSync(outPath)) {
+            ({ overwrite } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'overwrite',
+                    message: `${outPath} 파일이 이미 있습니다. 덮어쓰시겠습니까?`,
+                    default: false
+                }
+            ]));
+            if (!overwrite) {
+                console.log(chalk.yellow('내보내기를 취소했습니다.'));
+                return;
+            }
+        }
+
+        try {
+            // 내보내기 전에 개인키와 주소가 일치하는지 확인
+            const address = getAddressFromKeypair(keypairFromPrivateKey(walletData.privateKey));
+            if (walletData.address && walletData.address !== address) {
+                console.error(chalk.red('❌ 개인키에서 계산한 주소가 파일의 주소와 다릅니다. 내보내지 않았습니다.'));
+                return;
+            }
+
+            saveSolanaKeypairFile(walletData.privateKey, outPath, overwrite);
+            console.log(chalk.green(`\n🔑 Solana CLI 키페어 파일로 내보냈습니다: ${outPath}`));
+            console.log(chalk.gray(`   solana-keygen pubkey ${outPath} 로 주소를 확인할 수 있습니다.`));
+            console.log(chalk.yellow('   ⚠️ 이 파일에는 개인키가 포함되어 있습니다. 안전하게 보관하세요.'));
+        } catch (error) {
+            console.error(chalk.red('❌ 내보내기 중 오류가 발생했습니다:'), error.message);
+        }
+    }
+
+    async manageWallets() {
+        console.log(chalk.blue('\n💾 지갑 관리\n'));
+
+        const { walletsDir } = this.config;
+        // 메뉴를 오가는 동안 유지되는 필터와 정렬
+        const view = { filters: {}, sortKey: 'createdAt', descending: false };
+
+        while (true) {
+            const library = loadWalletLibrary(walletsDir);
+            if (library.length === 0) {
+                console.log(chalk.yellow('저장된 지갑이 없습니다.'));
+                return;
+            }
+
+            const wallets = sortWallets(filterWallets(library, view.filters), view.sortKey, view.descending);
+            const readable = wallets.filter(entry => !entry.error);
+            this.printWalletTable(wallets, library.length, view);
+
+            const { libraryAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'libraryAction',
+                    message: '무엇을 할까요?',
+                    choices: [
+                        ...(readable.length > 0 ? [
+                            { name: '📄 지갑 열기 (키페어 내보내기/암호화)', value: 'open' },
+                            { name: '🏷️  라벨/메모 편집', value: 'label' },
+                            { name: '📦 묶음 파일로 내보내기', value: 'bundle' },
+                            { name: '🗑️  지갑 삭제', value: 'delete' },
+                            { name: '🔑 개인키를 포함한 표 보기', value: 'showKeys' }
+                        ] : []),
+                        { name: '🔍 필터 설정', value: 'filter' },
+                        { name: '↕️  정렬 기준 변경', value: 'sort' },
+                        { name: '↩️  돌아가기', value: 'back' }
+                    ]
+                }
+            ]);
+
+            if (libraryAction === 'back') {
+                return;
+            }
+
+            try {
+                if (libraryAction === 'open') {
+                    await this.openWallet(await this.selectWallet(readable, '열 지갑을 선택하세요:'), walletsDir);
+                } else if (libraryAction === 'label') {
+                    await this.editWalletLabels(await this.selectWallet(readable, '라벨/메모를 편집할 지갑을 선택하세요:'));
+                } else if (libraryAction === 'bundle') {
+                    await this.exportWalletBundle(readable);
+                } else if (libraryAction === 'delete') {
+                    await this.deleteWallets(readable, walletsDir);
+                } else if (libraryAction === 'showKeys') {
+                    await this.showWalletTableWithKeys(walletsDir, view);
+                } else if (libraryAction === 'filter') {
+                    view.filters = await this.promptWalletFilters(view.filters, library);
+                } else if (libraryAction === 'sort') {
+                    Object.assign(view, await this.promptWalletSort(view));
+                }
+            } catch (error) {
+                console.error(chalk.red('❌ 오류가 발생했습니다:'), error.message);
+            }
+        }
+    }
+
+    printWalletTable(wallets, total, view, showPrivateKeys = false) {
+        const [header, ...rows] = formatWalletTable(wallets, { showPrivateKeys });
+        console.log('');
+        console.log(chalk.cyan(header));
+        rows.forEach((row, index) => console.log(wallets[index].error ? chalk.red(row) : row));
+
+        const { pattern, mode, since, until, label } = view.filters;
+        const filterText = [
+            pattern && `패턴 '${pattern}'`,
+            mode && `모드 ${mode}`,
+            since && `${since.toLocaleDateString()} 이후`,
+            until && `${until.toLocaleDateString()}까지`,
+            label && `라벨 '${label}'`
+        ].filter(Boolean).join(', ');
+        console.log(chalk.gray(`\n${wallets.length}개 지갑 (전체 ${total}개) | 정렬: ${WALLET_SORT_LABELS[view.sortKey]}${view.descending ? ' (역순)' : ''}${filterText ? ` | 필터: ${filterText}` : ''}\n`));
+    }
+
+    formatWalletChoice(entry) {
+        const lock = entry.encrypted ? '🔒 ' : '';
+        const labels = entry.labels.length > 0 ? chalk.magenta(` [${entry.labels.join(', ')}]`) : '';
+        return `${lock}${entry.address}  ${chalk.gray(entry.pattern || 'N/A')}${labels}`;
+    }
+
+    async selectWallet(wallets, message) {
+        const { entry } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'entry',
+                message,
+                choices: wallets.map(wallet => ({ name: this.formatWalletChoice(wallet), value: wallet }))
+            }
+        ]);
+        return entry;
+    }
+
+    async selectWallets(wallets, message, checked = false) {
+        const { entries } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'entries',
+                message,
+                choices: wallets.map(wallet => ({ name: this.formatWalletChoice(wallet), value: wallet, checked })),
+                validate: (input) => input.length > 0 ? true : '하나 이상 선택해주세요.'
+            }
+        ]);
+        return entries;
+    }
+
+    async promptWalletFilters(current, library) {
+        const existingLabels = [...new Set(library.flatMap(entry => entry.labels || []))].sort();
+        const toDateInput = (date) => date ? date.toISOString().slice(0, 10) : '';
+        const validateDate = (input) => {
+            if (!input.trim()) return true;
+            try {
+                parseDateFilter(input.trim());
+                return true;
+            } catch (error) {
+                return error.message;
+            }
+        };
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'pattern',
+                message: '패턴에 포함된 문자열 (비워두면 전체):',
+                default: current.pattern || ''
+            },
+            {
+                type: 'list',
+                name: 'mode',
+                message: '검색 모드:',
+                choices: [{ name: '전체', value: null }, ...WALLET_FILTER_MODES.map(mode => ({ name: mode, value: mode }))],
+                default: current.mode || null
+            },
+            {
+                type: 'input',
+                name: 'since',
+                message: '이 날짜 이후 생성 (YYYY-MM-DD, 비워두면 제한 없음):',
+                default: toDateInput(current.since),
+                validate: validateDate
+            },
+            {
+                type: 'input',
+                name: 'until',
+                message: '이 날짜까지 생성 (YYYY-MM-DD, 비워두면 제한 없음):',
+                default: toDateInput(current.until),
+                validate: validateDate
+            },
+            {
+                type: 'list',
+                name: 'label',
+                message: '라벨:',
+                choices: [{ name: '전체', value: null }, ...existingLabels],
+                default: current.label || null,
+                when: () => existingLabels.length > 0
+            }
+        ]);
+
+        return {
+            pattern: answers.pattern.trim() || null,
+            mode: answers.mode,
+            since: answers.since.trim() ? parseDateFilter(answers.since.trim()) : null,
+            until: answers.until.trim() ? parseDateFilter(answers.until.trim(), true) : null,
+            label: answers.label || null
+        };
+    }
+
+    async promptWalletSort(view) {
+        return inquirer.prompt([
+            {
+                type: 'list',
+                name: 'sortKey',
+                message: '정렬 기준:',
+                choices: WALLET_SORT_KEYS.map(key => ({ name: WALLET_SORT_LABELS[key], value: key })),
+                default: view.sortKey
+            },
+            {
+                type: 'confirm',
+                name: 'descending',
+                message: '역순(내림차순)으로 정렬할까요?',
+                default: view.descending
+            }
+        ]);
+    }
+
+    async editWalletLabels(entry) {
+        const { labelsInput, note } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'labelsInput',
+                message: '라벨 (쉼표로 구분, 비워두면 모두 삭제):',
+                default: entry.labels.join(', ')
+            },
+            {
+                type: 'input',
+                name: 'note',
+                message: '메모 (비워두면 삭제):',
+                default: entry.note || ''
+            }
+        ]);
+
+        const labels = normalizeLabels(labelsInput);
+        const result = updateWalletMetadata(entry.filepath, {
+            addLabels: labels,
+            removeLabels: entry.labels.filter(label => !labels.includes(label)),
+            note
+        });
+        console.log(chalk.green(`\n🏷️  저장했습니다: 라벨 ${result.labels.length > 0 ? result.labels.join(', ') : '(없음)'} | 메모 ${result.note || '(없음)'}`));
+    }
+
+    async exportWalletBundle(wallets) {
+        const selected = await this.selectWallets(wallets, '내보낼 지갑을 선택하세요:', true);
+        const { outPath, publicOnly } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'publicOnly',
+                message: '무엇을 내보낼까요?',
+                choices: [
+                    { name: '🔑 개인키 포함 (암호화된 지갑은 암호화된 그대로)', value: false },
+                    { name: '📋 주소와 메타데이터만 (개인키 제외)', value: true }
+                ]
+            },
+            {
+                type: 'input',
+                name: 'outPath',
+                message: '묶음 파일 경로를 입력하세요:',
+                default: `wallet-bundle-${new Date().toISOString().slice(0, 10)}.json`,
+                filter: (input) => input.trim().replace(/^~(?=$|\/)/, os.homedir())
+            }
+        ]);
+
+        let overwrite = false;
+        if (fs.existsSync(outPath)) {
+            ({ overwrite } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'overwrite',
+                    message: `${outPath} 파일이 이미 있습니다. 덮어쓰시겠습니까?`,
+                    default: false
+                }
+            ]));
+            if (!overwrite) {
+                console.log(chalk.yellow('내보내기를 취소했습니다.'));
+                return;
+            }
+        }
+
+        const result = exportWalletBundle(selected.map(entry => entry.filepath), outPath, { publicOnly, overwrite });
+        console.log(chalk.green(`\n📦 ${result.count}개 지갑을 묶음 파일로 내보냈습니다: ${result.filepath}`));
+        if (!publicOnly && result.plaintext > 0) {
+            console.log(chalk.yellow(`   ⚠️ 평문 개인키 ${result.plaintext}개가 포함되어 있습니다. 안전하게 보관하세요.`));
+        }
+    }
+
+    async deleteWallets(wallets, walletsDir) {
+        const selected = await this.selectWallets(wallets, '삭제할 지갑을 선택하세요:');
+        const withKeypair = selected.filter(entry => fs.existsSync(getSolanaKeypairPath(entry.address, walletsDir)));
+
+        console.log(chalk.yellow(`\n삭제할 지갑 (${selected.length}개):`));
+        selected.forEach(entry => console.log(chalk.yellow(`  ${entry.address}  ${entry.file}`)));
+
+        const { confirmed, removeKeypair } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: '파일을 덮어쓴 뒤 삭제합니다. 개인키를 백업하지 않았다면 복구할 수 없습니다. 계속할까요?',
+                default: false
+            },
+            {
+                type: 'confirm',
+                name: 'removeKeypair',
+                message: `같은 개인키가 들어 있는 키페어 파일 ${withKeypair.length}개도 삭제할까요?`,
+                default: true,
+                when: (answers) => answers.confirmed && withKeypair.length > 0
+            }
+        ]);
+        if (!confirmed) {
+            console.log(chalk.yellow('삭제를 취소했습니다.'));
+            return;
+        }
+
+        for (const entry of selected) {
+            try {
+                const { removed, remainingKeypair } = deleteWalletFile(entry.filepath, { walletsDir, removeKeypair });
+                removed.forEach(file => console.log(chalk.green(`🗑️  ${file}`)));
+                if (remainingKeypair) {
+                    console.log(chalk.yellow(`   ⚠️ 키페어 파일이 남아 있습니다: ${remainingKeypair}`));
+                }
+            } catch (error) {
+                console.error(chalk.red(`❌ ${entry.file} 삭제 실패:`), error.message);
+            }
+        }
+    }
+
+    async showWalletTableWithKeys(walletsDir, view) {
+        const { confirmed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: '화면에 평문 개인키가 표시됩니다. 주변에 보는 사람이 없고 화면 공유 중이 아닌가요?',
+                default: false
+            }
+        ]);
+        if (!confirmed) {
+            return;
+        }
+
+        const library = loadWalletLibrary(walletsDir, { includePrivateKeys: true });
+        const wallets = sortWallets(filterWallets(library, view.filters), view.sortKey, view.descending);
+        this.printWalletTable(wallets, library.length, view, true);
+        console.log(chalk.yellow('⚠️ 암호화된 지갑의 개인키는 지갑 열기에서 비밀번호로 확인할 수 있습니다.'));
+        await inquirer.prompt([{ type: 'input', name: 'done', message: '계속하려면 Enter를 누르세요 (화면의 개인키를 지우려면 터미널을 정리하세요)' }]);
+    }
+
+    async openWallet(entry, walletsDir) {
+        try {
+            const { filepath } = entry;
+            let walletData = loadWalletFile(filepath);
+            const encrypted = isEncryptedWalletData(walletData);
+
+            if (encrypted) {
+                console.log(chalk.yellow('🔒 암호화된 지갑 파일입니다.'));
+                walletData = decryptWalletData(walletData, await this.promptPassword());
+            }
             
             console.log(chalk.green('\n📄 저장된 지갑 정보:\n'));
             this.displayWalletInfo(walletData, walletData.pattern);
             
+            const { walletAction } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'walletAction',
+                    message: '이 지갑으로 무엇을 할까요?',
+                    choices: [
+                        // 분할 키 지갑은 64바이트 키페어로 표현할 수 없으므로 내보내기 제외
+                        ...(walletData.privateKey ? [{ name: '🔑 Solana CLI 키페어 파일(id.json)로 내보내기', value: 'exportKeypair' }] : []),
+                        ...(encrypted || walletData.partialKey || walletData.seed || walletData.nonce !== undefined ? [] : [{ name: '🔒 이 지갑 파일을 비밀번호로 암호화', value: 'encrypt' }]),
+                        { name: '↩️  돌아가기', value: 'back' }
+                    ]
+                }
+            ]);
+
+            if (walletAction === 'exportKeypair') {
+                await this.exportSolanaKeypair(walletData, walletsDir);
+            } else if (walletAction === 'encrypt') {
+                encryptWalletFile(filepath, await this.promptPassword(true));
+                console.log(chalk.green(`\n🔒 지갑 파일을 암호화했습니다: ${filepath}`));
+                console.log(chalk.yellow('   ⚠️ 비밀번호를 잃어버리면 개인키를 복구할 수 없습니다.'));
+            }
         } catch (error) {
             console.error(chalk.red('❌ 지갑 파일을 읽는 중 오류가 발생했습니다:'), error.message);
         }
     }
 
+    isEncryptedFile(filepath) {
+        try {
+            return isEncryptedWalletData(loadWalletFile(filepath));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async runPerformanceBenchmark() {
+        console.log(chalk.blue('\n⚡ 성능 벤치마크\n'));
+        console.log(chalk.gray('워커 수 1개부터 최대 워커 수까지 검색 모드별 초당 키 생성 수를 측정합니다.\n'));
+
+        const { maxWorkers, seconds } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'maxWorkers',
+                message: '최대 워커 수:',
+                default: String(getDefaultWorkerCount()),
+                validate: (input) => {
+                    const value = Number(input);
+                    return Number.isInteger(value) && value >= 1 ? true : '1 이상의 정수를 입력해주세요.';
+                }
+            },
+            {
+                type: 'input',
+                name: 'seconds',
+                message: '워커 수마다 측정할 시간(초):',
+                default: String(DEFAULT_BENCHMARK_SECONDS),
+                validate: (input) => {
+                    const value = Number(input);
+                    return Number.isFinite(value) && value > 0 ? true : '0보다 큰 숫자를 입력해주세요.';
+                }
+            }
+        ]);
+
+        console.log(chalk.green('\n⏱️  측정 중... (Ctrl+C로 중단)\n'));
+
+        const abortController = new AbortController();
+        const onInterrupt = () => abortController.abort();
+        process.once('SIGINT', onInterrupt);
+
+        try {
+            const benchmark = await runBenchmark({
+                maxWorkers: Number(maxWorkers),
+                seconds: Number(seconds),
+                pool: this.getWorkerPool(),
+                signal: abortController.signal,
+                onResult: ({ searchMode, workers, rate }) => {
+                    console.log(chalk.cyan(`   ${searchMode} × ${workers}워커: ${rate.toLocaleString()}/초`));
+                }
+            });
+
+            console.log('');
+            formatBenchmarkTable(benchmark).forEach((line, index) => {
+                console.log(index === 0 ? chalk.white.bold(line) : chalk.white(line));
+            });
+            console.log(chalk.green(`\n💡 추천 워커 수: ${benchmark.recommendedWorkers}개`));
+
+            const filepath = saveBenchmark(benchmark, this.config.walletsDir);
+            console.log(chalk.gray(`💾 결과를 저장했습니다: ${filepath} (지갑 생성의 예상 시간 계산에 사용됩니다)`));
+        } catch (error) {
+            if (error instanceof SearchCancelledError) {
+                console.log(chalk.yellow('\n⏸️  벤치마크를 중단했습니다. 결과는 저장하지 않았습니다.'));
+                return;
+            }
+            console.error(chalk.red('❌ 벤치마크 오류:'), error.message);
+        } finally {
+            process.off('SIGINT', onInterrupt);
+        }
+    }
+
     showHelp() {
         console.log(chalk.blue('\n❓ 사용법 및 정보\n'));
         
@@ -581,7 +1806,7 @@ class VanityWalletGenerator {
         console.log(chalk.cyan('📝 패턴 규칙:'));
         console.log('   • Base58 문자만 사용 가능: 1-9, A-H, J-N, P-Z, a-k, m-z');
         console.log('   • 사용 불가능한 문자: 0, O, I, l');
-        console.log('   • 최대 8자까지 권장 (더 길면 생성 시간이 매우 오래 걸림)\n');
+        console.log(`   • 최대 ${this.config.maxPatternLength}자까지 입력 가능 (길수록 생성 시간이 매우 오래 걸림, 8자 이하 권장)\n`);
         
         console.log(chalk.cyan('⏱️ 예상 소요 시간:'));
         console.log('   • 1자리: 즉시');
@@ -602,21 +1827,6 @@ class VanityWalletGenerator {
         console.log('   • 너무 긴 패턴은 현실적으로 생성하기 어렵습니다\n');
     }
 
-    getEstimatedTime(attempts) {
-        const ratePerSecond = 10000; // 대략적인 초당 생성 속도
-        const seconds = attempts / ratePerSecond;
-        
-        if (seconds < 60) {
-            return `${Math.round(seconds)}초`;
-        } else if (seconds < 3600) {
-            return `${Math.round(seconds / 60)}분`;
-        } else if (seconds < 86400) {
-            return `${Math.round(seconds / 3600)}시간`;
-        } else {
-            return `${Math.round(seconds / 86400)}일`;
-        }
-    }
-
     async run() {
         this.displayLogo();
 
@@ -628,17 +1838,26 @@ class VanityWalletGenerator {
                     case 'generate':
                         await this.generateVanityWallet();
                         break;
+                    case 'resume':
+                        await this.resumeJob();
+                        break;
                     case 'verify':
                         await this.verifyWallet();
                         break;
                     case 'manage':
                         await this.manageWallets();
                         break;
+                    case 'benchmark':
+                        await this.runPerformanceBenchmark();
+                        break;
                     case 'help':
                         this.showHelp();
                         break;
                     case 'exit':
                         console.log(chalk.green('\n👋 감사합니다! 안전한 거래하세요!\n'));
+                        if (this.workerPool) {
+                            await this.workerPool.destroy();
+                        }
                         process.exit(0);
                         break;
                 }
@@ -666,9 +1885,49 @@ class VanityWalletGenerator {
     }
 }
 
+/**
+ * 이 파일을 직접 실행했는지 확인합니다 (npm bin 링크처럼 심볼릭 링크로 실행한 경우 포함)
+ * 라이브러리로 import하면 앱을 실행하지 않습니다.
+ */
+function isMainModule() {
+    if (!process.argv[1]) {
+        return false;
+    }
+    try {
+        return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+    } catch (error) {
+        return false;
+    }
+}
+
 // 프로그램 실행
-const generator = new VanityWalletGenerator();
-generator.run().catch(error => {
-    console.error(chalk.red('❌ 치명적 오류:'), error.message);
-    process.exit(1);
-}); 
\ No newline at end of file
+if (isMainModule()) {
+    const cliArgs = process.argv.slice(2);
+    const interactive = parseInteractiveArgs(cliArgs);
+
+    if (!interactive) {
+        // 인자가 있으면 비대화형 CLI 모드로 실행
+        runCli(cliArgs).then(exitCode => {
+            process.exit(exitCode);
+        }).catch(error => {
+            console.error(chalk.red('❌ 치명적 오류:'), error.message);
+            process.exit(1);
+        });
+    } else {
+        let config;
+        try {
+            config = loadConfig({ configPath: interactive.configPath });
+        } catch (error) {
+            console.error(chalk.red('❌ 설정 파일 오류:'), error.message);
+            process.exit(1);
+        }
+        const generator = new VanityWalletGenerator(config);
+        generator.run().catch(error => {
+            console.error(chalk.red('❌ 치명적 오류:'), error.message);
+            process.exit(1);
+        });
+    }
+}
+
+// 기존에 index.js를 import하던 코드를 위해 라이브러리 API도 내보냄
+export * from './api.js'; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { toApiWallet } from '../utils/cli.js';
+import { SECRET_FIELDS, isEncryptedWalletData } from '../utils/wallet-crypto.js';
+import { generateSplitKeyBase, createSplitKeyCandidates } from '../utils/split-key.js';
+
+const INDEX_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * 비밀번호 환경 변수를 넣고 CLI를 실행해 JSON 출력을 파싱합니다
+ */
+async function runCliJson(args) {
+    const { stdout } = await promisify(execFile)(process.execPath, [INDEX_PATH, ...args], {
+        env: { ...process.env, VANITY_WALLET_PASSWORD: 'password123' },
+        timeout: 60000
+    });
+    return JSON.parse(stdout);
+}
+
+function assertNoSecrets(walletData) {
+    for (const field of SECRET_FIELDS) {
+        assert.equal(walletData[field], undefined, `${field}가 출력에 포함됨`);
+    }
+    assert.ok(isEncryptedWalletData(walletData));
+}
+
+test('암호화하지 않은 API 결과는 개인키 대신 저장된 파일 경로를 안내', () => {
+    const walletData = {
+        address: 'Sox111',
+        privateKey: 'secret',
+        pattern: 'Sox',
+        warning: '⚠️ 이 파일에는 개인키가 포함되어 있습니다.'
+    };
+    const wallet = toApiWallet({ walletData, filepath: 'wallets/Sox111.json', keypairPath: null }, null);
+
+    assert.equal(wallet.privateKey, undefined);
+    assert.equal(wallet.file, 'wallets/Sox111.json');
+    assert.match(wallet.warning, /저장된 지갑 파일에만 있습니다: wallets\/Sox111\.json/);
+    assert.equal(walletData.privateKey, 'secret');
+
+    const keypairOnly = toApiWallet({ walletData, filepath: null, keypairPath: 'wallets/Sox111-keypair.json' }, null);
+    assert.match(keypairOnly.warning, /Sox111-keypair\.json/);
+});
+
+test('개인키가 없는 지갑은 원래 안내를 유지', () => {
+    const walletData = { address: 'Sox111', seed: 'abc', warning: '🌱 createWithSeed 주소입니다.' };
+    const wallet = toApiWallet({ walletData, filepath: 'wallets/Sox111.json' }, null);
+    assert.equal(wallet.warning, '🌱 createWithSeed 주소입니다.');
+});
+
+test('generate --encrypt --json은 개인키와 니모닉을 출력하지 않음', async (t) => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vanity-cli-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    const result = await runCliJson(['generate', '--pattern', 'A', '--mode', 'contains', '--mnemonic', '-w', '1', '--encrypt', '--json', '-o', outDir]);
+    assert.equal(result.success, true);
+    assertNoSecrets(result.wallet);
+    assert.deepEqual(result.wallet, JSON.parse(fs.readFileSync(result.file, 'utf8')));
+
+    const collected = await runCliJson(['generate', '--pattern', 'A', '--mode', 'contains', '-n', '2', '-w', '1', '--encrypt', '--json', '-o', outDir]);
+    assert.equal(collected.wallets.length, 2);
+    collected.wallets.forEach(assertNoSecrets);
+});
+
+test('split-combine --encrypt --json은 합친 스칼라를 출력하지 않음', async (t) => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vanity-cli-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    const { secretKey, basePoint } = generateSplitKeyBase();
+    const candidates = createSplitKeyCandidates(basePoint);
+    candidates.next();
+
+    const result = await runCliJson(['split-combine', '--secret', secretKey, '--partial', candidates.getPartialKey(), '--encrypt', '--json', '-o', outDir]);
+    assert.equal(result.success, true);
+    assertNoSecrets(result.wallet);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import { createPrefixFilter, createSearchPrefixFilter } from '../utils/fast-keygen.js';
+import { BASE58_ALPHABET } from '../utils/regex-pattern.js';
+
+const MAX_VALUE = 1n << 256n;
+// 범위 필터가 비교하는 상위 48비트 한 칸의 크기
+const BUCKET = 1n << 208n;
+
+function toKey(value) {
+    return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+function base58ToValue(text) {
+    return [...text].reduce((value, ch) => value * 58n + BigInt(BASE58_ALPHABET.indexOf(ch)), 0n);
+}
+
+function caseVariants(pattern) {
+    return [...pattern].reduce((variants, ch) => {
+        const options = [...BASE58_ALPHABET].filter(candidate => candidate.toLowerCase() === ch.toLowerCase());
+        return variants.flatMap(prefix => options.map(option => prefix + option));
+    }, ['']);
+}
+
+function randomBase58(length) {
+    return Array.from({ length }, () => BASE58_ALPHABET[crypto.randomInt(58)]).join('');
+}
+
+function matchesPrefix(key, prefix, caseSensitive) {
+    const head = bs58.encode(key).slice(0, prefix.length);
+    return caseSensitive ? head === prefix : head.toLowerCase() === prefix.toLowerCase();
+}
+
+/**
+ * 패턴과 일치하는 43·44자 주소 범위의 양 끝과 그 안의 무작위 값, 범위 바로 바깥 칸의 값으로 공개키를 만듭니다
+ */
+function keysAroundPrefix(prefix) {
+    const values = [];
+    for (const length of [43, 44]) {
+        const rest = length - prefix.length;
+        const lo = base58ToValue(prefix + '1'.repeat(rest));
+        const hi = base58ToValue(prefix + 'z'.repeat(rest));
+        values.push(lo, hi, lo - BUCKET, hi + BUCKET);
+        for (let i = 0; i < 50; i++) {
+            values.push(base58ToValue(prefix + randomBase58(rest)));
+        }
+    }
+    return values.filter(value => value >= 0n && value < MAX_VALUE).map(toKey);
+}
+
+/**
+ * 일치하는 공개키는 모두 통과시키고, 전체 인코딩으로 넘기는 키(첫 바이트 0)를 빼면 나머지는 모두 거르는지 확인합니다
+ */
+function assertExactFilter(filter, keys, prefixes) {
+    let matched = 0;
+    let rejected = 0;
+    for (const key of keys) {
+        const matches = prefixes.some(({ pattern, caseSensitive = true }) => matchesPrefix(key, pattern, caseSensitive));
+        const expected = matches || key[0] === 0;
+        assert.equal(filter(key), expected, `${bs58.encode(key)} (${prefixes.map(spec => spec.pattern).join(', ')})`);
+        matched += matches ? 1 : 0;
+        rejected += expected ? 0 : 1;
+    }
+    assert.ok(matched > 0, '일치하는 키가 하나도 없음');
+    assert.ok(rejected > 0, '걸러진 키가 하나도 없음');
+}
+
+function randomKeys(count) {
+    return Array.from({ length: count }, () => crypto.randomBytes(32));
+}
+
+test('대소문자 구분 시작 패턴: 범위 안의 키는 모두 통과하고 나머지는 걸러짐', () => {
+    for (const pattern of ['S', 'Sox', 'z', 'zzz', 'A1', '9', 'JUP', 'abc2']) {
+        const filter = createPrefixFilter([{ pattern, caseSensitive: true }]);
+        assertExactFilter(filter, [...keysAroundPrefix(pattern), ...randomKeys(500)], [{ pattern, caseSensitive: true }]);
+    }
+});
+
+test('대소문자 무시 시작 패턴: 모든 대소문자 변형을 통과시킴', () => {
+    for (const pattern of ['sox', 'SOX', 'ab', 'z9', 'Y']) {
+        const filter = createPrefixFilter([{ pattern, caseSensitive: false }]);
+        const keys = caseVariants(pattern).flatMap(keysAroundPrefix);
+        assertExactFilter(filter, [...keys, ...randomKeys(500)], [{ pattern, caseSensitive: false }]);
+    }
+});
+
+test('1로 시작하는 패턴: 첫 바이트가 0인 키는 통과시키고 나머지는 모두 거름', () => {
+    const zeroLeading = Array.from({ length: 2000 }, (_, i) => {
+        const key = crypto.randomBytes(32);
+        key[0] = 0;
+        if (i % 2 === 0) {
+            key[1] = 0;
+        }
+        return key;
+    });
+
+    for (const pattern of ['1', '11', '1A', '1a', '11S']) {
+        for (const caseSensitive of [true, false]) {
+            const filter = createPrefixFilter([{ pattern, caseSensitive }]);
+            const keys = [...zeroLeading, ...randomKeys(500)];
+            assert.ok(zeroLeading.some(key => matchesPrefix(key, pattern, caseSensitive)), pattern);
+            for (const key of keys) {
+                assert.equal(filter(key), key[0] === 0, bs58.encode(key));
+            }
+        }
+    }
+});
+
+test('여러 시작 패턴은 어느 하나와 일치하는 키를 모두 통과시킴', () => {
+    const prefixes = [
+        { pattern: 'Sox', caseSensitive: true },
+        { pattern: 'ab', caseSensitive: false },
+        { pattern: '1A', caseSensitive: true }
+    ];
+    const filter = createPrefixFilter(prefixes);
+    const keys = [...keysAroundPrefix('Sox'), ...caseVariants('ab').flatMap(keysAroundPrefix), ...randomKeys(500)];
+    assertExactFilter(filter, keys, prefixes);
+});
+
+test('검색 모드에 맞는 필터를 만듦', () => {
+    const startEnd = createSearchPrefixFilter({ searchMode: 'startEnd', startPattern: 'Sox', pattern: 'ignored' });
+    assertExactFilter(startEnd, keysAroundPrefix('Sox'), [{ pattern: 'Sox' }]);
+
+    assert.equal(createSearchPrefixFilter({ searchMode: 'contains', pattern: 'Sox' }), null);
+    assert.equal(createSearchPrefixFilter({ searchMode: 'startEnd', startPattern: '', endPattern: 'Sox' }), null);
+    assert.equal(createSearchPrefixFilter({
+        searchMode: 'multi',
+        patterns: [{ searchMode: 'startsWith', pattern: 'Sox' }, { searchMode: 'endsWith', pattern: 'ab' }]
+    }), null);
+});
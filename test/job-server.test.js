@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchCancelledError } from '../utils/worker-pool.js';
+import { HttpError, SERVER_JOB_STATUS, parseJobRequest, createJobServer } from '../utils/job-server.js';
+
+const TOKEN = 'test-token';
+
+/**
+ * 요청마다 작업을 만들고, release(id)를 부르거나 취소될 때까지 실행 중으로 남는 가짜 검색
+ */
+function createStubServer() {
+    let nextId = 1;
+    const pending = new Map();
+    const dropped = [];
+
+    const jobServer = createJobServer({
+        token: TOKEN,
+        createJob: (request) => {
+            if (request.pattern === 'bad') {
+                throw new HttpError(400, '유효하지 않은 패턴');
+            }
+            return {
+                id: `job-${nextId++}`,
+                settings: { searchMode: request.mode || 'startsWith', pattern: request.pattern, caseSensitive: true, maxMatches: request.count || 1 },
+                totalAttempts: 0,
+                elapsedMs: 0,
+                wallets: []
+            };
+        },
+        runJob: (job, { signal }) => new Promise((resolve, reject) => {
+            pending.set(job.id, () => resolve({ encrypted: false, wallets: [{ address: 'Sox111' }] }));
+            signal.addEventListener('abort', () => reject(new SearchCancelledError()));
+        }),
+        dropJob: (job) => dropped.push(job.id)
+    });
+
+    return { jobServer, dropped, release: (id) => pending.get(id)() };
+}
+
+async function startServer() {
+    const stub = createStubServer();
+    const { port } = await stub.jobServer.listen(0);
+    const request = async (method, path, { body, token = TOKEN } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+    return { ...stub, request };
+}
+
+test('요청 본문 검사', () => {
+    assert.deepEqual(parseJobRequest({ pattern: 'Sox', count: 2 }), {
+        mode: undefined, pattern: 'Sox', start: undefined, end: undefined, caseSensitive: undefined, count: 2
+    });
+    assert.throws(() => parseJobRequest([]), { status: 400, message: /JSON 객체/ });
+    assert.throws(() => parseJobRequest({ pattern: 'Sox', workers: 4 }), { status: 400, message: /알 수 없는 항목이 있습니다: workers/ });
+    assert.throws(() => parseJobRequest({ pattern: 1 }), { status: 400, message: /pattern는 문자열/ });
+    assert.throws(() => parseJobRequest({ caseSensitive: 'no' }), { status: 400 });
+    assert.throws(() => parseJobRequest({ count: 0 }), { status: 400, message: /count는 1 이상/ });
+});
+
+test('인증과 경로', async () => {
+    const { jobServer, request } = await startServer();
+    try {
+        assert.deepEqual((await request('GET', '/health', { token: null })).body, { status: 'ok' });
+        assert.equal((await request('GET', '/jobs', { token: null })).status, 401);
+        assert.equal((await request('GET', '/jobs', { token: 'wrong' })).status, 401);
+        assert.deepEqual((await request('GET', '/jobs')).body, { jobs: [] });
+        assert.equal((await request('GET', '/jobs/nope')).status, 404);
+        assert.equal((await request('GET', '/other')).status, 404);
+
+        const wrongMethod = await request('DELETE', '/jobs');
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'GET');
+
+        assert.equal((await request('POST', '/jobs', { body: { pattern: 'bad' } })).status, 400);
+        assert.equal((await request('POST', '/jobs', { body: { pattern: 'Sox', extra: 1 } })).status, 400);
+    } finally {
+        await jobServer.close();
+    }
+});
+
+test('작업은 순서대로 실행되고 완료되면 결과를 받는다', async () => {
+    const { jobServer, request, release } = await startServer();
+    try {
+        const first = await request('POST', '/jobs', { body: { pattern: 'Sox' } });
+        assert.equal(first.status, 202);
+        assert.equal(first.headers.get('location'), `/jobs/${first.body.id}`);
+        assert.equal(first.body.status, SERVER_JOB_STATUS.RUNNING);
+
+        const second = await request('POST', '/jobs', { body: { pattern: 'Abc', count: 2 } });
+        assert.equal(second.body.status, SERVER_JOB_STATUS.QUEUED);
+        assert.equal(second.body.queuePosition, 1);
+        assert.deepEqual(second.body.target, { mode: 'startsWith', pattern: 'Abc', caseSensitive: true, count: 2 });
+
+        assert.equal((await request('GET', `/jobs/${first.body.id}/result`)).status, 409);
+
+        const finished = new Promise(resolve => jobServer.on('job', job => {
+            if (job.id === first.body.id && job.status === SERVER_JOB_STATUS.COMPLETED) resolve();
+        }));
+        release(first.body.id);
+        await finished;
+
+        const result = await request('GET', `/jobs/${first.body.id}/result`);
+        assert.equal(result.status, 200);
+        assert.deepEqual(result.body, { id: first.body.id, status: 'completed', encrypted: false, wallets: [{ address: 'Sox111' }] });
+        assert.equal((await request('GET', `/jobs/${second.body.id}`)).body.status, SERVER_JOB_STATUS.RUNNING);
+    } finally {
+        await jobServer.close();
+    }
+});
+
+test('대기 중이거나 실행 중인 작업 취소', async () => {
+    const { jobServer, request, dropped } = await startServer();
+    try {
+        const running = await request('POST', '/jobs', { body: { pattern: 'Sox' } });
+        const queued = await request('POST', '/jobs', { body: { pattern: 'Abc' } });
+
+        const cancelledQueued = await request('POST', `/jobs/${queued.body.id}/cancel`);
+        assert.equal(cancelledQueued.body.status, SERVER_JOB_STATUS.CANCELLED);
+        assert.deepEqual(dropped, [queued.body.id]);
+
+        const cancelledRunning = await request('POST', `/jobs/${running.body.id}/cancel`);
+        assert.equal(cancelledRunning.body.status, SERVER_JOB_STATUS.CANCELLED);
+
+        assert.equal((await request('POST', `/jobs/${running.body.id}/cancel`)).status, 409);
+        const result = await request('GET', `/jobs/${running.body.id}/result`);
+        assert.equal(result.status, 409);
+        assert.match(result.body.error, /결과가 없습니다/);
+    } finally {
+        await jobServer.close();
+    }
+});
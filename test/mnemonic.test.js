@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateMnemonic,
+    isValidMnemonic,
+    mnemonicToSeed,
+    deriveEd25519Key,
+    keypairFromMnemonic
+} from '../utils/mnemonic.js';
+
+const ABANDON_MNEMONIC = `${'abandon '.repeat(11)}about`;
+
+test('SLIP-0010 ed25519 테스트 벡터 1', () => {
+    const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+    const master = deriveEd25519Key(seed, 'm');
+    assert.equal(master.key.toString('hex'), '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7');
+    assert.equal(master.chainCode.toString('hex'), '90046a93de5380a72b5e45010748567d5ea02bbf6522f979e05c0d8d8ca9fffb');
+
+    const child = deriveEd25519Key(seed, "m/0'");
+    assert.equal(child.key.toString('hex'), '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3');
+    assert.equal(child.chainCode.toString('hex'), '8b59aa11380b624e81507a27fedda59fea6d0b779a778918a2fd3590e16e9c69');
+});
+
+test('BIP39 시드 테스트 벡터 (abandon … about)', () => {
+    assert.equal(
+        mnemonicToSeed(ABANDON_MNEMONIC).toString('hex'),
+        '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc19a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+    );
+});
+
+test('기본 경로 m/44\'/501\'/0\'/0\'는 지갑 앱과 같은 주소를 만든다', () => {
+    assert.equal(
+        keypairFromMnemonic(ABANDON_MNEMONIC).publicKey.toBase58(),
+        'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk'
+    );
+    // 공백·대소문자 정리
+    assert.equal(
+        keypairFromMnemonic(`  ${ABANDON_MNEMONIC.toUpperCase()}  `).publicKey.toBase58(),
+        'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk'
+    );
+});
+
+test('니모닉 생성과 검증', () => {
+    assert.equal(generateMnemonic().split(' ').length, 12);
+    assert.equal(generateMnemonic(24).split(' ').length, 24);
+    assert.throws(() => generateMnemonic(18), /12 또는 24/);
+    assert.equal(isValidMnemonic(ABANDON_MNEMONIC), true);
+    assert.equal(isValidMnemonic(`${'abandon '.repeat(12)}`), false);
+});
+
+test('강화 인덱스가 아닌 유도 경로는 거부', () => {
+    const seed = Buffer.alloc(64);
+    assert.throws(() => deriveEd25519Key(seed, "m/44'/501'/0/0"), /강화 인덱스/);
+    assert.throws(() => deriveEd25519Key(seed, "44'/501'"), /m으로 시작/);
+});
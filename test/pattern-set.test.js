@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePatternSpecs, describePatternSpec, createPatternSetMatcher } from '../utils/pattern-set.js';
+
+const ADDRESS = 'AbcDEFghijkmnopqrstuvwxyz123456789ABCDEFGH9';
+
+test('패턴 명세를 정규화하고 잘못된 명세는 위치와 함께 거부', () => {
+    const [spec] = normalizePatternSpecs([{ pattern: 'Sox' }]);
+    assert.deepEqual(spec, { index: 0, searchMode: 'startsWith', pattern: 'Sox', startPattern: null, endPattern: null, caseSensitive: true });
+
+    assert.throws(() => normalizePatternSpecs([]), /최소 하나/);
+    assert.throws(() => normalizePatternSpecs([{ pattern: 'Sox' }, { pattern: 'S0x' }]), /2번째 패턴: 유효하지 않은 패턴/);
+    assert.throws(() => normalizePatternSpecs([{ searchMode: 'startEnd' }]), /최소 하나는/);
+    assert.throws(() => normalizePatternSpecs([{ searchMode: 'regex', pattern: '^(?=A)' }]), /1번째 패턴/);
+});
+
+test('표시용 문자열', () => {
+    assert.equal(describePatternSpec({ searchMode: 'startsWith', pattern: 'Sox', caseSensitive: true }), 'startsWith:Sox');
+    assert.equal(describePatternSpec({ searchMode: 'startEnd', startPattern: 'Ab', endPattern: '99', caseSensitive: false }), 'startEnd:Ab...99 (i)');
+});
+
+test('모드별로 일치한 패턴의 인덱스를 반환', () => {
+    assert.equal(createPatternSetMatcher([{ pattern: 'Zz' }, { pattern: 'Abc' }])(ADDRESS), 1);
+    assert.equal(createPatternSetMatcher([{ pattern: 'abc', caseSensitive: false }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ pattern: 'abc' }])(ADDRESS), -1);
+    assert.equal(createPatternSetMatcher([{ searchMode: 'contains', pattern: 'xyz' }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ searchMode: 'startEnd', startPattern: 'ab', endPattern: 'h9', caseSensitive: false }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ searchMode: 'regex', pattern: '^A.*9$' }])(ADDRESS), 0);
+});
+
+test('여러 패턴이 일치하면 먼저 입력한 패턴을 보고', () => {
+    assert.equal(createPatternSetMatcher([{ searchMode: 'contains', pattern: 'xyz' }, { pattern: 'Ab' }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ pattern: 'Ab' }, { searchMode: 'contains', pattern: 'xyz' }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ pattern: 'AB', caseSensitive: false }, { pattern: 'Ab' }])(ADDRESS), 0);
+    // 긴 접두사가 먼저 입력되었으면 트라이에서 먼저 만나는 짧은 접두사보다 우선
+    assert.equal(createPatternSetMatcher([{ pattern: 'AbcD' }, { pattern: 'Ab' }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ pattern: 'abcd', caseSensitive: false }, { pattern: 'ab', caseSensitive: false }])(ADDRESS), 0);
+    assert.equal(createPatternSetMatcher([{ pattern: 'AbcX' }, { pattern: 'Ab' }])(ADDRESS), 1);
+});
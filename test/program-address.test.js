@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PublicKey } from '@solana/web3.js';
+import {
+    MAX_SEEDS,
+    parseSeedSpec,
+    encodeNonce,
+    parseProgramAddressInputs,
+    getProgramAddress,
+    createProgramAddressCandidates
+} from '../utils/program-address.js';
+
+const PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const OWNER = 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk';
+const SEEDS = ['vault', `pubkey:${OWNER}`, 'hex:0x01ff'];
+const SEED_BYTES = [Buffer.from('vault'), new PublicKey(OWNER).toBuffer(), Buffer.from([1, 255])];
+
+test('seed 명세와 nonce 인코딩', () => {
+    assert.deepEqual(SEEDS.map(parseSeedSpec), SEED_BYTES);
+    assert.deepEqual(parseSeedSpec('text:hex:ab'), Buffer.from('hex:ab'));
+    assert.throws(() => parseSeedSpec('hex:abc'), /짝수 자리/);
+    assert.throws(() => parseSeedSpec('x'.repeat(33)), /32바이트 이하/);
+
+    assert.equal(encodeNonce('258', 'u64').toString('hex'), '0201000000000000');
+    assert.equal(encodeNonce('18446744073709551615', 'u64').toString('hex'), 'ffffffffffffffff');
+    assert.throws(() => encodeNonce('18446744073709551616', 'u64'), /2\^64 미만/);
+    assert.deepEqual(encodeNonce('abc'), Buffer.from('abc'));
+    assert.throws(() => encodeNonce('1', 'u32'), /알 수 없는 nonce 인코딩/);
+});
+
+test('PublicKey.findProgramAddressSync와 같은 PDA', () => {
+    for (const [nonce, nonceEncoding] of [['abc', 'text'], ['12345', 'u64']]) {
+        const [expected, bump] = PublicKey.findProgramAddressSync(
+            [...SEED_BYTES, encodeNonce(nonce, nonceEncoding)],
+            new PublicKey(PROGRAM)
+        );
+        assert.deepEqual(
+            getProgramAddress({ programId: PROGRAM, seeds: SEEDS, nonce, nonceEncoding }),
+            { address: expected.toBase58(), bump }
+        );
+    }
+});
+
+test('곡선 밖 후보는 bump 255의 PDA', () => {
+    for (const nonceEncoding of ['text', 'u64']) {
+        const candidates = createProgramAddressCandidates({ programId: PROGRAM, seeds: SEEDS, nonceEncoding });
+        let offCurve = 0;
+        let onCurve = 0;
+        while (offCurve < 3 || onCurve < 1) {
+            const hash = candidates.next();
+            const seeds = [...SEED_BYTES, encodeNonce(candidates.getNonce(), nonceEncoding)];
+            if (candidates.isOffCurve()) {
+                const [expected, bump] = PublicKey.findProgramAddressSync(seeds, new PublicKey(PROGRAM));
+                assert.equal(new PublicKey(hash).toBase58(), expected.toBase58());
+                assert.equal(bump, candidates.bump);
+                offCurve++;
+            } else {
+                assert.throws(() => PublicKey.createProgramAddressSync([...seeds, Buffer.from([255])], new PublicKey(PROGRAM)));
+                onCurve++;
+            }
+        }
+    }
+});
+
+test('입력 검사', () => {
+    assert.throws(() => parseProgramAddressInputs({ seeds: SEEDS }), /프로그램 ID가 올바른/);
+    assert.throws(() => parseProgramAddressInputs({ programId: PROGRAM, nonceEncoding: 'u32' }), /알 수 없는 nonce 인코딩/);
+    assert.throws(
+        () => parseProgramAddressInputs({ programId: PROGRAM, seeds: new Array(MAX_SEEDS - 1).fill('a') }),
+        /고정 seed는 14개 이하/
+    );
+});
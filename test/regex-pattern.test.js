@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    detectPatternSyntax,
+    globToRegexSource,
+    parsePatternExpression,
+    validatePatternExpression,
+    compilePatternExpression,
+    estimatePatternExpressionAttempts
+} from '../utils/regex-pattern.js';
+
+test('앵커가 있으면 정규식, 없으면 glob으로 해석', () => {
+    assert.equal(detectPatternSyntax('^Sol'), 'regex');
+    assert.equal(detectPatternSyntax('Sol$'), 'regex');
+    assert.equal(detectPatternSyntax('So?ana*'), 'glob');
+    assert.equal(detectPatternSyntax('^Sol', 'glob'), 'glob');
+});
+
+test('glob을 주소 전체에 앵커된 정규식으로 변환', () => {
+    assert.equal(globToRegexSource('So?ana*'), '^So.ana.*$');
+    assert.equal(globToRegexSource('[A-C]*'), '^[A-C].*$');
+    assert.equal(globToRegexSource('[!A-C]*'), '^[^A-C].*$');
+    assert.throws(() => globToRegexSource('[AB*'), /닫히지 않은 문자 클래스/);
+    // glob은 *, ?, [...]만 변환하고 나머지 정규식 문법은 거부
+    for (const glob of ['A(B|C)*', 'AB+', 'A{3}*', 'A.B*']) {
+        assert.throws(() => globToRegexSource(glob), /와일드카드 패턴에서는 ".+"를 사용할 수 없습니다/, glob);
+    }
+});
+
+test('컴파일한 패턴이 주소와 일치', () => {
+    const glob = compilePatternExpression('So?ana*');
+    assert.ok(glob.test('SoLanaxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx'));
+    assert.ok(!glob.test('xSoLana'));
+
+    const regex = compilePatternExpression('^[A-C]{3}.*9$');
+    assert.ok(regex.test('ABCxyz9'));
+    assert.ok(!regex.test('ABDxyz9'));
+
+    assert.ok(compilePatternExpression('^so', false).test('SOxyz'));
+    assert.ok(!compilePatternExpression('^so').test('SOxyz'));
+});
+
+test('빈 문자열이나 가변 길이와 일치하는 그룹의 반복은 거부', () => {
+    for (const pattern of ['^(.*)*X$', '^(A|BC)+$', '^(A?){2}', '^(A*B)+']) {
+        assert.match(validatePatternExpression(pattern), /고정 길이여야/, pattern);
+    }
+    assert.equal(validatePatternExpression('^(AB)+C$'), true);
+    assert.equal(validatePatternExpression('^(A|B){3}'), true);
+    assert.match(validatePatternExpression('^A{5000}'), /너무 복잡/);
+});
+
+test('백트래킹이 폭발하는 패턴도 선형 시간에 검사', () => {
+    const address = 'A'.repeat(44);
+    const started = Date.now();
+    assert.equal(compilePatternExpression('^(A|A)*B$').test(address), false);
+    assert.equal(compilePatternExpression(`^${'.*'.repeat(25)}X$`).test(address), false);
+    assert.equal(compilePatternExpression('^A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?A?AAAAAAAAAAAAAAAAAAAAB$').test(address), false);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('exec는 가장 왼쪽의 가장 긴 일치를 반환 (강조 표시용)', () => {
+    const match = compilePatternExpression('^(AB|CD)+', false).exec('abCDxy');
+    assert.equal(match[0], 'abCD');
+    assert.equal(match.index, 0);
+    assert.equal(compilePatternExpression('X9', true, 'regex').exec('AAX9B').index, 2);
+    assert.equal(compilePatternExpression('^B').exec('AB'), null);
+});
+
+test('Base58이 아닌 문자와 지원하지 않는 문법은 거부', () => {
+    assert.equal(validatePatternExpression('^Sox'), true);
+    assert.match(validatePatternExpression('^S0x'), /Base58/);
+    assert.match(validatePatternExpression('^(?=A)'), /지원하지 않습니다/);
+    assert.match(validatePatternExpression('^A**'), /연속/);
+    assert.match(validatePatternExpression(''), /입력/);
+});
+
+test('고정 길이 앵커 패턴의 예상 시도 횟수', () => {
+    // 부동소수점 오차로 올림 결과가 1 차이 날 수 있음
+    const assertAbout = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1, `${actual} ≈ ${expected}`);
+    assertAbout(estimatePatternExpressionAttempts('^AB'), 58 * 58);
+    assertAbout(estimatePatternExpressionAttempts('^A.*B$'), 58 * 58);
+    assertAbout(estimatePatternExpressionAttempts('^[A-C]'), 58 / 3);
+    assert.equal(parsePatternExpression('So?ana*').syntax, 'glob');
+});
+
+test('앵커 안쪽이 .*이면 앵커가 없는 것으로 보고 포함 패턴처럼 추정', () => {
+    const assertAbout = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1, `${actual} ≈ ${expected}`);
+    // Sox*: 앞 3글자 고정
+    assertAbout(estimatePatternExpressionAttempts('Sox*'), 58 ** 3);
+    // *Sox*: 44글자 주소에서 시작 위치 42곳
+    assertAbout(estimatePatternExpressionAttempts('*Sox*'), 58 ** 3 / 42);
+    assertAbout(estimatePatternExpressionAttempts('*Sox'), 58 ** 3);
+    assertAbout(estimatePatternExpressionAttempts('^.+Sox$'), 58 ** 3);
+    // 양쪽 앵커 사이의 고정 구간도 반영
+    assertAbout(estimatePatternExpressionAttempts('^A.*B.*C$'), 58 ** 2 / (44 / 58));
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PublicKey, SystemProgram } from '@solana/web3.js';
+import {
+    MAX_SEED_LENGTH,
+    MAX_SEED_PREFIX_LENGTH,
+    parseSeedInputs,
+    getAddressWithSeed,
+    createSeedCandidates
+} from '../utils/seed-address.js';
+
+const BASE = 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const SYSTEM_PROGRAM = SystemProgram.programId.toBase58();
+
+test('PublicKey.createWithSeed와 같은 주소', async () => {
+    for (const [seed, owner] of [['', SYSTEM_PROGRAM], ['stake:0', SYSTEM_PROGRAM], ['vanity-abc123', TOKEN_PROGRAM], ['x'.repeat(MAX_SEED_LENGTH), TOKEN_PROGRAM]]) {
+        const expected = await PublicKey.createWithSeed(new PublicKey(BASE), seed, new PublicKey(owner));
+        assert.equal(getAddressWithSeed(BASE, seed, owner), expected.toBase58());
+    }
+});
+
+test('검색 후보의 seed로 다시 계산하면 같은 주소', async () => {
+    const candidates = createSeedCandidates({ basePubkey: BASE, programId: TOKEN_PROGRAM, seedPrefix: 'vault' });
+    for (let i = 0; i < 3; i++) {
+        const address = candidates.next();
+        const seed = candidates.getSeed();
+        assert.ok(seed.startsWith('vault'));
+        assert.ok(Buffer.byteLength(seed) <= MAX_SEED_LENGTH);
+        const expected = await PublicKey.createWithSeed(new PublicKey(BASE), seed, new PublicKey(TOKEN_PROGRAM));
+        assert.equal(new PublicKey(address).toBase58(), expected.toBase58());
+    }
+});
+
+test('입력 검사', () => {
+    assert.throws(() => parseSeedInputs({ programId: TOKEN_PROGRAM }), /base 공개키가 올바른/);
+    assert.throws(() => parseSeedInputs({ basePubkey: BASE, programId: 'abc' }), /owner 프로그램 ID가 올바른/);
+    assert.throws(() => parseSeedInputs({ basePubkey: BASE, programId: TOKEN_PROGRAM, seedPrefix: 'a b' }), /영숫자와/);
+    assert.throws(
+        () => parseSeedInputs({ basePubkey: BASE, programId: TOKEN_PROGRAM, seedPrefix: 'a'.repeat(MAX_SEED_PREFIX_LENGTH + 1) }),
+        /이하여야 합니다/
+    );
+    const pdaMarkerOwner = new PublicKey(Buffer.concat([Buffer.alloc(11), Buffer.from('ProgramDerivedAddress')])).toBase58();
+    assert.throws(() => parseSeedInputs({ basePubkey: BASE, programId: pdaMarkerOwner }), /ProgramDerivedAddress/);
+    assert.throws(() => getAddressWithSeed(BASE, 'x'.repeat(MAX_SEED_LENGTH + 1), TOKEN_PROGRAM), /32바이트 이하/);
+});
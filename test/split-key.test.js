@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import {
+    parseBasePoint,
+    generateSplitKeyBase,
+    createSplitKeyCandidates,
+    getAddressFromScalar,
+    combineSplitKey,
+    verifySplitKey
+} from '../utils/split-key.js';
+
+const CURVE_ORDER = 2n ** 252n + 27742317777372353535851937790883648493n;
+
+function scalarToBase58(scalar) {
+    return bs58.encode(Buffer.from(scalar.toString(16).padStart(64, '0'), 'hex').reverse());
+}
+
+/**
+ * 일반 ed25519 시드에서 RFC 8032 방식으로 스칼라를 계산합니다 (split-key와 독립된 기준값)
+ */
+function scalarFromSeed(seed) {
+    const digest = crypto.createHash('sha512').update(seed).digest().subarray(0, 32);
+    digest[0] &= 248;
+    digest[31] &= 127;
+    digest[31] |= 64;
+    return BigInt(`0x${Buffer.from(digest).reverse().toString('hex')}`) % CURVE_ORDER;
+}
+
+const SEED = Buffer.alloc(32, 7);
+const KEYPAIR = Keypair.fromSeed(SEED);
+const SCALAR = scalarFromSeed(SEED);
+
+test('스칼라 1의 주소는 ed25519 기준점', () => {
+    assert.equal(
+        Buffer.from(bs58.decode(getAddressFromScalar(scalarToBase58(1n)))).toString('hex'),
+        '5866666666666666666666666666666666666666666666666666666666666666'
+    );
+});
+
+test('시드 키페어의 스칼라는 같은 주소를 만든다', () => {
+    assert.equal(getAddressFromScalar(scalarToBase58(SCALAR)), KEYPAIR.publicKey.toBase58());
+});
+
+test('비밀 키 + 부분 키 = 최종 개인키 (mod L)', () => {
+    const secret = 123456789n;
+    const partial = (SCALAR - secret + CURVE_ORDER) % CURVE_ORDER;
+    const { privateScalar, address } = combineSplitKey(scalarToBase58(secret), scalarToBase58(partial));
+
+    assert.equal(privateScalar, scalarToBase58(SCALAR));
+    assert.equal(address, KEYPAIR.publicKey.toBase58());
+
+    const verified = verifySplitKey(privateScalar, KEYPAIR.publicKey.toBase58());
+    assert.deepEqual(verified, { address, matches: true, canSign: true });
+    assert.equal(verifySplitKey(privateScalar, 'So11111111111111111111111111111111111111112').matches, false);
+});
+
+test('검색 후보의 부분 키를 합치면 후보 주소가 된다', () => {
+    const { secretKey, basePoint } = generateSplitKeyBase();
+    assert.equal(basePoint, getAddressFromScalar(secretKey));
+
+    const candidates = createSplitKeyCandidates(basePoint);
+    let candidate;
+    for (let i = 0; i < 3; i++) {
+        candidate = candidates.next();
+    }
+    const { address } = combineSplitKey(secretKey, candidates.getPartialKey());
+    assert.equal(address, bs58.encode(candidate));
+});
+
+test('잘못된 키와 기준점은 거부', () => {
+    assert.throws(() => combineSplitKey(scalarToBase58(0n), scalarToBase58(1n)), /곡선 위수보다 작은/);
+    assert.throws(() => combineSplitKey(scalarToBase58(CURVE_ORDER), scalarToBase58(1n)), /곡선 위수보다 작은/);
+    assert.throws(() => combineSplitKey('0OIl', scalarToBase58(1n)), /올바른 base58/);
+    assert.throws(
+        () => combineSplitKey(scalarToBase58(1n), scalarToBase58(CURVE_ORDER - 1n)),
+        /합친 키가 0/
+    );
+    // 항등원(위수 1인 점)은 작은 위수
+    assert.throws(() => parseBasePoint(bs58.encode(Buffer.from([1, ...new Array(31).fill(0)]))), /작은 위수/);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getMatchProbability,
+    getExpectedAttempts,
+    getAttemptsForConfidence,
+    getSuccessProbability,
+    getEta,
+    createRateMeter,
+    formatDuration,
+    formatEta
+} from '../utils/statistics.js';
+
+function assertClose(actual, expected, relative = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relative, `${actual} ≉ ${expected}`);
+}
+
+test('선행 \'1\'은 0 바이트 개수로 정해진다', () => {
+    assertClose(getMatchProbability({ searchMode: 'startsWith', pattern: '1' }), 1 / 256, 1e-6);
+    // 0 바이트 4개 이상(2^-32 미만)은 계산에서 제외
+    assertClose(getMatchProbability({ searchMode: 'startsWith', pattern: '11' }), 1 / 65536 - 2 ** -32, 1e-6);
+});
+
+test('\'z\'로 시작하는 주소는 43글자 주소에서만 나온다 (58^42 / 2^256)', () => {
+    const expected = Number(58n ** 42n) / Number(2n ** 256n);
+    assertClose(getMatchProbability({ searchMode: 'startsWith', pattern: 'z' }), expected, 1e-6);
+    // 44글자 주소의 첫 글자는 'J'까지만 가능하므로 'K'는 'z'와 같은 확률
+    assertClose(getMatchProbability({ searchMode: 'startsWith', pattern: 'K' }), expected, 1e-6);
+    assert.ok(getMatchProbability({ searchMode: 'startsWith', pattern: 'A' }) > expected * 10);
+});
+
+test('끝 글자는 균등 분포', () => {
+    assertClose(getMatchProbability({ searchMode: 'endsWith', pattern: 'A' }), 1 / 58, 1e-6);
+    assertClose(getMatchProbability({ searchMode: 'endsWith', pattern: 'AB' }), 1 / 58 ** 2, 1e-6);
+    // 대소문자 무시: 'a'/'A' 두 글자 허용
+    assertClose(getMatchProbability({ searchMode: 'endsWith', pattern: 'a', caseSensitive: false }), 2 / 58, 1e-6);
+    assert.equal(getMatchProbability({ searchMode: 'endsWith', pattern: '0' }), 0);
+});
+
+test('정규식/와일드카드 추정치는 같은 뜻의 포함/끝 패턴과 비슷', () => {
+    const containsSox = getMatchProbability({ searchMode: 'contains', pattern: 'Sox' });
+    const regexSox = getMatchProbability({ searchMode: 'regex', pattern: '*Sox*' });
+    assertClose(regexSox, containsSox, 0.05);
+    assertClose(regexSox, 42 / 58 ** 3, 1e-9);
+    assertClose(getMatchProbability({ searchMode: 'regex', pattern: '*Sox' }), getMatchProbability({ searchMode: 'endsWith', pattern: 'Sox' }), 1e-6);
+    assert.equal(getEta(regexSox, 0, 1000).successProbability, 0);
+});
+
+test('다중 패턴은 각 확률의 합', () => {
+    const probability = getMatchProbability({
+        searchMode: 'multi',
+        patterns: [
+            { searchMode: 'endsWith', pattern: 'A' },
+            { searchMode: 'endsWith', pattern: 'B' }
+        ]
+    });
+    assertClose(probability, 2 / 58, 1e-6);
+});
+
+test('평균 시도 횟수와 확률 단계별 시도 횟수', () => {
+    assert.equal(getExpectedAttempts(1 / 58), 58);
+    assert.equal(getExpectedAttempts(0), Infinity);
+    assert.equal(getAttemptsForConfidence(0.5, 0.5), 1);
+    assert.equal(getAttemptsForConfidence(0.5, 0.99), 7);
+    assert.equal(getAttemptsForConfidence(0, 0.5), Infinity);
+    assert.equal(getAttemptsForConfidence(1, 0.99), 1);
+    assert.equal(getSuccessProbability(0.5, 2), 0.75);
+    assert.equal(getSuccessProbability(0.5, 0), 0);
+});
+
+test('완료 예상 시간', () => {
+    const eta = getEta(0.5, 3, 10);
+    assert.equal(eta.expectedAttempts, 2);
+    assert.equal(eta.successProbability, 0.875);
+    assert.deepEqual(eta.levels.map(level => level.attempts), [1, 4, 7]);
+    assert.deepEqual(eta.levels.map(level => level.remainingSeconds), [0, 0.1, 0.4]);
+    assert.equal(formatEta(eta), '누적 성공 확률 87.5% | 50%: 지남 · 90%: 1초 미만 · 99%: 1초 미만');
+
+    assert.deepEqual(getEta(0.001, 0, 0).levels.map(level => level.remainingSeconds), [Infinity, Infinity, Infinity]);
+});
+
+test('최근 구간 속도 측정', () => {
+    const meter = createRateMeter(10000);
+    assert.equal(meter.getRate(), 0);
+    meter.update(0, 0);
+    meter.update(1000, 1000);
+    assert.equal(meter.getRate(), 1000);
+    meter.update(2000, 11000);
+    meter.update(32000, 21000);
+    // 21초 시점에는 11초 표본부터 계산 (30000회 / 10초)
+    assert.equal(meter.getRate(), 3000);
+});
+
+test('시간 표시', () => {
+    assert.equal(formatDuration(0.5), '1초 미만');
+    assert.equal(formatDuration(45), '45초');
+    assert.equal(formatDuration(720), '12분');
+    assert.equal(formatDuration(3 * 3600), '3시간');
+    assert.equal(formatDuration(2 * 86400), '2일');
+    assert.equal(formatDuration(5 * 86400 * 365), '5년');
+    assert.equal(formatDuration(Infinity), '알 수 없음');
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVanitySearch, SEARCH_STATES } from '../utils/vanity-search.js';
+
+test('검색 준비 중 오류도 실패 상태와 error 이벤트로 알림', async () => {
+    // multi 모드인데 패턴 목록이 없으면 일치 확률 계산에서 실패
+    const search = createVanitySearch({ searchMode: 'multi', patterns: null, workerCount: 1 });
+    const errors = [];
+    search.on('error', error => errors.push(error));
+
+    await assert.rejects(search.start(), TypeError);
+    assert.equal(search.state, SEARCH_STATES.FAILED);
+    assert.equal(errors.length, 1);
+});
+
+test('잘못된 워커 수도 실패로 끝나고 반복자가 오류를 던짐', async () => {
+    const search = createVanitySearch({ pattern: 'Sox', workerCount: -1 });
+    await assert.rejects(async () => {
+        for await (const event of search) {
+            assert.notEqual(event.type, 'done');
+        }
+    });
+    assert.equal(search.state, SEARCH_STATES.FAILED);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    ENCRYPTION_VERSION,
+    validatePassword,
+    isEncryptedWalletData,
+    encryptWalletData,
+    decryptWalletData
+} from '../utils/wallet-crypto.js';
+
+const PASSWORD = 'correct horse battery';
+const WALLET = {
+    address: 'So1111111111111111111111111111111111111112',
+    privateKey: '5Kd3NBUAdUnhyzenEwVLy9pBKxSwXvE9FMPyR4UKZvpe6E3AgLr',
+    pattern: 'So'
+};
+
+test('비밀번호 규칙', () => {
+    assert.equal(validatePassword('12345678'), true);
+    assert.match(validatePassword('1234567'), /8자 이상/);
+    assert.match(validatePassword(''), /8자 이상/);
+});
+
+test('비밀 필드만 암호화하고 같은 비밀번호로 복원', () => {
+    const encrypted = encryptWalletData(WALLET, PASSWORD);
+    assert.ok(isEncryptedWalletData(encrypted));
+    assert.equal(encrypted.privateKey, undefined);
+    assert.equal(encrypted.address, WALLET.address);
+    assert.equal(encrypted.pattern, WALLET.pattern);
+    assert.ok(!JSON.stringify(encrypted).includes(WALLET.privateKey));
+
+    const decrypted = decryptWalletData(encrypted, PASSWORD);
+    assert.equal(decrypted.privateKey, WALLET.privateKey);
+    assert.equal(decrypted.encryption, undefined);
+    assert.throws(() => encryptWalletData(encrypted, PASSWORD), /이미 암호화된/);
+});
+
+test('틀린 비밀번호나 바뀐 주소는 복호화 실패', () => {
+    const encrypted = encryptWalletData(WALLET, PASSWORD);
+    assert.throws(() => decryptWalletData(encrypted, 'wrong password'), /비밀번호가 올바르지 않거나/);
+    assert.throws(() => decryptWalletData({ ...encrypted, address: 'So2' }, PASSWORD), /비밀번호가 올바르지 않거나/);
+});
+
+test('scrypt + AES-256-GCM 봉투를 독립적으로 만든 값으로 복호화 (형식 고정)', () => {
+    const salt = Buffer.alloc(16, 1);
+    const iv = Buffer.alloc(12, 2);
+    const kdfParams = { N: 1024, r: 8, p: 1 };
+    const key = crypto.scryptSync(PASSWORD, salt, 32, kdfParams);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(WALLET.address, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ privateKey: WALLET.privateKey }), 'utf8'), cipher.final()]);
+
+    const envelope = {
+        address: WALLET.address,
+        encryption: {
+            version: ENCRYPTION_VERSION,
+            kdf: 'scrypt',
+            kdfParams: { ...kdfParams, salt: salt.toString('base64') },
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        }
+    };
+    assert.equal(decryptWalletData(envelope, PASSWORD).privateKey, WALLET.privateKey);
+    assert.throws(() => decryptWalletData({ ...envelope, encryption: { ...envelope.encryption, version: 99 } }, PASSWORD), /지원하지 않는 암호화 형식 버전/);
+});
+
+test('범위를 벗어난 scrypt 파라미터는 키 유도 전에 거부', () => {
+    const encrypted = encryptWalletData(WALLET, PASSWORD);
+    const withParams = (params) => ({
+        ...encrypted,
+        encryption: { ...encrypted.encryption, kdfParams: { ...encrypted.encryption.kdfParams, ...params } }
+    });
+
+    for (const params of [{ N: 2 ** 21 }, { N: 1000 }, { N: 1 }, { N: '32768' }, { r: 17 }, { r: 0 }, { p: 1000 }, { p: 1.5 }, { salt: null }]) {
+        assert.throws(() => decryptWalletData(withParams(params), PASSWORD), /안전하지 않은 scrypt 파라미터/, JSON.stringify(params));
+    }
+    assert.equal(decryptWalletData(withParams({}), PASSWORD).privateKey, WALLET.privateKey);
+});
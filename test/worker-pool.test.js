@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkerPool } from '../utils/worker-pool.js';
+
+test('수집 모드에서 해답을 찾은 뒤에도 진행 상황을 보고', async () => {
+    const pool = createWorkerPool(1);
+    const progressMatchCounts = [];
+    try {
+        // 'AB'를 포함한 주소는 약 80번에 한 번 나오므로 100개 배치 대부분이 해답에서 끝남
+        const result = await pool.run(
+            { searchMode: 'contains', pattern: 'AB', caseSensitive: true, progressInterval: 100 },
+            {
+                maxMatches: 10,
+                silent: true,
+                onProgress: (totalAttempts, matchCount) => progressMatchCounts.push(matchCount)
+            }
+        );
+        assert.equal(result.matches.length, 10);
+        assert.ok(
+            progressMatchCounts.some(count => count > 0),
+            `첫 해답 이후 진행 보고가 없음: ${progressMatchCounts.join(',')}`
+        );
+    } finally {
+        await pool.destroy();
+    }
+});
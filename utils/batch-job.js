@@ -0,0 +1,302 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { DEFAULT_WALLETS_DIR } from './wallet-storage.js';
+import { JOB_STATUS } from './job-store.js';
+
+/**
+ * 배치 작업 파일
+ *
+ * 여러 vanity 대상을 JSON 또는 YAML 파일 하나에 적어 두고 차례로 검색합니다.
+ * 대상마다 검색 작업(job-store)을 하나씩 만들어 진행 상황을 저장하고, 배치 보고서에
+ * 대상별 작업 ID와 결과를 기록합니다. 같은 배치 파일을 다시 실행하면 끝난 대상은 건너뛰고
+ * 중단된 대상은 작업 파일에서 이어서 검색합니다.
+ *
+ * @example
+ * # team.yaml
+ * out: wallets/team
+ * defaults:
+ *   caseSensitive: false
+ * targets:
+ *   - name: dev
+ *     pattern: Dev
+ *   - name: ops
+ *     pattern: ops
+ *     count: 2
+ *   - name: treasury
+ *     mode: startEnd
+ *     start: Tre
+ *     end: "9"
+ *     caseSensitive: true
+ */
+
+/**
+ * 배치 보고서 형식 버전
+ */
+const BATCH_REPORT_VERSION = 1;
+
+/**
+ * 배치 보고서를 저장하는 하위 디렉토리 (대상 이름으로 쓸 수 없음)
+ */
+const BATCH_REPORTS_SUBDIR = 'batches';
+
+/**
+ * 배치와 대상의 상태 (작업 상태에 아직 시작하지 않은 pending을 더함)
+ */
+export const BATCH_STATUS = {
+    PENDING: 'pending',
+    ...JOB_STATUS
+};
+
+const BATCH_FILE_KEYS = ['out', 'workers', 'format', 'defaults', 'targets'];
+const TARGET_KEYS = ['name', 'mode', 'pattern', 'start', 'end', 'caseSensitive', 'count', 'mnemonic', 'words'];
+
+// 대상 이름은 지갑을 저장할 하위 디렉토리 이름으로 사용
+const TARGET_NAME_PATTERN = /^[0-9A-Za-z][0-9A-Za-z._-]*$/;
+
+// 검색 결과에 영향을 주지 않는 설정 (바꿔도 이전 진행 상황을 이어서 씀)
+const RUNTIME_SETTING_KEYS = ['workerCount', 'useMultiCore'];
+
+/**
+ * 알 수 없는 키가 있으면 오류를 던집니다 (오타로 설정이 무시되지 않도록)
+ */
+function checkKeys(object, allowedKeys, label) {
+    const unknown = Object.keys(object).filter(key => !allowedKeys.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${label}에 알 수 없는 항목이 있습니다: ${unknown.join(', ')} (사용 가능: ${allowedKeys.join(', ')})`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 대상 하나를 검사하고 정리합니다
+ * YAML은 숫자만 있는 패턴(예: end: 9)을 숫자로 읽으므로 패턴 값은 문자열로 바꿉니다.
+ */
+function normalizeTarget(target, index) {
+    const label = `대상 ${index + 1}`;
+    if (!isPlainObject(target)) {
+        throw new Error(`${label}은 객체여야 합니다.`);
+    }
+    checkKeys(target, TARGET_KEYS, label);
+
+    const { name } = target;
+    if (typeof name !== 'string' || !TARGET_NAME_PATTERN.test(name) || name === BATCH_REPORTS_SUBDIR) {
+        throw new Error(`${label}의 name은 영숫자로 시작하고 영숫자와 . _ - 만 쓴 이름이어야 합니다 ('${BATCH_REPORTS_SUBDIR}' 제외): ${name ?? '(없음)'}`);
+    }
+
+    const normalized = { name };
+    for (const key of ['mode', 'pattern', 'start', 'end']) {
+        const value = target[key];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new Error(`대상 ${name}의 ${key}는 문자열이어야 합니다.`);
+        }
+        normalized[key] = String(value);
+    }
+    for (const key of ['caseSensitive', 'mnemonic']) {
+        if (target[key] === undefined) continue;
+        if (typeof target[key] !== 'boolean') {
+            throw new Error(`대상 ${name}의 ${key}는 true 또는 false여야 합니다.`);
+        }
+        normalized[key] = target[key];
+    }
+    for (const key of ['count', 'words']) {
+        if (target[key] === undefined) continue;
+        if (!Number.isInteger(target[key]) || target[key] < 1) {
+            throw new Error(`대상 ${name}의 ${key}는 1 이상의 정수여야 합니다.`);
+        }
+        normalized[key] = target[key];
+    }
+    return normalized;
+}
+
+/**
+ * 배치 작업 파일을 읽고 형식을 검사합니다
+ * .json 파일은 JSON으로, 그 밖의 파일(.yaml, .yml)은 YAML로 읽습니다.
+ * 패턴과 검색 모드의 세부 검사는 실행하는 쪽(CLI)에서 generate와 같은 규칙으로 합니다.
+ * @param {string} filepath - 배치 작업 파일 경로
+ * @returns {{out: string|null, workers: number|null, format: string|null, targets: Object[]}}
+ *          대상은 {name, mode, pattern, start, end, caseSensitive, count, mnemonic, words} (defaults 적용)
+ * @throws {Error} 파일을 읽을 수 없거나 형식이 틀렸을 때
+ */
+export function loadBatchFile(filepath) {
+    let batch;
+    try {
+        const text = fs.readFileSync(filepath, 'utf8');
+        batch = path.extname(filepath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new Error(`배치 파일을 읽을 수 없습니다: ${filepath} (${error.message.split('\n')[0]})`);
+    }
+
+    if (!isPlainObject(batch)) {
+        throw new Error(`배치 파일은 targets 목록을 가진 객체여야 합니다: ${filepath}`);
+    }
+    checkKeys(batch, BATCH_FILE_KEYS, '배치 파일');
+
+    const { out = null, workers = null, format = null, defaults = {}, targets } = batch;
+    if (out !== null && typeof out !== 'string') {
+        throw new Error('배치 파일의 out은 디렉토리 경로 문자열이어야 합니다.');
+    }
+    if (workers !== null && (!Number.isInteger(workers) || workers < 1)) {
+        throw new Error('배치 파일의 workers는 1 이상의 정수여야 합니다.');
+    }
+    if (format !== null && typeof format !== 'string') {
+        throw new Error('배치 파일의 format은 문자열이어야 합니다.');
+    }
+    if (!isPlainObject(defaults)) {
+        throw new Error('배치 파일의 defaults는 객체여야 합니다.');
+    }
+    checkKeys(defaults, TARGET_KEYS.filter(key => key !== 'name'), '배치 파일의 defaults');
+    if (!Array.isArray(targets) || targets.length === 0) {
+        throw new Error('배치 파일에 대상(targets)이 하나 이상 있어야 합니다.');
+    }
+
+    const normalized = targets.map((target, index) =>
+        normalizeTarget(isPlainObject(target) ? { ...defaults, ...target } : target, index));
+
+    // 대소문자를 구분하지 않는 파일 시스템에서도 저장 디렉토리가 겹치지 않도록 비교
+    const seen = new Set();
+    for (const { name } of normalized) {
+        if (seen.has(name.toLowerCase())) {
+            throw new Error(`대상 이름이 중복되었습니다: ${name}`);
+        }
+        seen.add(name.toLowerCase());
+    }
+
+    return { out, workers, format, targets: normalized };
+}
+
+/**
+ * 대상의 지갑을 저장할 디렉토리를 반환합니다
+ * @param {string} outDir - 배치 출력 디렉토리
+ * @param {string} name - 대상 이름
+ * @returns {string} 디렉토리 경로 (예: wallets/team/dev)
+ */
+export function getBatchTargetDir(outDir, name) {
+    return path.join(outDir, name);
+}
+
+/**
+ * 배치 파일에 대응하는 보고서 파일 경로를 반환합니다
+ * @param {string} batchFile - 배치 작업 파일 경로
+ * @param {string} outDir - 배치 출력 디렉토리
+ * @returns {string} 보고서 경로 (예: wallets/team/batches/team.json)
+ */
+export function getBatchReportPath(batchFile, outDir = DEFAULT_WALLETS_DIR) {
+    const name = path.basename(batchFile, path.extname(batchFile));
+    return path.join(outDir, BATCH_REPORTS_SUBDIR, `${name}.json`);
+}
+
+/**
+ * 배치 보고서를 불러옵니다
+ * @param {string} reportPath - 보고서 경로
+ * @returns {Object|null} 보고서 (없으면 null)
+ * @throws {Error} 형식이 잘못되었을 때
+ */
+export function loadBatchReport(reportPath) {
+    if (!fs.existsSync(reportPath)) {
+        return null;
+    }
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    if (report.version !== BATCH_REPORT_VERSION || !Array.isArray(report.targets)) {
+        throw new Error(`지원하지 않는 배치 보고서 형식입니다: ${reportPath}`);
+    }
+    return report;
+}
+
+/**
+ * 배치 보고서를 저장합니다 (임시 파일에 쓴 뒤 이름을 바꿈)
+ * @param {Object} report - 배치 보고서
+ * @param {string} reportPath - 보고서 경로
+ * @returns {string} 저장된 파일 경로
+ */
+export function saveBatchReport(report, reportPath) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    report.updatedAt = new Date().toISOString();
+    const tempPath = `${reportPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(report, null, 2));
+    fs.renameSync(tempPath, reportPath);
+    return reportPath;
+}
+
+/**
+ * 이전 진행 상황을 이어서 쓸 수 있는지 비교할 설정 문자열
+ */
+function getSettingsFingerprint(settings) {
+    const comparable = { ...settings };
+    RUNTIME_SETTING_KEYS.forEach(key => delete comparable[key]);
+    return JSON.stringify(comparable);
+}
+
+/**
+ * 새 배치 보고서를 만듭니다
+ * 이전 보고서에 이름과 검색 설정이 같은 대상이 있으면 그 작업 ID와 결과를 이어받습니다.
+ * 설정이 바뀐 대상은 처음부터 다시 검색합니다.
+ * @param {string} batchFile - 배치 작업 파일 경로
+ * @param {string} outDir - 배치 출력 디렉토리
+ * @param {{name: string, settings: Object}[]} targets - 대상 이름과 생성 설정
+ * @param {Object|null} previous - 이전 배치 보고서
+ * @returns {Object} 배치 보고서
+ */
+export function createBatchReport(batchFile, outDir, targets, previous = null) {
+    const now = new Date().toISOString();
+    const previousTargets = new Map((previous?.targets || []).map(entry => [entry.name, entry]));
+
+    return {
+        version: BATCH_REPORT_VERSION,
+        batchFile: path.resolve(batchFile),
+        outDir,
+        status: BATCH_STATUS.PENDING,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now,
+        finishedAt: null,
+        targets: targets.map(({ name, settings }) => {
+            const entry = previousTargets.get(name);
+            if (entry && entry.jobId && getSettingsFingerprint(entry.settings) === getSettingsFingerprint(settings)) {
+                return { ...entry, settings };
+            }
+            return {
+                name,
+                settings,
+                status: BATCH_STATUS.PENDING,
+                jobId: null,
+                found: 0,
+                totalAttempts: 0,
+                elapsedSeconds: 0,
+                wallets: []
+            };
+        })
+    };
+}
+
+/**
+ * 대상 작업의 진행 상황을 보고서 항목에 반영합니다
+ * @param {Object} entry - 보고서의 대상 항목 (직접 갱신됨)
+ * @param {Object} job - 대상 작업 정보
+ */
+export function updateBatchTarget(entry, job) {
+    entry.jobId = job.id;
+    entry.status = job.status;
+    entry.found = job.wallets.length;
+    entry.totalAttempts = job.totalAttempts;
+    entry.elapsedSeconds = job.elapsedMs / 1000;
+    entry.wallets = job.wallets.map(({ address, file }) => ({ address, file }));
+}
+
+/**
+ * 배치 보고서를 요약합니다
+ * @param {Object} report - 배치 보고서
+ * @returns {{targets: number, completed: number, found: number, totalAttempts: number, elapsedSeconds: number}}
+ */
+export function summarizeBatchReport(report) {
+    return report.targets.reduce((summary, entry) => ({
+        targets: summary.targets + 1,
+        completed: summary.completed + (entry.status === BATCH_STATUS.COMPLETED ? 1 : 0),
+        found: summary.found + entry.found,
+        totalAttempts: summary.totalAttempts + entry.totalAttempts,
+        elapsedSeconds: summary.elapsedSeconds + entry.elapsedSeconds
+    }), { targets: 0, completed: 0, found: 0, totalAttempts: 0, elapsedSeconds: 0 });
+}
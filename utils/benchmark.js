@@ -0,0 +1,254 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { searchVanityWallet } from './wallet-generator.js';
+import { DEFAULT_WALLETS_DIR } from './wallet-storage.js';
+import { createRateMeter } from './statistics.js';
+import { createWorkerPool, getDefaultWorkerCount } from './worker-pool.js';
+
+/**
+ * 벤치마크 결과 파일 형식 버전
+ */
+const BENCHMARK_FILE_VERSION = 1;
+
+/**
+ * 지갑 목록에 섞이지 않도록 결과 파일을 두는 하위 디렉토리
+ */
+const BENCHMARK_SUBDIR = 'benchmark';
+
+/**
+ * 워커 수마다 측정하는 기본 시간 (초)
+ */
+export const DEFAULT_BENCHMARK_SECONDS = 3;
+
+/**
+ * 측정 중 워커의 진행 보고 간격 (짧은 측정 시간에도 표본이 충분하도록 검색보다 촘촘하게)
+ */
+const BENCHMARK_PROGRESS_INTERVAL = 1000;
+
+/**
+ * 추천 워커 수: 최고 점수의 이 비율 이상을 내는 가장 적은 워커 수
+ */
+const RECOMMENDATION_THRESHOLD = 0.97;
+
+/**
+ * 검색 모드별 측정용 설정 (측정 시간 안에는 사실상 일치하지 않는 8글자 패턴)
+ * 시작 패턴은 빠른 엔진의 범위 필터가 적용되는 실제 검색과 같은 경로로 측정됩니다.
+ */
+const BENCHMARK_SETTINGS = {
+    startsWith: { searchMode: 'startsWith', pattern: 'ABCDEFGH' },
+    contains: { searchMode: 'contains', pattern: 'ABCDEFGH' },
+    startEnd: { searchMode: 'startEnd', startPattern: 'ABCD', endPattern: 'WXYZ' },
+    regex: { searchMode: 'regex', pattern: '^ABCD.*WXYZ$' },
+    multi: {
+        searchMode: 'multi',
+        patterns: [
+            { searchMode: 'startsWith', pattern: 'ABCDEFGH', caseSensitive: true },
+            { searchMode: 'contains', pattern: 'WXYZWXYZ', caseSensitive: true }
+        ]
+    }
+};
+
+/**
+ * 벤치마크할 수 있는 검색 모드
+ */
+export const BENCHMARK_MODES = Object.keys(BENCHMARK_SETTINGS);
+
+/**
+ * 벤치마크 결과 파일 경로를 반환합니다
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {string} 파일 경로 (예: wallets/benchmark/benchmark.json)
+ */
+export function getBenchmarkPath(walletsDir = DEFAULT_WALLETS_DIR) {
+    return path.join(walletsDir, BENCHMARK_SUBDIR, 'benchmark.json');
+}
+
+/**
+ * 워커 수 하나로 한 모드를 측정합니다
+ * 워커 시작 시간이 섞이지 않도록 첫 번째 진행 보고부터 마지막 보고까지의 속도를 사용합니다.
+ */
+async function measureRate(searchMode, workerCount, seconds, options) {
+    const meter = createRateMeter(Infinity);
+    const settings = { ...BENCHMARK_SETTINGS[searchMode], caseSensitive: true, useMultiCore: true, workerCount };
+
+    const result = await searchVanityWallet(settings, (attempts) => meter.update(attempts), {
+        silent: true,
+        pool: options.pool,
+        signal: options.signal,
+        maxMatches: Infinity,
+        durationMs: seconds * 1000,
+        progressInterval: BENCHMARK_PROGRESS_INTERVAL
+    });
+
+    const rate = meter.getRate();
+    if (rate > 0) {
+        return rate;
+    }
+    // 진행 보고가 두 번 미만이면 전체 평균으로 대신함
+    return result.elapsedMs > 0 ? result.totalAttempts / (result.elapsedMs / 1000) : 0;
+}
+
+/**
+ * 워커 수 1..N과 각 검색 모드로 초당 키 생성 수를 측정합니다
+ * @param {Object} options - 벤치마크 옵션
+ * @param {number} options.maxWorkers - 측정할 최대 워커 수 (기본: CPU 코어 수)
+ * @param {number} options.seconds - 워커 수마다 측정할 시간 (초, 기본: 3)
+ * @param {string[]} options.modes - 측정할 검색 모드 (기본: 전체)
+ * @param {Object} options.pool - 공유 워커 풀 (없으면 벤치마크 동안 쓸 풀을 만듦)
+ * @param {AbortSignal} options.signal - 중단하면 SearchCancelledError로 거부
+ * @param {Function} options.onResult - 측정이 끝날 때마다 호출 ({searchMode, workers, rate})
+ * @returns {Promise<Object>} 벤치마크 결과 {version, createdAt, cpuCount, cpuModel, seconds, modes, recommendedWorkers}
+ */
+export async function runBenchmark(options = {}) {
+    const {
+        maxWorkers = getDefaultWorkerCount(),
+        seconds = DEFAULT_BENCHMARK_SECONDS,
+        modes = BENCHMARK_MODES,
+        onResult = null
+    } = options;
+
+    if (!Number.isInteger(maxWorkers) || maxWorkers < 1) {
+        throw new Error('최대 워커 수는 1 이상의 정수여야 합니다.');
+    }
+    if (!(seconds > 0)) {
+        throw new Error('측정 시간은 0보다 커야 합니다.');
+    }
+    const unknown = modes.filter(mode => !BENCHMARK_MODES.includes(mode));
+    if (modes.length === 0 || unknown.length > 0) {
+        throw new Error(`알 수 없는 검색 모드입니다: ${unknown.join(', ') || '(없음)'} (${BENCHMARK_MODES.join(', ')} 중 하나)`);
+    }
+
+    // 측정마다 워커를 새로 띄우지 않도록 풀 하나를 크기만 바꿔 가며 재사용
+    const pool = options.pool || createWorkerPool(1);
+    const results = {};
+    try {
+        for (const searchMode of modes) {
+            results[searchMode] = [];
+            for (let workers = 1; workers <= maxWorkers; workers++) {
+                const rate = Math.round(await measureRate(searchMode, workers, seconds, { ...options, pool }));
+                results[searchMode].push({ workers, rate });
+                if (onResult) {
+                    onResult({ searchMode, workers, rate });
+                }
+            }
+        }
+    } finally {
+        if (!options.pool) {
+            await pool.destroy();
+        }
+    }
+
+    const cpus = os.cpus();
+    return {
+        version: BENCHMARK_FILE_VERSION,
+        createdAt: new Date().toISOString(),
+        cpuCount: cpus.length,
+        cpuModel: cpus.length > 0 ? cpus[0].model.trim() : null,
+        seconds,
+        modes: results,
+        recommendedWorkers: recommendWorkerCount(results)
+    };
+}
+
+/**
+ * 측정 결과로 이 머신에 가장 알맞은 워커 수를 고릅니다
+ * 워커 수마다 각 모드의 최고 속도 대비 비율을 평균한 점수를 매기고,
+ * 최고 점수의 97% 이상을 내는 가장 적은 워커 수를 추천합니다 (더 늘려도 거의 빨라지지 않음).
+ * @param {Object} results - 모드별 측정 결과 {searchMode: [{workers, rate}]}
+ * @returns {number} 추천 워커 수
+ */
+export function recommendWorkerCount(results) {
+    const modes = Object.values(results).filter(entries => entries.length > 0);
+    if (modes.length === 0) {
+        return 1;
+    }
+
+    const scores = new Map();
+    for (const entries of modes) {
+        const best = Math.max(...entries.map(entry => entry.rate));
+        for (const { workers, rate } of entries) {
+            const score = best > 0 ? rate / best : 0;
+            scores.set(workers, (scores.get(workers) || 0) + score / modes.length);
+        }
+    }
+
+    const bestScore = Math.max(...scores.values());
+    const candidates = [...scores.keys()].sort((a, b) => a - b);
+    return candidates.find(workers => scores.get(workers) >= bestScore * RECOMMENDATION_THRESHOLD);
+}
+
+/**
+ * 벤치마크 결과를 모드 × 워커 수 표로 변환합니다
+ * @param {Object} benchmark - runBenchmark의 결과
+ * @returns {string[]} 표의 각 줄 (첫 줄은 머리글, 단위: 키/초)
+ */
+export function formatBenchmarkTable(benchmark) {
+    const modes = Object.keys(benchmark.modes);
+    const workerCounts = [...new Set(modes.flatMap(mode => benchmark.modes[mode].map(entry => entry.workers)))].sort((a, b) => a - b);
+    const modeWidth = Math.max(10, ...modes.map(mode => mode.length));
+    const cell = (text) => String(text).padStart(10);
+
+    // 한글은 화면에서 두 칸을 차지하므로 그만큼 덜 채움
+    const header = '모드'.padEnd(modeWidth - 2) + workerCounts.map(workers => `${workers}워커`.padStart(8)).join('');
+    const rows = modes.map((mode) => {
+        const rates = workerCounts.map((workers) => {
+            const entry = benchmark.modes[mode].find(item => item.workers === workers);
+            return cell(entry ? entry.rate.toLocaleString() : '-');
+        });
+        return mode.padEnd(modeWidth) + rates.join('');
+    });
+    return [header, ...rows];
+}
+
+/**
+ * 벤치마크 결과를 파일로 저장합니다
+ * @param {Object} benchmark - runBenchmark의 결과
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {string} 저장된 파일 경로
+ */
+export function saveBenchmark(benchmark, walletsDir = DEFAULT_WALLETS_DIR) {
+    const filepath = getBenchmarkPath(walletsDir);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(benchmark, null, 2));
+    return filepath;
+}
+
+/**
+ * 저장된 벤치마크 결과를 불러옵니다
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {Object|null} 벤치마크 결과 (없거나 읽을 수 없으면 null)
+ */
+export function loadBenchmark(walletsDir = DEFAULT_WALLETS_DIR) {
+    const filepath = getBenchmarkPath(walletsDir);
+    if (!fs.existsSync(filepath)) {
+        return null;
+    }
+    try {
+        const benchmark = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        return benchmark.version === BENCHMARK_FILE_VERSION && benchmark.modes ? benchmark : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 벤치마크 결과에서 검색 모드와 워커 수에 맞는 초당 생성 속도를 찾습니다
+ * 같은 워커 수의 측정값이 없으면 그보다 적은 워커 수 중 가장 가까운 값을 사용합니다.
+ * @param {Object|null} benchmark - loadBenchmark의 결과
+ * @param {string} searchMode - 검색 모드
+ * @param {number} workerCount - 사용할 워커 수
+ * @returns {number|null} 초당 생성 속도 (측정값이 없으면 null)
+ */
+export function getBenchmarkRate(benchmark, searchMode, workerCount) {
+    if (!benchmark) {
+        return null;
+    }
+    const entries = benchmark.modes[searchMode] || benchmark.modes.startsWith;
+    if (!entries || entries.length === 0) {
+        return null;
+    }
+
+    const sorted = [...entries].sort((a, b) => a.workers - b.workers);
+    const entry = [...sorted].reverse().find(item => item.workers <= workerCount) || sorted[0];
+    return entry.rate > 0 ? entry.rate : null;
+}
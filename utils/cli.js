@@ -0,0 +1,2580 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+    SearchCancelledError,
+    isValidPattern,
+    keypairFromPrivateKey,
+    getAddressFromKeypair
+} from './wallet-generator.js';
+import {
+    DEFAULT_WALLETS_DIR,
+    EXPORT_FORMATS,
+    createWalletData,
+    saveWalletInFormat,
+    listWalletFiles,
+    loadWalletFile,
+    loadPrivateKeyFromFile,
+    getSolanaKeypairPath,
+    saveSolanaKeypairFile,
+    encryptWalletFile,
+    saveSplitSecretFile,
+    SPLIT_KEY_TYPES,
+    SEED_KEY_TYPE,
+    PDA_KEY_TYPE,
+    getDisplayPattern
+} from './wallet-storage.js';
+import { SECRET_FIELDS, validatePassword, isEncryptedWalletData, decryptWalletData } from './wallet-crypto.js';
+import { generateSplitKeyBase, parseBasePoint, getAddressFromScalar, combineSplitKey, verifySplitKey } from './split-key.js';
+import { MAX_SEED_PREFIX_LENGTH, parseSeedInputs } from './seed-address.js';
+import { MAX_SEEDS, NONCE_ENCODINGS, parseProgramAddressInputs } from './program-address.js';
+import { MNEMONIC_WORD_COUNTS, SOLANA_DERIVATION_PATH, isValidMnemonic, keypairFromMnemonic } from './mnemonic.js';
+import { validatePatternExpression } from './regex-pattern.js';
+import { SIGNATURE_ENCODINGS, readMessage, signMessage, encodeSignature, decodeSignature, verifyMessageSignature } from './message-signing.js';
+import { PATTERN_SET_MODES, normalizePatternSpecs } from './pattern-set.js';
+import { getMatchProbability } from './statistics.js';
+import {
+    WALLET_SORT_KEYS,
+    WALLET_FILTER_MODES,
+    loadWalletLibrary,
+    parseDateFilter,
+    filterWallets,
+    sortWallets,
+    normalizeLabels,
+    updateWalletMetadata,
+    deleteWalletFile,
+    exportWalletBundle,
+    formatWalletTable
+} from './wallet-library.js';
+import { AUDIT_STATUS, AUDIT_ISSUES, auditWalletFile, auditWallets, summarizeAudit } from './wallet-audit.js';
+import { createVanitySearch } from './vanity-search.js';
+import { createProgressDisplay, formatSearchStart } from './progress-display.js';
+import { BENCHMARK_MODES, DEFAULT_BENCHMARK_SECONDS, runBenchmark, saveBenchmark, formatBenchmarkTable } from './benchmark.js';
+import { createWorkerPool, getDefaultWorkerCount, DEFAULT_MAX_WORKER_RESTARTS } from './worker-pool.js';
+import {
+    JOB_STATUS,
+    getJobsDir,
+    createJob,
+    saveJob,
+    loadJob,
+    listResumableJobs,
+    isCollectJob,
+    getRemainingSearchOptions,
+    describeJob,
+    createJobCheckpoint
+} from './job-store.js';
+import {
+    CONFIG_FILE_NAME,
+    CONFIG_DEFAULT_KEYS,
+    CONFIG_PRESET_KEYS,
+    DEFAULT_MAX_PATTERN_LENGTH,
+    loadConfig,
+    getConfiguredWorkerCount,
+    getPreset
+} from './config.js';
+import {
+    BATCH_STATUS,
+    loadBatchFile,
+    getBatchTargetDir,
+    getBatchReportPath,
+    loadBatchReport,
+    saveBatchReport,
+    createBatchReport,
+    updateBatchTarget,
+    summarizeBatchReport
+} from './batch-job.js';
+import { DEFAULT_SERVER_HOST, DEFAULT_SERVER_PORT, SERVER_JOB_STATUS, HttpError, generateApiToken, createJobServer } from './job-server.js';
+
+/**
+ * CLI 종료 코드
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    INTERRUPTED: 130
+};
+
+/**
+ * 지원하는 검색 모드 목록
+ */
+const SEARCH_MODES = ['startsWith', 'contains', 'startEnd', 'regex'];
+
+/**
+ * 비대화형 환경에서 지갑 파일 비밀번호를 전달하는 환경 변수
+ */
+const PASSWORD_ENV = 'VANITY_WALLET_PASSWORD';
+
+/**
+ * serve 명령의 API 토큰을 전달하는 환경 변수 (없으면 실행할 때마다 새로 만듦)
+ */
+const API_TOKEN_ENV = 'VANITY_API_TOKEN';
+
+/**
+ * 잘못된 명령어나 옵션을 나타내는 오류
+ */
+export class CliUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliUsageError';
+    }
+}
+
+const COMMON_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    config: { type: 'string' }
+};
+
+// list, delete, bundle에서 지갑을 고르는 필터
+const LIBRARY_FILTER_OPTIONS = {
+    pattern: { type: 'string', short: 'p' },
+    mode: { type: 'string', short: 'm' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    label: { type: 'string', short: 'l' }
+};
+
+const COMMAND_OPTIONS = {
+    generate: {
+        mode: { type: 'string', short: 'm', default: 'startsWith' },
+        pattern: { type: 'string', short: 'p' },
+        target: { type: 'string', short: 't', multiple: true },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        'ignore-case': { type: 'boolean', short: 'i', default: false },
+        workers: { type: 'string', short: 'w' },
+        'single-core': { type: 'boolean', default: false },
+        mnemonic: { type: 'boolean', default: false },
+        words: { type: 'string', default: '12' },
+        out: { type: 'string', short: 'o', default: DEFAULT_WALLETS_DIR },
+        format: { type: 'string', default: 'json' },
+        encrypt: { type: 'boolean', default: false },
+        'no-save': { type: 'boolean', default: false },
+        count: { type: 'string', short: 'n' },
+        duration: { type: 'string' }
+    },
+    resume: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR }
+    },
+    batch: {
+        out: { type: 'string', short: 'o' },
+        workers: { type: 'string', short: 'w' },
+        format: { type: 'string' },
+        encrypt: { type: 'boolean', default: false },
+        restart: { type: 'boolean', default: false }
+    },
+    serve: {
+        host: { type: 'string', default: DEFAULT_SERVER_HOST },
+        port: { type: 'string', default: String(DEFAULT_SERVER_PORT) },
+        out: { type: 'string', short: 'o' },
+        workers: { type: 'string', short: 'w' },
+        format: { type: 'string' },
+        encrypt: { type: 'boolean', default: false }
+    },
+    'split-init': {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        encrypt: { type: 'boolean', default: false }
+    },
+    'split-combine': {
+        secret: { type: 'string', short: 's' },
+        partial: { type: 'string', short: 'p' },
+        address: { type: 'string' },
+        out: { type: 'string', short: 'o', default: DEFAULT_WALLETS_DIR },
+        encrypt: { type: 'boolean', default: false },
+        'no-save': { type: 'boolean', default: false }
+    },
+    verify: {
+        key: { type: 'string', short: 'k' },
+        file: { type: 'string', short: 'f' },
+        mnemonic: { type: 'string' },
+        address: { type: 'string', short: 'a' },
+        signature: { type: 'string', short: 's' },
+        message: { type: 'string', short: 'm' },
+        'message-file': { type: 'string' },
+        encoding: { type: 'string', short: 'e' }
+    },
+    sign: {
+        key: { type: 'string', short: 'k' },
+        file: { type: 'string', short: 'f' },
+        message: { type: 'string', short: 'm' },
+        'message-file': { type: 'string' },
+        encoding: { type: 'string', short: 'e', default: 'base58' }
+    },
+    export: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        out: { type: 'string', short: 'o' },
+        force: { type: 'boolean', default: false }
+    },
+    encrypt: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR }
+    },
+    list: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        ...LIBRARY_FILTER_OPTIONS,
+        sort: { type: 'string', short: 's', default: 'createdAt' },
+        reverse: { type: 'boolean', short: 'r', default: false },
+        'show-private-keys': { type: 'boolean', default: false }
+    },
+    label: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        add: { type: 'string', short: 'a' },
+        remove: { type: 'string' },
+        note: { type: 'string' },
+        'clear-note': { type: 'boolean', default: false }
+    },
+    delete: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        ...LIBRARY_FILTER_OPTIONS,
+        'with-keypair': { type: 'boolean', default: false },
+        yes: { type: 'boolean', short: 'y', default: false }
+    },
+    bundle: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        ...LIBRARY_FILTER_OPTIONS,
+        out: { type: 'string', short: 'o' },
+        public: { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false }
+    },
+    show: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR }
+    },
+    audit: {
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        decrypt: { type: 'boolean', default: false },
+        strict: { type: 'boolean', default: false }
+    },
+    benchmark: {
+        workers: { type: 'string', short: 'w' },
+        seconds: { type: 'string', default: String(DEFAULT_BENCHMARK_SECONDS) },
+        mode: { type: 'string', short: 'm' },
+        dir: { type: 'string', short: 'd', default: DEFAULT_WALLETS_DIR },
+        'no-save': { type: 'boolean', default: false }
+    },
+    help: {}
+};
+
+// split-generate는 generate 옵션에 요청자의 기준점을 더한 것
+COMMAND_OPTIONS['split-generate'] = {
+    ...COMMAND_OPTIONS.generate,
+    base: { type: 'string', short: 'b' }
+};
+
+// seed-generate는 generate 옵션에 createWithSeed의 base 공개키와 owner 프로그램을 더한 것
+COMMAND_OPTIONS['seed-generate'] = {
+    ...COMMAND_OPTIONS.generate,
+    base: { type: 'string', short: 'b' },
+    owner: { type: 'string' },
+    'seed-prefix': { type: 'string', default: '' }
+};
+
+// pda-generate는 generate 옵션에 프로그램 ID와 고정 seed를 더한 것
+COMMAND_OPTIONS['pda-generate'] = {
+    ...COMMAND_OPTIONS.generate,
+    program: { type: 'string' },
+    seed: { type: 'string', multiple: true },
+    nonce: { type: 'string', default: 'text' }
+};
+
+// 프리셋은 generate 전용 (split/seed/pda-generate가 받지 않는 니모닉, 암호화, 저장 형식이 들어 있을 수 있음)
+COMMAND_OPTIONS.generate.preset = { type: 'string' };
+
+/**
+ * 생성 옵션을 받는 명령어 (설정 파일의 defaults 적용 대상)
+ */
+const GENERATE_COMMANDS = ['generate', 'split-generate', 'seed-generate', 'pda-generate'];
+
+// split/seed/pda-generate에는 키 종류와 관계없는 defaults만 적용
+const SHARED_DEFAULT_KEYS = ['caseSensitive', 'multiCore'];
+
+/**
+ * 설정 파일의 생성 옵션 이름 → [CLI 옵션 이름, 값 변환]
+ */
+const CONFIG_OPTION_FLAGS = {
+    mode: ['mode', value => value],
+    pattern: ['pattern', value => value],
+    start: ['start', value => value],
+    end: ['end', value => value],
+    caseSensitive: ['ignore-case', value => !value],
+    multiCore: ['single-core', value => !value],
+    mnemonic: ['mnemonic', value => value],
+    words: ['words', String],
+    format: ['format', value => value],
+    encrypt: ['encrypt', value => value],
+    count: ['count', String],
+    duration: ['duration', String]
+};
+
+const USAGE = `
+사용법: node index.js <명령어> [옵션]
+
+인자 없이 (또는 --config만 주고) 실행하면 대화형 모드로 시작합니다.
+
+명령어:
+  generate    Vanity 지갑 생성
+  resume      중단된 생성 작업 이어서 실행 (작업 ID 없이 실행하면 목록 표시)
+  batch       배치 작업 파일(JSON/YAML)의 여러 대상을 차례로 생성
+  serve       로컬 HTTP API 서버 실행 (작업 제출, 진행 상황 조회, 취소, 결과 받기)
+  split-init      분할 키: 요청자의 비밀 키와 기준점 만들기
+  split-generate  분할 키: 기준점으로 부분 키 검색 (신뢰할 수 없는 머신에서 실행)
+  split-combine   분할 키: 비밀 키와 부분 키를 합쳐 최종 지갑 만들고 검증
+  seed-generate   createWithSeed 주소: base 공개키와 owner 프로그램에 대한 seed 검색
+  pda-generate    프로그램 유도 주소(PDA): 프로그램 ID와 고정 seed에 붙일 nonce 검색
+  verify      개인키, 저장된 지갑 파일 또는 Solana CLI 키페어 파일 검증, 메시지 서명 검증
+  sign        지갑 개인키로 메시지나 파일에 서명 (주소 소유 증명)
+  export      저장된 지갑을 Solana CLI 키페어 파일(id.json)로 내보내기
+  encrypt     기존 평문 지갑 파일을 비밀번호로 암호화
+  list        저장된 지갑 요약 표 (필터/정렬, 개인키 제외)
+  show        저장된 지갑 파일 내용 표시
+  label       지갑에 라벨과 메모 붙이기
+  delete      지갑 파일을 덮어쓴 뒤 삭제 (확인 후)
+  bundle      여러 지갑을 묶음 파일 하나로 내보내기
+  audit       저장된 지갑 파일 점검 (개인키-주소 일치, 패턴 일치, 필수 필드)
+  benchmark   워커 수와 검색 모드별 초당 키 생성 수 측정 및 추천 워커 수 계산
+  help        이 도움말 표시
+
+generate 옵션:
+  -m, --mode <mode>       검색 모드: startsWith | contains | startEnd | regex (기본: startsWith)
+  -p, --pattern <패턴>    찾을 패턴 (startsWith, contains, regex 모드)
+                          regex 모드: 정규식 (예: '^[A-C]{3}.*9$') 또는 와일드카드 (예: 'So?ana*')
+  -t, --target <명세>     여러 패턴 동시 검색 (반복 지정): [모드:]패턴[:i]
+                          예: -t Sol -t contains:Moon:i -t startEnd:Ab...99 -t 'regex:^A.*9$'
+      --start <패턴>      시작 패턴 (startEnd 모드)
+      --end <패턴>        끝 패턴 (startEnd 모드)
+  -i, --ignore-case       대소문자 구분 안 함
+  -w, --workers <n>       워커 스레드 수 (기본: CPU 코어 수)
+      --single-core       멀티코어를 사용하지 않음
+      --mnemonic          무작위 키 대신 BIP39 니모닉에서 유도한 주소를 검색 (경로: ${SOLANA_DERIVATION_PATH})
+                          니모닉과 유도 경로가 함께 저장되어 Phantom/Solflare에서 시드 문구로 가져올 수 있습니다
+                          니모닉 하나당 PBKDF2를 수행하므로 일반 검색보다 수십 배 느립니다
+      --words <12|24>     니모닉 단어 수 (기본: 12)
+  -o, --out <디렉토리>    저장 디렉토리 (기본: wallets)
+      --format <형식>     저장 형식: json | keypair | both (기본: json)
+                          keypair: solana-keygen 호환 64바이트 배열 파일 (<저장 디렉토리>/keypairs/<주소>.json)
+      --encrypt           지갑 파일의 개인키를 비밀번호로 암호화 (scrypt + AES-256-GCM, json 형식 전용)
+      --no-save           파일로 저장하지 않음
+  -n, --count <n>         첫 해답에서 멈추지 않고 n개의 지갑을 찾을 때까지 계속 검색 (멀티코어 전용)
+      --duration <분>     지정한 시간(분) 동안 찾은 모든 지갑을 수집 (멀티코어 전용)
+                          찾은 지갑은 발견 즉시 파일로 저장됩니다
+                          진행 상황은 <저장 디렉토리>/jobs/ 의 작업 파일에 주기적으로 기록됩니다
+      --preset <이름>     설정 파일의 프리셋 사용 (명령줄에서 지정한 옵션이 우선)
+
+분할 키 (검색 머신이 최종 개인키를 알 수 없는 vanity 생성):
+  1) 요청자:     node index.js split-init                      → 기준점 출력, 비밀 키는 <디렉토리>/split/ 에 저장
+  2) 검색 머신:  node index.js split-generate --base <기준점> --pattern Sol   → 부분 키 파일 저장
+  3) 요청자:     node index.js split-combine --secret <비밀 키 파일> --partial <부분 키 파일>
+  split-init 옵션:      -d, --dir <디렉토리> (기본: wallets), --encrypt (비밀 키 암호화)
+  split-generate 옵션:  -b, --base <기준점> (필수) + generate 옵션 (--mnemonic, --encrypt, --format 제외)
+  split-combine 옵션:
+  -s, --secret <값>       비밀 키 파일 경로 또는 base58 비밀 키
+  -p, --partial <값>      부분 키 파일 경로 또는 base58 부분 키
+      --address <주소>    기대하는 주소 (부분 키를 직접 입력할 때 검증용)
+  -o, --out <디렉토리>    최종 지갑 저장 디렉토리 (기본: wallets), --encrypt, --no-save 사용 가능
+  최종 개인키는 시드가 아닌 스칼라라서 지갑 앱/solana-keygen으로 가져올 수 없습니다.
+
+createWithSeed 주소 (개인키 없는 주소, sha256(base + seed + owner)):
+  node index.js seed-generate --base <base 공개키> --owner <프로그램 ID> --pattern Sol
+  -b, --base <공개키>     base 공개키 (필수, 계정을 만들 때 이 키로 서명)
+      --owner <프로그램 ID> 계정의 owner 프로그램 (필수, 예: 11111111111111111111111111111111)
+      --seed-prefix <문자열> 모든 seed 앞에 붙일 문자열 (영숫자와 - _ ., 최대 ${MAX_SEED_PREFIX_LENGTH}자)
+  + generate 옵션 (--mnemonic, --encrypt, --format 제외)
+  찾은 seed와 입력은 지갑 파일에 저장되며, base 키 소유자가 SystemProgram.createAccountWithSeed로
+  같은 seed와 owner를 넘겨 계정을 만듭니다. 검색에는 어떤 비밀 값도 필요하지 않습니다.
+
+프로그램 유도 주소 (PDA, findProgramAddressSync([고정 seed..., nonce], 프로그램 ID)):
+  node index.js pda-generate --program <프로그램 ID> --seed vault --seed pubkey:<공개키> --pattern Sol
+      --program <프로그램 ID> PDA를 소유할 프로그램 (필수)
+      --seed <명세>       nonce 앞에 오는 고정 seed (반복 지정, 순서대로, 최대 ${MAX_SEEDS - 2}개)
+                          문자열(UTF-8), text:<문자열>, pubkey:<base58 공개키>, hex:<16진수>
+      --nonce <형식>      nonce seed 인코딩: ${NONCE_ENCODINGS.join(' | ')} (기본: text)
+                          u64: 8바이트 리틀 엔디언 정수 (프로그램의 nonce.to_le_bytes())
+  + generate 옵션 (--mnemonic, --encrypt, --format 제외)
+  지갑 파일에 고정 seed, nonce, bump가 저장되어 audit로 다시 계산해 확인할 수 있습니다.
+  곡선 밖에 놓인 bump 255 후보만 해답으로 쓰므로 같은 패턴의 일반 검색보다 약 2배 시도가 필요합니다.
+
+resume 옵션:
+      resume <작업 ID>    작업 ID 또는 작업 파일 경로 (시도 횟수/시간을 이어서 누적)
+  -d, --dir <디렉토리>    작업을 만든 지갑 디렉토리 (기본: wallets, 작업 파일은 <디렉토리>/jobs/)
+
+batch 옵션:
+      batch <파일>        배치 작업 파일 (.json은 JSON, 그 밖에는 YAML)
+  -o, --out <디렉토리>    저장 디렉토리 (기본: 파일의 out 또는 wallets, 대상 지갑은 <디렉토리>/<대상 이름>/)
+  -w, --workers <n>       워커 스레드 수 (기본: 파일의 workers 또는 CPU 코어 수)
+      --format <형식>     저장 형식: json | keypair | both (기본: 파일의 format 또는 json)
+      --encrypt           지갑 파일의 개인키를 비밀번호로 암호화 (json 형식 전용)
+      --restart           이전 진행 상황을 무시하고 모든 대상을 처음부터 검색
+  배치 파일 형식 (YAML 예시, defaults는 모든 대상에 적용):
+    out: wallets/team
+    defaults: { caseSensitive: false }
+    targets:
+      - { name: dev, pattern: Dev }
+      - { name: ops, mode: contains, pattern: ops, count: 2 }
+      - { name: treasury, mode: startEnd, start: Tre, end: "9", caseSensitive: true }
+  대상 항목: name (필수, 저장 하위 디렉토리), mode, pattern, start, end, caseSensitive, count, mnemonic, words
+  대상마다 작업 파일(<디렉토리>/<대상 이름>/jobs/)에 진행 상황을 기록하고, 보고서는
+  <디렉토리>/batches/<배치 파일 이름>.json 에 저장합니다. 중단한 뒤 같은 명령을 다시 실행하면
+  끝난 대상은 건너뛰고 중단된 대상부터 이어서 검색합니다.
+
+serve 옵션:
+      --host <주소>       받을 주소 (기본: ${DEFAULT_SERVER_HOST}, 같은 머신에서만 접속 가능)
+      --port <포트>       포트 (기본: ${DEFAULT_SERVER_PORT})
+  -o, --out <디렉토리>    저장 디렉토리 (기본: wallets, 작업 파일은 <디렉토리>/jobs/)
+  -w, --workers <n>       워커 스레드 수 (기본: CPU 코어 수, 작업은 하나씩 차례로 실행)
+      --format <형식>     저장 형식: json | keypair | both (기본: json)
+      --encrypt           지갑 파일을 암호화하고, 결과 응답에 암호화된 지갑 데이터(개인키 포함)를 돌려줌
+                          없으면 결과 응답에는 주소와 메타데이터만 들어갑니다 (개인키는 파일에만 저장)
+  모든 /jobs 요청에 Authorization: Bearer <토큰> 헤더가 필요합니다. 토큰은 ${API_TOKEN_ENV}
+  환경 변수로 정하거나, 없으면 시작할 때 새로 만들어 출력합니다.
+    POST /jobs              {"pattern": "Sol", "mode": "startsWith", "caseSensitive": false, "count": 1}
+                            (mode: startsWith | contains | startEnd | regex, startEnd는 start/end)
+    GET  /jobs/<작업 ID>    상태, 누적 시도 횟수, 초당 속도, 예상 시간
+    POST /jobs/<작업 ID>/cancel
+    GET  /jobs/<작업 ID>/result
+  Ctrl+C로 종료하면 실행 중인 작업은 작업 파일에 저장되어 resume으로 이어서 할 수 있습니다.
+
+verify 옵션:
+  -k, --key <개인키>      검증할 base58 개인키 (첫 번째 인자로도 전달 가능)
+  -f, --file <파일>       저장된 지갑 파일의 개인키와 주소 일치 여부 검증
+                          Solana CLI 키페어 파일(id.json, 64바이트 배열)도 불러올 수 있습니다
+                          니모닉이 저장된 파일은 니모닉에서 유도한 주소도 함께 검증합니다
+      --mnemonic <문구>   BIP39 니모닉에서 유도한 주소 표시 (경로: ${SOLANA_DERIVATION_PATH})
+  -s, --signature <서명>  메시지 서명 검증 (--address와 --message 또는 --message-file 필요)
+  -a, --address <주소>    서명을 검증할 지갑 주소 (아무 주소나 가능)
+  -m, --message <텍스트>  서명된 텍스트 메시지 (UTF-8)
+      --message-file <파일> 서명된 파일 (내용 그대로)
+  -e, --encoding <형식>   서명 인코딩: ${SIGNATURE_ENCODINGS.join(' | ')} (기본: 자동 감지)
+
+sign 옵션:
+  -k, --key <개인키>      서명할 base58 개인키 (첫 번째 인자로도 전달 가능)
+  -f, --file <파일>       서명할 지갑 파일 (암호화된 지갑, 분할 키 지갑, Solana CLI 키페어 파일 포함)
+  -m, --message <텍스트>  서명할 텍스트 메시지 (UTF-8)
+      --message-file <파일> 서명할 파일 (내용 그대로)
+  -e, --encoding <형식>   서명 인코딩: ${SIGNATURE_ENCODINGS.join(' | ')} (기본: base58)
+                          ed25519 서명이므로 솔라나 지갑의 signMessage 결과와 같은 방식으로 검증할 수 있습니다
+
+export 옵션:
+      export <파일>       내보낼 지갑 파일 이름 또는 경로
+  -o, --out <파일>        저장할 키페어 파일 경로 (기본: <지갑 디렉토리>/keypairs/<주소>.json)
+  -d, --dir <디렉토리>    지갑 디렉토리 (기본: wallets)
+      --force             이미 있는 파일 덮어쓰기
+
+encrypt 옵션:
+      encrypt [파일...]   암호화할 지갑 파일 (생략하면 지갑 디렉토리의 모든 평문 파일)
+  -d, --dir <디렉토리>    지갑 디렉토리 (기본: wallets)
+
+설정 파일 (${CONFIG_FILE_NAME}):
+  --config로 지정하지 않으면 현재 디렉토리, 홈 디렉토리 순서로 처음 찾은 파일을 사용합니다.
+  {
+    "walletsDir": "~/vanity-wallets",     지갑 디렉토리 기본값 (기본: wallets)
+    "maxPatternLength": 10,               시작/포함/끝 패턴 최대 길이 (기본: ${DEFAULT_MAX_PATTERN_LENGTH})
+    "workers": 6,                         워커 수 기본값 (기본: CPU 코어 수)
+    "defaults": { "caseSensitive": false, "multiCore": true },
+    "presets": { "team prefix": { "pattern": "Team", "count": 5 } }
+  }
+  defaults 항목: ${CONFIG_DEFAULT_KEYS.join(', ')}
+  프리셋 항목: ${CONFIG_PRESET_KEYS.join(', ')}
+  명령줄에서 지정한 옵션이 설정 파일보다 우선합니다. split/seed/pda-generate에는 defaults의
+  caseSensitive, multiCore만 적용되고, 대화형 모드는 설정된 항목을 다시 묻지 않습니다.
+
+비밀번호:
+  암호화된 지갑 파일을 저장하거나 읽을 때 터미널에서 비밀번호를 묻습니다.
+  비대화형 환경에서는 ${PASSWORD_ENV} 환경 변수로 전달할 수 있습니다.
+
+list / show 옵션:
+  -d, --dir <디렉토리>    지갑 디렉토리 (기본: wallets)
+      show <파일>         표시할 지갑 파일 이름 또는 경로
+  -s, --sort <기준>       list 정렬 기준: ${WALLET_SORT_KEYS.join(' | ')} (기본: createdAt)
+  -r, --reverse           list 역순 정렬
+      --show-private-keys list 표에 평문 지갑의 개인키 표시 (기본: 표시 안 함)
+
+지갑 필터 (list, delete, bundle):
+  -p, --pattern <문자열>  검색 패턴에 포함된 문자열 (대소문자 무시)
+  -m, --mode <모드>       검색 모드: ${WALLET_FILTER_MODES.join(' | ')}
+      --since <날짜>      이 날짜 이후 생성 (YYYY-MM-DD 또는 ISO 8601)
+      --until <날짜>      이 날짜까지 생성 (날짜만 쓰면 그날 전체 포함)
+  -l, --label <라벨>      이 라벨이 붙은 지갑
+
+label 옵션:
+      label <파일>        라벨/메모를 바꿀 지갑 파일 이름 또는 경로 (암호화된 파일도 비밀번호 불필요)
+  -a, --add <라벨,...>    추가할 라벨 (쉼표로 구분)
+      --remove <라벨,...> 뺄 라벨
+      --note <메모>       메모 설정 (--clear-note로 삭제)
+
+delete 옵션:
+      delete [파일...]    삭제할 지갑 파일 (생략하면 필터에 맞는 지갑, 파일이나 필터 중 하나는 필수)
+      --with-keypair      같은 주소의 키페어 파일(<디렉토리>/keypairs/<주소>.json)도 삭제
+  -y, --yes               확인 없이 삭제 (비대화형 환경에서는 필수)
+                          삭제 전에 파일 내용을 무작위 바이트로 덮어씁니다
+
+bundle 옵션:
+      bundle [파일...]    내보낼 지갑 파일 (생략하면 필터에 맞는 모든 지갑)
+  -o, --out <파일>        묶음 파일 경로 (필수)
+      --public            개인키 없이 주소와 메타데이터만 내보내기
+      --force             이미 있는 파일 덮어쓰기
+                          암호화된 지갑은 암호화된 그대로 들어갑니다
+
+audit 옵션:
+      audit [파일...]     점검할 지갑 파일 (생략하면 지갑 디렉토리의 모든 지갑 파일)
+  -d, --dir <디렉토리>    지갑 디렉토리 (기본: wallets)
+      --decrypt           비밀번호를 받아 암호화된 파일의 개인키도 점검 (기본: 패턴만 점검하고 경고)
+      --strict            경고가 있는 파일도 실패로 처리
+                          실패한 파일이 있으면 종료 코드 1
+
+benchmark 옵션:
+  -w, --workers <n>       측정할 최대 워커 수 (1..n을 모두 측정, 기본: CPU 코어 수)
+      --seconds <초>      워커 수마다 측정할 시간 (기본: ${DEFAULT_BENCHMARK_SECONDS})
+  -m, --mode <모드,...>   측정할 검색 모드 (쉼표로 구분, 기본: ${BENCHMARK_MODES.join(',')})
+  -d, --dir <디렉토리>    결과를 저장할 지갑 디렉토리 (기본: wallets → wallets/benchmark/benchmark.json)
+      --no-save           결과를 저장하지 않음
+                          저장된 결과는 대화형 모드의 예상 소요 시간 계산에 사용됩니다
+
+공통 옵션:
+      --json              결과를 JSON으로 출력
+      --config <파일>     설정 파일 경로 (기본: ./${CONFIG_FILE_NAME} 또는 ~/${CONFIG_FILE_NAME})
+  -h, --help              도움말 표시
+
+종료 코드:
+  0  성공
+  1  실행 실패 (검증 실패, 파일 없음 등)
+  2  잘못된 명령어 또는 옵션
+  130  Ctrl+C로 검색 또는 벤치마크 중단 (검색 진행 상황은 작업 파일에 저장됨)
+
+예시:
+  node index.js generate --pattern Sol
+  node index.js generate --mode startEnd --start Sol --end 99 --ignore-case --workers 12 --out ./wallets
+  node index.js generate -t SoL -t SOL -t Moon:i -t Pump
+  node index.js generate --pattern AB --count 10 --out ./wallets
+  node index.js generate --pattern So --mnemonic --words 24
+  node index.js generate --preset "team prefix" --config ./team.vanityrc.json
+  node index.js split-generate --base <기준점> --pattern Sol --out ./partials
+  node index.js seed-generate --base <base 공개키> --owner TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA --mode contains --pattern Pay
+  node index.js pda-generate --program <프로그램 ID> --seed escrow --nonce u64 --pattern Esc
+  node index.js resume
+  node index.js resume job-20250101-120000-a1b2
+  node index.js batch team.yaml --workers 8
+  node index.js serve --port 8787 --encrypt
+  node index.js export solana-wallet-starts-Sol-2025-01-01T12-00-00-000Z.json --out ./id.json
+  node index.js verify --file ./id.json
+  node index.js sign --file ./id.json --message "I own this address" --encoding hex
+  node index.js verify --address <주소> --signature <서명> --message "I own this address"
+  node index.js generate --pattern Sol --encrypt
+  node index.js encrypt --dir ./wallets
+  node index.js list --json
+  node index.js list --mode startsWith --since 2025-01-01 --sort pattern
+  node index.js label solana-wallet-starts-Sol-2025-01-01T12-00-00-000Z.json --add 메인,콜드 --note "거래소 입금용"
+  node index.js bundle --label 메인 --out ./main-wallets.json
+  node index.js delete --pattern Test
+  node index.js audit --decrypt
+  node index.js benchmark --workers 8 --seconds 5
+`;
+
+/**
+ * 명령줄 인자를 명령어와 옵션으로 파싱합니다
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{command: string, values: Object, positionals: string[], explicit: Set<string>}} 파싱 결과
+ *          (explicit: 명령줄에서 직접 지정한 옵션 이름, 설정 파일보다 우선)
+ * @throws {CliUsageError} 알 수 없는 명령어나 옵션이 있을 때
+ */
+export function parseCliArgs(argv) {
+    let command = 'help';
+    let rest = argv;
+
+    if (argv.length > 0 && !argv[0].startsWith('-')) {
+        command = argv[0];
+        rest = argv.slice(1);
+    }
+
+    if (!COMMAND_OPTIONS[command]) {
+        throw new CliUsageError(`알 수 없는 명령어입니다: ${command}`);
+    }
+
+    try {
+        const { values, positionals, tokens } = parseArgs({
+            args: rest,
+            options: { ...COMMON_OPTIONS, ...COMMAND_OPTIONS[command] },
+            allowPositionals: true,
+            strict: true,
+            tokens: true
+        });
+        const explicit = new Set(tokens.filter(token => token.kind === 'option').map(token => token.name));
+        return { command, values, positionals, explicit };
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+}
+
+/**
+ * 대화형 모드로 실행할 인자인지 확인합니다 (인자가 없거나 --config만 있을 때)
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{configPath: string|null}|null} 대화형 모드면 설정 파일 경로, 아니면 null
+ */
+export function parseInteractiveArgs(argv) {
+    if (argv.length === 0) {
+        return { configPath: null };
+    }
+    try {
+        const { values, positionals } = parseArgs({
+            args: argv,
+            options: { config: COMMON_OPTIONS.config },
+            allowPositionals: true,
+            strict: true
+        });
+        return positionals.length === 0 ? { configPath: values.config } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 설정 파일 값을 명령줄에서 지정하지 않은 옵션에 적용합니다
+ * 지갑 디렉토리 기본값, 생성 명령어의 defaults, generate의 --preset 순서로 덮어씁니다.
+ * @param {string} command - 명령어
+ * @param {Object} values - 파싱된 옵션 (직접 갱신됨)
+ * @param {string[]} positionals - 위치 인자
+ * @param {Set<string>} explicit - 명령줄에서 직접 지정한 옵션 이름
+ * @param {Object} config - loadConfig 결과
+ * @throws {CliUsageError} 없는 프리셋을 지정했을 때
+ */
+function applyConfig(command, values, positionals, explicit, config) {
+    for (const [name, option] of Object.entries(COMMAND_OPTIONS[command])) {
+        if (option.default === DEFAULT_WALLETS_DIR && !explicit.has(name)) {
+            values[name] = config.walletsDir;
+        }
+    }
+    if (!GENERATE_COMMANDS.includes(command)) {
+        return;
+    }
+
+    let configured = command === 'generate'
+        ? { ...config.defaults }
+        : Object.fromEntries(Object.entries(config.defaults).filter(([key]) => SHARED_DEFAULT_KEYS.includes(key)));
+    if (values.preset !== undefined) {
+        try {
+            configured = { ...configured, ...getPreset(config, values.preset) };
+        } catch (error) {
+            throw new CliUsageError(error.message);
+        }
+    }
+
+    // 위치 인자 패턴이나 --target을 주면 프리셋의 검색 대상은 쓰지 않음
+    const ownsTarget = positionals.length > 0 || explicit.has('target');
+    for (const [key, value] of Object.entries(configured)) {
+        if (!CONFIG_OPTION_FLAGS[key]) continue; // description
+        if (ownsTarget && ['mode', 'pattern', 'start', 'end'].includes(key)) continue;
+        const [name, convert] = CONFIG_OPTION_FLAGS[key];
+        if (!explicit.has(name)) {
+            values[name] = convert(value);
+        }
+    }
+}
+
+/**
+ * 결과를 JSON으로 표준 출력에 씁니다
+ * @param {Object} data - 출력할 데이터
+ */
+function printJson(data) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * 지갑 파일 비밀번호를 가져옵니다
+ * 환경 변수가 있으면 사용하고, 없으면 터미널에서 묻습니다 (--json 출력을 깨지 않도록 표준 오류에 표시).
+ * @param {boolean} confirm - 새 비밀번호처럼 두 번 입력받아 확인할지 여부
+ * @returns {Promise<string>} 비밀번호
+ * @throws {CliUsageError} 비밀번호를 얻을 수 없거나 규칙에 맞지 않을 때
+ */
+async function resolvePassword(confirm = false) {
+    const fromEnv = process.env[PASSWORD_ENV];
+    if (fromEnv) {
+        const validation = confirm ? validatePassword(fromEnv) : true;
+        if (validation !== true) {
+            throw new CliUsageError(validation);
+        }
+        return fromEnv;
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new CliUsageError(`비밀번호가 필요합니다. 터미널에서 실행하거나 ${PASSWORD_ENV} 환경 변수를 설정하세요.`);
+    }
+
+    const prompt = inquirer.createPromptModule({ output: process.stderr });
+    const answers = await prompt([
+        {
+            type: 'password',
+            name: 'password',
+            mask: '*',
+            message: confirm ? '지갑 파일 암호화 비밀번호를 입력하세요:' : '지갑 파일 비밀번호를 입력하세요:',
+            validate: confirm ? validatePassword : () => true
+        },
+        {
+            type: 'password',
+            name: 'passwordConfirm',
+            mask: '*',
+            message: '비밀번호를 한 번 더 입력하세요:',
+            when: () => confirm,
+            validate: (input, current) => input === current.password ? true : '비밀번호가 일치하지 않습니다.'
+        }
+    ]);
+    return answers.password;
+}
+
+/**
+ * 지갑 파일을 읽고, 암호화되어 있으면 비밀번호를 받아 복호화합니다
+ * @param {string} filepath - 지갑 파일 경로
+ * @returns {Promise<Object>} 평문 지갑 데이터
+ */
+async function readWalletFile(filepath) {
+    const walletData = loadWalletFile(filepath);
+    if (!isEncryptedWalletData(walletData)) {
+        return walletData;
+    }
+    return decryptWalletData(walletData, await resolvePassword());
+}
+
+/**
+ * 단일 패턴 값의 유효성을 검사합니다
+ * @param {string} value - 검사할 패턴
+ * @param {string} label - 오류 메시지에 사용할 이름
+ * @param {number} maxPatternLength - 최대 길이 (설정 파일의 maxPatternLength)
+ * @throws {CliUsageError} 유효하지 않은 패턴일 때
+ */
+function validatePatternOption(value, label, maxPatternLength) {
+    if (value.length > maxPatternLength) {
+        throw new CliUsageError(`${label}이(가) 너무 깁니다. ${maxPatternLength}자 이하로 입력해주세요.`);
+    }
+    if (!isValidPattern(value)) {
+        throw new CliUsageError(`유효하지 않은 ${label}입니다. Base58 문자(1-9, A-H, J-N, P-Z, a-k, m-z)만 사용 가능합니다.`);
+    }
+}
+
+/**
+ * --target 값을 패턴 명세로 변환합니다
+ * 형식: [모드:]패턴[:i] (startEnd 모드의 패턴은 "시작...끝")
+ * @param {string} target - --target 값
+ * @param {boolean} defaultCaseSensitive - :i 가 없을 때의 대소문자 구분 여부
+ * @returns {Object} 패턴 명세
+ */
+export function parseTargetSpec(target, defaultCaseSensitive = true) {
+    const parts = target.split(':');
+    let searchMode = 'startsWith';
+    let caseSensitive = defaultCaseSensitive;
+
+    if (parts.length > 1 && PATTERN_SET_MODES.includes(parts[0])) {
+        searchMode = parts.shift();
+    }
+    if (parts.length > 1 && parts[parts.length - 1] === 'i') {
+        parts.pop();
+        caseSensitive = false;
+    }
+    if (parts.length !== 1) {
+        throw new CliUsageError(`잘못된 --target 형식입니다: ${target} ([모드:]패턴[:i])`);
+    }
+
+    if (searchMode === 'startEnd') {
+        const [startPattern = '', endPattern = ''] = parts[0].split('...');
+        return { searchMode, startPattern, endPattern, caseSensitive };
+    }
+    return { searchMode, pattern: parts[0], caseSensitive };
+}
+
+/**
+ * 검색·합치기 결과로 출력할 지갑 데이터를 고릅니다
+ * 비밀번호로 저장했으면 평문 대신 파일에 저장된 암호화 데이터를 돌려주어 개인키가 화면에 나오지 않게 합니다.
+ * @param {{walletData: Object, filepath: string|null}} entry - 저장 결과 (평문 지갑 데이터와 파일 경로)
+ * @param {string|null} password - 저장에 쓴 비밀번호 (없으면 평문 그대로 출력)
+ * @returns {Object} 출력할 지갑 데이터
+ */
+function getOutputWalletData({ walletData, filepath }, password) {
+    return password ? loadWalletFile(filepath) : walletData;
+}
+
+/**
+ * 지갑 종류에 맞게 키 정보를 출력합니다 (개인키, 니모닉, 분할 키, createWithSeed 입력, PDA seed)
+ * @param {Object} walletData - 지갑 데이터
+ */
+function printKeyFields(walletData) {
+    if (walletData.partialKey) {
+        console.log(chalk.cyan('🧩 부분 키:'), chalk.yellow(walletData.partialKey));
+        console.log(chalk.cyan('📍 기준점:'), walletData.basePoint);
+        return;
+    }
+    if (walletData.seed) {
+        console.log(chalk.cyan('🌱 seed:'), chalk.yellow(walletData.seed));
+        console.log(chalk.cyan('📍 base 공개키:'), walletData.basePubkey);
+        console.log(chalk.cyan('🏛️  owner 프로그램:'), walletData.programId);
+        return;
+    }
+    if (walletData.keyType === PDA_KEY_TYPE) {
+        console.log(chalk.cyan('🏛️  프로그램 ID:'), walletData.programId);
+        console.log(chalk.cyan('🌱 고정 seed:'), walletData.seeds.length > 0 ? walletData.seeds.join(', ') : chalk.gray('(없음)'));
+        console.log(chalk.cyan('🎲 nonce:'), chalk.yellow(walletData.nonce), chalk.gray(`(${walletData.nonceEncoding})`));
+        console.log(chalk.cyan('🔢 bump:'), walletData.bump);
+        return;
+    }
+    if (isEncryptedWalletData(walletData)) {
+        console.log(chalk.cyan('🔑 개인키:'), chalk.gray('🔒 암호화되어 지갑 파일에만 저장됨'));
+        return;
+    }
+    if (walletData.privateScalar) {
+        console.log(chalk.cyan('🔑 개인키 (스칼라):'), chalk.red(walletData.privateScalar));
+        return;
+    }
+    console.log(chalk.cyan('🔑 개인키:'), chalk.red(walletData.privateKey));
+    if (walletData.mnemonic) {
+        console.log(chalk.cyan('🌱 니모닉:'), chalk.red(walletData.mnemonic));
+        console.log(chalk.cyan('🛤️  유도 경로:'), walletData.derivationPath);
+    }
+}
+
+/**
+ * generate 명령어의 옵션을 검증하고 생성 설정으로 변환합니다
+ * @param {Object} values - 파싱된 옵션
+ * @param {string[]} positionals - 위치 인자
+ * @param {Object} config - loadConfig 결과 (패턴 최대 길이, 기본 워커 수)
+ * @returns {Object} 생성 설정
+ */
+function resolveGenerateOptions(values, positionals, config) {
+    const { maxPatternLength } = config;
+    const searchMode = values.mode;
+    if (!SEARCH_MODES.includes(searchMode)) {
+        throw new CliUsageError(`알 수 없는 검색 모드입니다: ${searchMode} (${SEARCH_MODES.join(', ')} 중 하나)`);
+    }
+
+    let pattern = null;
+    let startPattern = null;
+    let endPattern = null;
+    let patterns = null;
+
+    if (values.target) {
+        if (values.pattern || values.start || values.end) {
+            throw new CliUsageError('--target은 --pattern, --start, --end와 함께 사용할 수 없습니다.');
+        }
+        try {
+            patterns = normalizePatternSpecs(values.target.map(target => parseTargetSpec(target, !values['ignore-case'])), { maxPatternLength });
+        } catch (error) {
+            throw error instanceof CliUsageError ? error : new CliUsageError(error.message);
+        }
+    } else if (searchMode === 'startEnd') {
+        startPattern = (values.start || '').trim();
+        endPattern = (values.end || '').trim();
+
+        if (!startPattern && !endPattern) {
+            throw new CliUsageError('시작 패턴(--start) 또는 끝 패턴(--end) 중 최소 하나는 입력해야 합니다.');
+        }
+        if (startPattern) validatePatternOption(startPattern, '시작 패턴', maxPatternLength);
+        if (endPattern) validatePatternOption(endPattern, '끝 패턴', maxPatternLength);
+    } else {
+        pattern = values.pattern || positionals[0];
+        if (!pattern) {
+            throw new CliUsageError('패턴(--pattern)을 입력해주세요.');
+        }
+        if (searchMode === 'regex') {
+            const validation = validatePatternExpression(pattern);
+            if (validation !== true) {
+                throw new CliUsageError(validation);
+            }
+        } else {
+            validatePatternOption(pattern, '패턴', maxPatternLength);
+        }
+    }
+
+    let maxMatches = 1;
+    let durationMs = null;
+    if (values.count !== undefined) {
+        maxMatches = Number(values.count);
+        if (!Number.isInteger(maxMatches) || maxMatches < 1) {
+            throw new CliUsageError('찾을 지갑 수(--count)는 1 이상의 정수여야 합니다.');
+        }
+    }
+    if (values.duration !== undefined) {
+        const minutes = Number(values.duration);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            throw new CliUsageError('검색 시간(--duration)은 0보다 큰 숫자(분)여야 합니다.');
+        }
+        durationMs = Math.round(minutes * 60 * 1000);
+        if (values.count === undefined) {
+            maxMatches = Infinity;
+        }
+    }
+    if ((values.count !== undefined || durationMs !== null) && values['single-core']) {
+        throw new CliUsageError('--count, --duration은 멀티코어 모드에서만 사용할 수 있습니다.');
+    }
+
+    if (!EXPORT_FORMATS.includes(values.format)) {
+        throw new CliUsageError(`알 수 없는 저장 형식입니다: ${values.format} (${EXPORT_FORMATS.join(', ')} 중 하나)`);
+    }
+    if (values.encrypt && (values.format !== 'json' || values['no-save'])) {
+        throw new CliUsageError('--encrypt는 json 저장 형식에서만 사용할 수 있고 --no-save와 함께 쓸 수 없습니다.');
+    }
+
+    const mnemonicWords = Number(values.words);
+    if (!MNEMONIC_WORD_COUNTS.includes(mnemonicWords)) {
+        throw new CliUsageError(`니모닉 단어 수(--words)는 ${MNEMONIC_WORD_COUNTS.join(' 또는 ')}이어야 합니다.`);
+    }
+
+    let workerCount = config.workers;
+    if (values.workers !== undefined) {
+        workerCount = Number(values.workers);
+        if (!Number.isInteger(workerCount) || workerCount < 1) {
+            throw new CliUsageError('워커 수(--workers)는 1 이상의 정수여야 합니다.');
+        }
+    }
+
+    return {
+        searchMode: patterns ? 'multi' : searchMode, // --target이면 여러 패턴 동시 검색
+        pattern,
+        startPattern,
+        endPattern,
+        patterns,
+        caseSensitive: !values['ignore-case'],
+        useMultiCore: !values['single-core'],
+        workerCount,
+        keySource: values.mnemonic ? 'mnemonic' : 'random',
+        mnemonicWords,
+        maxMatches,
+        durationMs,
+        outDir: values.out,
+        exportFormat: values.format,
+        encrypt: values.encrypt,
+        save: !values['no-save']
+    };
+}
+
+/**
+ * 작업의 남은 목표만큼 검색하고 찾은 지갑을 저장합니다 (결과 출력은 호출한 쪽에서)
+ * 이전 실행까지의 시도 횟수와 시간은 작업 파일에서 이어서 누적하고,
+ * 중단되거나 실패하면 진행 상황을 저장한 뒤 interrupted 상태로 남깁니다.
+ * @param {Object} job - 작업 정보 (남은 목표가 있어야 함)
+ * @param {string|null} jobsDir - 작업 디렉토리 (null이면 작업 파일을 저장하지 않음)
+ * @param {Object} options - 실행 옵션
+ * @param {Object|null} options.display - createProgressDisplay로 만든 진행 표시 (null이면 표시 없음)
+ * @param {AbortSignal} options.signal - 중단 신호
+ * @param {Object} options.pool - 공유 워커 풀 (없으면 이번 검색에만 쓰는 풀을 만듦)
+ * @param {string|null} options.password - 지갑 파일 암호화 비밀번호 (작업 파일에는 저장하지 않음)
+ * @param {Function} options.onSearch - 만든 검색(createVanitySearch)을 시작 전에 받는 콜백 (진행 이벤트 구독용)
+ * @returns {Promise<{saved: Object[], workerErrors: Object[]}>} 이번 실행에서 저장한 지갑
+ *          ({walletData, filepath, keypairPath} 목록)과 워커 오류
+ * @throws {SearchCancelledError} 중단했을 때 (진행 상황은 작업 파일에 저장된 뒤)
+ */
+async function executeSearchJob(job, jobsDir, { display = null, signal = null, pool = null, password = null, onSearch = null } = {}) {
+    const { settings } = job;
+    const { searchMode, pattern, startPattern, endPattern, patterns } = settings;
+    const collect = isCollectJob(job);
+    const baseElapsedMs = job.elapsedMs;
+    const checkpoint = createJobCheckpoint(job, jobsDir);
+    const startTime = Date.now();
+    const elapsedSeconds = () => (baseElapsedMs + Date.now() - startTime) / 1000;
+
+    // 대시보드가 켜져 있으면 대시보드 위에 출력
+    const log = (message) => {
+        if (display) display.log(message);
+    };
+
+    // 찾은 지갑을 저장용 데이터로 변환하고 (--no-save가 아니면) 파일로 저장
+    const saveMatch = (wallet) => {
+        // 여러 패턴 동시 검색은 일치한 패턴 기준으로 저장
+        const matched = wallet.matchedPattern || { searchMode, pattern, startPattern, endPattern };
+        const walletData = createWalletData(wallet, {
+            pattern: getDisplayPattern(matched.searchMode, matched.pattern, matched.startPattern, matched.endPattern),
+            generationTime: elapsedSeconds(),
+            searchMode: matched.searchMode,
+            startPattern: matched.startPattern,
+            endPattern: matched.endPattern,
+            createdBy: 'Solana Vanity Wallet Generator (CLI Mode)',
+            patternSet: patterns
+        });
+        const { filepath = null, keypairPath = null } = settings.save
+            ? saveWalletInFormat(walletData, settings.outDir, settings.exportFormat || 'json', password)
+            : {};
+        checkpoint.recordWallet(walletData.address, filepath || keypairPath);
+        return { walletData, filepath, keypairPath };
+    };
+
+    const search = createVanitySearch({ ...settings, ...getRemainingSearchOptions(job), signal, pool });
+    if (onSearch) {
+        onSearch(search);
+    }
+
+    search.on('start', ({ workerCount }) => {
+        if (display && !display.isLive) {
+            log(chalk.cyan(formatSearchStart(settings, workerCount)));
+        }
+    });
+    search.on('progress', ({ attempts, workers }) => {
+        checkpoint.update(attempts);
+        if (!display) return;
+        display.update({
+            totalAttempts: job.totalAttempts,
+            elapsedMs: job.elapsedMs,
+            found: collect ? job.wallets.length : null,
+            workers
+        });
+    });
+    search.on('workerError', ({ workerId, message, restarted, restarts }) => {
+        const action = restarted ? `다시 시작합니다 (${restarts}/${DEFAULT_MAX_WORKER_RESTARTS})` : '재시작 한도를 넘어 이 워커 없이 계속합니다';
+        log(chalk.red(`❌ 워커 ${workerId} 오류: ${message} → ${action}`));
+    });
+
+    // 수집 모드: 찾는 즉시 디스크에 기록
+    const saved = [];
+    if (collect) {
+        search.on('match', ({ wallet }) => {
+            const entry = saveMatch(wallet);
+            saved.push(entry);
+            if (display) {
+                display.markMatch();
+                const target = settings.maxMatches !== null ? `/${settings.maxMatches}` : '';
+                const savedPath = entry.filepath || entry.keypairPath;
+                const location = savedPath ? chalk.gray(` → ${savedPath}`) : '';
+                log(chalk.green(`💾 [${job.wallets.length}${target}] ${entry.walletData.address}`) + location);
+            }
+        });
+    }
+
+    try {
+        const result = await search.start();
+        checkpoint.update(result.totalAttempts);
+        if (!collect) {
+            // 이전 실행을 포함한 누적 시도 횟수로 기록
+            const [wallet] = result.matches;
+            wallet.totalAttempts = job.totalAttempts;
+            saved.push(saveMatch(wallet));
+        }
+        checkpoint.finish(JOB_STATUS.COMPLETED);
+        return { saved, workerErrors: result.workerErrors };
+    } catch (error) {
+        if (error instanceof SearchCancelledError) {
+            checkpoint.update(error.attempts);
+        }
+        checkpoint.finish(JOB_STATUS.INTERRUPTED);
+        throw error;
+    }
+}
+
+/**
+ * 작업을 실행하고 결과를 출력합니다 (generate와 resume의 공통 로직)
+ * @param {Object} job - 작업 정보
+ * @param {string|null} jobsDir - 작업 디렉토리 (null이면 작업 파일을 저장하지 않음)
+ * @param {Object} values - 파싱된 옵션 (--json)
+ * @param {string|null} password - 지갑 파일 암호화 비밀번호 (작업 파일에는 저장하지 않음)
+ * @returns {Promise<number>} 종료 코드
+ */
+async function runSearchJob(job, jobsDir, values, password = null) {
+    const { settings } = job;
+    const { patterns } = settings;
+    const collect = isCollectJob(job);
+    const jobId = jobsDir ? job.id : null; // --no-save이면 저장된 작업이 없음
+
+    if (!getRemainingSearchOptions(job)) {
+        createJobCheckpoint(job, jobsDir).finish(JOB_STATUS.COMPLETED);
+        if (values.json) {
+            printJson({ success: true, job: jobId, completed: true, count: job.wallets.length, wallets: job.wallets });
+        } else {
+            console.log(chalk.yellow(`✅ 이 작업은 이미 목표를 달성했습니다: ${job.id}`));
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    // --json이면 진행 표시 없음, 터미널이면 멀티바 대시보드, 파이프/파일이면 로그 줄
+    // (이전 실행까지의 시도 횟수도 누적 성공 확률에 반영)
+    const display = values.json
+        ? null
+        : createProgressDisplay({ probability: getMatchProbability(settings), attempts: job.totalAttempts });
+
+    // Ctrl+C: 워커를 멈추고 진행 상황을 작업 파일에 저장한 뒤 종료 코드 130으로 끝냄
+    const abortController = new AbortController();
+    const onInterrupt = () => abortController.abort();
+    process.once('SIGINT', onInterrupt);
+    // 결과나 오류를 출력하기 전에 대시보드를 멈춤 (여러 번 호출해도 됨)
+    const stopDisplay = () => {
+        if (display) display.stop();
+    };
+
+    try {
+        const { saved, workerErrors } = await executeSearchJob(job, jobsDir, { display, signal: abortController.signal, password });
+        stopDisplay();
+
+        if (collect) {
+            if (values.json) {
+                printJson({
+                    success: job.wallets.length > 0,
+                    job: jobId,
+                    count: saved.length,
+                    jobCount: job.wallets.length,
+                    totalAttempts: job.totalAttempts,
+                    elapsedSeconds: job.elapsedMs / 1000,
+                    files: saved.map(entry => entry.filepath).filter(Boolean),
+                    keypairFiles: saved.map(entry => entry.keypairPath).filter(Boolean),
+                    wallets: saved.map(entry => getOutputWalletData(entry, password)),
+                    ...(workerErrors.length > 0 ? { workerErrors } : {})
+                });
+            } else {
+                console.log(chalk.green(`\n🎉 ${saved.length}개의 지갑을 찾았습니다!`) + (job.sessions > 1 ? chalk.gray(` (작업 전체: ${job.wallets.length}개)`) : ''));
+                console.log(chalk.cyan('🔢 전체 시도 횟수:'), job.totalAttempts.toLocaleString());
+                console.log(chalk.cyan('⏱️  검색 시간:'), `${(job.elapsedMs / 1000).toFixed(2)}초`);
+            }
+
+            return job.wallets.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+        }
+
+        const [{ filepath, keypairPath }] = saved;
+        const walletData = getOutputWalletData(saved[0], password);
+        if (values.json) {
+            printJson({
+                success: true,
+                job: jobId,
+                file: filepath,
+                keypairFile: keypairPath,
+                wallet: walletData,
+                ...(workerErrors.length > 0 ? { workerErrors } : {})
+            });
+        } else {
+            console.log(chalk.green('\n🎉 성공! 원하는 패턴의 지갑을 찾았습니다!\n'));
+            console.log(chalk.cyan('🏠 지갑 주소:'), walletData.address);
+            printKeyFields(walletData);
+            console.log(chalk.cyan('🎯 패턴:'), walletData.pattern, chalk.gray(`(${walletData.searchModeDescription})`));
+            if (walletData.matchedPattern) {
+                console.log(chalk.cyan('📚 일치한 패턴:'), walletData.matchedPattern, chalk.gray(`(${patterns.length}개 중)`));
+            }
+            console.log(chalk.cyan('🔢 전체 시도 횟수:'), walletData.totalAttempts.toLocaleString());
+            console.log(chalk.cyan('⏱️  생성 시간:'), walletData.generationTime);
+            if (filepath) {
+                console.log(chalk.green(`\n💾 지갑 정보가 저장되었습니다: ${filepath}`));
+            }
+            if (keypairPath) {
+                console.log(chalk.green(`🔑 Solana CLI 키페어 파일이 저장되었습니다: ${keypairPath}`));
+            }
+            if (walletData.partialKey) {
+                console.log(chalk.yellow('\n🧩 부분 키 파일(또는 부분 키)을 요청자에게 전달하세요. 요청자는 다음 명령으로 최종 지갑을 만듭니다:'));
+                console.log(chalk.gray(`   node index.js split-combine --secret <비밀 키 파일> --partial ${filepath || walletData.partialKey}`));
+            }
+            if (walletData.seed) {
+                console.log(chalk.yellow('\n🌱 base 공개키의 키로 서명해 계정을 만드세요:'));
+                console.log(chalk.gray(`   SystemProgram.createAccountWithSeed({ basePubkey: ${walletData.basePubkey}, seed: '${walletData.seed}', programId: ${walletData.programId}, ... })`));
+            }
+            if (walletData.keyType === PDA_KEY_TYPE) {
+                console.log(chalk.yellow('\n🏛️  프로그램은 고정 seed 뒤에 nonce와 bump를 붙여 같은 PDA로 invoke_signed 서명을 합니다.'));
+                if (filepath) {
+                    console.log(chalk.gray(`   seed와 bump 다시 확인: node index.js audit ${filepath}`));
+                }
+            }
+        }
+
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        stopDisplay();
+        if (!(error instanceof SearchCancelledError)) {
+            throw error;
+        }
+
+        const resumeCommand = jobsDir
+            ? `node index.js resume ${job.id}${settings.outDir !== DEFAULT_WALLETS_DIR ? ` --dir ${settings.outDir}` : ''}`
+            : null;
+        if (values.json) {
+            printJson({
+                success: false,
+                cancelled: true,
+                job: jobId,
+                attempts: error.attempts,
+                totalAttempts: job.totalAttempts,
+                elapsedSeconds: job.elapsedMs / 1000,
+                count: error.matches.length,
+                jobCount: job.wallets.length
+            });
+        } else {
+            console.error(chalk.yellow(`\n⏸️  검색을 중단했습니다. 이번 실행 시도 횟수: ${error.attempts.toLocaleString()} (누적: ${job.totalAttempts.toLocaleString()})`));
+            if (collect) {
+                console.error(chalk.yellow(`   찾은 지갑: 이번 실행 ${error.matches.length}개 (작업 전체: ${job.wallets.length}개)`));
+            }
+            if (resumeCommand) {
+                console.error(chalk.yellow(`   작업이 저장되었습니다. 이어서 하려면: ${resumeCommand}`));
+            }
+        }
+        return EXIT_CODES.INTERRUPTED;
+    } finally {
+        stopDisplay();
+        process.off('SIGINT', onInterrupt);
+    }
+}
+
+async function commandGenerate(values, positionals, config) {
+    return startSearchJob(resolveGenerateOptions(values, positionals, config), values);
+}
+
+/**
+ * 새 작업을 만들고 실행합니다 (generate, split-generate, seed-generate, pda-generate)
+ * @param {Object} settings - 생성 설정
+ * @param {Object} values - 파싱된 옵션
+ * @returns {Promise<number>} 종료 코드
+ */
+async function startSearchJob(settings, values) {
+    // 검색을 시작하기 전에 비밀번호를 받아둠
+    const password = settings.encrypt ? await resolvePassword(true) : null;
+    // --no-save이면 작업 파일도 남기지 않음
+    const jobsDir = settings.save ? getJobsDir(settings.outDir) : null;
+    const job = createJob(settings, jobsDir);
+
+    if (jobsDir && !values.json) {
+        console.log(chalk.gray(`📝 작업 ID: ${job.id} (중단되면 'node index.js resume ${job.id}'로 계속할 수 있습니다)`));
+    }
+
+    return runSearchJob(job, jobsDir, values, password);
+}
+
+async function commandSplitInit(values) {
+    const password = values.encrypt ? await resolvePassword(true) : null;
+    const splitBase = generateSplitKeyBase();
+    const filepath = saveSplitSecretFile(splitBase, values.dir, password);
+
+    if (values.json) {
+        printJson({ success: true, basePoint: splitBase.basePoint, secretFile: filepath, encrypted: Boolean(password) });
+    } else {
+        console.log(chalk.green('🧩 분할 키 기준점을 만들었습니다.\n'));
+        console.log(chalk.cyan('📍 기준점 (검색 머신에 전달):'), chalk.green(splitBase.basePoint));
+        console.log(chalk.cyan('🔐 비밀 키 파일 (공유 금지):'), filepath + (password ? chalk.gray(' (🔒 암호화됨)') : ''));
+        console.log(chalk.gray(`\n   검색 머신: node index.js split-generate --base ${splitBase.basePoint} --pattern <패턴>`));
+        console.log(chalk.gray(`   받은 뒤:   node index.js split-combine --secret ${filepath} --partial <부분 키 파일>`));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandSplitGenerate(values, positionals, config) {
+    if (!values.base) {
+        throw new CliUsageError('요청자의 기준점(--base)을 입력해주세요. (요청자가 split-init으로 만듭니다)');
+    }
+    if (values.mnemonic || values.encrypt || values.format !== 'json') {
+        throw new CliUsageError('split-generate는 --mnemonic, --encrypt, --format과 함께 사용할 수 없습니다. (부분 키 파일에는 개인키가 없습니다)');
+    }
+    try {
+        parseBasePoint(values.base);
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    const settings = {
+        ...resolveGenerateOptions(values, positionals, config),
+        keySource: 'split',
+        basePoint: values.base
+    };
+    return startSearchJob(settings, values);
+}
+
+async function commandSeedGenerate(values, positionals, config) {
+    if (!values.base || !values.owner) {
+        throw new CliUsageError('base 공개키(--base)와 owner 프로그램 ID(--owner)를 모두 입력해주세요.');
+    }
+    if (values.mnemonic || values.encrypt || values.format !== 'json') {
+        throw new CliUsageError('seed-generate는 --mnemonic, --encrypt, --format과 함께 사용할 수 없습니다. (createWithSeed 주소에는 개인키가 없습니다)');
+    }
+    let inputs;
+    try {
+        inputs = parseSeedInputs({ basePubkey: values.base, programId: values.owner, seedPrefix: values['seed-prefix'] });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    const settings = {
+        ...resolveGenerateOptions(values, positionals, config),
+        keySource: 'seed',
+        basePubkey: values.base.trim(),
+        programId: values.owner.trim(),
+        seedPrefix: inputs.seedPrefix
+    };
+    return startSearchJob(settings, values);
+}
+
+async function commandPdaGenerate(values, positionals, config) {
+    if (!values.program) {
+        throw new CliUsageError('PDA를 소유할 프로그램 ID(--program)를 입력해주세요.');
+    }
+    if (values.mnemonic || values.encrypt || values.format !== 'json') {
+        throw new CliUsageError('pda-generate는 --mnemonic, --encrypt, --format과 함께 사용할 수 없습니다. (PDA에는 개인키가 없습니다)');
+    }
+    const seeds = values.seed || [];
+    try {
+        parseProgramAddressInputs({ programId: values.program, seeds, nonceEncoding: values.nonce });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    const settings = {
+        ...resolveGenerateOptions(values, positionals, config),
+        keySource: 'pda',
+        programId: values.program.trim(),
+        seeds,
+        nonceEncoding: values.nonce
+    };
+    return startSearchJob(settings, values);
+}
+
+/**
+ * 분할 키 입력 값(파일 경로 또는 base58 값)을 읽습니다
+ * @param {string} value - 파일 경로 또는 base58 값
+ * @param {string} field - 파일에서 읽을 필드 (secretKey | partialKey)
+ * @returns {Promise<Object>} 파일 데이터 또는 {[field]: value}
+ */
+async function readSplitInput(value, field) {
+    if (!fs.existsSync(value)) {
+        return { [field]: value };
+    }
+    const data = await readWalletFile(value);
+    if (!data[field]) {
+        throw new Error(`${value} 파일에 ${field} 값이 없습니다.`);
+    }
+    return data;
+}
+
+async function commandSplitCombine(values) {
+    if (!values.secret || !values.partial) {
+        throw new CliUsageError('비밀 키(--secret)와 부분 키(--partial)를 모두 입력해주세요.');
+    }
+    if (values.encrypt && values['no-save']) {
+        throw new CliUsageError('--encrypt는 --no-save와 함께 쓸 수 없습니다.');
+    }
+
+    const secret = await readSplitInput(values.secret, 'secretKey');
+    const partial = await readSplitInput(values.partial, 'partialKey');
+
+    // 비밀 키가 기준점과 짝이 맞는지, 부분 키가 같은 기준점으로 찾은 것인지 확인
+    const basePoint = getAddressFromScalar(secret.secretKey);
+    if (secret.basePoint && secret.basePoint !== basePoint) {
+        throw new Error('비밀 키 파일의 기준점이 비밀 키와 맞지 않습니다. 파일이 손상되었을 수 있습니다.');
+    }
+    if (partial.basePoint && partial.basePoint !== basePoint) {
+        throw new Error(`부분 키가 다른 기준점으로 검색되었습니다. (부분 키: ${partial.basePoint}, 비밀 키: ${basePoint})`);
+    }
+
+    const { privateScalar, address } = combineSplitKey(secret.secretKey, partial.partialKey);
+    const expectedAddress = values.address || partial.address || null;
+    const verification = verifySplitKey(privateScalar, expectedAddress);
+    const success = verification.matches && verification.canSign;
+
+    if (!success) {
+        if (values.json) {
+            printJson({ success: false, address, expectedAddress, ...verification });
+        } else {
+            console.error(chalk.red('❌ 합친 키 검증에 실패했습니다.'));
+            console.error(chalk.cyan('기대한 주소:'), expectedAddress);
+            console.error(chalk.cyan('계산된 주소:'), address);
+            console.error(chalk.cyan('서명 검증:'), verification.canSign ? '성공' : '실패');
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    const password = values.encrypt ? await resolvePassword(true) : null;
+    const walletData = createWalletData(
+        {
+            address,
+            publicKey: address,
+            privateScalar,
+            basePoint,
+            attempts: partial.individualWorkerAttempts,
+            totalAttempts: partial.totalAttempts
+        },
+        {
+            pattern: partial.pattern || address.slice(0, 4),
+            searchMode: partial.searchMode || 'startsWith',
+            startPattern: partial.startPattern ?? null,
+            endPattern: partial.endPattern ?? null,
+            createdBy: 'Solana Vanity Wallet Generator (Split-Key Combine)'
+        }
+    );
+    const { filepath = null } = values['no-save'] ? {} : saveWalletInFormat(walletData, values.out, 'json', password);
+    const outputWalletData = getOutputWalletData({ walletData, filepath }, password);
+
+    if (values.json) {
+        printJson({ success: true, address, file: filepath, verified: true, wallet: outputWalletData });
+    } else {
+        console.log(chalk.green('✅ 분할 키를 합쳤고 검증에 성공했습니다!\n'));
+        console.log(chalk.cyan('🏠 지갑 주소:'), chalk.green(address));
+        printKeyFields(outputWalletData);
+        console.log(chalk.cyan('✍️  서명 검증:'), '성공 (합친 키로 만든 서명이 주소로 검증됨)');
+        if (filepath) {
+            console.log(chalk.green(`\n💾 지갑 정보가 저장되었습니다: ${filepath}`) + (password ? chalk.gray(' (🔒 암호화됨)') : ''));
+        }
+        console.log(chalk.yellow('\n⚠️ 합친 개인키는 시드가 아닌 스칼라입니다. 지갑 앱이나 solana-keygen으로 가져올 수 없습니다.'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandResume(values, positionals) {
+    const jobsDir = getJobsDir(values.dir);
+    const target = positionals[0];
+
+    if (!target) {
+        // 작업 ID가 없으면 이어서 할 수 있는 작업 목록 표시
+        const jobs = listResumableJobs(jobsDir);
+        if (values.json) {
+            printJson({
+                success: true,
+                dir: jobsDir,
+                jobs: jobs.map(job => ({
+                    id: job.id,
+                    status: job.status,
+                    description: describeJob(job),
+                    totalAttempts: job.totalAttempts,
+                    elapsedSeconds: job.elapsedMs / 1000,
+                    found: job.wallets.length,
+                    updatedAt: job.updatedAt
+                }))
+            });
+        } else if (jobs.length === 0) {
+            console.log(chalk.yellow('이어서 할 수 있는 작업이 없습니다.'));
+        } else {
+            for (const job of jobs) {
+                console.log(`${chalk.green(job.id)}  ${chalk.white(describeJob(job))}  ${chalk.gray(job.status)}`);
+            }
+            console.log(chalk.gray('\n이어서 하려면: node index.js resume <작업 ID>'));
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const job = loadJob(target, jobsDir);
+    if (!values.json) {
+        console.log(chalk.yellow(`⏯️  작업을 이어서 실행합니다: ${job.id}`));
+        console.log(chalk.gray(`   ${describeJob(job)}`));
+    }
+    // 비밀번호는 작업 파일에 저장하지 않으므로 이어서 할 때 다시 입력받음
+    const password = job.settings.encrypt ? await resolvePassword(true) : null;
+    return runSearchJob(job, jobsDir, values, password);
+}
+
+/**
+ * 배치 대상을 generate 옵션으로 바꿔 같은 규칙으로 검사합니다
+ * 대상에 없는 대소문자 구분과 니모닉 설정은 설정 파일의 defaults를 따릅니다.
+ * @param {Object} batchTarget - loadBatchFile의 대상
+ * @param {Object} batchOptions - 배치 공통 옵션 {outDir, workers, format, encrypt}
+ * @param {Object} config - loadConfig 결과
+ * @returns {Object} 생성 설정
+ */
+function resolveBatchTarget(batchTarget, { outDir, workers, format, encrypt }, config) {
+    const { caseSensitive, mnemonic, words } = config.defaults;
+    const target = { caseSensitive, mnemonic, words, ...batchTarget };
+    try {
+        return resolveGenerateOptions({
+            mode: target.mode || 'startsWith',
+            pattern: target.pattern,
+            start: target.start,
+            end: target.end,
+            'ignore-case': target.caseSensitive === false,
+            count: target.count !== undefined ? String(target.count) : undefined,
+            workers,
+            'single-core': false,
+            mnemonic: Boolean(target.mnemonic),
+            words: String(target.words || 12),
+            out: getBatchTargetDir(outDir, target.name),
+            format,
+            encrypt,
+            'no-save': false
+        }, [], config);
+    } catch (error) {
+        throw new CliUsageError(`대상 ${target.name}: ${error.message}`);
+    }
+}
+
+/**
+ * 배치 보고서를 표로 출력합니다
+ */
+function printBatchReport(report, reportPath) {
+    const summary = summarizeBatchReport(report);
+    const nameWidth = Math.max(...report.targets.map(entry => entry.name.length));
+    const statusIcons = {
+        [BATCH_STATUS.COMPLETED]: '✅',
+        [BATCH_STATUS.INTERRUPTED]: '⏸️ ',
+        [BATCH_STATUS.RUNNING]: '⏸️ ',
+        [BATCH_STATUS.PENDING]: '⏳'
+    };
+
+    console.log(chalk.cyan('\n📋 배치 결과'));
+    for (const entry of report.targets) {
+        const { searchMode, pattern, startPattern, endPattern, caseSensitive, maxMatches } = entry.settings;
+        const target = getDisplayPattern(searchMode, pattern, startPattern, endPattern) + (caseSensitive ? '' : ' (i)');
+        const line = `${statusIcons[entry.status]} ${entry.name.padEnd(nameWidth)}  ${target}  ${entry.found}/${maxMatches}개  ` +
+            `시도 ${entry.totalAttempts.toLocaleString()}  ${entry.elapsedSeconds.toFixed(1)}초`;
+        console.log(entry.status === BATCH_STATUS.COMPLETED ? chalk.green(line) : chalk.yellow(line));
+        entry.wallets.forEach(wallet => console.log(chalk.gray(`     ${wallet.address}  ${wallet.file || ''}`)));
+    }
+    console.log(chalk.cyan(`\n🎯 완료한 대상: ${summary.completed}/${summary.targets}, 찾은 지갑: ${summary.found}개, 전체 시도 횟수: ${summary.totalAttempts.toLocaleString()}`));
+    console.log(chalk.gray(`📄 보고서: ${reportPath}`));
+}
+
+async function commandBatch(values, positionals, config) {
+    const batchFile = positionals[0];
+    if (!batchFile) {
+        throw new CliUsageError('배치 작업 파일(JSON 또는 YAML)을 지정해주세요.');
+    }
+    if (!fs.existsSync(batchFile)) {
+        throw new Error(`배치 작업 파일을 찾을 수 없습니다: ${batchFile}`);
+    }
+
+    let batch;
+    try {
+        batch = loadBatchFile(batchFile);
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    // 명령줄 옵션, 배치 파일, 설정 파일 순서로 우선
+    const outDir = values.out || batch.out || config.walletsDir;
+    const workers = values.workers ?? (batch.workers !== null ? String(batch.workers) : undefined);
+    const format = values.format || batch.format || config.defaults.format || 'json';
+    const encrypt = values.encrypt || Boolean(config.defaults.encrypt);
+    // 검색을 시작하기 전에 모든 대상을 검사해서 중간에 멈추지 않게 함
+    const targets = batch.targets.map(target => ({
+        name: target.name,
+        settings: resolveBatchTarget(target, { outDir, workers, format, encrypt }, config)
+    }));
+
+    // 검색을 시작하기 전에 비밀번호를 받아둠
+    const password = encrypt ? await resolvePassword(true) : null;
+
+    const reportPath = getBatchReportPath(batchFile, outDir);
+    const previous = values.restart ? null : loadBatchReport(reportPath);
+    const report = createBatchReport(batchFile, outDir, targets, previous);
+    report.status = BATCH_STATUS.RUNNING;
+    saveBatchReport(report, reportPath);
+
+    const done = report.targets.filter(entry => entry.status === BATCH_STATUS.COMPLETED).length;
+    if (!values.json) {
+        console.log(chalk.cyan(`📦 배치 작업: ${batchFile} (대상 ${report.targets.length}개, 저장 디렉토리: ${outDir})`));
+        if (done > 0) {
+            console.log(chalk.yellow(`⏯️  이전 실행에서 끝난 대상 ${done}개는 건너뜁니다 (처음부터 하려면 --restart).`));
+        }
+    }
+
+    // 모든 대상이 워커 풀 하나를 이어서 사용 (대상마다 워커를 새로 띄우지 않음)
+    const pool = createWorkerPool(targets[0].settings.workerCount || getConfiguredWorkerCount(config));
+    // Ctrl+C: 지금 대상의 진행 상황과 보고서를 저장하고 종료 코드 130으로 끝냄
+    const abortController = new AbortController();
+    const onInterrupt = () => abortController.abort();
+    process.once('SIGINT', onInterrupt);
+
+    try {
+        for (const [index, entry] of report.targets.entries()) {
+            if (entry.status === BATCH_STATUS.COMPLETED) continue;
+
+            const { settings } = entry;
+            const jobsDir = getJobsDir(settings.outDir);
+            let job = null;
+            if (entry.jobId) {
+                try {
+                    job = loadJob(entry.jobId, jobsDir);
+                    // 워커 수는 결과에 영향이 없으므로 이번 실행 값을 사용
+                    job.settings.workerCount = settings.workerCount;
+                } catch (error) {
+                    job = null; // 작업 파일이 지워졌으면 처음부터
+                }
+            }
+            job = job || createJob(settings, jobsDir);
+            updateBatchTarget(entry, job);
+            saveBatchReport(report, reportPath);
+
+            if (!values.json) {
+                console.log(chalk.cyan(`\n▶️  [${index + 1}/${report.targets.length}] ${entry.name}: ${describeJob(job)}`));
+                console.log(chalk.gray(`   작업 ID: ${job.id}, 저장 디렉토리: ${settings.outDir}`));
+            }
+
+            if (!getRemainingSearchOptions(job)) {
+                createJobCheckpoint(job, jobsDir).finish(JOB_STATUS.COMPLETED);
+            } else {
+                const display = values.json
+                    ? null
+                    : createProgressDisplay({ probability: getMatchProbability(settings), attempts: job.totalAttempts });
+                try {
+                    await executeSearchJob(job, jobsDir, { display, signal: abortController.signal, pool, password });
+                } catch (error) {
+                    if (display) display.stop();
+                    updateBatchTarget(entry, job);
+                    report.status = BATCH_STATUS.INTERRUPTED;
+                    saveBatchReport(report, reportPath);
+                    if (!(error instanceof SearchCancelledError)) {
+                        throw error;
+                    }
+
+                    if (values.json) {
+                        printJson({ success: false, cancelled: true, report: reportPath, summary: summarizeBatchReport(report), targets: report.targets });
+                    } else {
+                        console.error(chalk.yellow(`\n⏸️  배치를 중단했습니다 (${entry.name}). 같은 명령을 다시 실행하면 이어서 검색합니다.`));
+                        printBatchReport(report, reportPath);
+                    }
+                    return EXIT_CODES.INTERRUPTED;
+                }
+                if (display) display.stop();
+            }
+
+            updateBatchTarget(entry, job);
+            saveBatchReport(report, reportPath);
+            if (!values.json) {
+                for (const wallet of job.wallets) {
+                    console.log(chalk.green(`✅ ${entry.name}: ${wallet.address}`) + (wallet.file ? chalk.gray(` → ${wallet.file}`) : ''));
+                }
+            }
+        }
+    } finally {
+        process.off('SIGINT', onInterrupt);
+        await pool.destroy();
+    }
+
+    report.status = BATCH_STATUS.COMPLETED;
+    report.finishedAt = new Date().toISOString();
+    saveBatchReport(report, reportPath);
+
+    if (values.json) {
+        printJson({ success: true, report: reportPath, summary: summarizeBatchReport(report), targets: report.targets });
+    } else {
+        printBatchReport(report, reportPath);
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * API 응답에 넣을 지갑 데이터를 만듭니다
+ * 암호화를 켠 서버만 개인키를 돌려주며, 그때도 저장된 파일과 같은 암호화된 형태로만 돌려줍니다.
+ * 개인키를 뺀 응답은 파일용 경고 대신 개인키가 저장된 파일에만 있다는 안내를 넣습니다.
+ * @param {Object} entry - executeSearchJob이 저장한 지갑 {walletData, filepath, keypairPath}
+ * @param {string|null} password - 지갑 파일 암호화 비밀번호
+ * @returns {Object} 지갑 데이터와 저장된 파일 경로
+ */
+export function toApiWallet({ walletData, filepath, keypairPath }, password) {
+    const file = filepath || keypairPath;
+    if (password) {
+        return { ...getOutputWalletData({ walletData, filepath }, password), file };
+    }
+
+    const data = Object.fromEntries(Object.entries(walletData).filter(([key]) => !SECRET_FIELDS.includes(key)));
+    if (SECRET_FIELDS.some(key => walletData[key] !== undefined)) {
+        data.warning = `🔑 개인키는 이 응답에 포함되지 않으며 저장된 지갑 파일에만 있습니다: ${file}`;
+    }
+    return { ...data, file };
+}
+
+// serve가 작업 상태가 바뀔 때마다 출력하는 한 줄
+const SERVE_STATUS_LOGS = {
+    [SERVER_JOB_STATUS.QUEUED]: (job) => chalk.gray(`📥 ${job.id} 접수 (대기 ${job.queuePosition}번째)`),
+    [SERVER_JOB_STATUS.RUNNING]: (job) => chalk.cyan(`▶️  ${job.id} 검색 시작`),
+    [SERVER_JOB_STATUS.COMPLETED]: (job) => chalk.green(`✅ ${job.id} 완료 (지갑 ${job.progress.found}개, 시도 ${job.progress.attempts.toLocaleString()})`),
+    [SERVER_JOB_STATUS.CANCELLED]: (job) => chalk.yellow(`⏹️  ${job.id} 취소 (시도 ${job.progress.attempts.toLocaleString()})`),
+    [SERVER_JOB_STATUS.FAILED]: (job) => chalk.red(`❌ ${job.id} 실패: ${job.error}`)
+};
+
+/**
+ * serve 명령어: 작업 API 서버를 열고 Ctrl+C까지 요청을 처리합니다
+ */
+async function commandServe(values, positionals, config) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new CliUsageError('포트(--port)는 0~65535 사이의 정수여야 합니다.');
+    }
+
+    // 요청마다 바뀌지 않는 생성 옵션 (검색 대상은 요청 본문에서)
+    const baseValues = {
+        out: values.out || config.walletsDir,
+        workers: values.workers,
+        format: values.format || config.defaults.format || 'json',
+        encrypt: values.encrypt || Boolean(config.defaults.encrypt),
+        words: '12',
+        mnemonic: false,
+        'single-core': false,
+        'no-save': false
+    };
+    const toGenerateValues = (request) => ({
+        ...baseValues,
+        mode: request.mode || 'startsWith',
+        pattern: request.pattern,
+        start: request.start,
+        end: request.end,
+        'ignore-case': !(request.caseSensitive ?? config.defaults.caseSensitive ?? true),
+        count: request.count !== undefined ? String(request.count) : undefined
+    });
+    // 저장 형식, 암호화, 워커 수는 서버를 열기 전에 검사
+    const { workerCount, encrypt } = resolveGenerateOptions(toGenerateValues({ pattern: '1' }), [], config);
+    const password = encrypt ? await resolvePassword(true) : null;
+    const token = process.env[API_TOKEN_ENV] || generateApiToken();
+
+    const pool = createWorkerPool(workerCount || getConfiguredWorkerCount(config));
+    const jobServer = createJobServer({
+        token,
+        createJob: (request) => {
+            let settings;
+            try {
+                settings = resolveGenerateOptions(toGenerateValues(request), [], config);
+            } catch (error) {
+                throw error instanceof CliUsageError ? new HttpError(400, error.message) : error;
+            }
+            return createJob(settings, getJobsDir(settings.outDir));
+        },
+        runJob: async (job, { signal, onSearch }) => {
+            const { saved } = await executeSearchJob(job, getJobsDir(job.settings.outDir), { signal, pool, password, onSearch });
+            return { encrypted: Boolean(password), wallets: saved.map(entry => toApiWallet(entry, password)) };
+        },
+        // 한 번도 실행하지 못한 작업도 resume으로 이어서 할 수 있도록 중단 상태로 남김
+        dropJob: (job) => {
+            job.status = JOB_STATUS.INTERRUPTED;
+            saveJob(job, getJobsDir(job.settings.outDir));
+        }
+    });
+
+    jobServer.on('job', (job) => {
+        if (!values.json) {
+            console.log(SERVE_STATUS_LOGS[job.status](job));
+        }
+    });
+
+    let address;
+    try {
+        address = await jobServer.listen(port, values.host);
+    } catch (error) {
+        await pool.destroy();
+        throw new Error(`서버를 시작할 수 없습니다 (${values.host}:${port}): ${error.message}`);
+    }
+
+    const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+    if (values.json) {
+        printJson({ success: true, url, token: process.env[API_TOKEN_ENV] ? null : token, encrypted: Boolean(password) });
+    } else {
+        console.log(chalk.cyan(`🌐 작업 API 서버: ${url} (작업 디렉토리: ${getJobsDir(baseValues.out)})`));
+        if (process.env[API_TOKEN_ENV]) {
+            console.log(chalk.gray(`🔑 ${API_TOKEN_ENV} 환경 변수의 토큰을 사용합니다.`));
+        } else {
+            console.log(chalk.yellow(`🔑 API 토큰 (이번 실행에만 유효): ${token}`));
+        }
+        console.log(chalk.gray(password
+            ? '🔒 결과 응답에 암호화된 지갑 데이터가 들어갑니다.'
+            : '   결과 응답에는 주소와 메타데이터만 들어갑니다 (개인키는 --encrypt일 때만).'));
+        if (!['127.0.0.1', '::1', 'localhost'].includes(values.host)) {
+            console.log(chalk.yellow('⚠️  암호화되지 않은 HTTP입니다. 다른 머신에서 접속할 수 있는 주소로 열면 토큰과 결과가 그대로 전송됩니다.'));
+        }
+        console.log(chalk.gray('   Ctrl+C로 종료합니다.'));
+    }
+
+    // Ctrl+C 또는 SIGTERM: 실행 중인 작업을 작업 파일에 저장하고 서버를 닫음
+    let onStop;
+    await new Promise((resolve) => {
+        onStop = resolve;
+        process.once('SIGINT', onStop);
+        process.once('SIGTERM', onStop);
+    });
+    process.off('SIGINT', onStop);
+    process.off('SIGTERM', onStop);
+    if (!values.json) {
+        console.log(chalk.yellow('\n⏸️  서버를 종료합니다...'));
+    }
+    try {
+        await jobServer.close();
+    } finally {
+        await pool.destroy();
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandVerify(values, positionals) {
+    let privateKey = values.key || positionals[0];
+    let expectedAddress = null;
+    let format = null;
+    let mnemonic = null;
+    let derivationPath = null;
+    let privateScalar = null;
+
+    if (values.mnemonic !== undefined) {
+        return verifyMnemonic(values);
+    }
+    if (values.signature !== undefined) {
+        return verifyMessage(values);
+    }
+
+    if (values.file) {
+        // 지갑 JSON 파일(암호화 포함)과 Solana CLI 키페어 파일(id.json) 모두 지원
+        const password = isEncryptedWalletData(loadWalletFile(values.file)) ? await resolvePassword() : null;
+        ({ privateKey, address: expectedAddress, format, mnemonic, derivationPath, privateScalar } = loadPrivateKeyFromFile(values.file, password));
+    }
+
+    if (privateScalar) {
+        return verifyCombinedSplitKey(privateScalar, expectedAddress, values);
+    }
+
+    if (!privateKey) {
+        throw new CliUsageError('검증할 개인키(--key) 또는 지갑 파일(--file)을 입력해주세요.');
+    }
+
+    let address;
+    try {
+        address = getAddressFromKeypair(keypairFromPrivateKey(privateKey));
+    } catch (error) {
+        if (values.json) {
+            printJson({ success: false, valid: false, error: '유효하지 않은 개인키입니다.' });
+        } else {
+            console.error(chalk.red('❌ 유효하지 않은 개인키입니다.'));
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    // 니모닉이 저장된 지갑은 니모닉에서 유도한 주소도 같아야 함
+    const mnemonicAddress = mnemonic
+        ? keypairFromMnemonic(mnemonic, derivationPath || SOLANA_DERIVATION_PATH).publicKey.toBase58()
+        : null;
+    const mnemonicMatches = mnemonicAddress === null || mnemonicAddress === address;
+    const matches = (expectedAddress === null || expectedAddress === address) && mnemonicMatches;
+
+    if (values.json) {
+        printJson({
+            success: matches,
+            valid: true,
+            address,
+            expectedAddress,
+            matches,
+            format,
+            ...(mnemonicAddress ? { mnemonicAddress, mnemonicMatches } : {})
+        });
+    } else if (matches) {
+        console.log(chalk.green('✅ 유효한 지갑입니다!'));
+        console.log(chalk.cyan('지갑 주소:'), chalk.green(address));
+        if (mnemonicAddress) {
+            console.log(chalk.green(`🌱 니모닉에서 유도한 주소도 일치합니다 (${derivationPath || SOLANA_DERIVATION_PATH})`));
+        }
+    } else if (!mnemonicMatches) {
+        console.error(chalk.red('❌ 니모닉에서 유도한 주소가 개인키의 주소와 다릅니다.'));
+        console.error(chalk.cyan('개인키 주소:'), address);
+        console.error(chalk.cyan('니모닉 주소:'), mnemonicAddress);
+    } else {
+        console.error(chalk.red('❌ 개인키에서 계산한 주소가 파일의 주소와 다릅니다.'));
+        console.error(chalk.cyan('파일 주소:'), expectedAddress);
+        console.error(chalk.cyan('계산된 주소:'), address);
+    }
+
+    return matches ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * 분할 키를 합친 지갑의 스칼라 개인키를 검증합니다 (주소 일치 + 서명 검증)
+ * @param {string} privateScalar - base58 스칼라
+ * @param {string|null} expectedAddress - 파일에 기록된 주소
+ * @param {Object} values - 파싱된 옵션
+ * @returns {number} 종료 코드
+ */
+function verifyCombinedSplitKey(privateScalar, expectedAddress, values) {
+    const { address, matches, canSign } = verifySplitKey(privateScalar, expectedAddress);
+    const success = matches && canSign;
+
+    if (values.json) {
+        printJson({ success, valid: true, address, expectedAddress, matches, canSign, format: 'split' });
+    } else if (success) {
+        console.log(chalk.green('✅ 유효한 분할 키 지갑입니다!'));
+        console.log(chalk.cyan('지갑 주소:'), chalk.green(address));
+        console.log(chalk.cyan('서명 검증:'), '성공');
+    } else {
+        console.error(chalk.red('❌ 분할 키 지갑 검증에 실패했습니다.'));
+        console.error(chalk.cyan('파일 주소:'), expectedAddress);
+        console.error(chalk.cyan('계산된 주소:'), address);
+        console.error(chalk.cyan('서명 검증:'), canSign ? '성공' : '실패');
+    }
+    return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * BIP39 니모닉에서 유도한 주소를 표시합니다 (verify --mnemonic)
+ * @param {Object} values - 파싱된 옵션
+ * @returns {number} 종료 코드
+ */
+function verifyMnemonic(values) {
+    if (!isValidMnemonic(values.mnemonic)) {
+        if (values.json) {
+            printJson({ success: false, valid: false, error: '유효하지 않은 니모닉입니다.' });
+        } else {
+            console.error(chalk.red('❌ 유효하지 않은 니모닉입니다. (단어 목록 또는 체크섬 불일치)'));
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    const address = keypairFromMnemonic(values.mnemonic, SOLANA_DERIVATION_PATH).publicKey.toBase58();
+    if (values.json) {
+        printJson({ success: true, valid: true, address, derivationPath: SOLANA_DERIVATION_PATH });
+    } else {
+        console.log(chalk.green('✅ 유효한 니모닉입니다!'));
+        console.log(chalk.cyan('지갑 주소:'), chalk.green(address), chalk.gray(`(${SOLANA_DERIVATION_PATH})`));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 서명 명령어 옵션에서 메시지 바이트를 읽습니다
+ * @throws {CliUsageError} --message와 --message-file 중 하나만 지정하지 않았을 때
+ */
+function resolveMessageOption(values) {
+    if ((values.message === undefined) === (values['message-file'] === undefined)) {
+        throw new CliUsageError('--message 또는 --message-file 중 하나를 지정하세요.');
+    }
+    return readMessage({ message: values.message ?? null, messageFile: values['message-file'] ?? null });
+}
+
+/**
+ * 서명 검증 (verify --signature)
+ * @param {Object} values - 파싱된 옵션
+ * @returns {number} 종료 코드 (유효한 서명이면 0, 아니면 1)
+ */
+function verifyMessage(values) {
+    if (!values.address) {
+        throw new CliUsageError('서명을 검증할 주소(--address)를 입력해주세요.');
+    }
+    if (values.encoding && !SIGNATURE_ENCODINGS.includes(values.encoding)) {
+        throw new CliUsageError(`알 수 없는 서명 인코딩입니다: ${values.encoding} (${SIGNATURE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+
+    const message = resolveMessageOption(values);
+    const { signature, encoding } = decodeSignature(values.signature, values.encoding || null);
+    const valid = verifyMessageSignature(message, signature, values.address);
+
+    if (values.json) {
+        printJson({ success: valid, valid, address: values.address, encoding, messageBytes: message.length });
+    } else if (valid) {
+        console.log(chalk.green('✅ 유효한 서명입니다!'));
+        console.log(chalk.cyan('서명한 주소:'), chalk.green(values.address));
+        console.log(chalk.gray(`   메시지 ${message.length.toLocaleString()}바이트, ${encoding} 서명`));
+    } else {
+        console.error(chalk.red('❌ 서명이 이 주소와 메시지에 맞지 않습니다.'));
+        console.error(chalk.cyan('주소:'), values.address);
+    }
+    return valid ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+async function commandSign(values, positionals) {
+    if (!SIGNATURE_ENCODINGS.includes(values.encoding)) {
+        throw new CliUsageError(`알 수 없는 서명 인코딩입니다: ${values.encoding} (${SIGNATURE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+    const message = resolveMessageOption(values);
+
+    let key = { privateKey: values.key || positionals[0] || null };
+    let expectedAddress = null;
+    if (values.file) {
+        // 지갑 JSON 파일(암호화, 분할 키 포함)과 Solana CLI 키페어 파일(id.json) 모두 지원
+        const password = isEncryptedWalletData(loadWalletFile(values.file)) ? await resolvePassword() : null;
+        const { privateKey, privateScalar, address } = loadPrivateKeyFromFile(values.file, password);
+        key = { privateKey, privateScalar };
+        expectedAddress = address;
+    }
+    if (!key.privateKey && !key.privateScalar) {
+        throw new CliUsageError('서명할 개인키(--key) 또는 지갑 파일(--file)을 입력해주세요.');
+    }
+
+    const { address, signature } = signMessage(message, key);
+    if (expectedAddress && expectedAddress !== address) {
+        throw new Error('개인키에서 계산한 주소가 파일의 주소와 다릅니다. 서명하지 않았습니다.');
+    }
+    const encoded = encodeSignature(signature, values.encoding);
+
+    if (values.json) {
+        printJson({
+            success: true,
+            address,
+            signature: encoded,
+            encoding: values.encoding,
+            ...(values.message !== undefined ? { message: values.message } : { messageFile: values['message-file'] }),
+            messageBytes: message.length
+        });
+    } else {
+        console.log(chalk.green('✍️  메시지에 서명했습니다.'));
+        console.log(chalk.cyan('서명한 주소:'), chalk.green(address));
+        console.log(chalk.cyan(`서명 (${values.encoding}):`), encoded);
+        const messageOption = values.message !== undefined
+            ? `--message ${JSON.stringify(values.message)}`
+            : `--message-file ${values['message-file']}`;
+        console.log(chalk.gray(`   검증: node index.js verify --address ${address} --signature ${encoded} ${messageOption}`));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 필터 옵션을 filterWallets 조건으로 변환합니다
+ * @throws {CliUsageError} 검색 모드나 날짜가 올바르지 않을 때
+ */
+function resolveLibraryFilters(values) {
+    if (values.mode && !WALLET_FILTER_MODES.includes(values.mode)) {
+        throw new CliUsageError(`알 수 없는 검색 모드입니다: ${values.mode} (${WALLET_FILTER_MODES.join(', ')} 중 하나)`);
+    }
+    try {
+        return {
+            pattern: values.pattern || null,
+            mode: values.mode || null,
+            since: values.since ? parseDateFilter(values.since) : null,
+            until: values.until ? parseDateFilter(values.until, true) : null,
+            label: values.label || null
+        };
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+}
+
+function hasLibraryFilters(values) {
+    return Object.keys(LIBRARY_FILTER_OPTIONS).some(key => values[key] !== undefined);
+}
+
+/**
+ * 인자로 받은 지갑 파일 또는 필터에 맞는 지갑 파일의 경로 목록을 반환합니다
+ * @throws {CliUsageError} 파일과 필터를 함께 지정했을 때
+ * @throws {Error} 인자로 받은 파일이 없을 때
+ */
+function selectLibraryFiles(values, positionals) {
+    if (positionals.length > 0) {
+        if (hasLibraryFilters(values)) {
+            throw new CliUsageError('지갑 파일과 필터 옵션은 함께 사용할 수 없습니다.');
+        }
+        return positionals.map((target) => {
+            const filepath = fs.existsSync(target) ? target : path.join(values.dir, target);
+            if (!fs.existsSync(filepath)) {
+                throw new Error(`지갑 파일을 찾을 수 없습니다: ${target}`);
+            }
+            return filepath;
+        });
+    }
+
+    return filterWallets(loadWalletLibrary(values.dir), resolveLibraryFilters(values))
+        .filter(entry => !entry.error)
+        .map(entry => entry.filepath);
+}
+
+async function commandList(values) {
+    if (!WALLET_SORT_KEYS.includes(values.sort)) {
+        throw new CliUsageError(`알 수 없는 정렬 기준입니다: ${values.sort} (${WALLET_SORT_KEYS.join(', ')} 중 하나)`);
+    }
+    const filters = resolveLibraryFilters(values);
+    const showPrivateKeys = values['show-private-keys'];
+
+    const library = loadWalletLibrary(values.dir, { includePrivateKeys: showPrivateKeys });
+    const wallets = sortWallets(filterWallets(library, filters), values.sort, values.reverse);
+
+    if (values.json) {
+        printJson({
+            success: true,
+            dir: values.dir,
+            total: library.length,
+            wallets: wallets.map(({ filepath, ...entry }) => entry)
+        });
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (library.length === 0) {
+        console.log(chalk.yellow('저장된 지갑이 없습니다.'));
+        return EXIT_CODES.SUCCESS;
+    }
+    if (wallets.length === 0) {
+        console.log(chalk.yellow(`조건에 맞는 지갑이 없습니다. (전체 ${library.length}개)`));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const [header, ...rows] = formatWalletTable(wallets, { showPrivateKeys });
+    console.log(chalk.cyan(header));
+    rows.forEach((row, index) => console.log(wallets[index].error ? chalk.red(row) : row));
+    console.log(chalk.gray(`\n${wallets.length}개 지갑 (전체 ${library.length}개)`));
+    if (showPrivateKeys) {
+        console.log(chalk.yellow('⚠️ 화면에 개인키가 표시되었습니다. 터미널 기록과 화면 공유에 주의하세요.'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandShow(values, positionals) {
+    const target = positionals[0];
+    if (!target) {
+        throw new CliUsageError('표시할 지갑 파일을 입력해주세요.');
+    }
+
+    const filepath = fs.existsSync(target) ? target : path.join(values.dir, target);
+    if (!fs.existsSync(filepath)) {
+        if (values.json) {
+            printJson({ success: false, error: `지갑 파일을 찾을 수 없습니다: ${target}` });
+        } else {
+            console.error(chalk.red(`❌ 지갑 파일을 찾을 수 없습니다: ${target}`));
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    const walletData = await readWalletFile(filepath);
+
+    if (values.json) {
+        printJson({ success: true, file: filepath, wallet: walletData });
+    } else {
+        console.log(chalk.cyan('🏠 지갑 주소:'), walletData.address);
+        printKeyFields(walletData);
+        console.log(chalk.cyan('🔐 공개키:'), chalk.blue(walletData.publicKey));
+        console.log(chalk.cyan('🎯 패턴:'), walletData.pattern || 'N/A');
+        if (walletData.searchModeDescription) {
+            console.log(chalk.cyan('🔍 검색 모드:'), walletData.searchModeDescription);
+        }
+        if (walletData.createdAt) {
+            console.log(chalk.cyan('📅 생성일:'), walletData.createdAt);
+        }
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandExport(values, positionals) {
+    const target = positionals[0];
+    if (!target) {
+        throw new CliUsageError('내보낼 지갑 파일을 입력해주세요.');
+    }
+
+    const filepath = fs.existsSync(target) ? target : path.join(values.dir, target);
+    if (!fs.existsSync(filepath)) {
+        if (values.json) {
+            printJson({ success: false, error: `지갑 파일을 찾을 수 없습니다: ${target}` });
+        } else {
+            console.error(chalk.red(`❌ 지갑 파일을 찾을 수 없습니다: ${target}`));
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    const walletData = await readWalletFile(filepath);
+    if (!walletData.privateKey) {
+        throw new Error('Solana 개인키가 없는 파일입니다. (분할 키 파일은 키페어 형식으로 내보낼 수 없습니다)');
+    }
+    // 내보내기 전에 개인키와 주소가 일치하는지 확인
+    const address = getAddressFromKeypair(keypairFromPrivateKey(walletData.privateKey));
+    if (walletData.address && walletData.address !== address) {
+        throw new Error('개인키에서 계산한 주소가 파일의 주소와 다릅니다. 내보내지 않았습니다.');
+    }
+
+    const outPath = values.out || getSolanaKeypairPath(address, values.dir);
+    saveSolanaKeypairFile(walletData.privateKey, outPath, values.force);
+
+    if (values.json) {
+        printJson({ success: true, address, file: outPath });
+    } else {
+        console.log(chalk.green(`🔑 Solana CLI 키페어 파일로 내보냈습니다: ${outPath}`));
+        console.log(chalk.cyan('지갑 주소:'), address);
+        console.log(chalk.gray(`   solana-keygen pubkey ${outPath} 로 확인할 수 있습니다.`));
+        console.log(chalk.yellow('   ⚠️ 이 파일에는 개인키가 포함되어 있습니다. 안전하게 보관하세요.'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandEncrypt(values, positionals) {
+    const files = positionals.length > 0
+        ? positionals.map(target => fs.existsSync(target) ? target : path.join(values.dir, target))
+        : listWalletFiles(values.dir).map(file => path.join(values.dir, file));
+
+    // 암호화할 평문 파일만 고르고, 개인키와 주소가 일치하지 않는 파일은 건너뜀
+    const targets = [];
+    const results = [];
+    for (const filepath of files) {
+        try {
+            const walletData = loadWalletFile(filepath);
+            if (isEncryptedWalletData(walletData)) {
+                results.push({ file: filepath, status: 'skipped', reason: '이미 암호화됨' });
+                continue;
+            }
+            if (walletData.keyType === SPLIT_KEY_TYPES.PARTIAL) {
+                results.push({ file: filepath, status: 'skipped', reason: '부분 키 파일 (개인키 없음)' });
+                continue;
+            }
+            if (walletData.keyType === SEED_KEY_TYPE) {
+                results.push({ file: filepath, status: 'skipped', reason: 'createWithSeed 주소 (개인키 없음)' });
+                continue;
+            }
+            if (walletData.keyType === PDA_KEY_TYPE) {
+                results.push({ file: filepath, status: 'skipped', reason: 'PDA (개인키 없음)' });
+                continue;
+            }
+            if (walletData.keyType === SPLIT_KEY_TYPES.SECRET) {
+                if (getAddressFromScalar(walletData.secretKey) !== walletData.basePoint) {
+                    results.push({ file: filepath, status: 'failed', reason: '비밀 키와 기준점이 일치하지 않음' });
+                } else {
+                    targets.push(filepath);
+                }
+                continue;
+            }
+            const address = walletData.privateScalar
+                ? getAddressFromScalar(walletData.privateScalar)
+                : getAddressFromKeypair(keypairFromPrivateKey(walletData.privateKey));
+            if (walletData.address && walletData.address !== address) {
+                results.push({ file: filepath, status: 'failed', reason: '개인키와 주소가 일치하지 않음' });
+                continue;
+            }
+            targets.push(filepath);
+        } catch (error) {
+            results.push({ file: filepath, status: 'failed', reason: error.message });
+        }
+    }
+
+    if (targets.length > 0) {
+        const password = await resolvePassword(true);
+        for (const filepath of targets) {
+            try {
+                encryptWalletFile(filepath, password);
+                results.push({ file: filepath, status: 'encrypted' });
+            } catch (error) {
+                results.push({ file: filepath, status: 'failed', reason: error.message });
+            }
+        }
+    }
+
+    const failed = results.filter(result => result.status === 'failed');
+    const encrypted = results.filter(result => result.status === 'encrypted');
+
+    if (values.json) {
+        printJson({ success: failed.length === 0, encrypted: encrypted.length, results });
+    } else if (results.length === 0) {
+        console.log(chalk.yellow('암호화할 지갑 파일이 없습니다.'));
+    } else {
+        for (const result of results) {
+            if (result.status === 'encrypted') {
+                console.log(`${chalk.green('🔒')} ${result.file}`);
+            } else if (result.status === 'skipped') {
+                console.log(`${chalk.gray('-')} ${result.file} ${chalk.gray(`(${result.reason})`)}`);
+            } else {
+                console.log(`${chalk.red('✗')} ${result.file} ${chalk.red(`(${result.reason})`)}`);
+            }
+        }
+        console.log(chalk.green(`\n🔒 ${encrypted.length}개 파일을 암호화했습니다.`) + (failed.length > 0 ? chalk.red(` (실패 ${failed.length}개)`) : ''));
+        if (encrypted.length > 0) {
+            console.log(chalk.yellow('   ⚠️ 비밀번호를 잃어버리면 개인키를 복구할 수 없습니다.'));
+        }
+    }
+
+    return failed.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+async function commandLabel(values, positionals) {
+    const target = positionals[0];
+    if (!target) {
+        throw new CliUsageError('라벨을 붙일 지갑 파일을 입력해주세요.');
+    }
+    if ([values.add, values.remove, values.note].every(value => value === undefined) && !values['clear-note']) {
+        throw new CliUsageError('--add, --remove, --note, --clear-note 중 하나 이상을 지정하세요.');
+    }
+    if (values.note !== undefined && values['clear-note']) {
+        throw new CliUsageError('--note와 --clear-note는 함께 사용할 수 없습니다.');
+    }
+
+    const filepath = fs.existsSync(target) ? target : path.join(values.dir, target);
+    if (!fs.existsSync(filepath)) {
+        if (values.json) {
+            printJson({ success: false, error: `지갑 파일을 찾을 수 없습니다: ${target}` });
+        } else {
+            console.error(chalk.red(`❌ 지갑 파일을 찾을 수 없습니다: ${target}`));
+        }
+        return EXIT_CODES.FAILURE;
+    }
+
+    const { labels, note } = updateWalletMetadata(filepath, {
+        addLabels: normalizeLabels(values.add),
+        removeLabels: normalizeLabels(values.remove),
+        note: values['clear-note'] ? null : values.note
+    });
+
+    if (values.json) {
+        printJson({ success: true, file: filepath, labels, note });
+    } else {
+        console.log(chalk.green(`🏷️  라벨과 메모를 저장했습니다: ${filepath}`));
+        console.log(chalk.cyan('라벨:'), labels.length > 0 ? labels.join(', ') : chalk.gray('(없음)'));
+        console.log(chalk.cyan('메모:'), note || chalk.gray('(없음)'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+async function commandDelete(values, positionals) {
+    if (positionals.length === 0 && !hasLibraryFilters(values)) {
+        throw new CliUsageError('삭제할 지갑 파일이나 필터(--pattern, --mode, --since, --until, --label)를 지정하세요.');
+    }
+
+    const files = selectLibraryFiles(values, positionals);
+    if (files.length === 0) {
+        if (values.json) {
+            printJson({ success: true, deleted: 0, results: [] });
+        } else {
+            console.log(chalk.yellow('조건에 맞는 지갑이 없습니다.'));
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (!values.yes) {
+        if (!process.stdin.isTTY) {
+            throw new CliUsageError('비대화형 환경에서는 --yes로 삭제를 확인해야 합니다.');
+        }
+        // --json 출력을 깨지 않도록 확인 질문은 표준 오류에 표시
+        console.error(chalk.yellow(`\n삭제할 지갑 파일 (${files.length}개):`));
+        files.forEach(filepath => console.error(`  ${filepath}`));
+        const prompt = inquirer.createPromptModule({ output: process.stderr });
+        const { confirmed } = await prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: `${files.length}개 지갑 파일을 덮어쓴 뒤 삭제합니다. 개인키를 백업하지 않았다면 복구할 수 없습니다. 계속할까요?`,
+                default: false
+            }
+        ]);
+        if (!confirmed) {
+            if (values.json) {
+                printJson({ success: false, error: '삭제를 취소했습니다.' });
+            } else {
+                console.log(chalk.yellow('삭제를 취소했습니다.'));
+            }
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    const results = files.map((filepath) => {
+        try {
+            const { removed, remainingKeypair } = deleteWalletFile(filepath, {
+                walletsDir: values.dir,
+                removeKeypair: values['with-keypair']
+            });
+            return { file: filepath, status: 'deleted', removed, remainingKeypair };
+        } catch (error) {
+            return { file: filepath, status: 'failed', reason: error.message };
+        }
+    });
+
+    const failed = results.filter(result => result.status === 'failed');
+    const deleted = results.filter(result => result.status === 'deleted');
+    const remaining = deleted.map(result => result.remainingKeypair).filter(Boolean);
+
+    if (values.json) {
+        printJson({ success: failed.length === 0, deleted: deleted.length, results });
+    } else {
+        for (const result of results) {
+            if (result.status === 'deleted') {
+                result.removed.forEach(file => console.log(`${chalk.green('🗑️ ')} ${file}`));
+            } else {
+                console.log(`${chalk.red('✗')} ${result.file} ${chalk.red(`(${result.reason})`)}`);
+            }
+        }
+        console.log(chalk.green(`\n🗑️  ${deleted.length}개 지갑을 삭제했습니다.`) + (failed.length > 0 ? chalk.red(` (실패 ${failed.length}개)`) : ''));
+        if (remaining.length > 0) {
+            console.log(chalk.yellow('   ⚠️ 같은 개인키가 들어 있는 키페어 파일이 남아 있습니다 (--with-keypair로 함께 삭제):'));
+            remaining.forEach(file => console.log(chalk.yellow(`      ${file}`)));
+        }
+    }
+    return failed.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+async function commandBundle(values, positionals) {
+    if (!values.out) {
+        throw new CliUsageError('--out으로 묶음 파일 경로를 지정하세요.');
+    }
+
+    const files = selectLibraryFiles(values, positionals);
+    const result = exportWalletBundle(files, values.out, { publicOnly: values.public, overwrite: values.force });
+
+    if (values.json) {
+        printJson({ success: true, ...result, publicOnly: values.public });
+    } else {
+        console.log(chalk.green(`📦 ${result.count}개 지갑을 묶음 파일로 내보냈습니다: ${result.filepath}`));
+        if (values.public) {
+            console.log(chalk.gray('   개인키 없이 주소와 메타데이터만 들어 있습니다.'));
+        } else {
+            console.log(chalk.gray(`   암호화된 지갑 ${result.encrypted}개, 평문 지갑 ${result.plaintext}개`));
+            if (result.plaintext > 0) {
+                console.log(chalk.yellow('   ⚠️ 이 파일에는 평문 개인키가 포함되어 있습니다. 안전하게 보관하세요.'));
+            }
+        }
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+const AUDIT_STATUS_STYLES = {
+    [AUDIT_STATUS.OK]: { icon: '✓', color: chalk.green },
+    [AUDIT_STATUS.WARNING]: { icon: '⚠', color: chalk.yellow },
+    [AUDIT_STATUS.FAILED]: { icon: '✗', color: chalk.red }
+};
+
+/**
+ * audit 명령어: 지갑 파일의 개인키-주소 일치, 패턴 일치, 필수 필드를 점검합니다
+ */
+async function commandAudit(values, positionals) {
+    const password = values.decrypt ? await resolvePassword() : null;
+
+    let results;
+    if (positionals.length > 0) {
+        results = positionals.map(target => {
+            const filepath = fs.existsSync(target) ? target : path.join(values.dir, target);
+            if (!fs.existsSync(filepath)) {
+                throw new Error(`지갑 파일을 찾을 수 없습니다: ${target}`);
+            }
+            return auditWalletFile(filepath, { password });
+        });
+    } else {
+        ({ results } = auditWallets(values.dir, { password }));
+    }
+
+    // --strict이면 경고도 실패로 셈
+    const isFailure = result => result.status === AUDIT_STATUS.FAILED
+        || (values.strict && result.status === AUDIT_STATUS.WARNING);
+    const summary = summarizeAudit(results);
+    const success = !results.some(isFailure);
+
+    if (values.json) {
+        printJson({
+            success,
+            dir: values.dir,
+            strict: values.strict,
+            summary,
+            results: results.map(({ filepath, ...result }) => result)
+        });
+        return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+    }
+
+    if (results.length === 0) {
+        console.log(chalk.yellow('점검할 지갑 파일이 없습니다.'));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    for (const result of results) {
+        const { icon, color } = AUDIT_STATUS_STYLES[result.status];
+        console.log(color(`${icon} ${result.file}`) + (result.address ? chalk.gray(` (${result.address})`) : ''));
+        for (const issue of result.issues) {
+            const issueColor = issue.severity === 'error' ? chalk.red : chalk.yellow;
+            console.log(issueColor(`   - ${issue.message}`));
+        }
+    }
+
+    console.log('');
+    const summaryLine = `🩺 ${summary.total}개 점검: 정상 ${summary.ok}개, 경고 ${summary.warning}개, 실패 ${summary.failed}개`;
+    console.log(success ? chalk.green(summaryLine) : chalk.red(summaryLine));
+    if (summary.warning > 0 && !password && results.some(result => result.issues.some(issue => issue.code === AUDIT_ISSUES.ENCRYPTED))) {
+        console.log(chalk.gray('   암호화된 파일의 개인키까지 점검하려면 --decrypt를 사용하세요.'));
+    }
+    return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * benchmark 명령어: 워커 수 1..N과 검색 모드별 속도를 측정하고 결과를 저장합니다
+ */
+async function commandBenchmark(values) {
+    let maxWorkers = getDefaultWorkerCount();
+    if (values.workers !== undefined) {
+        maxWorkers = Number(values.workers);
+        if (!Number.isInteger(maxWorkers) || maxWorkers < 1) {
+            throw new CliUsageError('워커 수(--workers)는 1 이상의 정수여야 합니다.');
+        }
+    }
+    const seconds = Number(values.seconds);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new CliUsageError('측정 시간(--seconds)은 0보다 큰 숫자여야 합니다.');
+    }
+    const modes = values.mode !== undefined
+        ? values.mode.split(',').map(mode => mode.trim()).filter(Boolean)
+        : BENCHMARK_MODES;
+    const unknownModes = modes.filter(mode => !BENCHMARK_MODES.includes(mode));
+    if (modes.length === 0 || unknownModes.length > 0) {
+        throw new CliUsageError(`알 수 없는 검색 모드입니다: ${unknownModes.join(', ') || values.mode} (${BENCHMARK_MODES.join(', ')} 중 하나)`);
+    }
+
+    if (!values.json) {
+        console.log(chalk.cyan(`⚡ 벤치마크: 워커 1~${maxWorkers}개 × ${modes.length}개 모드, 각 ${seconds}초`));
+    }
+
+    const abortController = new AbortController();
+    const onInterrupt = () => abortController.abort();
+    process.once('SIGINT', onInterrupt);
+
+    try {
+        const benchmark = await runBenchmark({
+            maxWorkers,
+            seconds,
+            modes,
+            signal: abortController.signal,
+            onResult: ({ searchMode, workers, rate }) => {
+                if (!values.json) {
+                    console.log(chalk.gray(`   ${searchMode} × ${workers}워커: ${rate.toLocaleString()}/초`));
+                }
+            }
+        });
+        const filepath = values['no-save'] ? null : saveBenchmark(benchmark, values.dir);
+
+        if (values.json) {
+            printJson({ success: true, file: filepath, ...benchmark });
+        } else {
+            console.log('');
+            formatBenchmarkTable(benchmark).forEach((line, index) => {
+                console.log(index === 0 ? chalk.bold(line) : line);
+            });
+            console.log(chalk.green(`\n💡 추천 워커 수: ${benchmark.recommendedWorkers}개`) + chalk.gray(` (예: --workers ${benchmark.recommendedWorkers})`));
+            if (filepath) {
+                console.log(chalk.cyan('💾 결과 파일:'), filepath);
+            }
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        if (error instanceof SearchCancelledError) {
+            if (values.json) {
+                printJson({ success: false, cancelled: true });
+            } else {
+                console.error(chalk.yellow('\n⏸️  벤치마크를 중단했습니다. 결과는 저장하지 않았습니다.'));
+            }
+            return EXIT_CODES.INTERRUPTED;
+        }
+        throw error;
+    } finally {
+        process.off('SIGINT', onInterrupt);
+    }
+}
+
+const COMMANDS = {
+    generate: commandGenerate,
+    resume: commandResume,
+    batch: commandBatch,
+    serve: commandServe,
+    'split-init': commandSplitInit,
+    'split-generate': commandSplitGenerate,
+    'split-combine': commandSplitCombine,
+    'seed-generate': commandSeedGenerate,
+    'pda-generate': commandPdaGenerate,
+    verify: commandVerify,
+    sign: commandSign,
+    export: commandExport,
+    encrypt: commandEncrypt,
+    list: commandList,
+    show: commandShow,
+    label: commandLabel,
+    delete: commandDelete,
+    bundle: commandBundle,
+    audit: commandAudit,
+    benchmark: commandBenchmark
+};
+
+/**
+ * 비대화형 CLI를 실행합니다
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Promise<number>} 종료 코드 (EXIT_CODES)
+ */
+export async function runCli(argv) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        const wantsJson = argv.includes('--json');
+        if (wantsJson) {
+            printJson({ success: false, error: error.message });
+        } else {
+            console.error(chalk.red(`❌ ${error.message}`));
+            console.error(USAGE);
+        }
+        return EXIT_CODES.USAGE;
+    }
+
+    const { command, values, positionals, explicit } = parsed;
+
+    if (command === 'help' || values.help) {
+        console.log(USAGE);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    try {
+        let config;
+        try {
+            config = loadConfig({ configPath: values.config });
+        } catch (error) {
+            throw new CliUsageError(error.message);
+        }
+        applyConfig(command, values, positionals, explicit, config);
+        return await COMMANDS[command](values, positionals, config);
+    } catch (error) {
+        const exitCode = error instanceof CliUsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+        if (values.json) {
+            printJson({ success: false, error: error.message });
+        } else {
+            console.error(chalk.red('❌ 오류가 발생했습니다:'), error.message);
+        }
+        return exitCode;
+    }
+}
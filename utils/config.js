@@ -0,0 +1,278 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_WALLETS_DIR, EXPORT_FORMATS } from './wallet-storage.js';
+import { isValidPattern } from './wallet-generator.js';
+import { validatePatternExpression } from './regex-pattern.js';
+import { MNEMONIC_WORD_COUNTS } from './mnemonic.js';
+import { getDefaultWorkerCount } from './worker-pool.js';
+
+/**
+ * 설정 파일 (.vanityrc.json)
+ *
+ * 생성 옵션의 기본값과 이름 붙인 프리셋을 저장합니다. --config로 지정하지 않으면
+ * 현재 디렉토리(프로젝트), 홈 디렉토리 순서로 처음 찾은 파일 하나를 사용합니다.
+ * 대화형 모드는 기본값이나 프리셋에 있는 항목을 다시 묻지 않고, CLI는 명령줄에서
+ * 지정하지 않은 옵션에만 적용합니다.
+ *
+ * @example
+ * {
+ *   "walletsDir": "~/vanity-wallets",
+ *   "maxPatternLength": 10,
+ *   "workers": 6,
+ *   "defaults": { "caseSensitive": false, "multiCore": true },
+ *   "presets": {
+ *     "team prefix": { "mode": "startsWith", "pattern": "Team", "count": 5 }
+ *   }
+ * }
+ */
+
+/**
+ * 설정 파일 이름
+ */
+export const CONFIG_FILE_NAME = '.vanityrc.json';
+
+/**
+ * 시작/포함/끝 패턴의 기본 최대 길이
+ */
+export const DEFAULT_MAX_PATTERN_LENGTH = 8;
+
+// base58로 쓴 32바이트 주소의 최대 길이 (이보다 긴 패턴은 일치할 수 없음)
+const MAX_ADDRESS_LENGTH = 44;
+
+const CONFIG_SEARCH_MODES = ['startsWith', 'contains', 'startEnd', 'regex'];
+const CONFIG_KEYS = ['walletsDir', 'maxPatternLength', 'workers', 'defaults', 'presets'];
+
+/**
+ * defaults에 쓸 수 있는 항목 (검색 대상이 아닌 생성 방식)
+ */
+export const CONFIG_DEFAULT_KEYS = ['caseSensitive', 'multiCore', 'mnemonic', 'words', 'format', 'encrypt'];
+
+/**
+ * 프리셋에 쓸 수 있는 항목 (defaults 항목 + 검색 대상과 목표)
+ */
+export const CONFIG_PRESET_KEYS = ['description', 'mode', 'pattern', 'start', 'end', 'count', 'duration', ...CONFIG_DEFAULT_KEYS];
+
+/**
+ * 설정 파일을 찾을 경로 목록을 우선순위대로 반환합니다
+ * @param {string} cwd - 프로젝트 디렉토리 (기본: 현재 디렉토리)
+ * @param {string} homeDir - 홈 디렉토리
+ * @returns {string[]} [프로젝트 설정, 홈 설정] (같은 디렉토리면 하나)
+ */
+export function getConfigSearchPaths(cwd = process.cwd(), homeDir = os.homedir()) {
+    const paths = [path.join(cwd, CONFIG_FILE_NAME), path.join(homeDir, CONFIG_FILE_NAME)];
+    return paths[0] === paths[1] ? [paths[0]] : paths;
+}
+
+/**
+ * 설정 파일이 없을 때의 기본 설정을 반환합니다
+ * @returns {Object} 기본 설정
+ */
+export function getDefaultConfig() {
+    return {
+        path: null,
+        walletsDir: DEFAULT_WALLETS_DIR,
+        maxPatternLength: DEFAULT_MAX_PATTERN_LENGTH,
+        workers: null,
+        defaults: {},
+        presets: {}
+    };
+}
+
+/**
+ * 설정 파일의 워커 수 또는 CPU 코어 수를 반환합니다
+ * @param {Object} config - loadConfig 결과
+ * @returns {number} 워커 수
+ */
+export function getConfiguredWorkerCount(config) {
+    return config.workers || getDefaultWorkerCount();
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 기본값 또는 프리셋 하나를 검사합니다
+ * @param {Object} options - 검사할 항목
+ * @param {string[]} allowedKeys - 허용하는 항목
+ * @param {string} label - 오류 메시지에 사용할 이름
+ * @param {number} maxPatternLength - 패턴 최대 길이
+ * @returns {Object} 검사한 항목 (YAML/JSON 숫자 패턴은 문자열로 바꿈)
+ */
+function validateOptions(options, allowedKeys, label, maxPatternLength) {
+    if (!isPlainObject(options)) {
+        throw new Error(`${label}은(는) 객체여야 합니다.`);
+    }
+    const unknown = Object.keys(options).filter(key => !allowedKeys.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${label}에 알 수 없는 항목이 있습니다: ${unknown.join(', ')} (사용 가능: ${allowedKeys.join(', ')})`);
+    }
+
+    const result = { ...options };
+    for (const key of ['pattern', 'start', 'end']) {
+        if (typeof result[key] === 'number') {
+            result[key] = String(result[key]);
+        }
+    }
+
+    const checkPlain = (value, name) => {
+        if (typeof value !== 'string' || value.length === 0) {
+            throw new Error(`${label}.${name}은(는) 비어 있지 않은 문자열이어야 합니다.`);
+        }
+        if (value.length > maxPatternLength) {
+            throw new Error(`${label}.${name}이(가) 너무 깁니다. ${maxPatternLength}자 이하여야 합니다 (maxPatternLength).`);
+        }
+        if (!isValidPattern(value)) {
+            throw new Error(`${label}.${name}이(가) 유효하지 않습니다. Base58 문자(1-9, A-H, J-N, P-Z, a-k, m-z)만 사용 가능합니다.`);
+        }
+    };
+
+    const mode = result.mode ?? 'startsWith';
+    if (!CONFIG_SEARCH_MODES.includes(mode)) {
+        throw new Error(`${label}.mode는 ${CONFIG_SEARCH_MODES.join(', ')} 중 하나여야 합니다: ${mode}`);
+    }
+    if (mode === 'regex' && result.pattern !== undefined) {
+        const validation = validatePatternExpression(String(result.pattern));
+        if (validation !== true) {
+            throw new Error(`${label}.pattern: ${validation}`);
+        }
+    } else if (result.pattern !== undefined) {
+        checkPlain(result.pattern, 'pattern');
+    }
+    if (result.start !== undefined) checkPlain(result.start, 'start');
+    if (result.end !== undefined) checkPlain(result.end, 'end');
+
+    for (const key of ['caseSensitive', 'multiCore', 'mnemonic', 'encrypt']) {
+        if (result[key] !== undefined && typeof result[key] !== 'boolean') {
+            throw new Error(`${label}.${key}는 true 또는 false여야 합니다.`);
+        }
+    }
+    if (result.description !== undefined && typeof result.description !== 'string') {
+        throw new Error(`${label}.description은 문자열이어야 합니다.`);
+    }
+    if (result.words !== undefined && !MNEMONIC_WORD_COUNTS.includes(result.words)) {
+        throw new Error(`${label}.words는 ${MNEMONIC_WORD_COUNTS.join(' 또는 ')}이어야 합니다.`);
+    }
+    if (result.format !== undefined && !EXPORT_FORMATS.includes(result.format)) {
+        throw new Error(`${label}.format은 ${EXPORT_FORMATS.join(', ')} 중 하나여야 합니다.`);
+    }
+    if (result.count !== undefined && (!Number.isInteger(result.count) || result.count < 1)) {
+        throw new Error(`${label}.count는 1 이상의 정수여야 합니다.`);
+    }
+    if (result.duration !== undefined && (typeof result.duration !== 'number' || !(result.duration > 0))) {
+        throw new Error(`${label}.duration은 0보다 큰 숫자(분)여야 합니다.`);
+    }
+    if (result.multiCore === false && (result.count !== undefined || result.duration !== undefined)) {
+        throw new Error(`${label}: count, duration은 멀티코어에서만 사용할 수 있습니다.`);
+    }
+    return result;
+}
+
+/**
+ * 설정 파일 내용을 검사하고 기본 설정과 합칩니다
+ * @param {Object} raw - 파싱한 설정 파일 내용
+ * @param {string|null} source - 설정 파일 경로 (오류 메시지용)
+ * @returns {Object} 설정 {path, walletsDir, maxPatternLength, workers, defaults, presets}
+ * @throws {Error} 형식이 잘못되었을 때
+ */
+export function normalizeConfig(raw, source = null) {
+    const config = getDefaultConfig();
+    config.path = source;
+    const prefix = source ? `설정 파일 ${source}: ` : '';
+
+    try {
+        if (!isPlainObject(raw)) {
+            throw new Error('설정은 JSON 객체여야 합니다.');
+        }
+        const unknown = Object.keys(raw).filter(key => !CONFIG_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`알 수 없는 항목이 있습니다: ${unknown.join(', ')} (사용 가능: ${CONFIG_KEYS.join(', ')})`);
+        }
+
+        if (raw.walletsDir !== undefined) {
+            if (typeof raw.walletsDir !== 'string' || raw.walletsDir.trim() === '') {
+                throw new Error('walletsDir은 디렉토리 경로 문자열이어야 합니다.');
+            }
+            // 홈 설정에서 쓰기 편하도록 ~/ 는 홈 디렉토리로 바꿈
+            config.walletsDir = raw.walletsDir.replace(/^~(?=$|[\\/])/, os.homedir());
+        }
+        if (raw.maxPatternLength !== undefined) {
+            if (!Number.isInteger(raw.maxPatternLength) || raw.maxPatternLength < 1 || raw.maxPatternLength > MAX_ADDRESS_LENGTH) {
+                throw new Error(`maxPatternLength는 1에서 ${MAX_ADDRESS_LENGTH} 사이의 정수여야 합니다.`);
+            }
+            config.maxPatternLength = raw.maxPatternLength;
+        }
+        if (raw.workers !== undefined && raw.workers !== null) {
+            if (!Number.isInteger(raw.workers) || raw.workers < 1) {
+                throw new Error('workers는 1 이상의 정수여야 합니다.');
+            }
+            config.workers = raw.workers;
+        }
+        if (raw.defaults !== undefined) {
+            config.defaults = validateOptions(raw.defaults, CONFIG_DEFAULT_KEYS, 'defaults', config.maxPatternLength);
+        }
+        if (raw.presets !== undefined) {
+            if (!isPlainObject(raw.presets)) {
+                throw new Error('presets는 이름을 키로 하는 객체여야 합니다.');
+            }
+            for (const [name, preset] of Object.entries(raw.presets)) {
+                config.presets[name] = validateOptions(preset, CONFIG_PRESET_KEYS, `presets."${name}"`, config.maxPatternLength);
+            }
+        }
+        if (config.defaults.encrypt && config.defaults.format && config.defaults.format !== 'json') {
+            throw new Error('defaults.encrypt는 json 저장 형식에서만 사용할 수 있습니다.');
+        }
+    } catch (error) {
+        throw new Error(`${prefix}${error.message}`);
+    }
+    return config;
+}
+
+/**
+ * 설정을 불러옵니다
+ * configPath를 지정하면 그 파일만 읽고 (없으면 오류), 지정하지 않으면 프로젝트와 홈 디렉토리에서
+ * 처음 찾은 파일을 읽습니다. 설정 파일이 없으면 기본 설정을 반환합니다.
+ * @param {Object} options - 옵션
+ * @param {string|null} options.configPath - 설정 파일 경로 (--config)
+ * @param {string} options.cwd - 프로젝트 디렉토리 (기본: 현재 디렉토리)
+ * @param {string} options.homeDir - 홈 디렉토리
+ * @returns {Object} 설정 {path, walletsDir, maxPatternLength, workers, defaults, presets}
+ * @throws {Error} 지정한 파일이 없거나 형식이 잘못되었을 때
+ */
+export function loadConfig({ configPath = null, cwd = process.cwd(), homeDir = os.homedir() } = {}) {
+    let source = configPath;
+    if (source) {
+        if (!fs.existsSync(source)) {
+            throw new Error(`설정 파일을 찾을 수 없습니다: ${source}`);
+        }
+    } else {
+        source = getConfigSearchPaths(cwd, homeDir).find(candidate => fs.existsSync(candidate)) || null;
+        if (!source) {
+            return getDefaultConfig();
+        }
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+        throw new Error(`설정 파일을 읽을 수 없습니다: ${source} (${error.message})`);
+    }
+    return normalizeConfig(raw, source);
+}
+
+/**
+ * 프리셋을 이름으로 찾습니다
+ * @param {Object} config - loadConfig 결과
+ * @param {string} name - 프리셋 이름
+ * @returns {Object} 프리셋
+ * @throws {Error} 없는 프리셋일 때
+ */
+export function getPreset(config, name) {
+    if (!Object.hasOwn(config.presets, name)) {
+        const names = Object.keys(config.presets);
+        throw new Error(`프리셋을 찾을 수 없습니다: ${name}` + (names.length > 0 ? ` (사용 가능: ${names.join(', ')})` : ' (설정 파일에 presets가 없습니다)'));
+    }
+    return config.presets[name];
+}
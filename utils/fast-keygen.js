@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { BASE58_ALPHABET } from './regex-pattern.js';
+
+/**
+ * 빠른 키 생성 엔진
+ *
+ * Keypair 객체와 44자 전체 base58 인코딩 없이 원시 ed25519 공개키(32바이트)를 만들고,
+ * 시작 패턴은 공개키 상위 48비트의 숫자 범위 비교로 대부분의 후보를 인코딩 전에 걸러냅니다.
+ *
+ * 키 생성은 Node 내장 crypto(OpenSSL)의 ed25519를 사용합니다.
+ * tweetnacl의 nacl.sign.keyPair()는 순수 JS 구현이라 측정 결과 Keypair.generate()보다
+ * 약 20배 느렸기 때문에 핫 루프에는 사용하지 않습니다 (npm run bench 참고).
+ */
+
+/**
+ * 사용할 수 있는 키 생성 엔진
+ *   - 'native': Node crypto + 시작 패턴 범위 필터 (기본)
+ *   - 'keypair': 기존 방식 (Keypair.generate() + toBase58())
+ *   - 'mnemonic': BIP39 니모닉 + SLIP-0010 유도 (시드 문구로 지갑 앱에서 가져올 수 있음, utils/mnemonic.js)
+ *   - 'split': 기준점 + 부분 키 (최종 개인키 없이 검색, utils/split-key.js)
+ *   - 'seed': createWithSeed의 seed 문자열 (개인키 없는 주소, utils/seed-address.js)
+ *   - 'pda': 프로그램 유도 주소의 nonce seed (개인키 없는 주소, utils/program-address.js)
+ */
+export const KEYGEN_ENGINES = ['native', 'keypair', 'mnemonic', 'split', 'seed', 'pda'];
+
+/**
+ * 대소문자 무시 검색에서 범위 필터를 만들 최대 변형 수 (초과하면 필터 없이 전체 검사)
+ */
+const MAX_PREFIX_VARIANTS = 4096;
+
+/**
+ * 상위 48비트를 얻기 위해 버리는 하위 비트 수 (256 - 48)
+ */
+const TOP_SHIFT = 208n;
+
+/**
+ * 이 값보다 상위 48비트가 작으면 (첫 바이트가 0 → 주소가 '1'로 시작하거나 42자 이하)
+ * 범위 필터를 적용하지 않고 전체 인코딩으로 검사합니다
+ */
+const FALLBACK_TOP = 2 ** 40;
+
+const BASE = 58n;
+
+/**
+ * generateKeyPairSync가 KeyObject 대신 JWK를 바로 반환하도록 하는 인코딩 옵션
+ * 반복마다 KeyObject를 만들면 가비지 컬렉션 중 키 해제가 키 생성과 겹쳐
+ * 워커가 멈추는 현상이 있어 핫 루프에서는 KeyObject를 만들지 않습니다.
+ */
+const JWK_ENCODING = {
+    publicKeyEncoding: { format: 'jwk' },
+    privateKeyEncoding: { format: 'jwk' }
+};
+
+/**
+ * 원시 ed25519 키쌍을 생성합니다
+ * @returns {{publicKey: Buffer, privateJwk: Object}} 32바이트 공개키와 JWK 형식 개인키
+ */
+export function generateRawKeypair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', JWK_ENCODING);
+    return {
+        publicKey: Buffer.from(publicKey.x, 'base64url'),
+        privateJwk: privateKey
+    };
+}
+
+/**
+ * 원시 키쌍에서 솔라나 형식의 64바이트 secretKey(seed + 공개키)를 만듭니다
+ * 패턴이 일치한 경우에만 호출하세요.
+ * @param {{publicKey: Buffer, privateJwk: Object}} rawKeypair - generateRawKeypair 결과
+ * @returns {Uint8Array} 64바이트 secretKey (Keypair.fromSecretKey와 호환)
+ */
+export function getSecretKeyFromRawKeypair(rawKeypair) {
+    const seed = Buffer.from(rawKeypair.privateJwk.d, 'base64url');
+    return new Uint8Array(Buffer.concat([seed, rawKeypair.publicKey]));
+}
+
+/**
+ * base58 문자열을 숫자로 변환합니다
+ */
+function base58ToBigInt(text) {
+    let value = 0n;
+    for (const ch of text) {
+        value = value * BASE + BigInt(BASE58_ALPHABET.indexOf(ch));
+    }
+    return value;
+}
+
+/**
+ * 대소문자를 무시할 때 패턴과 일치하는 모든 Base58 변형을 만듭니다
+ * @returns {string[]|null} 변형 목록 (너무 많으면 null)
+ */
+function expandCaseVariants(pattern, caseSensitive) {
+    if (caseSensitive) {
+        return [pattern];
+    }
+
+    let variants = [''];
+    for (const ch of pattern) {
+        const options = [...BASE58_ALPHABET].filter(candidate => candidate.toLowerCase() === ch.toLowerCase());
+        variants = variants.flatMap(prefix => options.map(option => prefix + option));
+        if (variants.length > MAX_PREFIX_VARIANTS) {
+            return null;
+        }
+    }
+    return variants;
+}
+
+/**
+ * 시작 패턴과 일치할 수 있는 공개키 상위 48비트 구간 목록을 계산합니다
+ */
+function prefixTopRanges(prefix) {
+    // 첫 바이트가 0이 아닌 32바이트 값의 주소 첫 글자는 '1'(숫자 0)이 될 수 없음
+    if (prefix.startsWith('1')) {
+        return [];
+    }
+
+    const prefixValue = base58ToBigInt(prefix);
+    const maxValue = 1n << 256n;
+    const ranges = [];
+
+    // 첫 바이트가 0이 아니면 값은 2^248 이상이므로 주소 길이는 43 또는 44자
+    for (const length of [43, 44]) {
+        const remaining = BigInt(length - prefix.length);
+        if (remaining < 0n) {
+            continue;
+        }
+        const scale = BASE ** remaining;
+        let lo = prefixValue * scale;
+        let hi = (prefixValue + 1n) * scale;
+
+        // 해당 길이의 값 범위 [58^(L-1), 58^L)와 교집합
+        const lengthLo = BASE ** BigInt(length - 1);
+        const lengthHi = BASE ** BigInt(length);
+        lo = lo > lengthLo ? lo : lengthLo;
+        hi = hi < lengthHi ? hi : lengthHi;
+        hi = hi < maxValue ? hi : maxValue;
+
+        if (lo < hi) {
+            ranges.push([Number(lo >> TOP_SHIFT), Number((hi - 1n) >> TOP_SHIFT)]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * 시작 패턴용 범위 필터를 만듭니다
+ * 필터가 false를 반환한 공개키는 어떤 패턴과도 일치하지 않음이 보장됩니다 (true는 "일치 가능").
+ * @param {Array<{pattern: string, caseSensitive: boolean}>} prefixes - 시작 패턴 목록
+ * @returns {Function|null} (publicKeyBytes) => boolean, 필터를 만들 수 없으면 null
+ */
+export function createPrefixFilter(prefixes) {
+    let ranges = [];
+
+    for (const { pattern, caseSensitive = true } of prefixes) {
+        if (!pattern) {
+            return null;
+        }
+        const variants = expandCaseVariants(pattern, caseSensitive);
+        if (!variants) {
+            return null;
+        }
+        for (const variant of variants) {
+            ranges.push(...prefixTopRanges(variant));
+        }
+    }
+
+    // 정렬 후 겹치거나 이어지는 구간 병합
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    }
+    ranges = merged;
+
+    return (publicKeyBytes) => {
+        const top = publicKeyBytes.readUIntBE(0, 6);
+        if (top < FALLBACK_TOP) {
+            return true;
+        }
+
+        // 이진 탐색
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (top < ranges[mid][0]) {
+                high = mid - 1;
+            } else if (top > ranges[mid][1]) {
+                low = mid + 1;
+            } else {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+/**
+ * 검색 설정에 맞는 범위 필터를 만듭니다 (시작 패턴이 없는 모드는 null)
+ * @param {Object} searchSettings - {searchMode, pattern, startPattern, caseSensitive, patterns}
+ * @returns {Function|null} 범위 필터
+ */
+export function createSearchPrefixFilter({ searchMode = 'startsWith', pattern, startPattern, caseSensitive = true, patterns }) {
+    if (searchMode === 'startsWith') {
+        return createPrefixFilter([{ pattern, caseSensitive }]);
+    }
+    if (searchMode === 'startEnd' && startPattern && startPattern.trim().length > 0) {
+        return createPrefixFilter([{ pattern: startPattern, caseSensitive }]);
+    }
+    if (searchMode === 'multi' && patterns.every(spec => spec.searchMode === 'startsWith')) {
+        return createPrefixFilter(patterns);
+    }
+    return null;
+}
@@ -0,0 +1,428 @@
+import http from 'http';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { SearchCancelledError } from './worker-pool.js';
+
+/**
+ * 로컬 HTTP 작업 API (serve 명령)
+ *
+ * 대시보드 같은 다른 프로그램이 localhost에서 vanity 검색 작업을 제출하고 진행 상황을 조회합니다.
+ * 작업은 들어온 순서대로 하나씩 공유 워커 풀에서 실행하고, /health를 뺀 모든 경로는
+ * Authorization: Bearer <토큰> 헤더가 있어야 합니다. 검색 설정 검사와 실행, 결과 지갑의
+ * 형태(개인키 포함 여부)는 서버를 만드는 쪽에서 정합니다.
+ *
+ * 경로:
+ *   GET  /health            서버 상태 (인증 불필요)
+ *   POST /jobs              작업 제출 {pattern, mode, caseSensitive, start, end, count} → 202
+ *   GET  /jobs              작업 목록
+ *   GET  /jobs/:id          상태와 진행 상황 (누적 시도 횟수, 초당 속도, 예상 시간)
+ *   POST /jobs/:id/cancel   대기 중이거나 실행 중인 작업 취소
+ *   GET  /jobs/:id/result   찾은 지갑 (완료된 작업만)
+ */
+
+/**
+ * 기본 주소 (같은 머신에서만 접속 가능)
+ */
+export const DEFAULT_SERVER_HOST = '127.0.0.1';
+
+/**
+ * 기본 포트
+ */
+export const DEFAULT_SERVER_PORT = 8787;
+
+/**
+ * API 작업 상태
+ *   - queued: 앞의 작업이 끝나기를 기다리는 중
+ *   - running: 검색 중
+ *   - completed: 목표를 달성하여 결과를 받을 수 있음
+ *   - cancelled: 요청으로 취소됨 (찾은 지갑과 진행 상황은 작업 파일에 남음)
+ *   - failed: 오류로 중단됨
+ */
+export const SERVER_JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+/**
+ * 작업 요청 본문에 쓸 수 있는 항목
+ */
+export const JOB_REQUEST_KEYS = ['mode', 'pattern', 'start', 'end', 'caseSensitive', 'count'];
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_QUEUED_JOBS = 100;
+// 메모리에 남겨 둘 끝난 작업 수 (넘으면 오래된 것부터 목록에서 뺌)
+const MAX_FINISHED_JOBS = 200;
+
+/**
+ * HTTP 상태 코드와 함께 응답할 오류
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP 상태 코드
+     * @param {string} message - 응답 본문의 error 메시지
+     * @param {Object} headers - 함께 보낼 응답 헤더
+     */
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+/**
+ * 무작위 API 토큰을 만듭니다
+ * @returns {string} base64url 토큰 (192비트)
+ */
+export function generateApiToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * 작업 요청 본문의 형식을 검사합니다 (패턴 자체의 유효성은 서버를 만드는 쪽에서 검사)
+ * @param {*} body - JSON으로 파싱한 요청 본문
+ * @returns {Object} {mode, pattern, start, end, caseSensitive, count} (없는 항목은 undefined)
+ * @throws {HttpError} 400: 객체가 아니거나 알 수 없는 항목, 잘못된 타입이 있을 때
+ */
+export function parseJobRequest(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, '요청 본문은 JSON 객체여야 합니다.');
+    }
+    const unknown = Object.keys(body).filter(key => !JOB_REQUEST_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `알 수 없는 항목이 있습니다: ${unknown.join(', ')} (사용 가능: ${JOB_REQUEST_KEYS.join(', ')})`);
+    }
+
+    for (const key of ['mode', 'pattern', 'start', 'end']) {
+        if (body[key] !== undefined && typeof body[key] !== 'string') {
+            throw new HttpError(400, `${key}는 문자열이어야 합니다.`);
+        }
+    }
+    if (body.caseSensitive !== undefined && typeof body.caseSensitive !== 'boolean') {
+        throw new HttpError(400, 'caseSensitive는 true 또는 false여야 합니다.');
+    }
+    if (body.count !== undefined && (!Number.isInteger(body.count) || body.count < 1)) {
+        throw new HttpError(400, 'count는 1 이상의 정수여야 합니다.');
+    }
+
+    const { mode, pattern, start, end, caseSensitive, count } = body;
+    return { mode, pattern, start, end, caseSensitive, count };
+}
+
+/**
+ * 요청 본문을 JSON으로 읽습니다
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // 남은 본문은 버리고 바로 413으로 응답
+                req.off('data', onData);
+                req.resume();
+                reject(new HttpError(413, `요청 본문이 너무 큽니다 (최대 ${MAX_BODY_BYTES}바이트).`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        req.on('data', onData);
+        req.on('error', reject);
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text.trim() ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(new HttpError(400, '요청 본문이 올바른 JSON이 아닙니다.'));
+            }
+        });
+    });
+}
+
+/**
+ * JSON 응답을 보냅니다
+ */
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // 결과에 지갑 정보가 들어 있으므로 중간에서 캐시하지 않도록 함
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * 경로에 맞는 메서드인지 확인합니다
+ */
+function requireMethod(req, method) {
+    if (req.method !== method) {
+        throw new HttpError(405, `${method} 메서드만 사용할 수 있습니다.`, { Allow: method });
+    }
+}
+
+/**
+ * 작업 API 서버를 만듭니다 (listen()을 호출해야 요청을 받음)
+ * @param {Object} options - 서버 옵션
+ * @param {string} options.token - Bearer 인증 토큰
+ * @param {Function} options.createJob - (request) => 작업 정보 (job-store 형식, id/settings/totalAttempts/elapsedMs/wallets)
+ *                                       잘못된 요청이면 HttpError(400)를 던짐
+ * @param {Function} options.runJob - (job, {signal, onSearch}) => Promise<결과 객체> (/result 응답에 그대로 들어감)
+ *                                    onSearch(search)는 createVanitySearch로 만든 검색을 받아 진행 이벤트를 구독함
+ * @param {Function} options.dropJob - (job) => 실행하지 못하고 취소된 작업을 정리 (선택)
+ * @returns {EventEmitter} 서버 {listen(port, host), close(), server}, 'job' 이벤트 (작업 상태가 바뀔 때마다 작업 정보)
+ */
+export function createJobServer({ token, createJob, runJob, dropJob = () => {} }) {
+    if (!token) {
+        throw new Error('API 토큰이 필요합니다.');
+    }
+
+    const emitter = new EventEmitter();
+    const tokenDigest = crypto.createHash('sha256').update(token).digest();
+    const records = new Map();
+    const queue = [];
+    let running = null;
+    let closing = false;
+
+    const isAuthorized = (req) => {
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+        if (!match) return false;
+        // 길이가 같은 해시끼리 비교해서 비교 시간으로 토큰이 드러나지 않게 함
+        const digest = crypto.createHash('sha256').update(match[1]).digest();
+        return crypto.timingSafeEqual(digest, tokenDigest);
+    };
+
+    const describe = (record) => {
+        const { job, progress } = record;
+        const { searchMode, pattern, startPattern, endPattern, caseSensitive, maxMatches } = job.settings;
+        return {
+            id: job.id,
+            status: record.status,
+            target: { mode: searchMode, pattern, start: startPattern, end: endPattern, caseSensitive, count: maxMatches },
+            queuePosition: record.status === SERVER_JOB_STATUS.QUEUED ? queue.indexOf(record) + 1 : null,
+            progress: {
+                attempts: job.totalAttempts,
+                found: job.wallets.length,
+                elapsedMs: job.elapsedMs,
+                rate: record.status === SERVER_JOB_STATUS.RUNNING && progress ? Math.round(progress.rate) : 0,
+                // 남은 시간을 알 수 없으면(속도 0) remainingSeconds가 null
+                eta: progress
+                    ? {
+                        expectedAttempts: progress.eta.expectedAttempts,
+                        successProbability: progress.eta.successProbability,
+                        levels: progress.eta.levels
+                    }
+                    : null
+            },
+            error: record.error,
+            createdAt: record.createdAt,
+            startedAt: record.startedAt,
+            finishedAt: record.finishedAt
+        };
+    };
+
+    const finishRecord = (record, status, error = null) => {
+        record.status = status;
+        record.error = error;
+        record.finishedAt = new Date().toISOString();
+        emitter.emit('job', describe(record));
+
+        // 끝난 작업이 너무 많이 쌓이면 오래된 것부터 뺌
+        const finished = [...records.values()].filter(entry => entry.finishedAt);
+        for (const entry of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            records.delete(entry.job.id);
+        }
+    };
+
+    const runNext = async () => {
+        if (running || closing || queue.length === 0) return;
+
+        const record = queue.shift();
+        running = record;
+        record.status = SERVER_JOB_STATUS.RUNNING;
+        record.startedAt = new Date().toISOString();
+        emitter.emit('job', describe(record));
+
+        try {
+            record.result = await runJob(record.job, {
+                signal: record.controller.signal,
+                onSearch: (search) => search.on('progress', (progress) => {
+                    record.progress = progress;
+                })
+            });
+            finishRecord(record, SERVER_JOB_STATUS.COMPLETED);
+        } catch (error) {
+            if (error instanceof SearchCancelledError) {
+                finishRecord(record, SERVER_JOB_STATUS.CANCELLED);
+            } else {
+                finishRecord(record, SERVER_JOB_STATUS.FAILED, error.message);
+            }
+        } finally {
+            running = null;
+            record.settle();
+        }
+        runNext();
+    };
+
+    const submit = async (req, res) => {
+        if (closing) {
+            throw new HttpError(503, '서버를 종료하는 중입니다.');
+        }
+        if (queue.length >= MAX_QUEUED_JOBS) {
+            throw new HttpError(429, `대기 중인 작업이 너무 많습니다 (최대 ${MAX_QUEUED_JOBS}개).`);
+        }
+
+        const request = parseJobRequest(await readJsonBody(req));
+        const record = {
+            job: createJob(request),
+            status: SERVER_JOB_STATUS.QUEUED,
+            controller: new AbortController(),
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        // 취소 요청이 검색이 멈출 때까지 기다릴 수 있도록 끝나는 시점을 Promise로 둠
+        record.settled = new Promise((resolve) => {
+            record.settle = resolve;
+        });
+        records.set(record.job.id, record);
+        queue.push(record);
+        emitter.emit('job', describe(record));
+        runNext();
+
+        sendJson(res, 202, describe(record), { Location: `/jobs/${record.job.id}` });
+    };
+
+    const cancel = async (record) => {
+        if (record.status === SERVER_JOB_STATUS.QUEUED) {
+            queue.splice(queue.indexOf(record), 1);
+            dropJob(record.job);
+            finishRecord(record, SERVER_JOB_STATUS.CANCELLED);
+            record.settle();
+        } else if (record.status === SERVER_JOB_STATUS.RUNNING) {
+            record.controller.abort();
+            await record.settled;
+        } else {
+            throw new HttpError(409, `이미 끝난 작업입니다 (상태: ${record.status}).`);
+        }
+        return describe(record);
+    };
+
+    const handleRequest = async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const parts = pathname.split('/').filter(Boolean);
+
+        if (pathname === '/health') {
+            requireMethod(req, 'GET');
+            sendJson(res, 200, { status: closing ? 'closing' : 'ok' });
+            return;
+        }
+        if (parts[0] !== 'jobs' || parts.length > 3) {
+            throw new HttpError(404, `없는 경로입니다: ${pathname}`);
+        }
+        // 작업 ID가 있는지도 인증한 요청에만 알려줌
+        if (!isAuthorized(req)) {
+            throw new HttpError(401, '인증이 필요합니다 (Authorization: Bearer <토큰>).', { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        if (parts.length === 1) {
+            if (req.method === 'POST') {
+                await submit(req, res);
+                return;
+            }
+            requireMethod(req, 'GET');
+            sendJson(res, 200, { jobs: [...records.values()].map(describe) });
+            return;
+        }
+
+        const record = records.get(parts[1]);
+        if (!record) {
+            throw new HttpError(404, `작업을 찾을 수 없습니다: ${parts[1]}`);
+        }
+
+        if (parts.length === 2) {
+            requireMethod(req, 'GET');
+            sendJson(res, 200, describe(record));
+        } else if (parts[2] === 'cancel') {
+            requireMethod(req, 'POST');
+            sendJson(res, 200, await cancel(record));
+        } else if (parts[2] === 'result') {
+            requireMethod(req, 'GET');
+            if (record.status !== SERVER_JOB_STATUS.COMPLETED) {
+                const finished = record.finishedAt !== null;
+                throw new HttpError(409, finished
+                    ? `결과가 없습니다 (상태: ${record.status}).`
+                    : `작업이 아직 끝나지 않았습니다 (상태: ${record.status}).`);
+            }
+            sendJson(res, 200, { id: record.job.id, status: record.status, ...record.result });
+        } else {
+            throw new HttpError(404, `없는 경로입니다: ${pathname}`);
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message }, error.headers);
+            } else {
+                sendJson(res, 500, { error: error.message });
+            }
+        });
+    });
+
+    return Object.assign(emitter, {
+        server,
+
+        /**
+         * 요청을 받기 시작합니다
+         * @param {number} port - 포트 (0이면 빈 포트)
+         * @param {string} host - 주소 (기본: 127.0.0.1)
+         * @returns {Promise<{address: string, port: number}>} 실제로 연 주소
+         */
+        listen(port = DEFAULT_SERVER_PORT, host = DEFAULT_SERVER_HOST) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve(server.address());
+                });
+            });
+        },
+
+        /**
+         * 새 작업을 받지 않고, 대기 중인 작업은 취소하고, 실행 중인 작업을 멈춘 뒤 서버를 닫습니다
+         * @returns {Promise<void>}
+         */
+        async close() {
+            closing = true;
+            for (const record of queue.splice(0)) {
+                dropJob(record.job);
+                finishRecord(record, SERVER_JOB_STATUS.CANCELLED);
+                record.settle();
+            }
+            if (running) {
+                const record = running;
+                record.controller.abort();
+                await record.settled;
+            }
+            await new Promise((resolve) => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    });
+}
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_WALLETS_DIR, getDisplayPattern, getSearchModeDescription } from './wallet-storage.js';
+import { describePatternSpec } from './pattern-set.js';
+
+/**
+ * 작업 파일 형식 버전
+ */
+const JOB_FILE_VERSION = 1;
+
+/**
+ * 진행 상황을 작업 파일에 기록하는 최소 간격 (밀리초)
+ */
+export const CHECKPOINT_INTERVAL_MS = 15000;
+
+/**
+ * 작업 상태
+ *   - running: 실행 중 (프로세스가 비정상 종료되면 이 상태로 남음)
+ *   - interrupted: Ctrl+C 또는 오류로 중단됨
+ *   - completed: 목표를 달성하여 끝남
+ */
+export const JOB_STATUS = {
+    RUNNING: 'running',
+    INTERRUPTED: 'interrupted',
+    COMPLETED: 'completed'
+};
+
+/**
+ * 지갑 디렉토리에 대응하는 작업 파일 디렉토리를 반환합니다
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {string} 작업 디렉토리 (예: wallets/jobs)
+ */
+export function getJobsDir(walletsDir = DEFAULT_WALLETS_DIR) {
+    return path.join(walletsDir, 'jobs');
+}
+
+/**
+ * 새 작업 ID를 만듭니다 (예: job-20250101-120000-a1b2)
+ */
+function createJobId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `job-${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * 작업 파일 경로를 반환합니다
+ */
+function getJobFilePath(jobId, jobsDir) {
+    return path.join(jobsDir, `${jobId}.json`);
+}
+
+/**
+ * 새 검색 작업을 만들고 저장합니다
+ * @param {Object} settings - 검색 설정 (searchMode, pattern, startPattern, endPattern, patterns,
+ *                            caseSensitive, useMultiCore, workerCount, maxMatches, durationMs, outDir)
+ * @param {string|null} jobsDir - 작업 디렉토리 (null이면 파일로 저장하지 않음)
+ * @returns {Object} 작업 정보
+ */
+export function createJob(settings, jobsDir = getJobsDir()) {
+    const now = new Date().toISOString();
+    const job = {
+        version: JOB_FILE_VERSION,
+        id: createJobId(),
+        status: JOB_STATUS.RUNNING,
+        settings: {
+            ...settings,
+            // JSON은 Infinity를 표현할 수 없으므로 "제한 없음"은 null로 저장
+            maxMatches: Number.isFinite(settings.maxMatches) ? settings.maxMatches : null
+        },
+        totalAttempts: 0,
+        elapsedMs: 0,
+        sessions: 0,
+        wallets: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    if (jobsDir) {
+        saveJob(job, jobsDir);
+    }
+    return job;
+}
+
+/**
+ * 작업을 파일로 저장합니다
+ * 저장 도중 종료되어도 기존 파일이 깨지지 않도록 임시 파일에 쓴 뒤 이름을 바꿉니다.
+ * @param {Object} job - 작업 정보
+ * @param {string} jobsDir - 작업 디렉토리
+ * @returns {string} 저장된 파일 경로
+ */
+export function saveJob(job, jobsDir = getJobsDir()) {
+    if (!fs.existsSync(jobsDir)) {
+        fs.mkdirSync(jobsDir, { recursive: true });
+    }
+
+    job.updatedAt = new Date().toISOString();
+    const filepath = getJobFilePath(job.id, jobsDir);
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, filepath);
+
+    return filepath;
+}
+
+/**
+ * 작업 ID 또는 파일 경로로 작업을 불러옵니다
+ * @param {string} jobIdOrPath - 작업 ID 또는 작업 파일 경로
+ * @param {string} jobsDir - 작업 디렉토리
+ * @returns {Object} 작업 정보
+ * @throws {Error} 작업 파일이 없거나 형식이 잘못되었을 때
+ */
+export function loadJob(jobIdOrPath, jobsDir = getJobsDir()) {
+    const filepath = fs.existsSync(jobIdOrPath) && jobIdOrPath.endsWith('.json')
+        ? jobIdOrPath
+        : getJobFilePath(jobIdOrPath.replace(/\.json$/, ''), jobsDir);
+
+    if (!fs.existsSync(filepath)) {
+        throw new Error(`작업을 찾을 수 없습니다: ${jobIdOrPath}`);
+    }
+
+    const job = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    if (job.version !== JOB_FILE_VERSION || !job.id || !job.settings) {
+        throw new Error(`지원하지 않는 작업 파일 형식입니다: ${filepath}`);
+    }
+    return job;
+}
+
+/**
+ * 저장된 작업 목록을 최근 순으로 반환합니다 (읽을 수 없는 파일은 건너뜀)
+ * @param {string} jobsDir - 작업 디렉토리
+ * @returns {Object[]} 작업 목록
+ */
+export function listJobs(jobsDir = getJobsDir()) {
+    if (!fs.existsSync(jobsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(jobsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                return loadJob(path.join(jobsDir, file), jobsDir);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * 이어서 실행할 수 있는 (완료되지 않은) 작업 목록을 반환합니다
+ * @param {string} jobsDir - 작업 디렉토리
+ * @returns {Object[]} 작업 목록
+ */
+export function listResumableJobs(jobsDir = getJobsDir()) {
+    return listJobs(jobsDir).filter(job => job.status !== JOB_STATUS.COMPLETED);
+}
+
+/**
+ * 작업이 여러 개 수집 모드(N개 / T분)인지 확인합니다
+ * @param {Object} job - 작업 정보
+ * @returns {boolean} 수집 모드 여부
+ */
+export function isCollectJob(job) {
+    const { maxMatches, durationMs } = job.settings;
+    return maxMatches !== 1 || (durationMs !== null && durationMs !== undefined);
+}
+
+/**
+ * 이번 실행에서 남은 목표를 계산합니다
+ * @param {Object} job - 작업 정보
+ * @returns {{maxMatches: number, durationMs: number|null}|null} 남은 목표 (이미 달성했으면 null)
+ */
+export function getRemainingSearchOptions(job) {
+    const { maxMatches, durationMs = null } = job.settings;
+    const found = job.wallets.length;
+    const remainingMatches = maxMatches === null ? Infinity : maxMatches - found;
+    const remainingMs = durationMs === null ? null : durationMs - job.elapsedMs;
+
+    if (remainingMatches <= 0 || (remainingMs !== null && remainingMs <= 0)) {
+        return null;
+    }
+    return { maxMatches: remainingMatches, durationMs: remainingMs };
+}
+
+/**
+ * 작업을 사람이 읽을 수 있는 한 줄 설명으로 변환합니다
+ * @param {Object} job - 작업 정보
+ * @returns {string} 설명 (예: "시작 패턴 (Sol) | 시도 1,234,567 | 12분 3초")
+ */
+export function describeJob(job) {
+    const { searchMode, pattern, startPattern, endPattern, patterns, caseSensitive } = job.settings;
+    let target;
+    if (searchMode === 'multi') {
+        target = `여러 패턴 (${patterns.map(describePatternSpec).join(', ')})`;
+    } else {
+        const displayPattern = getDisplayPattern(searchMode, pattern, startPattern, endPattern);
+        target = `${getSearchModeDescription(searchMode, startPattern, endPattern)}: ${displayPattern}${caseSensitive === false ? ' (i)' : ''}`;
+    }
+
+    const totalSeconds = Math.round(job.elapsedMs / 1000);
+    const elapsed = totalSeconds >= 60
+        ? `${Math.floor(totalSeconds / 60)}분 ${totalSeconds % 60}초`
+        : `${totalSeconds}초`;
+    const found = isCollectJob(job) ? ` | 찾은 지갑 ${job.wallets.length}개` : '';
+
+    return `${target} | 시도 ${job.totalAttempts.toLocaleString()} | ${elapsed}${found}`;
+}
+
+/**
+ * 실행 중인 작업의 진행 상황을 누적하고 주기적으로 저장하는 체크포인트를 만듭니다
+ * 이전 실행까지의 시도 횟수/경과 시간에 이번 실행 값을 더해 기록합니다.
+ * @param {Object} job - 작업 정보 (직접 갱신됨)
+ * @param {string|null} jobsDir - 작업 디렉토리 (null이면 파일로 저장하지 않음)
+ * @param {number} intervalMs - 저장 간격 (기본: CHECKPOINT_INTERVAL_MS)
+ * @returns {Object} {update(runAttempts), recordWallet(address, file), finish(status)}
+ */
+export function createJobCheckpoint(job, jobsDir = getJobsDir(), intervalMs = CHECKPOINT_INTERVAL_MS) {
+    const baseAttempts = job.totalAttempts;
+    const baseElapsedMs = job.elapsedMs;
+    const runStart = Date.now();
+    let lastSaved = runStart;
+
+    const persist = () => {
+        lastSaved = Date.now();
+        if (jobsDir) {
+            saveJob(job, jobsDir);
+        }
+    };
+
+    job.status = JOB_STATUS.RUNNING;
+    job.sessions += 1;
+    persist();
+
+    return {
+        /**
+         * 이번 실행의 시도 횟수를 반영합니다 (간격이 지났을 때만 파일에 기록)
+         * @param {number} runAttempts - 이번 실행에서의 전체 시도 횟수
+         */
+        update(runAttempts) {
+            job.totalAttempts = baseAttempts + runAttempts;
+            job.elapsedMs = baseElapsedMs + (Date.now() - runStart);
+            if (Date.now() - lastSaved >= intervalMs) {
+                persist();
+            }
+        },
+
+        /**
+         * 찾은 지갑을 기록하고 즉시 저장합니다 (개인키는 작업 파일에 저장하지 않음)
+         * @param {string} address - 지갑 주소
+         * @param {string|null} file - 저장된 지갑 파일 경로
+         */
+        recordWallet(address, file = null) {
+            job.elapsedMs = baseElapsedMs + (Date.now() - runStart);
+            job.wallets.push({ address, file, foundAt: new Date().toISOString() });
+            persist();
+        },
+
+        /**
+         * 실행을 끝내고 최종 상태를 저장합니다
+         * @param {string} status - JOB_STATUS 값
+         */
+        finish(status) {
+            job.elapsedMs = baseElapsedMs + (Date.now() - runStart);
+            job.status = status;
+            persist();
+        }
+    };
+}
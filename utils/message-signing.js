@@ -0,0 +1,145 @@
+import fs from 'fs';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { keypairFromPrivateKey, getAddressFromKeypair } from './wallet-generator.js';
+import { signWithScalar, getAddressFromScalar } from './split-key.js';
+
+/**
+ * 메시지 서명과 서명 검증 (ed25519, tweetnacl)
+ *
+ * 지갑 주소의 소유를 오프라인으로 증명하기 위해 임의의 메시지나 파일에 서명하고,
+ * 어떤 주소에 대해서든 서명을 검증합니다. 텍스트 메시지는 UTF-8 바이트, 파일은 내용 그대로 서명합니다.
+ */
+
+/**
+ * 서명 인코딩 형식
+ */
+export const SIGNATURE_ENCODINGS = ['base58', 'hex'];
+
+const HEX_SIGNATURE = new RegExp(`^(0x)?[0-9a-fA-F]{${nacl.sign.signatureLength * 2}}$`);
+
+/**
+ * 텍스트 또는 파일에서 서명할 메시지 바이트를 만듭니다
+ * @param {Object} source - 메시지 출처 (둘 중 하나만 지정)
+ * @param {string} source.message - 텍스트 메시지 (UTF-8)
+ * @param {string} source.messageFile - 메시지 파일 경로 (내용 그대로 사용)
+ * @returns {Uint8Array} 메시지 바이트
+ * @throws {Error} 둘 다 없거나 둘 다 지정했거나, 파일을 찾을 수 없을 때
+ */
+export function readMessage({ message = null, messageFile = null } = {}) {
+    if ((message === null) === (messageFile === null)) {
+        throw new Error('메시지 텍스트와 메시지 파일 중 하나만 지정해야 합니다.');
+    }
+    if (messageFile !== null) {
+        if (!fs.existsSync(messageFile)) {
+            throw new Error(`메시지 파일을 찾을 수 없습니다: ${messageFile}`);
+        }
+        return new Uint8Array(fs.readFileSync(messageFile));
+    }
+    return new Uint8Array(Buffer.from(message, 'utf8'));
+}
+
+/**
+ * 개인키로 메시지에 서명합니다
+ * 분할 키를 합친 지갑은 시드가 없으므로 스칼라로 서명합니다 (결과는 같은 형식의 ed25519 서명).
+ * @param {Uint8Array} message - 서명할 메시지
+ * @param {Object} key - 서명 키 (둘 중 하나)
+ * @param {string} key.privateKey - base58 인코딩된 64바이트 secretKey
+ * @param {string} key.privateScalar - 분할 키 지갑의 base58 스칼라
+ * @returns {{address: string, signature: Uint8Array}} 서명한 주소와 64바이트 서명
+ */
+export function signMessage(message, { privateKey = null, privateScalar = null } = {}) {
+    if (privateScalar) {
+        return { address: getAddressFromScalar(privateScalar), signature: signWithScalar(message, privateScalar) };
+    }
+    if (!privateKey) {
+        throw new Error('서명할 개인키가 없습니다.');
+    }
+
+    let keypair;
+    try {
+        keypair = keypairFromPrivateKey(privateKey);
+    } catch (error) {
+        throw new Error('유효하지 않은 개인키입니다.');
+    }
+    return { address: getAddressFromKeypair(keypair), signature: nacl.sign.detached(message, keypair.secretKey) };
+}
+
+/**
+ * 서명을 문자열로 인코딩합니다
+ * @param {Uint8Array} signature - 64바이트 서명
+ * @param {string} encoding - 'base58' | 'hex' (기본: base58)
+ * @returns {string} 인코딩된 서명
+ */
+export function encodeSignature(signature, encoding = 'base58') {
+    if (!SIGNATURE_ENCODINGS.includes(encoding)) {
+        throw new Error(`알 수 없는 서명 인코딩입니다: ${encoding} (${SIGNATURE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+    return encoding === 'hex' ? Buffer.from(signature).toString('hex') : bs58.encode(signature);
+}
+
+/**
+ * 인코딩된 서명을 바이트로 변환합니다
+ * 인코딩을 지정하지 않으면 128자리 16진수(0x 접두사 허용)는 hex, 그 외는 base58로 읽습니다.
+ * @param {string} value - 인코딩된 서명
+ * @param {string|null} encoding - 'base58' | 'hex' | null (자동 감지)
+ * @returns {{signature: Uint8Array, encoding: string}} 64바이트 서명과 사용한 인코딩
+ * @throws {Error} 형식이 맞지 않거나 64바이트가 아닐 때
+ */
+export function decodeSignature(value, encoding = null) {
+    const text = String(value || '').trim();
+    if (encoding !== null && !SIGNATURE_ENCODINGS.includes(encoding)) {
+        throw new Error(`알 수 없는 서명 인코딩입니다: ${encoding} (${SIGNATURE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+    const resolved = encoding || (HEX_SIGNATURE.test(text) ? 'hex' : 'base58');
+
+    let bytes;
+    if (resolved === 'hex') {
+        if (!HEX_SIGNATURE.test(text)) {
+            throw new Error(`hex 서명은 ${nacl.sign.signatureLength * 2}자리 16진수여야 합니다.`);
+        }
+        bytes = new Uint8Array(Buffer.from(text.replace(/^0x/, ''), 'hex'));
+    } else {
+        try {
+            bytes = bs58.decode(text);
+        } catch (error) {
+            throw new Error('서명이 올바른 base58 값이 아닙니다.');
+        }
+    }
+
+    if (bytes.length !== nacl.sign.signatureLength) {
+        throw new Error(`서명 길이가 올바르지 않습니다: ${bytes.length}바이트 (${nacl.sign.signatureLength}바이트 필요)`);
+    }
+    return { signature: bytes, encoding: resolved };
+}
+
+/**
+ * base58 지갑 주소를 ed25519 공개키 바이트로 변환합니다
+ * @param {string} address - base58 지갑 주소
+ * @returns {Uint8Array} 32바이트 공개키
+ * @throws {Error} 주소 형식이 올바르지 않을 때
+ */
+export function decodeAddress(address) {
+    let publicKey;
+    try {
+        publicKey = bs58.decode(String(address || '').trim());
+    } catch (error) {
+        publicKey = null;
+    }
+    if (!publicKey || publicKey.length !== nacl.sign.publicKeyLength) {
+        throw new Error(`올바른 솔라나 주소가 아닙니다: ${address}`);
+    }
+    return publicKey;
+}
+
+/**
+ * 주소에 대해 메시지 서명을 검증합니다
+ * @param {Uint8Array} message - 서명된 메시지
+ * @param {Uint8Array} signature - 64바이트 서명
+ * @param {string} address - base58 지갑 주소 (ed25519 공개키)
+ * @returns {boolean} 서명이 유효하면 true
+ * @throws {Error} 주소 형식이 올바르지 않을 때
+ */
+export function verifyMessageSignature(message, signature, address) {
+    return nacl.sign.detached.verify(message, signature, decodeAddress(address));
+}
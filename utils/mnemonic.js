@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import { entropyToMnemonic, validateMnemonic } from 'bip39';
+
+/**
+ * BIP39 니모닉(시드 문구) 기반 키 생성
+ *
+ * Phantom, Solflare 등 지갑 앱과 같은 방식으로 니모닉 → BIP39 시드 → SLIP-0010 ed25519
+ * 경로 유도를 거쳐 키페어를 만듭니다. 니모닉 하나당 PBKDF2(2048회)를 수행하므로
+ * 원시 키페어 생성보다 훨씬 느립니다.
+ */
+
+/**
+ * Phantom/Solflare 기본 계정의 유도 경로
+ */
+export const SOLANA_DERIVATION_PATH = "m/44'/501'/0'/0'";
+
+/**
+ * 지원하는 니모닉 단어 수 (12단어 = 128비트, 24단어 = 256비트 엔트로피)
+ */
+export const MNEMONIC_WORD_COUNTS = [12, 24];
+
+/**
+ * SLIP-0010 ed25519 마스터 키 HMAC 키
+ */
+const ED25519_CURVE_SEED = Buffer.from('ed25519 seed', 'utf8');
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * 새 BIP39 니모닉을 생성합니다 (영어 단어 목록)
+ * @param {number} wordCount - 단어 수 (12 또는 24, 기본: 12)
+ * @returns {string} 공백으로 구분된 니모닉
+ */
+export function generateMnemonic(wordCount = 12) {
+    if (!MNEMONIC_WORD_COUNTS.includes(wordCount)) {
+        throw new Error(`니모닉 단어 수는 ${MNEMONIC_WORD_COUNTS.join(' 또는 ')}이어야 합니다.`);
+    }
+    return entropyToMnemonic(crypto.randomBytes((wordCount / 3) * 4));
+}
+
+/**
+ * 니모닉이 올바른 BIP39 문구인지 확인합니다 (단어 목록과 체크섬 검사)
+ * @param {string} mnemonic - 니모닉
+ * @returns {boolean} 유효성 여부
+ */
+export function isValidMnemonic(mnemonic) {
+    return validateMnemonic(normalizeMnemonic(mnemonic));
+}
+
+/**
+ * 니모닉의 공백과 대소문자를 정리합니다
+ */
+function normalizeMnemonic(mnemonic) {
+    return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * 니모닉을 BIP39 시드(64바이트)로 변환합니다
+ * bip39 패키지의 순수 JS 구현 대신 Node 내장 PBKDF2를 사용합니다 (핫 루프 속도).
+ * @param {string} mnemonic - 니모닉
+ * @param {string} passphrase - BIP39 암호 (기본: 없음)
+ * @returns {Buffer} 64바이트 시드
+ */
+export function mnemonicToSeed(mnemonic, passphrase = '') {
+    const password = Buffer.from(normalizeMnemonic(mnemonic).normalize('NFKD'), 'utf8');
+    const salt = Buffer.from(`mnemonic${passphrase}`.normalize('NFKD'), 'utf8');
+    return crypto.pbkdf2Sync(password, salt, 2048, 64, 'sha512');
+}
+
+/**
+ * 유도 경로 문자열을 인덱스 목록으로 변환합니다
+ * ed25519는 강화(hardened) 유도만 지원하므로 모든 단계에 '가 있어야 합니다.
+ * @param {string} derivationPath - 예: m/44'/501'/0'/0'
+ * @returns {number[]} 강화 오프셋이 더해진 인덱스 목록
+ */
+function parseDerivationPath(derivationPath) {
+    const segments = derivationPath.trim().split('/');
+    if (segments[0] !== 'm') {
+        throw new Error(`유도 경로는 m으로 시작해야 합니다: ${derivationPath}`);
+    }
+
+    return segments.slice(1).map(segment => {
+        const match = /^(\d+)'$/.exec(segment);
+        if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+            throw new Error(`ed25519 유도 경로는 강화 인덱스(예: 501')만 사용할 수 있습니다: ${derivationPath}`);
+        }
+        return Number(match[1]) + HARDENED_OFFSET;
+    });
+}
+
+/**
+ * SLIP-0010 방식으로 시드에서 ed25519 개인키 시드(32바이트)를 유도합니다
+ * @param {Buffer} seed - BIP39 시드
+ * @param {string} derivationPath - 유도 경로 (기본: SOLANA_DERIVATION_PATH)
+ * @returns {{key: Buffer, chainCode: Buffer}} 32바이트 키와 체인 코드
+ */
+export function deriveEd25519Key(seed, derivationPath = SOLANA_DERIVATION_PATH) {
+    const indexes = parseDerivationPath(derivationPath);
+
+    let digest = crypto.createHmac('sha512', ED25519_CURVE_SEED).update(seed).digest();
+    let key = digest.subarray(0, 32);
+    let chainCode = digest.subarray(32);
+
+    for (const index of indexes) {
+        const data = Buffer.alloc(37);
+        key.copy(data, 1); // 0x00 || key || index
+        data.writeUInt32BE(index, 33);
+        digest = crypto.createHmac('sha512', chainCode).update(data).digest();
+        key = digest.subarray(0, 32);
+        chainCode = digest.subarray(32);
+    }
+
+    return { key, chainCode };
+}
+
+/**
+ * 니모닉과 유도 경로로 솔라나 키페어를 만듭니다
+ * @param {string} mnemonic - 니모닉
+ * @param {string} derivationPath - 유도 경로 (기본: SOLANA_DERIVATION_PATH)
+ * @returns {Keypair} 솔라나 키페어
+ */
+export function keypairFromMnemonic(mnemonic, derivationPath = SOLANA_DERIVATION_PATH) {
+    const { key } = deriveEd25519Key(mnemonicToSeed(mnemonic), derivationPath);
+    return Keypair.fromSeed(key);
+}
@@ -0,0 +1,207 @@
+import {
+    BASE58_ALPHABET,
+    compilePatternExpression,
+    parsePatternExpression
+} from './regex-pattern.js';
+
+/**
+ * 여러 패턴 동시 검색에서 각 패턴이 사용할 수 있는 검색 모드
+ */
+export const PATTERN_SET_MODES = ['startsWith', 'contains', 'startEnd', 'regex'];
+
+/**
+ * 단일 패턴(시작/포함/끝)의 기본 최대 길이 (base58 주소 길이)
+ * 대화형 모드와 CLI는 설정 파일의 maxPatternLength로 더 짧게 제한합니다.
+ */
+const MAX_PATTERN_LENGTH = 44;
+
+const base58Regex = new RegExp(`^[${BASE58_ALPHABET}]+$`);
+
+/**
+ * 패턴 명세를 사람이 읽을 수 있는 문자열로 변환합니다
+ * @param {Object} spec - 패턴 명세 {searchMode, pattern, startPattern, endPattern, caseSensitive}
+ * @returns {string} 표시용 문자열 (예: "starts:Sol", "contains:Moon (i)")
+ */
+export function describePatternSpec(spec) {
+    let label;
+    if (spec.searchMode === 'startEnd') {
+        label = `startEnd:${spec.startPattern || ''}...${spec.endPattern || ''}`;
+    } else {
+        label = `${spec.searchMode}:${spec.pattern}`;
+    }
+    return spec.caseSensitive ? label : `${label} (i)`;
+}
+
+/**
+ * 패턴 명세 목록을 검증하고 정규화합니다
+ * @param {Object[]} specs - 패턴 명세 목록
+ * @param {Object} options - 검증 옵션
+ * @param {number} options.maxPatternLength - 시작/포함/끝 패턴의 최대 길이 (기본: 주소 길이)
+ * @returns {Object[]} 정규화된 명세 목록 (index 필드 포함)
+ * @throws {Error} 비어 있거나 유효하지 않은 명세가 있을 때
+ */
+export function normalizePatternSpecs(specs, { maxPatternLength = MAX_PATTERN_LENGTH } = {}) {
+    if (!Array.isArray(specs) || specs.length === 0) {
+        throw new Error('최소 하나 이상의 패턴을 입력해야 합니다.');
+    }
+
+    return specs.map((spec, index) => {
+        const searchMode = spec.searchMode || 'startsWith';
+        const caseSensitive = spec.caseSensitive !== false;
+        const position = `${index + 1}번째 패턴`;
+
+        if (!PATTERN_SET_MODES.includes(searchMode)) {
+            throw new Error(`${position}: 알 수 없는 검색 모드입니다: ${searchMode}`);
+        }
+
+        const checkPlain = (value, label) => {
+            if (value.length > maxPatternLength) {
+                throw new Error(`${position}: ${label}이(가) 너무 깁니다. ${maxPatternLength}자 이하로 입력해주세요.`);
+            }
+            if (!base58Regex.test(value)) {
+                throw new Error(`${position}: 유효하지 않은 ${label}입니다. Base58 문자만 사용할 수 있습니다.`);
+            }
+        };
+
+        if (searchMode === 'startEnd') {
+            const startPattern = (spec.startPattern || '').trim();
+            const endPattern = (spec.endPattern || '').trim();
+            if (!startPattern && !endPattern) {
+                throw new Error(`${position}: 시작 패턴 또는 끝 패턴 중 최소 하나는 입력해야 합니다.`);
+            }
+            if (startPattern) checkPlain(startPattern, '시작 패턴');
+            if (endPattern) checkPlain(endPattern, '끝 패턴');
+            return { index, searchMode, pattern: null, startPattern, endPattern, caseSensitive };
+        }
+
+        const pattern = spec.pattern;
+        if (!pattern) {
+            throw new Error(`${position}: 패턴을 입력해주세요.`);
+        }
+        if (searchMode === 'regex') {
+            try {
+                parsePatternExpression(pattern);
+            } catch (error) {
+                throw new Error(`${position}: ${error.message}`);
+            }
+        } else {
+            checkPlain(pattern, '패턴');
+        }
+        return { index, searchMode, pattern, startPattern: null, endPattern: null, caseSensitive };
+    });
+}
+
+/**
+ * 접두사 트라이에 패턴을 추가합니다
+ */
+function insertPrefix(root, prefix, index) {
+    let node = root;
+    for (const ch of prefix) {
+        if (!node.children.has(ch)) {
+            node.children.set(ch, { children: new Map(), index: -1 });
+        }
+        node = node.children.get(ch);
+    }
+    // 같은 접두사가 여러 번 들어오면 먼저 등록된 패턴을 유지
+    if (node.index === -1) {
+        node.index = index;
+    }
+}
+
+/**
+ * 접두사 트라이에서 주소와 일치하는 패턴 중 먼저 등록된(인덱스가 가장 작은) 패턴을 찾습니다
+ * 짧은 패턴이 나중에 등록되었을 수 있으므로 트라이 끝까지 내려가며 비교합니다.
+ * @returns {number} 패턴 인덱스 (없으면 -1)
+ */
+function searchPrefix(root, address) {
+    let node = root;
+    let matched = -1;
+    for (let i = 0; i < address.length; i++) {
+        node = node.children.get(address[i]);
+        if (!node) {
+            break;
+        }
+        if (node.index !== -1 && (matched === -1 || node.index < matched)) {
+            matched = node.index;
+        }
+    }
+    return matched;
+}
+
+/**
+ * 여러 패턴을 한 번에 검사하는 매처를 만듭니다
+ * 시작 패턴은 접두사 트라이(대소문자 구분/무시 각각)로 한 번에 검사하고,
+ * 나머지 모드는 패턴별로 검사합니다. 워커마다 한 번만 생성하세요.
+ * @param {Object[]} specs - 패턴 명세 목록 (normalizePatternSpecs 결과 또는 원본)
+ * @returns {Function} (address) => 일치한 패턴 인덱스 (없으면 -1)
+ */
+export function createPatternSetMatcher(specs) {
+    const normalized = normalizePatternSpecs(specs);
+
+    const sensitiveTrie = { children: new Map(), index: -1 };
+    const insensitiveTrie = { children: new Map(), index: -1 };
+    let hasSensitivePrefix = false;
+    let hasInsensitivePrefix = false;
+    const others = [];
+
+    for (const spec of normalized) {
+        if (spec.searchMode === 'startsWith') {
+            if (spec.caseSensitive) {
+                insertPrefix(sensitiveTrie, spec.pattern, spec.index);
+                hasSensitivePrefix = true;
+            } else {
+                insertPrefix(insensitiveTrie, spec.pattern.toLowerCase(), spec.index);
+                hasInsensitivePrefix = true;
+            }
+        } else if (spec.searchMode === 'regex') {
+            const regex = compilePatternExpression(spec.pattern, spec.caseSensitive);
+            others.push({ index: spec.index, test: (address) => regex.test(address) });
+        } else if (spec.searchMode === 'contains') {
+            const needle = spec.caseSensitive ? spec.pattern : spec.pattern.toLowerCase();
+            others.push({
+                index: spec.index,
+                caseSensitive: spec.caseSensitive,
+                test: (address, lowerAddress) => (spec.caseSensitive ? address : lowerAddress).includes(needle)
+            });
+        } else {
+            const start = spec.caseSensitive ? spec.startPattern : spec.startPattern.toLowerCase();
+            const end = spec.caseSensitive ? spec.endPattern : spec.endPattern.toLowerCase();
+            others.push({
+                index: spec.index,
+                caseSensitive: spec.caseSensitive,
+                test: (address, lowerAddress) => {
+                    const target = spec.caseSensitive ? address : lowerAddress;
+                    return target.startsWith(start) && target.endsWith(end);
+                }
+            });
+        }
+    }
+
+    const needsLowerCase = hasInsensitivePrefix || others.some(other => other.caseSensitive === false);
+
+    return (address) => {
+        const lowerAddress = needsLowerCase ? address.toLowerCase() : address;
+        let matched = -1;
+
+        if (hasSensitivePrefix) {
+            matched = searchPrefix(sensitiveTrie, address);
+        }
+        if (hasInsensitivePrefix) {
+            const index = searchPrefix(insensitiveTrie, lowerAddress);
+            if (index !== -1 && (matched === -1 || index < matched)) {
+                matched = index;
+            }
+        }
+
+        for (const other of others) {
+            if (matched !== -1 && other.index > matched) {
+                break;
+            }
+            if (other.test(address, lowerAddress)) {
+                return other.index;
+            }
+        }
+
+        return matched;
+    };
+}
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { ed25519 } from '@noble/curves/ed25519';
+import { PublicKey } from '@solana/web3.js';
+import { MAX_SEED_LENGTH, decodePublicKey, createSeedSequence } from './seed-address.js';
+
+/**
+ * 프로그램 유도 주소(PDA) vanity 생성
+ *
+ * PDA는 PublicKey.findProgramAddressSync(seeds, programId)가 돌려주는 주소로,
+ * bump를 255부터 줄여 가며 sha256(seeds ‖ bump ‖ programId ‖ "ProgramDerivedAddress")가
+ * 처음으로 ed25519 곡선 밖에 놓이는 값으로 정해집니다. 프로그램 ID와 고정 seed는 그대로 두고
+ * 마지막 nonce seed만 바꿔 가며 패턴과 일치하는 PDA를 찾습니다. 개인키는 필요 없습니다.
+ *
+ * 곡선 위 여부 확인은 해시보다 훨씬 느리므로 워커는 bump 255의 해시로 패턴을 먼저 비교하고,
+ * 일치한 후보만 곡선 밖인지 확인합니다. 곡선 위에 있으면(약 1/2) 그 nonce의 PDA는 다른 bump에서
+ * 나오므로 버립니다. 그래서 찾은 PDA의 bump는 항상 255입니다.
+ */
+
+/**
+ * 주소 하나를 만들 때 쓸 수 있는 최대 seed 수 (솔라나 MAX_SEEDS, bump 포함)
+ */
+export const MAX_SEEDS = 16;
+
+/**
+ * nonce seed 인코딩
+ *   - text: 무작위 영숫자 + 36진수 카운터 문자열 (UTF-8)
+ *   - u64: 8바이트 리틀 엔디언 정수 (프로그램에서 nonce.to_le_bytes()로 만드는 형식)
+ */
+export const NONCE_ENCODINGS = ['text', 'u64'];
+
+/**
+ * 무작위 해시가 곡선 밖에 놓일 확률 (bump 255 후보가 PDA가 될 확률, 난이도 계산용)
+ */
+export const PDA_CANDIDATE_YIELD = 0.5;
+
+const PDA_MARKER = Buffer.from('ProgramDerivedAddress');
+const CANONICAL_BUMP = 255;
+const U64_MAX = (1n << 64n) - 1n;
+
+/**
+ * 고정 seed 명세를 바이트로 변환합니다
+ *   - "pubkey:<base58>": 32바이트 공개키
+ *   - "hex:<16진수>": 바이트 그대로
+ *   - "text:<문자열>" 또는 접두사 없는 문자열: UTF-8
+ * @param {string} spec - seed 명세
+ * @returns {Buffer} seed 바이트 (최대 32바이트)
+ * @throws {Error} 형식이 틀렸거나 32바이트를 넘을 때
+ */
+export function parseSeedSpec(spec) {
+    const text = String(spec);
+    let bytes;
+    if (text.startsWith('pubkey:')) {
+        bytes = decodePublicKey(text.slice('pubkey:'.length), `seed 공개키(${text})`);
+    } else if (text.startsWith('hex:')) {
+        const hex = text.slice('hex:'.length).replace(/^0x/, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+            throw new Error(`hex seed는 짝수 자리 16진수여야 합니다: ${text}`);
+        }
+        bytes = Buffer.from(hex, 'hex');
+    } else {
+        bytes = Buffer.from(text.startsWith('text:') ? text.slice('text:'.length) : text, 'utf8');
+    }
+    if (bytes.length > MAX_SEED_LENGTH) {
+        throw new Error(`seed는 ${MAX_SEED_LENGTH}바이트 이하여야 합니다: ${text} (${bytes.length}바이트)`);
+    }
+    return bytes;
+}
+
+/**
+ * nonce 값을 seed 바이트로 변환합니다
+ * @param {string} nonce - text 인코딩은 문자열 그대로, u64는 10진수 문자열
+ * @param {string} encoding - 'text' | 'u64'
+ * @returns {Buffer} nonce seed 바이트
+ */
+export function encodeNonce(nonce, encoding = 'text') {
+    if (encoding === 'u64') {
+        const value = /^\d+$/.test(String(nonce)) ? BigInt(nonce) : -1n;
+        if (value < 0n || value > U64_MAX) {
+            throw new Error(`u64 nonce는 0 이상 2^64 미만의 정수여야 합니다: ${nonce}`);
+        }
+        const bytes = Buffer.alloc(8);
+        bytes.writeBigUInt64LE(value);
+        return bytes;
+    }
+    if (encoding !== 'text') {
+        throw new Error(`알 수 없는 nonce 인코딩입니다: ${encoding} (${NONCE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+    return parseSeedSpec(`text:${nonce}`);
+}
+
+/**
+ * PDA 검색 입력을 검사합니다
+ * @param {Object} inputs - 검색 입력
+ * @param {string} inputs.programId - PDA를 소유할 프로그램 ID
+ * @param {string[]} inputs.seeds - nonce 앞에 오는 고정 seed 명세 목록 (parseSeedSpec 형식, 선택)
+ * @param {string} inputs.nonceEncoding - nonce seed 인코딩 ('text' | 'u64', 기본: text)
+ * @returns {{program: Buffer, seedBytes: Buffer[], seeds: string[], nonceEncoding: string}} 검사한 입력
+ * @throws {Error} 프로그램 ID나 seed 형식이 틀렸거나 seed가 너무 많을 때
+ */
+export function parseProgramAddressInputs({ programId = null, seeds = [], nonceEncoding = 'text' } = {}) {
+    const program = decodePublicKey(programId, '프로그램 ID');
+    if (!NONCE_ENCODINGS.includes(nonceEncoding)) {
+        throw new Error(`알 수 없는 nonce 인코딩입니다: ${nonceEncoding} (${NONCE_ENCODINGS.join(', ')} 중 하나)`);
+    }
+    const specs = (seeds || []).map(String);
+    // 고정 seed + nonce + bump
+    if (specs.length + 2 > MAX_SEEDS) {
+        throw new Error(`고정 seed는 ${MAX_SEEDS - 2}개 이하여야 합니다 (nonce와 bump 포함 최대 ${MAX_SEEDS}개).`);
+    }
+    return { program, seedBytes: specs.map(parseSeedSpec), seeds: specs, nonceEncoding };
+}
+
+/**
+ * 고정 seed와 nonce로 PDA를 계산합니다 (PublicKey.findProgramAddressSync 사용, 파일 검증용)
+ * @param {Object} inputs - {programId, seeds, nonce, nonceEncoding}
+ * @returns {{address: string, bump: number}} base58 PDA와 bump
+ */
+export function getProgramAddress({ programId, seeds = [], nonce, nonceEncoding = 'text' }) {
+    const { seedBytes } = parseProgramAddressInputs({ programId, seeds, nonceEncoding });
+    const [address, bump] = PublicKey.findProgramAddressSync(
+        [...seedBytes, encodeNonce(nonce, nonceEncoding)],
+        new PublicKey(programId)
+    );
+    return { address: address.toBase58(), bump };
+}
+
+/**
+ * 32바이트가 ed25519 곡선 위의 점인지 확인합니다 (web3.js의 isOnCurve와 같은 방식)
+ */
+function isOnCurve(bytes) {
+    try {
+        ed25519.ExtendedPoint.fromHex(bytes);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * u64 nonce를 작업마다 다른 무작위 시작값부터 차례로 만듭니다
+ * 시작값을 48비트로 잡아 카운터가 Number로 정확히 표현되는 범위를 넘지 않게 합니다.
+ */
+function createU64NonceSequence() {
+    let counter = crypto.randomBytes(6).readUIntLE(0, 6) - 1;
+    const bytes = Buffer.alloc(8);
+    return () => {
+        counter++;
+        bytes.writeUInt32LE(counter >>> 0, 0);
+        bytes.writeUInt32LE(Math.floor(counter / 0x100000000), 4);
+        return { nonce: String(counter), bytes };
+    };
+}
+
+/**
+ * 검색 워커용 후보 생성기를 만듭니다
+ * 고정 seed와 bump 255 뒤쪽 바이트는 미리 합쳐 두고 후보마다 해시 한 번만 계산합니다.
+ * @param {Object} inputs - parseProgramAddressInputs 입력 ({programId, seeds, nonceEncoding})
+ * @returns {{next: Function, isOffCurve: Function, getNonce: Function, bump: number}}
+ *          next()는 다음 후보 주소(bump 255 해시, 32바이트), isOffCurve()는 마지막 후보가 PDA인지,
+ *          getNonce()는 마지막 후보의 nonce 문자열
+ */
+export function createProgramAddressCandidates(inputs) {
+    const { program, seedBytes, nonceEncoding } = parseProgramAddressInputs(inputs);
+    const head = Buffer.concat(seedBytes);
+    const tail = Buffer.concat([Buffer.from([CANONICAL_BUMP]), program, PDA_MARKER]);
+    const nextText = nonceEncoding === 'text' ? createSeedSequence() : null;
+    const nextU64 = nonceEncoding === 'u64' ? createU64NonceSequence() : null;
+    let nonce = null;
+    let hash = null;
+
+    return {
+        next() {
+            let nonceBytes;
+            if (nextText) {
+                nonce = nextText();
+                nonceBytes = Buffer.from(nonce, 'utf8');
+            } else {
+                ({ nonce, bytes: nonceBytes } = nextU64());
+            }
+            hash = crypto.createHash('sha256').update(head).update(nonceBytes).update(tail).digest();
+            return hash;
+        },
+
+        isOffCurve() {
+            return !isOnCurve(hash);
+        },
+
+        getNonce() {
+            return nonce;
+        },
+
+        bump: CANONICAL_BUMP
+    };
+}
@@ -0,0 +1,206 @@
+import cliProgress from 'cli-progress';
+import chalk from 'chalk';
+import { createSearchTracker, createRateMeter, formatEta, formatEtaLevels } from './statistics.js';
+import { getSearchModeDescription } from './wallet-storage.js';
+import { getKeySourceLabel } from './wallet-generator.js';
+
+/**
+ * 대시보드 막대 길이 (글자 수)
+ */
+const BAR_SIZE = 24;
+
+/**
+ * 검색 진행 상황 표시를 만듭니다
+ *
+ * 터미널(TTY)에서는 cli-progress 멀티바 대시보드로 전체 속도, 워커별 속도, 경과 시간,
+ * 누적 성공 확률과 50/90/99% 남은 시간을 제자리에서 갱신합니다.
+ * 출력이 파일이나 파이프이면 진행 보고마다 로그 줄을 출력합니다.
+ * 대시보드가 켜져 있는 동안 다른 메시지는 log()로 출력해야 화면이 깨지지 않습니다.
+ * @param {Object} options - 표시 옵션
+ * @param {number} options.probability - 시도 1회당 일치 확률
+ * @param {number} options.attempts - 이전 실행까지의 누적 시도 횟수 (기본: 0)
+ * @param {Object} options.stream - 출력 스트림 (기본: process.stdout)
+ * @returns {Object} {isLive, update({totalAttempts, elapsedMs, found, workers}), markMatch(), log(message), stop()}
+ */
+export function createProgressDisplay(options = {}) {
+    const { probability, attempts = 0, stream = process.stdout } = options;
+    const tracker = createSearchTracker(probability, { attempts });
+
+    if (!stream.isTTY) {
+        return createLogDisplay(tracker);
+    }
+    return createDashboard(tracker, stream);
+}
+
+/**
+ * 검색 시작 로그 줄을 만듭니다 (대시보드 없이 로그 줄로 진행 상황을 출력할 때)
+ * @param {Object} settings - 검색 설정 (searchMode, pattern, startPattern, endPattern, patterns, keySource)
+ * @param {number} workerCount - 워커 수
+ * @returns {string} 예: "🚀 8개 워커로 병렬 생성 시작... (포함 패턴: Sol)"
+ */
+export function formatSearchStart(settings, workerCount) {
+    const { searchMode = 'startsWith', pattern, startPattern, endPattern, patterns, keySource = 'random' } = settings;
+    let target;
+    if (searchMode === 'multi') {
+        target = `${patterns.length}개 패턴 동시 검색`;
+    } else if (searchMode === 'startEnd') {
+        target = getSearchModeDescription(searchMode, startPattern, endPattern);
+    } else {
+        target = `${getSearchModeDescription(searchMode)}: ${pattern}`;
+    }
+    return `🚀 ${workerCount}개 워커로 병렬 생성 시작... (${target})${getKeySourceLabel(keySource)}`;
+}
+
+/**
+ * TTY가 아닐 때: 진행 보고마다 두 줄씩 출력
+ */
+function createLogDisplay(tracker) {
+    return {
+        isLive: false,
+
+        update({ totalAttempts, elapsedMs, found = null }) {
+            const eta = tracker.update(totalAttempts);
+            const foundText = found !== null ? ` | 찾은 지갑: ${found}` : '';
+            console.log(chalk.cyan(`💪 시도 횟수: ${totalAttempts.toLocaleString()} | 속도: ${Math.round(eta.rate).toLocaleString()}/초 | 경과 시간: ${Math.round(elapsedMs / 1000)}초${foundText}`));
+            console.log(chalk.gray(`   ⏳ ${formatEta(eta)}`));
+        },
+
+        markMatch() {
+            tracker.markMatch();
+        },
+
+        log(message) {
+            console.log(message);
+        },
+
+        stop() {}
+    };
+}
+
+/**
+ * TTY일 때: 전체 진행 막대, 남은 시간 줄, 워커별 속도 막대로 이루어진 대시보드
+ */
+function createDashboard(tracker, stream) {
+    const multibar = new cliProgress.MultiBar({
+        stream,
+        barsize: BAR_SIZE,
+        hideCursor: true,
+        clearOnComplete: false
+    }, cliProgress.Presets.shades_classic);
+
+    const state = { totalAttempts: 0, elapsedMs: 0, updatedAt: null, found: null, eta: null };
+    const workerRows = new Map(); // workerId → {bar, meter, attempts}
+    let stopped = false;
+
+    const drawBar = (progress, barOptions) => cliProgress.Format.BarFormat(Math.min(1, Math.max(0, progress)), barOptions);
+
+    // 진행 보고 사이에도 경과 시간은 흐르도록 다시 그릴 때마다 계산
+    const getElapsedSeconds = () => {
+        const sinceUpdate = state.updatedAt !== null ? Date.now() - state.updatedAt : 0;
+        return Math.round((state.elapsedMs + sinceUpdate) / 1000);
+    };
+
+    multibar.create(1, 0, {}, {
+        format: (barOptions) => {
+            if (!state.eta) {
+                return chalk.gray('🎯 워커 시작 중...');
+            }
+            const { eta } = state;
+            const found = state.found !== null ? ` | 찾은 지갑: ${state.found}` : '';
+            return `🎯 ${chalk.cyan(drawBar(eta.successProbability, barOptions))} 누적 성공 확률 ${(eta.successProbability * 100).toFixed(1)}%`
+                + ` | ${chalk.bold(`${Math.round(eta.rate).toLocaleString()}/초`)}`
+                + ` | 시도 ${state.totalAttempts.toLocaleString()} | 경과 ${getElapsedSeconds()}초${found}`;
+        }
+    });
+
+    multibar.create(1, 0, {}, {
+        format: () => {
+            if (!state.eta || state.eta.rate <= 0) {
+                return chalk.gray('⏳ 남은 시간: 속도 측정 중...');
+            }
+            return chalk.gray(`⏳ 남은 시간 ${formatEtaLevels(state.eta)}`);
+        }
+    });
+
+    const getMaxWorkerRate = () => Math.max(0, ...[...workerRows.values()].map(row => row.meter.getRate()));
+
+    const addWorkerRow = (workerId) => {
+        const row = { bar: null, meter: createRateMeter(), attempts: 0 };
+        row.bar = multibar.create(1, 0, {}, {
+            format: (barOptions) => {
+                const rate = row.meter.getRate();
+                const maxRate = getMaxWorkerRate();
+                const bar = drawBar(maxRate > 0 ? rate / maxRate : 0, barOptions);
+                return `   워커 ${String(workerId).padStart(2)} ${chalk.green(bar)} ${Math.round(rate).toLocaleString()}/초 | 시도 ${row.attempts.toLocaleString()}`;
+            }
+        });
+        workerRows.set(workerId, row);
+        return row;
+    };
+
+    const updateWorkers = (workers) => {
+        const now = Date.now();
+        const activeIds = new Set();
+
+        for (const { workerId, attempts } of workers) {
+            activeIds.add(workerId);
+            const row = workerRows.get(workerId) || addWorkerRow(workerId);
+            if (attempts < row.attempts) {
+                // 다시 시작한 워커는 0부터 다시 세므로 속도 측정도 새로 시작
+                row.meter = createRateMeter();
+            }
+            // 다른 워커의 보고로 호출될 때는 표본을 남기지 않아야 워커별 속도가 정확함
+            if (attempts !== row.attempts) {
+                row.meter.update(attempts, now);
+            }
+            row.attempts = attempts;
+        }
+
+        // 줄어들었거나 재시작 한도를 넘긴 워커의 줄은 지움
+        for (const [workerId, row] of workerRows) {
+            if (!activeIds.has(workerId)) {
+                multibar.remove(row.bar);
+                workerRows.delete(workerId);
+            }
+        }
+    };
+
+    return {
+        isLive: true,
+
+        update({ totalAttempts, elapsedMs, found = null, workers = null }) {
+            if (stopped) return;
+            state.eta = tracker.update(totalAttempts);
+            state.totalAttempts = totalAttempts;
+            state.elapsedMs = elapsedMs;
+            state.updatedAt = Date.now();
+            state.found = found;
+            if (workers) {
+                updateWorkers(workers);
+            }
+        },
+
+        markMatch() {
+            tracker.markMatch();
+        },
+
+        log(message) {
+            if (stopped) {
+                console.log(message);
+                return;
+            }
+            multibar.log(`${message}\n`);
+        },
+
+        /**
+         * 마지막 상태를 화면에 남기고 대시보드를 멈춥니다 (여러 번 호출해도 됨)
+         */
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            // 아직 출력하지 않은 log() 메시지를 먼저 내보냄
+            multibar.update();
+            multibar.stop();
+        }
+    };
+}
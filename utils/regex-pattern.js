@@ -0,0 +1,699 @@
+/**
+ * 정규식/와일드카드 패턴 모드 ('regex')
+ *
+ * 지원 문법 (제한된 정규식):
+ *   - 리터럴: Base58 문자
+ *   - `.`: 임의의 Base58 문자
+ *   - `[...]`, `[^...]`: 문자 클래스 (범위 `A-C` 지원)
+ *   - `?`, `*`, `+`, `{n}`, `{n,}`, `{n,m}`: 수량자
+ *   - `(...)`, `|`: 그룹과 선택
+ *   - `^`, `$`: 주소 시작/끝 앵커
+ *
+ * 와일드카드(glob) 문법: `?` = 한 글자, `*` = 0글자 이상, `[...]`/`[!...]` = 문자 클래스.
+ * glob 패턴은 주소 전체와 비교되므로 `So?ana*`는 "So?ana"로 시작하는 주소를 찾습니다.
+ *
+ * 문법을 지정하지 않으면(auto) `^`로 시작하거나 `$`로 끝나는 패턴은 정규식, 나머지는 glob으로 해석합니다.
+ *
+ * 패턴은 RegExp 대신 구문 트리에서 만든 오토마톤으로 검사하므로 `(A|A)*`, `.*.*.*`처럼
+ * 백트래킹 엔진에서 폭발하는 패턴도 주소 길이에 비례하는 시간 안에 끝납니다.
+ */
+
+export const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * 솔라나 주소의 일반적인 길이 (포함 패턴 추정에 사용)
+ */
+const ADDRESS_LENGTH = 44;
+
+/**
+ * 정규식 패턴의 최대 길이
+ */
+export const MAX_EXPRESSION_LENGTH = 64;
+
+const BASE58_SET = new Set(BASE58_ALPHABET);
+
+// 오토마톤 상태 수 상한 (큰 반복 수량자로 메모리를 과도하게 쓰지 않도록)
+const MAX_MATCHER_STATES = 4096;
+// 검사 중에 캐시하는 결정적 상태 수 상한 (넘으면 캐시를 비우고 다시 만듦)
+const MAX_CACHED_MATCHER_STATES = 2048;
+
+/**
+ * 패턴 문법을 결정합니다
+ * @param {string} expression - 패턴
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {string} 'regex' 또는 'glob'
+ */
+export function detectPatternSyntax(expression, syntax = 'auto') {
+    if (syntax === 'regex' || syntax === 'glob') {
+        return syntax;
+    }
+    return expression.startsWith('^') || expression.endsWith('$') ? 'regex' : 'glob';
+}
+
+// glob 문법이 아닌 정규식 메타 문자 (그대로 넘기면 정규식 문법으로 해석되므로 거부)
+const GLOB_REJECTED_CHARS = new Set('+{}()|.\\^$');
+
+/**
+ * glob 패턴을 정규식 소스로 변환합니다 (주소 전체와 비교하도록 앵커 추가)
+ * `*`, `?`, `[...]`만 변환하며, 그 밖의 정규식 메타 문자는 거부합니다.
+ * @param {string} glob - glob 패턴
+ * @returns {string} 정규식 소스
+ * @throws {Error} 닫히지 않은 문자 클래스나 glob에서 쓸 수 없는 문자가 있을 때
+ */
+export function globToRegexSource(glob) {
+    let source = '^';
+    let i = 0;
+
+    while (i < glob.length) {
+        const ch = glob[i];
+        if (ch === '?') {
+            source += '.';
+        } else if (ch === '*') {
+            source += '.*';
+        } else if (ch === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                throw new Error('닫히지 않은 문자 클래스입니다: "["');
+            }
+            let body = glob.slice(i + 1, close);
+            if (body.startsWith('!')) {
+                body = '^' + body.slice(1);
+            }
+            source += `[${body}]`;
+            i = close;
+        } else if (GLOB_REJECTED_CHARS.has(ch)) {
+            throw new Error(`와일드카드 패턴에서는 "${ch}"를 사용할 수 없습니다 (*, ?, [...]만 지원). 정규식은 ^로 시작하거나 $로 끝나게 쓰세요.`);
+        } else {
+            source += ch;
+        }
+        i++;
+    }
+
+    return source + '$';
+}
+
+/**
+ * 제한된 정규식을 구문 트리로 파싱합니다
+ * Base58에 없는 문자, 역참조, 전방탐색 등은 허용하지 않습니다.
+ * @param {string} source - 정규식 소스
+ * @returns {Object} 구문 트리 ({type: 'alt', options: [...]})
+ */
+export function parseRegexSource(source) {
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`유효하지 않은 패턴입니다 (${pos + 1}번째 문자): ${message}`);
+    };
+
+    const parseClass = () => {
+        // '[' 다음 위치에서 시작
+        let negate = false;
+        if (source[pos] === '^') {
+            negate = true;
+            pos++;
+        }
+        const members = new Set();
+        let first = true;
+
+        while (pos < source.length && (source[pos] !== ']' || first)) {
+            const ch = source[pos];
+            if (ch === '\\' || ch === '[') {
+                fail(`문자 클래스 안에서 "${ch}"는 사용할 수 없습니다.`);
+            }
+            if (source[pos + 1] === '-' && source[pos + 2] !== undefined && source[pos + 2] !== ']') {
+                const from = ch.charCodeAt(0);
+                const to = source[pos + 2].charCodeAt(0);
+                if (from > to) {
+                    fail(`잘못된 범위입니다: ${ch}-${source[pos + 2]}`);
+                }
+                for (let code = from; code <= to; code++) {
+                    const member = String.fromCharCode(code);
+                    if (BASE58_SET.has(member)) {
+                        members.add(member);
+                    }
+                }
+                pos += 3;
+            } else {
+                if (!BASE58_SET.has(ch)) {
+                    fail(`Base58 문자가 아닙니다: "${ch}"`);
+                }
+                members.add(ch);
+                pos++;
+            }
+            first = false;
+        }
+
+        if (source[pos] !== ']') {
+            fail('닫히지 않은 문자 클래스입니다.');
+        }
+        pos++;
+
+        const set = negate
+            ? new Set([...BASE58_ALPHABET].filter(ch => !members.has(ch)))
+            : members;
+        if (set.size === 0) {
+            fail('문자 클래스에 Base58 문자가 하나도 없습니다.');
+        }
+        return { type: 'class', set };
+    };
+
+    const parseQuantifier = () => {
+        const ch = source[pos];
+        if (ch === '?') { pos++; return { min: 0, max: 1 }; }
+        if (ch === '*') { pos++; return { min: 0, max: Infinity }; }
+        if (ch === '+') { pos++; return { min: 1, max: Infinity }; }
+        if (ch === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+            if (!match) {
+                fail('잘못된 반복 수량자입니다.');
+            }
+            pos += match[0].length;
+            const min = Number(match[1]);
+            const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+            if (max < min) {
+                fail('반복 수량자의 최대값이 최소값보다 작습니다.');
+            }
+            return { min, max };
+        }
+        return { min: 1, max: 1 };
+    };
+
+    const parseAlternation = () => {
+        const options = [parseSequence()];
+        while (source[pos] === '|') {
+            pos++;
+            options.push(parseSequence());
+        }
+        return { type: 'alt', options };
+    };
+
+    const parseSequence = () => {
+        const items = [];
+        while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+            const ch = source[pos];
+            let atom;
+
+            if (ch === '^') {
+                pos++;
+                items.push({ atom: { type: 'start' }, min: 1, max: 1 });
+                continue;
+            } else if (ch === '$') {
+                pos++;
+                items.push({ atom: { type: 'end' }, min: 1, max: 1 });
+                continue;
+            } else if (ch === '.') {
+                pos++;
+                atom = { type: 'class', set: BASE58_SET };
+            } else if (ch === '[') {
+                pos++;
+                atom = parseClass();
+            } else if (ch === '(') {
+                pos++;
+                if (source[pos] === '?') {
+                    fail('"(?" 그룹 문법은 지원하지 않습니다.');
+                }
+                atom = { type: 'group', alt: parseAlternation() };
+                if (source[pos] !== ')') {
+                    fail('닫히지 않은 그룹입니다.');
+                }
+                pos++;
+            } else if (BASE58_SET.has(ch)) {
+                pos++;
+                atom = { type: 'class', set: new Set([ch]) };
+            } else {
+                fail(`Base58 문자가 아니거나 지원하지 않는 문법입니다: "${ch}"`);
+            }
+
+            const { min, max } = parseQuantifier();
+            if (source[pos] !== undefined && '?*+{'.includes(source[pos])) {
+                fail('수량자를 연속해서 사용할 수 없습니다.');
+            }
+            if (atom.type === 'group' && max > 1) {
+                // (.*)*, (A|BC)+ 같은 중첩 반복은 일치 방법이 폭발적으로 많아지므로 거부
+                const length = getLengthRange(atom.alt);
+                if (length.min === 0 || length.min !== length.max) {
+                    fail('반복하는 그룹은 빈 문자열과 일치할 수 없는 고정 길이여야 합니다 (예: (AB)+).');
+                }
+            }
+            items.push({ atom, min, max });
+        }
+        return { type: 'seq', items };
+    };
+
+    const tree = parseAlternation();
+    if (pos < source.length) {
+        fail(`예상하지 못한 문자입니다: "${source[pos]}"`);
+    }
+    return tree;
+}
+
+/**
+ * 구문 트리가 일치할 수 있는 문자열 길이의 범위를 계산합니다
+ * @param {Object} alt - 구문 트리 ({type: 'alt', options: [...]})
+ * @returns {{min: number, max: number}} 최소/최대 길이 (최대는 Infinity일 수 있음)
+ */
+function getLengthRange(alt) {
+    let min = Infinity;
+    let max = 0;
+    for (const option of alt.options) {
+        let optionMin = 0;
+        let optionMax = 0;
+        for (const item of option.items) {
+            let atomLength;
+            if (item.atom.type === 'class') {
+                atomLength = { min: 1, max: 1 };
+            } else if (item.atom.type === 'group') {
+                atomLength = getLengthRange(item.atom.alt);
+            } else {
+                continue; // 앵커는 길이 0
+            }
+            if (item.max === 0) continue;
+            optionMin += atomLength.min * item.min;
+            optionMax += atomLength.max === 0 ? 0 : atomLength.max * item.max;
+        }
+        min = Math.min(min, optionMin);
+        max = Math.max(max, optionMax);
+    }
+    return { min, max };
+}
+
+/**
+ * 패턴을 문법에 맞게 해석하여 정규식 소스와 구문 트리를 반환합니다
+ * @param {string} expression - 정규식 또는 glob 패턴
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {{source: string, tree: Object, syntax: string}} 해석 결과
+ */
+export function parsePatternExpression(expression, syntax = 'auto') {
+    if (!expression || expression.length === 0) {
+        throw new Error('패턴을 입력해주세요.');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`패턴이 너무 깁니다. ${MAX_EXPRESSION_LENGTH}자 이하로 입력해주세요.`);
+    }
+
+    const resolvedSyntax = detectPatternSyntax(expression, syntax);
+    const source = resolvedSyntax === 'glob' ? globToRegexSource(expression) : expression;
+    const tree = parseRegexSource(source);
+
+    return { source, tree, syntax: resolvedSyntax };
+}
+
+/**
+ * 패턴이 정규식/와일드카드 모드에서 유효한지 확인합니다
+ * @param {string} expression - 패턴
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {true|string} 유효하면 true, 아니면 오류 메시지
+ */
+export function validatePatternExpression(expression, syntax = 'auto') {
+    try {
+        // 오토마톤 크기 제한까지 확인하도록 컴파일해 봄
+        compilePatternExpression(expression, true, syntax);
+        return true;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * 구문 트리를 비결정적 오토마톤(NFA) 상태 목록으로 만듭니다
+ * 상태: char {set, out} | split {out: [...]} | start/end {out} (앵커) | match
+ * @param {Object} tree - 구문 트리
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {{states: Object[], start: number}} 상태 목록과 시작 상태
+ */
+function buildMatcherStates(tree, caseSensitive) {
+    const states = [];
+    const add = (state) => {
+        if (states.length >= MAX_MATCHER_STATES) {
+            throw new Error('패턴이 너무 복잡합니다. 반복 횟수를 줄여주세요.');
+        }
+        states.push(state);
+        return states.length - 1;
+    };
+
+    const charSet = (set) => {
+        if (caseSensitive) return set;
+        const expanded = new Set();
+        for (const ch of set) {
+            expanded.add(ch).add(ch.toLowerCase()).add(ch.toUpperCase());
+        }
+        return expanded;
+    };
+
+    // 뒤에서부터 만들어 각 조각이 이어질 상태(next)를 바로 알 수 있게 함
+    const compileAlt = (alt, next) => {
+        const entries = alt.options.map(option => compileSequence(option.items, next));
+        return entries.length === 1 ? entries[0] : add({ type: 'split', out: entries });
+    };
+
+    const compileAtom = (atom, next) => {
+        if (atom.type === 'class') return add({ type: 'char', set: charSet(atom.set), out: next });
+        if (atom.type === 'group') return compileAlt(atom.alt, next);
+        return add({ type: atom.type, out: next });
+    };
+
+    const compileItem = ({ atom, min, max }, next) => {
+        let entry = next;
+        if (max === Infinity) {
+            const loop = add({ type: 'split', out: [] });
+            states[loop].out = [compileAtom(atom, loop), next];
+            entry = loop;
+        } else {
+            for (let i = min; i < max; i++) {
+                entry = add({ type: 'split', out: [compileAtom(atom, entry), next] });
+            }
+        }
+        for (let i = 0; i < min; i++) {
+            entry = compileAtom(atom, entry);
+        }
+        return entry;
+    };
+
+    const compileSequence = (items, next) => {
+        let entry = next;
+        for (let i = items.length - 1; i >= 0; i--) {
+            entry = compileItem(items[i], entry);
+        }
+        return entry;
+    };
+
+    const accept = add({ type: 'match' });
+    return { states, start: compileAlt(tree, accept) };
+}
+
+/**
+ * 패턴을 선형 시간 매처로 컴파일합니다 (워커마다 한 번만 호출)
+ * RegExp와 같은 test()/exec()를 제공하지만 백트래킹 없이 주소 길이에 비례하는 시간에 끝납니다.
+ * 검사 중 만나는 상태 집합을 결정적 상태로 캐시하므로 같은 매처를 반복해서 쓸수록 빨라집니다.
+ * @param {string} expression - 정규식 또는 glob 패턴
+ * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {{source: string, flags: string, test: Function, exec: Function}} 컴파일된 매처
+ */
+export function compilePatternExpression(expression, caseSensitive = true, syntax = 'auto') {
+    const { source, tree } = parsePatternExpression(expression, syntax);
+    const { states, start } = buildMatcherStates(tree, caseSensitive);
+
+    // 빈 문자 전이(split/앵커)를 따라가며 도달하는 상태를 모읍니다
+    // 끝 앵커는 입력이 끝났을 때만 통과하므로, 통과하지 못하면 상태 집합에 남겨 둡니다.
+    const closure = (ids, atStart, atEnd) => {
+        const seen = new Set();
+        const stack = [...ids];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            const state = states[id];
+            if (state.type === 'split') {
+                stack.push(...state.out);
+            } else if ((state.type === 'start' && atStart) || (state.type === 'end' && atEnd)) {
+                stack.push(state.out);
+            }
+        }
+        return [...seen].filter(id => states[id].type !== 'split' && states[id].type !== 'start');
+    };
+
+    const containsMatch = (ids) => ids.some(id => states[id].type === 'match');
+
+    const step = (ids, ch) => {
+        const moved = [];
+        for (const id of ids) {
+            const state = states[id];
+            if (state.type === 'char' && state.set.has(ch)) {
+                moved.push(state.out);
+            }
+        }
+        return moved;
+    };
+
+    // test(): 주소의 어느 위치에서 시작해도 되므로 매 글자마다 시작 상태를 다시 넣음
+    const cache = new Map();
+    // 전이는 ASCII 문자 코드로 색인하는 배열에 캐시 (주소는 모두 ASCII)
+    const createDfaState = (ids, initial) => ({
+        ids,
+        initial,
+        accepting: containsMatch(ids),
+        // 더 갈 상태가 없으면(시작 앵커 뒤에서 어긋남 등) 나머지 글자는 볼 필요가 없음
+        dead: ids.length === 0,
+        acceptsAtEnd: null,
+        next: new Array(128)
+    });
+    const initialState = createDfaState(closure([start], true, false), true);
+
+    const getNextState = (dfaState, ch) => {
+        const code = ch.charCodeAt(0);
+        let next = dfaState.next[code];
+        if (next) return next;
+
+        const ids = closure([...step(dfaState.ids, ch), start], false, false).sort((a, b) => a - b);
+        const key = ids.join(',');
+        next = cache.get(key);
+        if (!next) {
+            if (cache.size >= MAX_CACHED_MATCHER_STATES) {
+                cache.clear();
+                initialState.next.fill(undefined);
+            }
+            next = createDfaState(ids, false);
+            cache.set(key, next);
+        }
+        if (code < 128) {
+            dfaState.next[code] = next;
+        }
+        return next;
+    };
+
+    const acceptsAtEnd = (dfaState) => {
+        if (dfaState.acceptsAtEnd === null) {
+            dfaState.acceptsAtEnd = containsMatch(closure(dfaState.ids, dfaState.initial, true));
+        }
+        return dfaState.acceptsAtEnd;
+    };
+
+    /**
+     * from 위치에서 시작하는 가장 긴 일치의 끝 위치를 찾습니다 (없으면 -1)
+     */
+    const longestMatchFrom = (text, from) => {
+        let ids = closure([start], from === 0, from === text.length);
+        let end = containsMatch(ids) ? from : -1;
+        for (let i = from; i < text.length && ids.length > 0; i++) {
+            ids = closure(step(ids, text[i]), false, i + 1 === text.length);
+            if (containsMatch(ids)) end = i + 1;
+        }
+        return end;
+    };
+
+    return {
+        source,
+        flags: caseSensitive ? '' : 'i',
+
+        /**
+         * 문자열 어딘가에 패턴과 일치하는 부분이 있는지 확인합니다
+         * @param {string} text - 검사할 문자열 (주소)
+         * @returns {boolean} 일치 여부
+         */
+        test(text) {
+            let dfaState = initialState;
+            for (let i = 0; i < text.length; i++) {
+                if (dfaState.accepting) return true;
+                if (dfaState.dead) return false;
+                dfaState = getNextState(dfaState, text[i]);
+            }
+            return dfaState.accepting || acceptsAtEnd(dfaState);
+        },
+
+        /**
+         * 가장 왼쪽에서 시작하는 가장 긴 일치를 찾습니다 (강조 표시용)
+         * @param {string} text - 검사할 문자열
+         * @returns {Array|null} [일치한 문자열] (index 속성 포함), 없으면 null
+         */
+        exec(text) {
+            for (let from = 0; from <= text.length; from++) {
+                const end = longestMatchFrom(text, from);
+                if (end !== -1) {
+                    return Object.assign([text.slice(from, end)], { index: from, input: text });
+                }
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * 한 글자 위치가 문자 집합에 일치할 확률을 계산합니다
+ * @param {Set<string>} set - 허용 문자 집합
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {number} 확률 (0~1)
+ */
+function charProbability(set, caseSensitive) {
+    if (caseSensitive) {
+        return set.size / BASE58_ALPHABET.length;
+    }
+    let count = 0;
+    for (const ch of BASE58_ALPHABET) {
+        if (set.has(ch) || set.has(ch.toLowerCase()) || set.has(ch.toUpperCase())) {
+            count++;
+        }
+    }
+    return count / BASE58_ALPHABET.length;
+}
+
+/**
+ * 고정 길이 원자의 길이와 확률을 계산합니다 (가변 길이면 null)
+ */
+function fixedAtom(atom, caseSensitive) {
+    if (atom.type === 'class') {
+        return { length: 1, probability: charProbability(atom.set, caseSensitive) };
+    }
+    if (atom.type === 'group') {
+        let length = null;
+        let probability = 0;
+        for (const option of atom.alt.options) {
+            const run = fixedRun(option.items, caseSensitive);
+            if (!run.complete || (length !== null && run.length !== length)) {
+                return null;
+            }
+            length = run.length;
+            probability += run.probability;
+        }
+        return { length, probability: Math.min(1, probability) };
+    }
+    return null;
+}
+
+/**
+ * 앞에서부터 고정 길이로 이어지는 구간의 길이와 확률을 계산합니다
+ */
+function fixedRun(items, caseSensitive) {
+    let length = 0;
+    let probability = 1;
+
+    for (const item of items) {
+        if (item.atom.type === 'start' || item.atom.type === 'end') {
+            continue;
+        }
+        const fixed = fixedAtom(item.atom, caseSensitive);
+        if (!fixed) {
+            return { length, probability, complete: false };
+        }
+        length += fixed.length * item.min;
+        probability *= Math.pow(fixed.probability, item.min);
+        if (item.min !== item.max) {
+            // 가변 수량자는 최소 반복 횟수까지만 반영하고 멈춥니다
+            return { length, probability, complete: false };
+        }
+    }
+
+    return { length, probability, complete: true };
+}
+
+/**
+ * 아무 글자나 무제한 반복하는 항목(`.*`, `.+`)인지 확인합니다
+ */
+function isFreeItem(item, caseSensitive) {
+    if (item.max !== Infinity || item.atom.type === 'start' || item.atom.type === 'end') {
+        return false;
+    }
+    const fixed = fixedAtom(item.atom, caseSensitive);
+    return fixed !== null && fixed.probability === 1;
+}
+
+/**
+ * 앵커를 뺀 항목들을 가변 길이 항목을 경계로 고정 길이 구간들로 나눕니다
+ * 가변 수량자는 최소 반복 횟수까지만 앞 구간에 포함합니다.
+ * @returns {Object[]} 구간 목록 {length, probability}
+ */
+function fixedRuns(items, caseSensitive) {
+    const runs = [];
+    let current = { length: 0, probability: 1 };
+
+    for (const item of items) {
+        if (item.atom.type === 'start' || item.atom.type === 'end') {
+            continue;
+        }
+        const fixed = fixedAtom(item.atom, caseSensitive);
+        if (fixed) {
+            current.length += fixed.length * item.min;
+            current.probability *= Math.pow(fixed.probability, item.min);
+        }
+        if (!fixed || item.min !== item.max) {
+            runs.push(current);
+            current = { length: 0, probability: 1 };
+        }
+    }
+    runs.push(current);
+    return runs;
+}
+
+/**
+ * 하나의 선택지(seq)가 임의의 주소에 일치할 확률을 추정합니다
+ * 앵커 바로 안쪽이 `.*`이면 그 앵커는 없는 것으로 보고(`*Sox*` = Sox 포함),
+ * 앵커에 붙지 않은 고정 구간은 포함 패턴처럼 가능한 시작 위치 수를 곱합니다.
+ */
+function sequenceProbability(seq, caseSensitive) {
+    let items = seq.items;
+    let anchoredStart = items.length > 0 && items[0].atom.type === 'start';
+    let anchoredEnd = items.length > 0 && items[items.length - 1].atom.type === 'end';
+
+    const prefix = fixedRun(items, caseSensitive);
+    if (prefix.complete && anchoredStart && anchoredEnd) {
+        return prefix.probability;
+    }
+
+    if (anchoredStart) {
+        items = items.slice(1);
+        if (items.length > 0 && isFreeItem(items[0], caseSensitive)) {
+            anchoredStart = false;
+        }
+    }
+    if (anchoredEnd) {
+        items = items.slice(0, -1);
+        if (items.length > 0 && isFreeItem(items[items.length - 1], caseSensitive)) {
+            anchoredEnd = false;
+        }
+    }
+
+    const runs = fixedRuns(items, caseSensitive);
+    let probability = 1;
+    runs.forEach((run, index) => {
+        if (run.length === 0) {
+            return;
+        }
+        const anchored = (index === 0 && anchoredStart) || (index === runs.length - 1 && anchoredEnd);
+        const positions = anchored ? 1 : Math.max(1, ADDRESS_LENGTH - run.length + 1);
+        probability *= Math.min(1, run.probability * positions);
+    });
+    return probability;
+}
+
+/**
+ * 정규식/와일드카드 패턴이 임의의 주소 하나와 일치할 확률을 추정합니다
+ * 고정 길이 구간의 확률과 (앵커가 없으면) 가능한 시작 위치 수를 기반으로 한 근사치입니다.
+ * @param {string} expression - 패턴
+ * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {number} 시도 1회당 일치 확률 (0~1)
+ */
+export function estimatePatternExpressionProbability(expression, caseSensitive = true, syntax = 'auto') {
+    const { tree } = parsePatternExpression(expression, syntax);
+
+    let probability = 0;
+    for (const option of tree.options) {
+        probability += sequenceProbability(option, caseSensitive);
+    }
+    return Math.min(1, probability);
+}
+
+/**
+ * 정규식/와일드카드 패턴의 예상 시도 횟수를 계산합니다
+ * @param {string} expression - 패턴
+ * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {string} syntax - 'auto' | 'regex' | 'glob'
+ * @returns {number} 예상 시도 횟수
+ */
+export function estimatePatternExpressionAttempts(expression, caseSensitive = true, syntax = 'auto') {
+    const probability = estimatePatternExpressionProbability(expression, caseSensitive, syntax);
+    if (probability <= 0) {
+        return Infinity;
+    }
+    return Math.ceil(1 / probability);
+}
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import bs58 from 'bs58';
+
+/**
+ * createWithSeed 주소 vanity 생성
+ *
+ * 솔라나의 createWithSeed 주소는 sha256(base ‖ seed ‖ owner)로 정해지는 개인키 없는 주소입니다.
+ * base 공개키와 owner 프로그램은 고정하고 seed 문자열만 바꿔 가며 패턴과 일치하는 주소를 찾습니다.
+ * 찾은 주소의 계정은 base 키 소유자가 서명해 SystemProgram.createAccountWithSeed로
+ * (같은 seed와 owner를 넘겨) 만들 수 있으므로, 검색 머신은 어떤 비밀 값도 알 필요가 없습니다.
+ */
+
+/**
+ * seed 최대 길이 (바이트, 솔라나 MAX_SEED_LEN)
+ */
+export const MAX_SEED_LENGTH = 32;
+
+// seed는 어떤 도구에서도 그대로 입력할 수 있도록 영숫자만 사용
+const SEED_CHARSET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// 워커 작업마다 다른 무작위 부분 (워커끼리 같은 seed를 검사하지 않도록)
+const SEED_NONCE_LENGTH = 6;
+// 카운터는 36진수로 붙이며 Number.MAX_SAFE_INTEGER도 11자리
+const SEED_COUNTER_MAX_LENGTH = 11;
+
+/**
+ * seed 접두사 최대 길이 (접두사 + 무작위 부분 + 카운터가 MAX_SEED_LENGTH를 넘지 않는 길이)
+ */
+export const MAX_SEED_PREFIX_LENGTH = MAX_SEED_LENGTH - SEED_NONCE_LENGTH - SEED_COUNTER_MAX_LENGTH;
+
+// 런타임은 owner가 이 표식으로 끝나면 PDA와 겹치지 않도록 createWithSeed를 거부함
+const PDA_MARKER = Buffer.from('ProgramDerivedAddress');
+
+/**
+ * base58 공개키를 32바이트로 변환하고 검사합니다
+ * @param {string} value - base58 공개키
+ * @param {string} label - 오류 메시지에 사용할 이름
+ * @returns {Buffer} 32바이트 공개키
+ */
+export function decodePublicKey(value, label) {
+    let bytes;
+    try {
+        bytes = bs58.decode(String(value || '').trim());
+    } catch (error) {
+        bytes = null;
+    }
+    if (!bytes || bytes.length !== 32) {
+        throw new Error(`${label}가 올바른 base58 공개키가 아닙니다: ${value || '(없음)'}`);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * seed 문자열을 바이트로 변환하고 길이를 검사합니다
+ * @param {string} seed - seed 문자열
+ * @returns {Buffer} UTF-8 바이트
+ */
+function encodeSeed(seed) {
+    const bytes = Buffer.from(String(seed), 'utf8');
+    if (bytes.length > MAX_SEED_LENGTH) {
+        throw new Error(`seed는 ${MAX_SEED_LENGTH}바이트 이하여야 합니다: ${bytes.length}바이트`);
+    }
+    return bytes;
+}
+
+/**
+ * createWithSeed 검색 입력을 검사합니다
+ * @param {Object} inputs - 검색 입력
+ * @param {string} inputs.basePubkey - base 공개키 (계정을 만들 때 서명할 키)
+ * @param {string} inputs.programId - 계정의 owner 프로그램 ID
+ * @param {string} inputs.seedPrefix - 모든 seed 앞에 붙일 문자열 (선택, 영숫자와 -_. 만 허용)
+ * @returns {{base: Buffer, owner: Buffer, seedPrefix: string}} 검사한 입력
+ * @throws {Error} 공개키 형식이 틀렸거나, owner가 PDA 표식으로 끝나거나, 접두사가 너무 길 때
+ */
+export function parseSeedInputs({ basePubkey = null, programId = null, seedPrefix = '' } = {}) {
+    const base = decodePublicKey(basePubkey, 'base 공개키');
+    const owner = decodePublicKey(programId, 'owner 프로그램 ID');
+    if (owner.subarray(-PDA_MARKER.length).equals(PDA_MARKER)) {
+        throw new Error('owner 프로그램 ID가 "ProgramDerivedAddress"로 끝나면 createWithSeed를 사용할 수 없습니다.');
+    }
+
+    const prefix = seedPrefix || '';
+    if (!/^[0-9A-Za-z._-]*$/.test(prefix)) {
+        throw new Error('seed 접두사는 영숫자와 - _ . 만 사용할 수 있습니다.');
+    }
+    if (prefix.length > MAX_SEED_PREFIX_LENGTH) {
+        throw new Error(`seed 접두사는 ${MAX_SEED_PREFIX_LENGTH}자 이하여야 합니다 (seed 전체 최대 ${MAX_SEED_LENGTH}바이트).`);
+    }
+    return { base, owner, seedPrefix: prefix };
+}
+
+/**
+ * createWithSeed 주소를 계산합니다 (PublicKey.createWithSeed와 같은 결과를 동기로 계산)
+ * @param {string} basePubkey - base58 base 공개키
+ * @param {string} seed - seed 문자열 (최대 32바이트)
+ * @param {string} programId - base58 owner 프로그램 ID
+ * @returns {string} base58 주소
+ */
+export function getAddressWithSeed(basePubkey, seed, programId) {
+    const base = decodePublicKey(basePubkey, 'base 공개키');
+    const owner = decodePublicKey(programId, 'owner 프로그램 ID');
+    return bs58.encode(crypto.createHash('sha256').update(base).update(encodeSeed(seed)).update(owner).digest());
+}
+
+/**
+ * 무작위 영숫자 문자열을 만듭니다
+ */
+function randomSeedPart(length) {
+    return Array.from(crypto.randomBytes(length), byte => SEED_CHARSET[byte % SEED_CHARSET.length]).join('');
+}
+
+/**
+ * 검색 워커가 차례로 검사할 seed 문자열을 만듭니다
+ * seed는 접두사 + 작업마다 다른 무작위 부분 + 36진수 카운터입니다.
+ * @param {string} prefix - 모든 seed 앞에 붙일 문자열 (최대 MAX_SEED_PREFIX_LENGTH자)
+ * @returns {Function} 호출할 때마다 다음 seed 문자열을 반환
+ */
+export function createSeedSequence(prefix = '') {
+    const stem = prefix + randomSeedPart(SEED_NONCE_LENGTH);
+    let counter = -1;
+    return () => {
+        counter++;
+        return stem + counter.toString(36);
+    };
+}
+
+/**
+ * 검색 워커용 후보 생성기를 만듭니다 (후보마다 해시 한 번만 계산)
+ * @param {Object} inputs - parseSeedInputs 입력 ({basePubkey, programId, seedPrefix})
+ * @returns {{next: Function, getSeed: Function}} next()는 다음 후보 주소(32바이트),
+ *          getSeed()는 마지막 후보의 seed 문자열
+ */
+export function createSeedCandidates(inputs) {
+    const { base, owner, seedPrefix } = parseSeedInputs(inputs);
+    const nextSeed = createSeedSequence(seedPrefix);
+    let seed = null;
+
+    return {
+        next() {
+            seed = nextSeed();
+            return crypto.createHash('sha256').update(base).update(seed, 'utf8').update(owner).digest();
+        },
+
+        getSeed() {
+            return seed;
+        }
+    };
+}
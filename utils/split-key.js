@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { ed25519 } from '@noble/curves/ed25519';
+
+/**
+ * 분할 키(split-key) vanity 생성
+ *
+ * 요청자는 비밀 스칼라 a와 기준점 A = a·G를 만들고 A만 검색 머신에 넘깁니다.
+ * 검색 머신은 A + b·G의 주소가 패턴과 일치하는 부분 키 b를 찾아 b만 돌려주고,
+ * 요청자가 최종 개인키 a + b (mod L)를 로컬에서 계산합니다. 검색 머신은 a를 모르므로
+ * 최종 개인키를 알 수 없습니다.
+ *
+ * 최종 키는 ed25519 시드가 아닌 스칼라이므로 Solana 64바이트 secretKey 형식이나
+ * 시드 문구로 표현할 수 없습니다. 서명은 signWithScalar를 사용해야 합니다.
+ */
+
+const Point = ed25519.ExtendedPoint;
+const CURVE_ORDER = ed25519.CURVE.n;
+const SCALAR_LENGTH = 32;
+
+/**
+ * 분할 키 파일 형식 버전
+ */
+export const SPLIT_KEY_VERSION = 1;
+
+/**
+ * 32바이트 리틀 엔디언 값을 숫자로 변환합니다
+ */
+function bytesToScalar(bytes) {
+    return BigInt(`0x${Buffer.from(bytes).reverse().toString('hex') || '0'}`);
+}
+
+/**
+ * 스칼라를 32바이트 리틀 엔디언으로 변환합니다
+ */
+function scalarToBytes(scalar) {
+    return Buffer.from(scalar.toString(16).padStart(SCALAR_LENGTH * 2, '0'), 'hex').reverse();
+}
+
+/**
+ * base58 스칼라를 읽고 범위를 검사합니다
+ * @param {string} value - base58 인코딩된 32바이트 스칼라
+ * @param {string} label - 오류 메시지에 사용할 이름
+ * @returns {bigint} 스칼라
+ */
+function decodeScalar(value, label) {
+    let bytes;
+    try {
+        bytes = bs58.decode(value);
+    } catch (error) {
+        throw new Error(`${label}가 올바른 base58 값이 아닙니다.`);
+    }
+    const scalar = bytes.length === SCALAR_LENGTH ? bytesToScalar(bytes) : 0n;
+    if (scalar <= 0n || scalar >= CURVE_ORDER) {
+        throw new Error(`${label}는 곡선 위수보다 작은 32바이트 스칼라여야 합니다.`);
+    }
+    return scalar;
+}
+
+/**
+ * 스칼라를 base58로 인코딩합니다
+ */
+function encodeScalar(scalar) {
+    return bs58.encode(scalarToBytes(scalar));
+}
+
+/**
+ * 0이 아닌 무작위 스칼라를 만듭니다
+ */
+function randomScalar() {
+    // 64바이트를 L로 나눈 나머지를 사용해 편향을 무시할 수 있을 만큼 줄임
+    const scalar = bytesToScalar(crypto.randomBytes(64)) % CURVE_ORDER;
+    return scalar === 0n ? randomScalar() : scalar;
+}
+
+/**
+ * base58 기준점을 곡선 위의 점으로 변환하고 검사합니다
+ * @param {string} basePoint - base58 인코딩된 32바이트 점 (솔라나 주소와 같은 형식)
+ * @returns {Object} 곡선 점
+ * @throws {Error} 곡선 위의 점이 아니거나 작은 위수의 점일 때
+ */
+export function parseBasePoint(basePoint) {
+    let point;
+    try {
+        point = Point.fromHex(bs58.decode(basePoint));
+    } catch (error) {
+        throw new Error('기준점이 올바른 ed25519 공개키가 아닙니다.');
+    }
+    if (point.isSmallOrder()) {
+        throw new Error('기준점이 작은 위수의 점입니다. 다른 기준점을 사용하세요.');
+    }
+    return point;
+}
+
+/**
+ * 요청자용 비밀 스칼라와 기준점을 만듭니다
+ * @returns {{secretKey: string, basePoint: string}} base58 비밀 스칼라(공유 금지)와 기준점(검색 머신에 전달)
+ */
+export function generateSplitKeyBase() {
+    const secret = randomScalar();
+    return {
+        secretKey: encodeScalar(secret),
+        basePoint: bs58.encode(Point.BASE.multiply(secret).toRawBytes())
+    };
+}
+
+/**
+ * 검색 워커용 후보 생성기를 만듭니다
+ * 무작위 부분 키 b에서 시작해 점 A + b·G에 G를 더해 가며 후보를 만들므로
+ * 반복마다 스칼라 곱셈 대신 점 덧셈 한 번만 수행합니다.
+ * @param {string} basePoint - base58 기준점
+ * @returns {{next: Function, getPartialKey: Function}} next()는 다음 후보 공개키(32바이트),
+ *          getPartialKey()는 마지막 후보의 base58 부분 키
+ */
+export function createSplitKeyCandidates(basePoint) {
+    let partial = randomScalar();
+    let point = parseBasePoint(basePoint).add(Point.BASE.multiply(partial));
+    let started = false;
+
+    return {
+        next() {
+            if (started) {
+                point = point.add(Point.BASE);
+                partial = (partial + 1n) % CURVE_ORDER;
+            }
+            started = true;
+            return Buffer.from(point.toRawBytes());
+        },
+
+        getPartialKey() {
+            return encodeScalar(partial);
+        }
+    };
+}
+
+/**
+ * 스칼라 개인키의 주소를 계산합니다
+ * @param {string} privateScalar - base58 스칼라
+ * @returns {string} base58 주소
+ */
+export function getAddressFromScalar(privateScalar) {
+    return bs58.encode(Point.BASE.multiply(decodeScalar(privateScalar, '개인키 스칼라')).toRawBytes());
+}
+
+/**
+ * 기준점과 부분 키가 만드는 주소를 계산합니다 (부분 키 파일 검증용)
+ * @param {string} basePoint - base58 기준점
+ * @param {string} partialKey - base58 부분 키
+ * @returns {string} base58 주소 (A + b·G)
+ */
+export function getAddressFromPartialKey(basePoint, partialKey) {
+    const point = parseBasePoint(basePoint).add(Point.BASE.multiply(decodeScalar(partialKey, '부분 키')));
+    return bs58.encode(point.toRawBytes());
+}
+
+/**
+ * 요청자의 비밀 스칼라와 검색 머신이 찾은 부분 키를 합쳐 최종 개인키를 만듭니다
+ * @param {string} secretKey - 요청자의 base58 비밀 스칼라
+ * @param {string} partialKey - 검색 머신이 찾은 base58 부분 키
+ * @returns {{privateScalar: string, address: string}} 최종 스칼라 개인키와 주소
+ */
+export function combineSplitKey(secretKey, partialKey) {
+    const combined = (decodeScalar(secretKey, '비밀 키') + decodeScalar(partialKey, '부분 키')) % CURVE_ORDER;
+    if (combined === 0n) {
+        throw new Error('합친 키가 0입니다. 다른 부분 키를 사용하세요.');
+    }
+    const privateScalar = encodeScalar(combined);
+    return { privateScalar, address: getAddressFromScalar(privateScalar) };
+}
+
+/**
+ * 스칼라 개인키로 ed25519 서명을 만듭니다
+ * 시드가 없으므로 nonce는 스칼라와 메시지의 해시로 결정적으로 만듭니다.
+ * 결과는 일반 ed25519 서명이므로 nacl.sign.detached.verify 등으로 검증할 수 있습니다.
+ * @param {Uint8Array} message - 서명할 메시지
+ * @param {string} privateScalar - base58 스칼라
+ * @returns {Uint8Array} 64바이트 서명
+ */
+export function signWithScalar(message, privateScalar) {
+    const scalar = decodeScalar(privateScalar, '개인키 스칼라');
+    const scalarBytes = scalarToBytes(scalar);
+    const publicKey = Point.BASE.multiply(scalar).toRawBytes();
+
+    const prefix = crypto.createHash('sha512').update('split-key nonce').update(scalarBytes).digest();
+    const r = bytesToScalar(crypto.createHash('sha512').update(prefix).update(message).digest()) % CURVE_ORDER || 1n;
+    const R = Point.BASE.multiply(r).toRawBytes();
+    const k = bytesToScalar(crypto.createHash('sha512').update(R).update(publicKey).update(message).digest()) % CURVE_ORDER;
+    const S = (r + k * scalar) % CURVE_ORDER;
+
+    return new Uint8Array(Buffer.concat([Buffer.from(R), scalarToBytes(S)]));
+}
+
+/**
+ * 합친 스칼라 개인키가 기대한 주소를 만들고 유효한 서명을 할 수 있는지 검증합니다
+ * @param {string} privateScalar - base58 스칼라
+ * @param {string|null} expectedAddress - 기대하는 주소 (null이면 주소 비교 생략)
+ * @returns {{address: string, matches: boolean, canSign: boolean}} 검증 결과
+ */
+export function verifySplitKey(privateScalar, expectedAddress = null) {
+    const address = getAddressFromScalar(privateScalar);
+    const message = crypto.randomBytes(32);
+    const signature = signWithScalar(message, privateScalar);
+    const canSign = nacl.sign.detached.verify(message, signature, bs58.decode(address));
+
+    return {
+        address,
+        matches: expectedAddress === null || expectedAddress === address,
+        canSign
+    };
+}
@@ -0,0 +1,449 @@
+import { BASE58_ALPHABET, estimatePatternExpressionProbability } from './regex-pattern.js';
+import { PDA_CANDIDATE_YIELD } from './program-address.js';
+
+/**
+ * 진행 상황에 표시하는 완료 확률 단계 (50%, 90%, 99%)
+ */
+export const CONFIDENCE_LEVELS = [0.5, 0.9, 0.99];
+
+/**
+ * 속도 측정에 사용하는 기본 구간 (최근 10초)
+ */
+export const DEFAULT_RATE_WINDOW_MS = 10000;
+
+const BASE = BigInt(BASE58_ALPHABET.length);
+const KEY_SPACE = 2n ** 256n;
+
+/**
+ * 항상 계산에 포함하는 선행 0 바이트 개수 (그 이상은 확률이 2^-32 미만이라 무시)
+ */
+const DEFAULT_LEADING_ZERO_BYTES = [0, 1, 2, 3];
+
+const blockCache = new Map();
+
+/**
+ * 정수를 base58 문자열로 변환합니다 (앞의 '1' 없이)
+ */
+function encodeDigits(value) {
+    let text = '';
+    while (value > 0n) {
+        text = BASE58_ALPHABET[Number(value % BASE)] + text;
+        value /= BASE;
+    }
+    return text;
+}
+
+/**
+ * 앞쪽 0 바이트가 정확히 zeroBytes개인 32바이트 키의 주소 분포를 블록 목록으로 만듭니다
+ *
+ * 주소는 '1' × (앞쪽 0 바이트 수) + base58(키 정수)이므로, 키 정수 구간을 58진 정렬 블록
+ * [v·58^t, (v+1)·58^t)로 나누면 각 블록의 주소는 "고정된 앞부분 + 균등한 t글자"가 됩니다.
+ * 구간 경계(2^256, 2^248 등)에서 생기는 첫 글자와 주소 길이(43/44글자)의 편향이 그대로 반영됩니다.
+ * @param {number} zeroBytes - 앞쪽 0 바이트 수
+ * @returns {Object[]} 블록 목록 {prefix, tail, probability}
+ */
+function getAddressBlocks(zeroBytes) {
+    if (blockCache.has(zeroBytes)) {
+        return blockCache.get(zeroBytes);
+    }
+
+    const high = 2n ** BigInt(256 - 8 * zeroBytes);
+    const low = 2n ** BigInt(256 - 8 * (zeroBytes + 1));
+    const leading = '1'.repeat(zeroBytes);
+    const total = Number(KEY_SPACE);
+    const blocks = [];
+
+    let value = low;
+    while (value < high) {
+        let tail = 0;
+        let size = 1n;
+        while (true) {
+            const next = size * BASE;
+            if (value % next !== 0n || value + next > high || value < next) {
+                break;
+            }
+            size = next;
+            tail++;
+        }
+        blocks.push({ prefix: leading + encodeDigits(value / size), tail, probability: Number(size) / total });
+        value += size;
+    }
+
+    blockCache.set(zeroBytes, blocks);
+    return blocks;
+}
+
+/**
+ * 패턴 문자 하나와 일치하는 base58 문자 집합을 만듭니다
+ */
+function charSet(char, caseSensitive) {
+    if (caseSensitive) {
+        return new Set(BASE58_ALPHABET.includes(char) ? [char] : []);
+    }
+    const lower = char.toLowerCase();
+    return new Set([...BASE58_ALPHABET].filter((candidate) => candidate.toLowerCase() === lower));
+}
+
+function patternSets(pattern, caseSensitive) {
+    return [...(pattern || '')].map((char) => charSet(char, caseSensitive));
+}
+
+function countLeadingOnes(pattern) {
+    const match = /^1*/.exec(pattern || '');
+    return match[0].length;
+}
+
+/**
+ * 계산에 포함할 선행 0 바이트 개수 목록
+ * '1'로 시작하는 시작 패턴은 해당 개수의 0 바이트가 있어야 하므로 그 구간을 추가로 포함합니다.
+ */
+function leadingZeroBytesFor(startPattern) {
+    const ones = countLeadingOnes(startPattern);
+    const counts = new Set(DEFAULT_LEADING_ZERO_BYTES);
+    for (const count of [ones, ones + 1]) {
+        if (count < 32) {
+            counts.add(count);
+        }
+    }
+    return [...counts];
+}
+
+/**
+ * 블록 하나가 앞/뒤 고정 위치 조건을 만족할 확률
+ */
+function anchoredBlockProbability(block, startSets, endSets) {
+    const { prefix, tail } = block;
+    const length = prefix.length + tail;
+    if (startSets.length > length || endSets.length > length) {
+        return 0;
+    }
+
+    const endOffset = length - endSets.length;
+    let probability = 1;
+
+    const applyPosition = (position) => {
+        const start = position < startSets.length ? startSets[position] : null;
+        const end = position >= endOffset ? endSets[position - endOffset] : null;
+
+        if (position < prefix.length) {
+            const char = prefix[position];
+            return (!start || start.has(char)) && (!end || end.has(char));
+        }
+
+        let allowed;
+        if (start && end) {
+            allowed = [...start].filter((char) => end.has(char)).length;
+        } else {
+            allowed = (start || end).size;
+        }
+        probability *= allowed / BASE58_ALPHABET.length;
+        return allowed > 0;
+    };
+
+    for (let position = 0; position < startSets.length; position++) {
+        if (!applyPosition(position)) return 0;
+    }
+    for (let position = Math.max(startSets.length, endOffset); position < length; position++) {
+        if (!applyPosition(position)) return 0;
+    }
+    return probability;
+}
+
+/**
+ * 포함 패턴 검사용 KMP 오토마톤과 "남은 t글자 안에 일치할 확률" 표를 만듭니다
+ */
+function createContainsMatcher(pattern, caseSensitive) {
+    const normalize = (char) => (caseSensitive ? char : char.toLowerCase());
+    const target = [...pattern].map(normalize);
+    const size = target.length;
+
+    const failure = new Array(size).fill(0);
+    for (let i = 1, k = 0; i < size; i++) {
+        while (k > 0 && target[i] !== target[k]) k = failure[k - 1];
+        if (target[i] === target[k]) k++;
+        failure[i] = k;
+    }
+
+    const step = (state, char) => {
+        if (state === size) return size;
+        const key = normalize(char);
+        while (state > 0 && target[state] !== key) state = failure[state - 1];
+        return target[state] === key ? state + 1 : state;
+    };
+
+    const transitions = [];
+    for (let state = 0; state < size; state++) {
+        transitions.push([...BASE58_ALPHABET].map((char) => step(state, char)));
+    }
+
+    // hits[t][state]: 상태 state에서 균등한 t글자를 더 읽는 동안 패턴이 나타날 확률
+    const hits = [Array.from({ length: size + 1 }, (_, state) => (state === size ? 1 : 0))];
+    const getHits = (tail) => {
+        while (hits.length <= tail) {
+            const previous = hits[hits.length - 1];
+            const next = previous.map((_, state) => {
+                if (state === size) return 1;
+                let sum = 0;
+                for (const to of transitions[state]) sum += previous[to];
+                return sum / BASE58_ALPHABET.length;
+            });
+            hits.push(next);
+        }
+        return hits[tail];
+    };
+
+    return {
+        blockProbability(block) {
+            let state = 0;
+            for (const char of block.prefix) {
+                state = step(state, char);
+            }
+            return getHits(block.tail)[state];
+        }
+    };
+}
+
+function sumBlocks(zeroByteCounts, blockProbability) {
+    let probability = 0;
+    for (const zeroBytes of zeroByteCounts) {
+        for (const block of getAddressBlocks(zeroBytes)) {
+            const match = blockProbability(block);
+            if (match > 0) {
+                probability += block.probability * match;
+            }
+        }
+    }
+    return Math.min(1, probability);
+}
+
+/**
+ * 임의의 키 하나가 패턴 명세와 일치할 정확한 확률을 계산합니다
+ *
+ * 32바이트 공개키를 base58로 인코딩하면 첫 글자가 고르게 분포하지 않습니다
+ * (44글자 주소는 '1'~'J' 정도로만 시작하고, 'Z'나 소문자로 시작하려면 43글자 주소여야 함).
+ * 시작/끝/앞뒤/포함 패턴은 이 분포를 그대로 반영한 값이며, 정규식/와일드카드는 근사치입니다.
+ * PDA 검색(keySource 'pda')은 곡선 밖에 놓인 후보만 해답이 되므로 그 비율을 곱합니다.
+ * @param {Object} spec - 패턴 명세 {searchMode, pattern, startPattern, endPattern, patterns, caseSensitive, keySource}
+ * @returns {number} 시도 1회당 일치 확률 (0~1)
+ */
+export function getMatchProbability(spec) {
+    if (spec.keySource === 'pda') {
+        return getMatchProbability({ ...spec, keySource: 'random' }) * PDA_CANDIDATE_YIELD;
+    }
+    const caseSensitive = spec.caseSensitive !== false;
+
+    switch (spec.searchMode) {
+        case 'multi': {
+            // 패턴끼리 동시에 일치할 확률은 무시할 만큼 작으므로 합으로 계산
+            const probability = spec.patterns.reduce((sum, item) => sum + getMatchProbability(item), 0);
+            return Math.min(1, probability);
+        }
+        case 'regex':
+            return estimatePatternExpressionProbability(spec.pattern, caseSensitive);
+        case 'contains': {
+            const matcher = createContainsMatcher(spec.pattern, caseSensitive);
+            return sumBlocks(DEFAULT_LEADING_ZERO_BYTES, (block) => matcher.blockProbability(block));
+        }
+        case 'endsWith': {
+            const endSets = patternSets(spec.pattern, caseSensitive);
+            return sumBlocks(DEFAULT_LEADING_ZERO_BYTES, (block) => anchoredBlockProbability(block, [], endSets));
+        }
+        case 'startEnd': {
+            const startSets = patternSets(spec.startPattern, caseSensitive);
+            const endSets = patternSets(spec.endPattern, caseSensitive);
+            return sumBlocks(leadingZeroBytesFor(spec.startPattern), (block) => anchoredBlockProbability(block, startSets, endSets));
+        }
+        default: {
+            const startSets = patternSets(spec.pattern, caseSensitive);
+            return sumBlocks(leadingZeroBytesFor(spec.pattern), (block) => anchoredBlockProbability(block, startSets, []));
+        }
+    }
+}
+
+/**
+ * 일치 확률로부터 평균 시도 횟수를 계산합니다
+ * @param {number} probability - 시도 1회당 일치 확률
+ * @returns {number} 평균 시도 횟수 (확률이 0이면 Infinity)
+ */
+export function getExpectedAttempts(probability) {
+    if (probability <= 0) {
+        return Infinity;
+    }
+    return Math.max(1, Math.round(1 / probability));
+}
+
+/**
+ * 주어진 확률로 하나 이상 찾기까지 필요한 시도 횟수를 계산합니다
+ * @param {number} probability - 시도 1회당 일치 확률
+ * @param {number} confidence - 완료 확률 (예: 0.9)
+ * @returns {number} 시도 횟수 (확률이 0이면 Infinity)
+ */
+export function getAttemptsForConfidence(probability, confidence) {
+    if (probability <= 0) {
+        return Infinity;
+    }
+    if (probability >= 1) {
+        return 1;
+    }
+    return Math.ceil(Math.log1p(-confidence) / Math.log1p(-probability));
+}
+
+/**
+ * 지금까지의 시도 횟수 안에 하나 이상 찾았을 확률을 계산합니다
+ * @param {number} probability - 시도 1회당 일치 확률
+ * @param {number} attempts - 시도 횟수
+ * @returns {number} 누적 성공 확률 (0~1)
+ */
+export function getSuccessProbability(probability, attempts) {
+    if (probability <= 0 || attempts <= 0) {
+        return 0;
+    }
+    if (probability >= 1) {
+        return 1;
+    }
+    return -Math.expm1(attempts * Math.log1p(-probability));
+}
+
+/**
+ * 확률, 시도 횟수, 속도로 완료 예상 시간을 계산합니다
+ * 각 단계는 "처음부터 세어 해당 확률로 찾게 되는 시점"까지 남은 시간입니다.
+ * @param {number} probability - 시도 1회당 일치 확률
+ * @param {number} attempts - 지금까지의 시도 횟수
+ * @param {number} ratePerSecond - 초당 시도 횟수
+ * @returns {Object} {probability, attempts, rate, expectedAttempts, successProbability, levels: [{confidence, attempts, remainingSeconds}]}
+ */
+export function getEta(probability, attempts, ratePerSecond) {
+    const levels = CONFIDENCE_LEVELS.map((confidence) => {
+        const needed = getAttemptsForConfidence(probability, confidence);
+        const remaining = Math.max(0, needed - attempts);
+        let remainingSeconds = Infinity;
+        if (remaining === 0) {
+            remainingSeconds = 0;
+        } else if (ratePerSecond > 0 && Number.isFinite(remaining)) {
+            remainingSeconds = remaining / ratePerSecond;
+        }
+        return { confidence, attempts: needed, remainingSeconds };
+    });
+
+    return {
+        probability,
+        attempts,
+        rate: ratePerSecond,
+        expectedAttempts: getExpectedAttempts(probability),
+        successProbability: getSuccessProbability(probability, attempts),
+        levels
+    };
+}
+
+/**
+ * 최근 구간의 실제 처리 속도를 측정하는 측정기를 만듭니다
+ * @param {number} windowMs - 속도 계산에 사용할 최근 구간 (밀리초)
+ * @returns {Object} {update(attempts, now), getRate()}
+ */
+export function createRateMeter(windowMs = DEFAULT_RATE_WINDOW_MS) {
+    const samples = [];
+
+    return {
+        /**
+         * 누적 시도 횟수를 기록합니다
+         */
+        update(attempts, now = Date.now()) {
+            samples.push({ attempts, time: now });
+            // 구간을 채울 수 있는 가장 오래된 표본 하나만 남기고 버림
+            while (samples.length > 2 && now - samples[1].time >= windowMs) {
+                samples.shift();
+            }
+        },
+
+        /**
+         * 초당 시도 횟수 (표본이 부족하면 0)
+         */
+        getRate() {
+            if (samples.length < 2) {
+                return 0;
+            }
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            const seconds = (last.time - first.time) / 1000;
+            return seconds > 0 ? (last.attempts - first.attempts) / seconds : 0;
+        }
+    };
+}
+
+/**
+ * 검색 중 속도와 완료 예상 시간을 추적합니다
+ * 수집 모드에서는 markMatch()로 마지막으로 찾은 시점부터 다시 셉니다.
+ * @param {number} probability - 시도 1회당 일치 확률
+ * @param {Object} options - {attempts: 이전 실행까지의 누적 시도 횟수, windowMs}
+ * @returns {Object} {update(attempts, now), markMatch(), getRate(), getEta()}
+ */
+export function createSearchTracker(probability, options = {}) {
+    const meter = createRateMeter(options.windowMs);
+    let attempts = options.attempts || 0;
+    let matchBase = 0;
+    meter.update(attempts);
+
+    return {
+        update(total, now = Date.now()) {
+            attempts = total;
+            meter.update(total, now);
+            return this.getEta();
+        },
+
+        markMatch() {
+            matchBase = attempts;
+        },
+
+        getRate() {
+            return meter.getRate();
+        },
+
+        getEta() {
+            return getEta(probability, attempts - matchBase, meter.getRate());
+        }
+    };
+}
+
+/**
+ * 초 단위 시간을 읽기 쉬운 문자열로 변환합니다
+ * @param {number} seconds - 초
+ * @returns {string} 예: "1초 미만", "45초", "12분", "3시간", "2일", "5년"
+ */
+export function formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) {
+        return '알 수 없음';
+    }
+    if (seconds < 1) {
+        return '1초 미만';
+    } else if (seconds < 60) {
+        return `${Math.round(seconds)}초`;
+    } else if (seconds < 3600) {
+        return `${Math.round(seconds / 60)}분`;
+    } else if (seconds < 86400) {
+        return `${Math.round(seconds / 3600)}시간`;
+    } else if (seconds < 86400 * 365) {
+        return `${Math.round(seconds / 86400)}일`;
+    }
+    return `${Math.round(seconds / (86400 * 365)).toLocaleString()}년`;
+}
+
+/**
+ * 완료 확률 단계별 남은 시간을 문자열로 변환합니다
+ * @param {Object} eta - getEta()의 결과
+ * @returns {string} 예: "50%: 12초 · 90%: 1분 · 99%: 3분"
+ */
+export function formatEtaLevels(eta) {
+    return eta.levels.map(({ confidence, remainingSeconds }) => {
+        const label = `${Math.round(confidence * 100)}%`;
+        return remainingSeconds === 0 ? `${label}: 지남` : `${label}: ${formatDuration(remainingSeconds)}`;
+    }).join(' · ');
+}
+
+/**
+ * 완료 예상 시간을 진행 상황 한 줄로 변환합니다
+ * @param {Object} eta - getEta()의 결과
+ * @returns {string} 예: "누적 성공 확률 37.2% | 50%: 12초 · 90%: 1분 · 99%: 3분"
+ */
+export function formatEta(eta) {
+    return `누적 성공 확률 ${(eta.successProbability * 100).toFixed(1)}% | ${formatEtaLevels(eta)}`;
+}
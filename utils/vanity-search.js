@@ -0,0 +1,321 @@
+import { EventEmitter } from 'events';
+import { searchVanityWallet, SearchCancelledError } from './wallet-generator.js';
+import { createWorkerPool, getDefaultWorkerCount } from './worker-pool.js';
+import { getMatchProbability, createSearchTracker } from './statistics.js';
+
+/**
+ * 프로그램에서 쓰는 vanity 검색 API
+ *
+ * 검색 하나를 이벤트 이미터이자 비동기 반복자로 감쌉니다. 콘솔에는 아무것도 출력하지 않으며,
+ * 진행 상황과 결과는 모두 이벤트로만 전달합니다. 대화형 모드와 CLI도 이 API 위에서 동작합니다.
+ *
+ * 이벤트:
+ *   - start    {workerCount, searchMode, keySource, probability}
+ *   - progress {attempts, matchCount, elapsedMs, rate, eta, workers: [{workerId, attempts}]}
+ *   - match    {wallet, matchCount}  (찾을 때마다, 첫 해답에서 끝나는 검색도 한 번)
+ *   - workerError {workerId, message, restarted, restarts, time}
+ *   - done     {matches, totalAttempts, elapsedMs, workerErrors}
+ *   - cancelled {matches, totalAttempts, elapsedMs}
+ *   - error    Error  (리스너가 있을 때만 발생, start()의 Promise도 같은 오류로 거부됨)
+ */
+
+/**
+ * 검색 상태
+ */
+export const SEARCH_STATES = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DONE: 'done',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+// 반복자가 끝나는 이벤트
+const FINAL_EVENTS = ['done', 'cancelled'];
+const ITERATED_EVENTS = ['start', 'progress', 'match', 'workerError', ...FINAL_EVENTS];
+
+/**
+ * vanity 검색을 만듭니다 (start()를 호출하거나 반복을 시작할 때 실행)
+ * @param {Object} options - 검색 옵션
+ * @param {string} options.searchMode - 검색 모드 ('startsWith' | 'contains' | 'startEnd' | 'regex' | 'multi', 기본: startsWith)
+ * @param {string} options.pattern - 단일 패턴
+ * @param {string} options.startPattern - 시작 패턴 (startEnd 모드)
+ * @param {string} options.endPattern - 끝 패턴 (startEnd 모드)
+ * @param {Object[]} options.patterns - 패턴 명세 목록 (multi 모드)
+ * @param {boolean} options.caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {number} options.workerCount - 워커 스레드 수 (기본: CPU 코어 수)
+ * @param {boolean} options.useMultiCore - false이면 워커 1개로 실행 (기본: true)
+ * @param {string} options.keySource - 키 생성 방식 ('random' | 'mnemonic' | 'split' | 'seed' | 'pda', 기본: random)
+ * @param {number} options.mnemonicWords - 니모닉 단어 수 (mnemonic 방식, 기본: 12)
+ * @param {string} options.basePoint - 요청자의 base58 기준점 (split 방식)
+ * @param {string} options.basePubkey - createWithSeed의 base 공개키 (seed 방식, 결과에 개인키 대신 seed가 들어감)
+ * @param {string} options.programId - createWithSeed의 owner 프로그램 ID (seed 방식) 또는 PDA의 프로그램 ID (pda 방식)
+ * @param {string} options.seedPrefix - 모든 seed 앞에 붙일 문자열 (seed 방식, 선택)
+ * @param {string[]} options.seeds - nonce 앞에 오는 고정 seed 명세 (pda 방식, 예: ['vault', 'pubkey:<base58>', 'hex:01ff'])
+ * @param {string} options.nonceEncoding - nonce seed 인코딩 ('text' | 'u64', pda 방식, 기본: text)
+ * @param {number} options.maxMatches - 찾을 지갑 수 (기본: 1, Infinity면 시간 제한까지 계속)
+ * @param {number} options.durationMs - 검색 시간 제한 (밀리초, 일시 정지한 시간은 제외)
+ * @param {Object} options.pool - createWorkerPool로 만든 공유 워커 풀 (없으면 이번 검색에만 쓰는 풀을 만들고 끝나면 종료)
+ * @param {AbortSignal} options.signal - 중단하면 cancel()과 같음
+ * @param {number} options.progressInterval - 워커가 진행 상황을 보고하는 시도 간격
+ * @returns {EventEmitter} 검색 {start(), cancel(), pause(), resume(), state, workerCount, [Symbol.asyncIterator]}
+ */
+export function createVanitySearch(options = {}) {
+    const {
+        maxMatches = 1,
+        durationMs = null,
+        pool: sharedPool = null,
+        signal = null,
+        progressInterval = null,
+        useMultiCore = true,
+        workerCount: requestedWorkerCount = null,
+        ...settings
+    } = options;
+
+    const search = new EventEmitter();
+    const collect = maxMatches !== 1 || durationMs !== null;
+    const workerCount = useMultiCore === false ? 1 : (requestedWorkerCount || getDefaultWorkerCount());
+    const abortController = new AbortController();
+
+    let state = SEARCH_STATES.IDLE;
+    let pool = null;
+    let runPromise = null;
+    let startTime = null;
+    let pausedAt = null;
+    let pausedMs = 0;
+
+    const getElapsedMs = () => {
+        if (startTime === null) return 0;
+        const pausedNow = pausedAt !== null ? Date.now() - pausedAt : 0;
+        return Date.now() - startTime - pausedMs - pausedNow;
+    };
+
+    const emitError = (error) => {
+        // 리스너 없는 'error' 이벤트는 프로세스를 죽이므로 start()의 거부로만 알림
+        if (search.listenerCount('error') > 0) {
+            search.emit('error', error);
+        }
+    };
+
+    const run = async () => {
+        const onAbort = () => abortController.abort();
+
+        // 준비 단계(확률 계산, 풀 생성)의 오류도 검색 실패로 알리도록 모두 try 안에서 실행
+        try {
+            const probability = getMatchProbability(settings);
+            const tracker = createSearchTracker(probability);
+            pool = sharedPool || createWorkerPool(workerCount);
+            startTime = Date.now();
+            state = SEARCH_STATES.RUNNING;
+
+            if (signal) {
+                if (signal.aborted) abortController.abort();
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            search.emit('start', {
+                workerCount,
+                searchMode: settings.searchMode || 'startsWith',
+                keySource: settings.keySource || 'random',
+                probability
+            });
+
+            const onProgress = (attempts, matchCount = 0, workers = []) => {
+                const eta = tracker.update(attempts);
+                search.emit('progress', { attempts, matchCount, elapsedMs: getElapsedMs(), rate: eta.rate, eta, workers });
+            };
+
+            const searchOptions = {
+                silent: true,
+                pool,
+                signal: abortController.signal,
+                progressInterval,
+                onWorkerError: (workerError) => search.emit('workerError', workerError)
+            };
+            if (collect) {
+                searchOptions.maxMatches = maxMatches;
+                searchOptions.durationMs = durationMs;
+                searchOptions.onMatch = (wallet, matchCount) => {
+                    // 다음 지갑의 예상 시간은 이번에 찾은 시점부터 다시 계산
+                    tracker.markMatch();
+                    search.emit('match', { wallet, matchCount });
+                };
+            }
+
+            // 항상 워커에서 실행 (단일 코어는 워커 1개): 이벤트 루프를 막지 않아야 중단 신호를 받을 수 있음
+            const found = await searchVanityWallet({ ...settings, useMultiCore: true, workerCount }, onProgress, searchOptions);
+            const result = collect
+                ? found
+                : { matches: [found], totalAttempts: found.totalAttempts || found.attempts, elapsedMs: getElapsedMs(), workerErrors: found.workerErrors || [] };
+
+            state = SEARCH_STATES.DONE;
+            if (!collect) {
+                search.emit('match', { wallet: found, matchCount: 1 });
+            }
+            search.emit('done', result);
+            return result;
+        } catch (error) {
+            if (error instanceof SearchCancelledError) {
+                state = SEARCH_STATES.CANCELLED;
+                search.emit('cancelled', { matches: error.matches, totalAttempts: error.attempts, elapsedMs: error.elapsedMs });
+            } else {
+                state = SEARCH_STATES.FAILED;
+                emitError(error);
+            }
+            throw error;
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (pool && !sharedPool) {
+                await pool.destroy();
+            }
+            pool = null;
+        }
+    };
+
+    Object.assign(search, {
+        /**
+         * 검색을 시작합니다 (이미 시작했으면 같은 Promise를 반환)
+         * @returns {Promise<Object>} {matches, totalAttempts, elapsedMs, workerErrors},
+         *          취소하면 SearchCancelledError(시도 횟수와 찾은 지갑 포함)로 거부
+         */
+        start() {
+            if (!runPromise) {
+                runPromise = run();
+            }
+            return runPromise;
+        },
+
+        /**
+         * 검색을 취소합니다 (시작 전이면 시작하자마자 취소됨)
+         * @returns {boolean} 실행 중이거나 시작 전이었으면 true
+         */
+        cancel() {
+            if (state !== SEARCH_STATES.IDLE && state !== SEARCH_STATES.RUNNING && state !== SEARCH_STATES.PAUSED) {
+                return false;
+            }
+            abortController.abort();
+            return true;
+        },
+
+        /**
+         * 검색을 일시 정지합니다 (검색 시간 제한도 멈춤)
+         * @returns {boolean} 일시 정지했으면 true
+         */
+        pause() {
+            if (state !== SEARCH_STATES.RUNNING || !pool || !pool.pause()) return false;
+            pausedAt = Date.now();
+            state = SEARCH_STATES.PAUSED;
+            return true;
+        },
+
+        /**
+         * 일시 정지한 검색을 재개합니다
+         * @returns {boolean} 재개했으면 true
+         */
+        resume() {
+            if (state !== SEARCH_STATES.PAUSED || !pool || !pool.resume()) return false;
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+            state = SEARCH_STATES.RUNNING;
+            return true;
+        },
+
+        /**
+         * 이벤트를 {type, ...데이터} 객체로 차례로 돌려줍니다 (시작 전이면 검색을 시작)
+         * done 또는 cancelled 이벤트 뒤에 끝나고, 검색이 실패하면 그 오류를 던집니다.
+         * 반복 도중 break하면 검색을 취소합니다.
+         */
+        [Symbol.asyncIterator]() {
+            return createEventIterator(search);
+        }
+    });
+
+    // Object.assign은 getter를 값으로 복사하므로 상태는 따로 정의
+    return Object.defineProperties(search, {
+        state: { get: () => state, enumerable: true },
+        workerCount: { value: workerCount, enumerable: true }
+    });
+}
+
+/**
+ * 검색 이벤트를 비동기 반복자로 바꿉니다
+ */
+function createEventIterator(search) {
+    const queue = [];
+    const waiting = [];
+    let finished = false;
+    let failure = null;
+
+    const deliver = (item) => {
+        if (waiting.length > 0) {
+            waiting.shift().resolve(item);
+        } else {
+            queue.push(item);
+        }
+    };
+
+    const listeners = ITERATED_EVENTS.map((type) => {
+        const listener = (data) => {
+            deliver({ value: { type, ...data }, done: false });
+            if (FINAL_EVENTS.includes(type)) {
+                finish();
+            }
+        };
+        search.on(type, listener);
+        return [type, listener];
+    });
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        listeners.forEach(([type, listener]) => search.off(type, listener));
+        while (waiting.length > 0) {
+            const pending = waiting.shift();
+            if (failure) {
+                pending.reject(failure);
+                failure = null;
+            } else {
+                pending.resolve({ value: undefined, done: true });
+            }
+        }
+    };
+
+    // 오류는 start()의 거부로 받음 (취소는 cancelled 이벤트로 이미 전달됨)
+    search.start().then(finish, (error) => {
+        if (!(error instanceof SearchCancelledError)) {
+            failure = error;
+        }
+        finish();
+    });
+
+    return {
+        next() {
+            if (queue.length > 0) {
+                return Promise.resolve(queue.shift());
+            }
+            if (finished) {
+                if (failure) {
+                    const error = failure;
+                    failure = null;
+                    return Promise.reject(error);
+                }
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        return() {
+            search.cancel();
+            finish();
+            queue.length = 0;
+            return Promise.resolve({ value: undefined, done: true });
+        },
+
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+}
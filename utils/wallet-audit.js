@@ -0,0 +1,318 @@
+import path from 'path';
+import {
+    keypairFromPrivateKey,
+    getAddressFromKeypair,
+    matchesPattern,
+    containsPattern,
+    matchesStartEndPattern,
+    matchesRegexPattern
+} from './wallet-generator.js';
+import { DEFAULT_WALLETS_DIR, SPLIT_KEY_TYPES, SEED_KEY_TYPE, PDA_KEY_TYPE, listWalletFiles, loadWalletFile } from './wallet-storage.js';
+import { isEncryptedWalletData, decryptWalletData } from './wallet-crypto.js';
+import { keypairFromMnemonic, SOLANA_DERIVATION_PATH } from './mnemonic.js';
+import { getAddressFromScalar, getAddressFromPartialKey } from './split-key.js';
+import { getAddressWithSeed } from './seed-address.js';
+import { getProgramAddress } from './program-address.js';
+import { compilePatternExpression } from './regex-pattern.js';
+
+/**
+ * 저장된 지갑 파일 점검
+ *
+ * 손으로 고쳤거나 깨진 지갑 파일을 찾기 위해 파일마다 다음을 확인합니다.
+ *   - JSON으로 읽을 수 있는지, 필요한 필드가 있는지
+ *   - 개인키(또는 니모닉, 분할 키, createWithSeed 입력, PDA seed)에서 계산한 주소가 기록된 주소와 같은지
+ *   - 주소가 기록된 검색 모드와 패턴(pattern, startPattern, endPattern)을 여전히 만족하는지
+ */
+
+/**
+ * 점검 결과 상태
+ *   - ok: 문제 없음
+ *   - warning: 확인하지 못한 항목만 있음 (예: 비밀번호 없이 암호화된 파일)
+ *   - failed: 오류가 있음
+ */
+export const AUDIT_STATUS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    FAILED: 'failed'
+};
+
+/**
+ * 문제 종류
+ */
+export const AUDIT_ISSUES = {
+    PARSE_ERROR: 'parse-error',
+    INVALID_FORMAT: 'invalid-format',
+    MISSING_FIELD: 'missing-field',
+    INVALID_KEY: 'invalid-key',
+    KEY_MISMATCH: 'key-mismatch',
+    PUBLIC_KEY_MISMATCH: 'public-key-mismatch',
+    MNEMONIC_MISMATCH: 'mnemonic-mismatch',
+    UNKNOWN_MODE: 'unknown-mode',
+    PATTERN_MISMATCH: 'pattern-mismatch',
+    ENCRYPTED: 'encrypted',
+    DECRYPT_FAILED: 'decrypt-failed'
+};
+
+const KNOWN_SEARCH_MODES = ['startsWith', 'contains', 'startEnd', 'regex'];
+
+/**
+ * 문제 목록을 모으는 도우미
+ */
+function createIssueList() {
+    const issues = [];
+    return {
+        issues,
+        error(code, message) {
+            issues.push({ severity: 'error', code, message });
+        },
+        warning(code, message) {
+            issues.push({ severity: 'warning', code, message });
+        }
+    };
+}
+
+/**
+ * 키 필드에서 주소를 계산해 기록된 주소와 비교합니다
+ */
+function checkKeyMaterial(walletData, report) {
+    const { address } = walletData;
+
+    if (walletData.keyType === SPLIT_KEY_TYPES.PARTIAL) {
+        if (!walletData.basePoint || !walletData.partialKey) {
+            report.error(AUDIT_ISSUES.MISSING_FIELD, '부분 키 파일에 basePoint 또는 partialKey가 없습니다.');
+            return;
+        }
+        compareDerivedAddress(() => getAddressFromPartialKey(walletData.basePoint, walletData.partialKey), address, '기준점과 부분 키', report);
+        return;
+    }
+
+    if (walletData.keyType === SEED_KEY_TYPE) {
+        if (!walletData.basePubkey || !walletData.seed || !walletData.programId) {
+            report.error(AUDIT_ISSUES.MISSING_FIELD, 'createWithSeed 파일에 basePubkey, seed 또는 programId가 없습니다.');
+            return;
+        }
+        compareDerivedAddress(() => getAddressWithSeed(walletData.basePubkey, walletData.seed, walletData.programId), address, 'createWithSeed 정보', report);
+        return;
+    }
+
+    if (walletData.keyType === PDA_KEY_TYPE) {
+        checkProgramAddress(walletData, report);
+        return;
+    }
+
+    if (walletData.keyType === SPLIT_KEY_TYPES.COMBINED) {
+        if (!walletData.privateScalar) {
+            report.error(AUDIT_ISSUES.MISSING_FIELD, '분할 키 지갑에 privateScalar가 없습니다.');
+            return;
+        }
+        compareDerivedAddress(() => getAddressFromScalar(walletData.privateScalar), address, '개인키 스칼라', report);
+        return;
+    }
+
+    if (!walletData.privateKey) {
+        report.error(AUDIT_ISSUES.MISSING_FIELD, 'privateKey 필드가 없습니다.');
+        return;
+    }
+    compareDerivedAddress(() => getAddressFromKeypair(keypairFromPrivateKey(walletData.privateKey)), address, '개인키', report);
+
+    if (walletData.mnemonic) {
+        const derivationPath = walletData.derivationPath || SOLANA_DERIVATION_PATH;
+        try {
+            const mnemonicAddress = keypairFromMnemonic(walletData.mnemonic, derivationPath).publicKey.toBase58();
+            if (mnemonicAddress !== address) {
+                report.error(AUDIT_ISSUES.MNEMONIC_MISMATCH, `니모닉에서 유도한 주소가 다릅니다 (${derivationPath}): ${mnemonicAddress}`);
+            }
+        } catch (error) {
+            report.error(AUDIT_ISSUES.INVALID_KEY, `니모닉을 읽을 수 없습니다: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * PDA 파일의 seed로 findProgramAddressSync를 다시 실행해 주소와 bump를 비교합니다
+ */
+function checkProgramAddress(walletData, report) {
+    const { address, programId, seeds, nonce, nonceEncoding, bump } = walletData;
+    if (!programId || !Array.isArray(seeds) || nonce === undefined || bump === undefined) {
+        report.error(AUDIT_ISSUES.MISSING_FIELD, 'PDA 파일에 programId, seeds, nonce 또는 bump가 없습니다.');
+        return;
+    }
+
+    let derived;
+    compareDerivedAddress(() => {
+        derived = getProgramAddress({ programId, seeds, nonce, nonceEncoding });
+        return derived.address;
+    }, address, 'PDA seed', report);
+    if (derived && derived.bump !== bump) {
+        report.error(AUDIT_ISSUES.KEY_MISMATCH, `기록된 bump(${bump})가 계산한 bump(${derived.bump})와 다릅니다.`);
+    }
+}
+
+function compareDerivedAddress(derive, address, label, report) {
+    let derived;
+    try {
+        derived = derive();
+    } catch (error) {
+        report.error(AUDIT_ISSUES.INVALID_KEY, `${label}가 올바르지 않습니다: ${error.message}`);
+        return;
+    }
+    if (derived !== address) {
+        report.error(AUDIT_ISSUES.KEY_MISMATCH, `${label}에서 계산한 주소가 기록된 주소와 다릅니다: ${derived}`);
+    }
+}
+
+/**
+ * 기록된 패턴의 대소문자 구분 여부
+ * 여러 패턴 검색 결과는 일치한 패턴 설명(matchedPattern)에 대소문자 무시 표시 '(i)'가 남아 있고,
+ * 그 외 지갑은 구분 여부가 기록되지 않으므로 대소문자를 무시하고 비교합니다.
+ */
+function isRecordedCaseSensitive(walletData) {
+    return typeof walletData.matchedPattern === 'string' && !walletData.matchedPattern.endsWith('(i)');
+}
+
+/**
+ * 주소가 기록된 검색 모드와 패턴을 만족하는지 확인합니다
+ */
+function checkPattern(walletData, report) {
+    const { address, pattern, startPattern, endPattern } = walletData;
+    let { searchMode } = walletData;
+
+    if (!searchMode) {
+        report.warning(AUDIT_ISSUES.MISSING_FIELD, 'searchMode 필드가 없어 startsWith로 간주합니다.');
+        searchMode = 'startsWith';
+    }
+    if (!KNOWN_SEARCH_MODES.includes(searchMode)) {
+        report.error(AUDIT_ISSUES.UNKNOWN_MODE, `알 수 없는 검색 모드입니다: ${searchMode}`);
+        return;
+    }
+
+    const caseSensitive = isRecordedCaseSensitive(walletData);
+    let matches;
+    let description;
+
+    if (searchMode === 'startEnd') {
+        if (!startPattern && !endPattern) {
+            report.error(AUDIT_ISSUES.MISSING_FIELD, 'startEnd 지갑에 startPattern과 endPattern이 모두 없습니다.');
+            return;
+        }
+        matches = matchesStartEndPattern(address, startPattern || '', endPattern || '', caseSensitive);
+        description = `${startPattern || ''}...${endPattern || ''}`;
+    } else {
+        if (!pattern) {
+            report.error(AUDIT_ISSUES.MISSING_FIELD, 'pattern 필드가 없습니다.');
+            return;
+        }
+        description = pattern;
+        if (searchMode === 'regex') {
+            try {
+                matches = matchesRegexPattern(address, compilePatternExpression(pattern, caseSensitive));
+            } catch (error) {
+                report.error(AUDIT_ISSUES.PATTERN_MISMATCH, `패턴을 해석할 수 없습니다: ${error.message}`);
+                return;
+            }
+        } else if (searchMode === 'contains') {
+            matches = containsPattern(address, pattern, caseSensitive);
+        } else {
+            matches = matchesPattern(address, pattern, caseSensitive);
+        }
+    }
+
+    if (!matches) {
+        report.error(AUDIT_ISSUES.PATTERN_MISMATCH, `주소가 기록된 패턴을 만족하지 않습니다 (${searchMode}: ${description}${caseSensitive ? '' : ', 대소문자 무시'})`);
+    }
+}
+
+/**
+ * 지갑 파일 하나를 점검합니다
+ * @param {string} filepath - 지갑 파일 경로
+ * @param {Object} options - 점검 옵션
+ * @param {string|null} options.password - 암호화된 파일의 키까지 확인할 비밀번호 (없으면 키 확인을 건너뛰고 경고)
+ * @returns {{file: string, filepath: string, address: string|null, status: string, issues: Object[]}} 점검 결과
+ *          issues: [{severity: 'error'|'warning', code: AUDIT_ISSUES, message}]
+ */
+export function auditWalletFile(filepath, options = {}) {
+    const { password = null } = options;
+    const report = createIssueList();
+    const result = { file: path.basename(filepath), filepath, address: null };
+
+    let walletData;
+    try {
+        walletData = loadWalletFile(filepath);
+    } catch (error) {
+        report.error(AUDIT_ISSUES.PARSE_ERROR, `JSON으로 읽을 수 없습니다: ${error.message}`);
+        return finishAudit(result, report);
+    }
+
+    if (!walletData || typeof walletData !== 'object' || Array.isArray(walletData)) {
+        report.error(AUDIT_ISSUES.INVALID_FORMAT, Array.isArray(walletData)
+            ? '지갑 JSON이 아닌 배열입니다 (Solana CLI 키페어 파일은 keypairs/ 디렉토리에 두세요).'
+            : '지갑 JSON 객체가 아닙니다.');
+        return finishAudit(result, report);
+    }
+
+    if (typeof walletData.address !== 'string' || walletData.address.length === 0) {
+        report.error(AUDIT_ISSUES.MISSING_FIELD, 'address 필드가 없습니다.');
+        return finishAudit(result, report);
+    }
+    result.address = walletData.address;
+
+    if (walletData.publicKey && walletData.publicKey !== walletData.address) {
+        report.error(AUDIT_ISSUES.PUBLIC_KEY_MISMATCH, `publicKey가 address와 다릅니다: ${walletData.publicKey}`);
+    }
+    if (!walletData.createdAt) {
+        report.warning(AUDIT_ISSUES.MISSING_FIELD, 'createdAt 필드가 없습니다.');
+    }
+
+    // 패턴은 평문 메타데이터라서 암호화된 파일도 비밀번호 없이 확인
+    checkPattern(walletData, report);
+
+    if (isEncryptedWalletData(walletData)) {
+        if (!password) {
+            report.warning(AUDIT_ISSUES.ENCRYPTED, '암호화된 파일이라 개인키와 주소의 일치 여부를 확인하지 않았습니다.');
+            return finishAudit(result, report);
+        }
+        try {
+            walletData = decryptWalletData(walletData, password);
+        } catch (error) {
+            report.error(AUDIT_ISSUES.DECRYPT_FAILED, `복호화하지 못했습니다: ${error.message} (주소를 고친 파일도 복호화에 실패합니다)`);
+            return finishAudit(result, report);
+        }
+    }
+
+    checkKeyMaterial(walletData, report);
+    return finishAudit(result, report);
+}
+
+function finishAudit(result, report) {
+    const { issues } = report;
+    const status = issues.some(issue => issue.severity === 'error')
+        ? AUDIT_STATUS.FAILED
+        : issues.length > 0 ? AUDIT_STATUS.WARNING : AUDIT_STATUS.OK;
+    return { ...result, status, issues };
+}
+
+/**
+ * 점검 결과를 상태별로 셉니다
+ * @param {Object[]} results - auditWalletFile 결과 목록
+ * @returns {{total: number, ok: number, warning: number, failed: number}} 상태별 파일 수
+ */
+export function summarizeAudit(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+        total: results.length,
+        ok: count(AUDIT_STATUS.OK),
+        warning: count(AUDIT_STATUS.WARNING),
+        failed: count(AUDIT_STATUS.FAILED)
+    };
+}
+
+/**
+ * 지갑 디렉토리의 모든 지갑 파일을 점검합니다
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @param {Object} options - auditWalletFile 옵션 ({password})
+ * @returns {{results: Object[], summary: {total: number, ok: number, warning: number, failed: number}}} 점검 결과와 요약
+ */
+export function auditWallets(walletsDir = DEFAULT_WALLETS_DIR, options = {}) {
+    const results = listWalletFiles(walletsDir).map(file => auditWalletFile(path.join(walletsDir, file), options));
+    return { results, summary: summarizeAudit(results) };
+}
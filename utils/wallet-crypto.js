@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+
+/**
+ * 지갑 파일 암호화
+ *
+ * 개인키·니모닉 등 비밀 필드만 암호화하고 주소/패턴 같은 메타데이터는 평문으로 둡니다 (목록 표시용).
+ * 키 유도는 scrypt, 암호화는 AES-256-GCM이며 주소를 추가 인증 데이터(AAD)로 사용해
+ * 메타데이터의 주소를 바꾸면 복호화가 실패합니다.
+ */
+
+/**
+ * 암호화 봉투(envelope) 형식 버전
+ */
+export const ENCRYPTION_VERSION = 1;
+
+/**
+ * 최소 비밀번호 길이
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * 암호화 대상 필드 (평문 지갑 파일에서 제거되고 봉투 안에 저장됨)
+ */
+export const SECRET_FIELDS = ['privateKey', 'mnemonic', 'privateScalar', 'secretKey'];
+
+/**
+ * scrypt 기본 파라미터 (N=2^15, r=8 → 약 32MB 메모리)
+ */
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// 파일에 적힌 scrypt 파라미터의 상한 (변조된 파일이 과도한 메모리/시간을 쓰게 하지 않도록)
+const MAX_SCRYPT_N = 2 ** 20;
+const MAX_SCRYPT_R = 16;
+const MAX_SCRYPT_P = 16;
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * scrypt로 암호화 키를 유도합니다
+ */
+function deriveKey(password, salt, { N, r, p }) {
+    // Node 기본 maxmem(32MB)보다 조금 더 필요하므로 여유를 둠
+    return crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+/**
+ * 파일에서 읽은 scrypt 파라미터를 검사합니다
+ * N은 2^20 이하의 2의 거듭제곱, r과 p는 16 이하의 양의 정수만 허용합니다.
+ * @param {Object} kdfParams - {N, r, p, salt}
+ * @returns {{N: number, r: number, p: number, salt: Buffer}} 검사한 파라미터
+ * @throws {Error} 범위를 벗어났거나 형식이 틀렸을 때
+ */
+function parseScryptParams(kdfParams) {
+    const { N, r, p, salt } = kdfParams || {};
+    const isPowerOfTwo = Number.isInteger(N) && N > 1 && (N & (N - 1)) === 0;
+    const inRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+    if (!isPowerOfTwo || N > MAX_SCRYPT_N || !inRange(r, MAX_SCRYPT_R) || !inRange(p, MAX_SCRYPT_P) || typeof salt !== 'string') {
+        throw new Error(`지원하지 않거나 안전하지 않은 scrypt 파라미터입니다: N=${N}, r=${r}, p=${p} (N은 2^20 이하의 2의 거듭제곱, r과 p는 ${MAX_SCRYPT_R} 이하)`);
+    }
+    return { N, r, p, salt: Buffer.from(salt, 'base64') };
+}
+
+/**
+ * 비밀번호가 규칙에 맞는지 검사합니다 (inquirer validate 형식)
+ * @param {string} password - 비밀번호
+ * @returns {boolean|string} 유효하면 true, 아니면 오류 메시지
+ */
+export function validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`;
+    }
+    return true;
+}
+
+/**
+ * 지갑 데이터가 암호화되어 있는지 확인합니다
+ * @param {Object} walletData - 지갑 데이터
+ * @returns {boolean} 암호화 여부
+ */
+export function isEncryptedWalletData(walletData) {
+    return Boolean(walletData && walletData.encryption);
+}
+
+/**
+ * 지갑 데이터의 비밀 필드를 비밀번호로 암호화합니다
+ * @param {Object} walletData - 평문 지갑 데이터 (createWalletData 결과)
+ * @param {string} password - 비밀번호
+ * @returns {Object} 비밀 필드 대신 encryption 봉투가 들어간 지갑 데이터
+ * @throws {Error} 비밀번호가 규칙에 맞지 않거나 이미 암호화된 데이터일 때
+ */
+export function encryptWalletData(walletData, password) {
+    if (isEncryptedWalletData(walletData)) {
+        throw new Error('이미 암호화된 지갑 데이터입니다.');
+    }
+    const validation = validatePassword(password);
+    if (validation !== true) {
+        throw new Error(validation);
+    }
+
+    const secrets = {};
+    const publicData = {};
+    for (const [key, value] of Object.entries(walletData)) {
+        if (SECRET_FIELDS.includes(key)) {
+            secrets[key] = value;
+        } else {
+            publicData[key] = value;
+        }
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = deriveKey(password, salt, SCRYPT_PARAMS);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(walletData.address || '', 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+        ...publicData,
+        encryption: {
+            version: ENCRYPTION_VERSION,
+            kdf: 'scrypt',
+            kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        },
+        warning: "🔒 개인키는 비밀번호로 암호화되어 있습니다. 비밀번호를 잃어버리면 복구할 수 없습니다."
+    };
+}
+
+/**
+ * 암호화된 지갑 데이터를 비밀번호로 복호화합니다
+ * @param {Object} walletData - 암호화된 지갑 데이터
+ * @param {string} password - 비밀번호
+ * @returns {Object} 비밀 필드가 복원된 평문 지갑 데이터 (encryption 필드 제외)
+ * @throws {Error} 비밀번호가 틀렸거나 파일이 손상/변조되었을 때
+ */
+export function decryptWalletData(walletData, password) {
+    if (!isEncryptedWalletData(walletData)) {
+        return walletData;
+    }
+
+    const { encryption, ...publicData } = walletData;
+    if (encryption.version !== ENCRYPTION_VERSION) {
+        throw new Error(`지원하지 않는 암호화 형식 버전입니다: ${encryption.version}`);
+    }
+    if (encryption.kdf !== 'scrypt' || encryption.cipher !== 'aes-256-gcm') {
+        throw new Error(`지원하지 않는 암호화 방식입니다: ${encryption.kdf} / ${encryption.cipher}`);
+    }
+
+    const { N, r, p, salt } = parseScryptParams(encryption.kdfParams);
+    const key = deriveKey(password || '', salt, { N, r, p });
+
+    let secrets;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encryption.iv, 'base64'));
+        decipher.setAAD(Buffer.from(publicData.address || '', 'utf8'));
+        decipher.setAuthTag(Buffer.from(encryption.authTag, 'base64'));
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(encryption.ciphertext, 'base64')),
+            decipher.final()
+        ]);
+        secrets = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error('비밀번호가 올바르지 않거나 파일이 손상되었습니다.');
+    }
+
+    return {
+        ...publicData,
+        ...secrets,
+        warning: secrets.mnemonic
+            ? "⚠️ 이 파일에는 개인키와 니모닉(시드 문구)이 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요!"
+            : "⚠️ 이 파일에는 개인키가 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요!"
+    };
+}
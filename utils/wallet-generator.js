@@ -1,6 +1,43 @@
 import { Keypair } from '@solana/web3.js';
 import bs58 from 'bs58';
 import nacl from 'tweetnacl';
+import {
+    compilePatternExpression,
+    parsePatternExpression
+} from './regex-pattern.js';
+import { createPatternSetMatcher, normalizePatternSpecs } from './pattern-set.js';
+import { KEYGEN_ENGINES } from './fast-keygen.js';
+import { MNEMONIC_WORD_COUNTS } from './mnemonic.js';
+import { parseBasePoint } from './split-key.js';
+import { parseSeedInputs } from './seed-address.js';
+import { parseProgramAddressInputs } from './program-address.js';
+import { createWorkerPool, getDefaultWorkerCount, SearchCancelledError, WorkerPoolError } from './worker-pool.js';
+import { getExpectedAttempts, getMatchProbability } from './statistics.js';
+
+export { SearchCancelledError, WorkerPoolError };
+
+/**
+ * 키 생성 방식
+ *   - 'random': 무작위 키페어 (기본)
+ *   - 'mnemonic': BIP39 니모닉에서 유도 (Phantom/Solflare에서 시드 문구로 가져올 수 있음)
+ *   - 'split': 요청자의 기준점에 더할 부분 키를 검색 (검색하는 쪽은 최종 개인키를 알 수 없음)
+ *   - 'seed': base 공개키와 owner 프로그램에 대한 createWithSeed의 seed 문자열을 검색 (개인키 없는 주소)
+ *   - 'pda': 프로그램 ID와 고정 seed에 덧붙일 nonce seed를 검색해 프로그램 유도 주소(PDA)를 찾음 (개인키 없는 주소)
+ */
+export const KEY_SOURCES = ['random', 'mnemonic', 'split', 'seed', 'pda'];
+
+/**
+ * 시작 메시지 뒤에 붙일 키 생성 방식 표시를 반환합니다
+ * @param {string} keySource - 키 생성 방식 (KEY_SOURCES 또는 워커 엔진 이름)
+ * @returns {string} 표시 문자열 (무작위 키는 빈 문자열)
+ */
+export function getKeySourceLabel(keySource) {
+    if (keySource === 'mnemonic') return ' [BIP39 니모닉]';
+    if (keySource === 'split') return ' [분할 키]';
+    if (keySource === 'seed') return ' [createWithSeed]';
+    if (keySource === 'pda') return ' [PDA]';
+    return '';
+}
 
 /**
  * 새로운 솔라나 키페어를 생성합니다
@@ -100,6 +137,16 @@ export function matchesStartEndPattern(address, startPattern, endPattern, caseSe
     return startMatch && endMatch;
 }
 
+/**
+ * 주소가 컴파일된 정규식/와일드카드 패턴과 일치하는지 확인합니다
+ * @param {string} address - 검사할 주소
+ * @param {Object} regex - compilePatternExpression으로 컴파일한 매처 (test 메서드)
+ * @returns {boolean} 패턴 일치 여부
+ */
+export function matchesRegexPattern(address, regex) {
+    return regex.test(address);
+}
+
 /**
  * 지정된 패턴으로 시작하는 vanity 주소를 생성합니다
  * @param {string} pattern - 찾을 패턴
@@ -228,82 +275,190 @@ export function generateVanityWalletStartEnd(startPattern, endPattern, caseSensi
     };
 }
 
+/**
+ * 정규식 또는 와일드카드(glob) 패턴과 일치하는 vanity 주소를 생성합니다
+ * @param {string} pattern - 정규식 (예: ^[A-C]{3}.*9$) 또는 glob 패턴 (예: So?ana*)
+ * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {Function} progressCallback - 진행 상황 콜백 함수
+ * @returns {Object} 생성된 지갑 정보 {address, privateKey, publicKey, attempts}
+ */
+export function generateVanityWalletRegex(pattern, caseSensitive = true, progressCallback = null) {
+    let attempts = 0;
+    let keypair;
+    let address;
+
+    // 패턴 유효성 검사 및 컴파일 (Base58 문자가 아니면 예외 발생)
+    const regex = compilePatternExpression(pattern, caseSensitive);
+
+    do {
+        keypair = generateKeypair();
+        address = getAddressFromKeypair(keypair);
+        attempts++;
+
+        if (progressCallback && attempts % 10000 === 0) {
+            progressCallback(attempts);
+        }
+    } while (!matchesRegexPattern(address, regex));
+
+    return {
+        address: address,
+        privateKey: getPrivateKeyFromKeypair(keypair),
+        publicKey: keypair.publicKey.toBase58(),
+        attempts: attempts,
+        keypair: keypair
+    };
+}
+
+/**
+ * 여러 패턴 중 하나와 일치하는 vanity 주소를 생성합니다
+ * @param {Object[]} patterns - 패턴 명세 목록 [{searchMode, pattern, startPattern, endPattern, caseSensitive}]
+ * @param {Function} progressCallback - 진행 상황 콜백 함수
+ * @returns {Object} 생성된 지갑 정보 {address, privateKey, publicKey, attempts, matchedPatternIndex, matchedPattern}
+ */
+export function generateVanityWalletMultiPattern(patterns, progressCallback = null) {
+    let attempts = 0;
+    let keypair;
+    let address;
+    let matchedPatternIndex;
+
+    // 패턴 유효성 검사 및 매처 생성
+    const specs = normalizePatternSpecs(patterns);
+    const matchPatternSet = createPatternSetMatcher(specs);
+
+    do {
+        keypair = generateKeypair();
+        address = getAddressFromKeypair(keypair);
+        attempts++;
+
+        if (progressCallback && attempts % 10000 === 0) {
+            progressCallback(attempts);
+        }
+        matchedPatternIndex = matchPatternSet(address);
+    } while (matchedPatternIndex === -1);
+
+    return {
+        address: address,
+        privateKey: getPrivateKeyFromKeypair(keypair),
+        publicKey: keypair.publicKey.toBase58(),
+        attempts: attempts,
+        keypair: keypair,
+        matchedPatternIndex: matchedPatternIndex,
+        matchedPattern: specs[matchedPatternIndex]
+    };
+}
+
+/**
+ * 워커 풀에서 검색을 실행하고 결과를 모읍니다 (모든 멀티 워커 함수의 공통 로직)
+ * 기본적으로 첫 번째 해답에서 끝나고,
+ * options.maxMatches 또는 options.durationMs가 있으면 워커를 재시작하지 않고 계속 수집합니다.
+ * options.pool이 없으면 이번 검색에만 쓰는 풀을 만들고 검색이 끝나면 종료합니다.
+ * options.signal이 중단되면 검색을 멈추고 SearchCancelledError로 거부합니다.
+ * @param {Object} searchSpec - 워커에 전달할 검색 설정 (매처 명세)
+ * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount, workers: [{workerId, attempts}])
+ * @param {Object} options - 추가 옵션 (각 멀티 워커 함수 참고)
+ * @param {string} startMessage - 시작 로그 메시지
+ * @param {Function} decorateMatch - 해답 메시지를 보강하는 함수 (선택)
+ * @returns {Promise<Object>} 생성된 지갑 정보 또는 수집 결과
+ */
+async function runMultiWorkerSearch(searchSpec, workerCount, progressCallback, options, startMessage, decorateMatch = null) {
+    const { silent = false, maxMatches = 1, durationMs = null, onMatch = null, onWorkerError = null, engine = 'native', mnemonicWords = 12, basePoint = null, basePubkey = null, programId = null, seedPrefix = '', seeds = [], nonceEncoding = 'text', pool: sharedPool = null, signal = null, progressInterval = null } = options;
+
+    if (!KEYGEN_ENGINES.includes(engine)) {
+        throw new Error(`알 수 없는 키 생성 엔진입니다: ${engine} (${KEYGEN_ENGINES.join(', ')} 중 하나)`);
+    }
+    if (engine === 'split') {
+        // 워커마다 같은 오류가 나지 않도록 시작 전에 기준점을 검사
+        parseBasePoint(basePoint || '');
+    }
+    if (engine === 'seed') {
+        parseSeedInputs({ basePubkey, programId, seedPrefix });
+    }
+    if (engine === 'pda') {
+        parseProgramAddressInputs({ programId, seeds, nonceEncoding });
+    }
+
+    // 수집 모드: 여러 개를 찾거나 정해진 시간 동안 계속 검색
+    const collect = maxMatches !== 1 || durationMs !== null;
+    if (collect && !(maxMatches >= 1)) {
+        throw new Error('찾을 지갑 수는 1 이상이어야 합니다.');
+    }
+    if (durationMs !== null && !(durationMs > 0)) {
+        throw new Error('검색 시간은 0보다 커야 합니다.');
+    }
+
+    if (signal && signal.aborted) {
+        throw new SearchCancelledError();
+    }
+
+    const numWorkers = workerCount || getDefaultWorkerCount();
+    const pool = sharedPool || createWorkerPool(numWorkers);
+    if (!pool.isRunning) {
+        pool.resize(numWorkers);
+    }
+
+    if (!silent) console.log(startMessage.replace('{workers}', numWorkers) + getKeySourceLabel(engine));
+
+    // 중단 신호: 공유 풀은 검색만 멈추고, 이번 검색용 풀은 finally에서 워커까지 종료
+    const onAbort = () => pool.cancel();
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        return await pool.run(
+            { ...searchSpec, engine, mnemonicWords, basePoint, basePubkey, programId, seedPrefix, seeds, nonceEncoding, progressInterval },
+            { onProgress: progressCallback, onMatch, onWorkerError, decorateMatch, maxMatches, durationMs, silent }
+        );
+    } finally {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        if (!sharedPool) {
+            await pool.destroy();
+        }
+    }
+}
+
 /**
  * 멀티 워커를 사용하여 vanity 주소를 생성합니다 (수정된 버전)
  * @param {string} pattern - 찾을 패턴
  * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
  * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
- * @param {Function} progressCallback - 진행 상황 콜백 함수
- * @returns {Promise<Object>} 생성된 지갑 정보
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount, workers: 워커별 시도 횟수 [{workerId, attempts}])
+ * @param {Object} options - 추가 옵션
+ * @param {boolean} options.silent - true이면 콘솔 로그를 출력하지 않음 (기본: false)
+ * @param {number} options.maxMatches - 찾을 지갑 수 (기본: 1, Infinity면 시간 제한까지 계속)
+ * @param {number} options.durationMs - 검색 시간 제한 (밀리초, 선택)
+ * @param {Function} options.onMatch - 수집 모드에서 지갑을 찾을 때마다 호출 (wallet, matchCount)
+ * @param {string} options.engine - 키 생성 엔진 ('native' | 'keypair' | 'mnemonic' | 'split' | 'seed' | 'pda', 기본: native)
+ * @param {number} options.mnemonicWords - mnemonic 엔진의 니모닉 단어 수 (12 또는 24, 기본: 12)
+ * @param {string} options.basePoint - split 엔진의 base58 기준점 (결과에 privateKey 대신 partialKey가 들어감)
+ * @param {string} options.basePubkey - seed 엔진의 base 공개키 (결과에 privateKey 대신 seed, basePubkey, programId가 들어감)
+ * @param {string} options.programId - seed 엔진의 owner 프로그램 ID, pda 엔진의 프로그램 ID
+ * @param {string} options.seedPrefix - seed 엔진에서 모든 seed 앞에 붙일 문자열 (선택)
+ * @param {string[]} options.seeds - pda 엔진에서 nonce 앞에 오는 고정 seed 명세 (결과에 nonce와 bump가 들어감)
+ * @param {string} options.nonceEncoding - pda 엔진의 nonce 인코딩 ('text' | 'u64', 기본: text)
+ * @param {Object} options.pool - createWorkerPool로 만든 공유 워커 풀 (없으면 이번 검색에만 쓰는 풀을 만듦)
+ * @param {AbortSignal} options.signal - 중단하면 워커를 멈추고 SearchCancelledError(시도 횟수 포함)로 거부
+ * @param {Function} options.onWorkerError - 워커가 죽을 때마다 호출 ({workerId, message, restarted, restarts, time})
+ *        죽은 워커는 한도까지 다시 시작되며, 모든 워커가 실패하면 WorkerPoolError로 거부
+ * @param {number} options.progressInterval - 워커가 진행 상황을 보고하는 시도 간격 (기본: 10000, 니모닉 100)
+ * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors})
  */
-export async function generateVanityWalletMultiWorker(pattern, workerCount = null, caseSensitive = true, progressCallback = null) {
-    const { Worker } = await import('worker_threads');
-    const os = await import('os');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    
+export async function generateVanityWalletMultiWorker(pattern, workerCount = null, caseSensitive = true, progressCallback = null, options = {}) {
     // 패턴 유효성 검사
     if (!isValidPattern(pattern)) {
         throw new Error('유효하지 않은 패턴입니다. Base58 문자만 사용할 수 있습니다.');
     }
 
-    return new Promise((resolve, reject) => {
-        const numWorkers = workerCount || os.cpus().length;
-        const workers = [];
-        let totalAttempts = 0;
-        let resolved = false;
-
-        // 현재 디렉토리 경로 계산
-        const __dirname = path.dirname(fileURLToPath(import.meta.url));
-        const workerPath = path.join(__dirname, 'worker.js');
-
-        console.log(`🚀 ${numWorkers}개 워커로 병렬 생성 시작...`);
-
-        for (let i = 0; i < numWorkers; i++) {
-            try {
-                const worker = new Worker(workerPath, {
-                    workerData: { 
-                        pattern, 
-                        caseSensitive,
-                        workerId: i + 1
-                    }
-                });
-
-                worker.on('message', (message) => {
-                    if (resolved) return;
-
-                    if (message.success) {
-                        resolved = true;
-                        message.totalAttempts = totalAttempts + message.attempts;
-                        
-                        console.log(`🎉 워커 ${message.workerId}가 해답을 찾았습니다!`);
-                        
-                        // 모든 워커 종료
-                        workers.forEach(w => w.terminate());
-                        resolve(message);
-                    } else if (message.progress) {
-                        totalAttempts += 10000;
-                        if (progressCallback) {
-                            progressCallback(totalAttempts);
-                        }
-                    }
-                });
-
-                worker.on('error', (error) => {
-                    console.error(`❌ 워커 ${i + 1} 오류:`, error.message);
-                    if (!resolved) {
-                        reject(error);
-                    }
-                });
-
-                workers.push(worker);
-            } catch (error) {
-                console.error(`❌ 워커 ${i + 1} 생성 실패:`, error.message);
-                reject(error);
-                return;
-            }
-        }
-    });
+    return runMultiWorkerSearch(
+        { pattern, caseSensitive },
+        workerCount,
+        progressCallback,
+        options,
+        '🚀 {workers}개 워커로 병렬 생성 시작...'
+    );
 }
 
 /**
@@ -311,78 +466,71 @@ export async function generateVanityWalletMultiWorker(pattern, workerCount = nul
  * @param {string} pattern - 찾을 패턴
  * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
  * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
- * @param {Function} progressCallback - 진행 상황 콜백 함수
- * @returns {Promise<Object>} 생성된 지갑 정보
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount)
+ * @param {Object} options - 추가 옵션 (generateVanityWalletMultiWorker 참고)
+ * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors})
  */
-export async function generateVanityWalletContainsMultiWorker(pattern, workerCount = null, caseSensitive = true, progressCallback = null) {
-    const { Worker } = await import('worker_threads');
-    const os = await import('os');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    
+export async function generateVanityWalletContainsMultiWorker(pattern, workerCount = null, caseSensitive = true, progressCallback = null, options = {}) {
     // 패턴 유효성 검사
     if (!isValidPattern(pattern)) {
         throw new Error('유효하지 않은 패턴입니다. Base58 문자만 사용할 수 있습니다.');
     }
 
-    return new Promise((resolve, reject) => {
-        const numWorkers = workerCount || os.cpus().length;
-        const workers = [];
-        let totalAttempts = 0;
-        let resolved = false;
-
-        // 현재 디렉토리 경로 계산
-        const __dirname = path.dirname(fileURLToPath(import.meta.url));
-        const workerPath = path.join(__dirname, 'worker.js');
-
-        console.log(`🚀 ${numWorkers}개 워커로 병렬 생성 시작... (포함 패턴)`);
-
-        for (let i = 0; i < numWorkers; i++) {
-            try {
-                const worker = new Worker(workerPath, {
-                    workerData: { 
-                        pattern, 
-                        caseSensitive,
-                        workerId: i + 1,
-                        searchMode: 'contains' // 새로운 모드 추가
-                    }
-                });
-
-                worker.on('message', (message) => {
-                    if (resolved) return;
-
-                    if (message.success) {
-                        resolved = true;
-                        message.totalAttempts = totalAttempts + message.attempts;
-                        
-                        console.log(`🎉 워커 ${message.workerId}가 해답을 찾았습니다!`);
-                        
-                        // 모든 워커 종료
-                        workers.forEach(w => w.terminate());
-                        resolve(message);
-                    } else if (message.progress) {
-                        totalAttempts += 10000;
-                        if (progressCallback) {
-                            progressCallback(totalAttempts);
-                        }
-                    }
-                });
-
-                worker.on('error', (error) => {
-                    console.error(`❌ 워커 ${i + 1} 오류:`, error.message);
-                    if (!resolved) {
-                        reject(error);
-                    }
-                });
-
-                workers.push(worker);
-            } catch (error) {
-                console.error(`❌ 워커 ${i + 1} 생성 실패:`, error.message);
-                reject(error);
-                return;
-            }
+    return runMultiWorkerSearch(
+        { pattern, caseSensitive, searchMode: 'contains' },
+        workerCount,
+        progressCallback,
+        options,
+        '🚀 {workers}개 워커로 병렬 생성 시작... (포함 패턴)'
+    );
+}
+
+/**
+ * 멀티 워커를 사용하여 정규식 또는 와일드카드 패턴과 일치하는 vanity 주소를 생성합니다
+ * 패턴은 각 워커에서 한 번만 컴파일됩니다.
+ * @param {string} pattern - 정규식 또는 glob 패턴
+ * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
+ * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount)
+ * @param {Object} options - 추가 옵션 (generateVanityWalletMultiWorker 참고)
+ * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors})
+ */
+export async function generateVanityWalletRegexMultiWorker(pattern, workerCount = null, caseSensitive = true, progressCallback = null, options = {}) {
+    // 패턴 유효성 검사 (Base58 문자가 아니거나 지원하지 않는 문법이면 예외 발생)
+    parsePatternExpression(pattern);
+
+    return runMultiWorkerSearch(
+        { pattern, caseSensitive, searchMode: 'regex' },
+        workerCount,
+        progressCallback,
+        options,
+        '🚀 {workers}개 워커로 병렬 생성 시작... (정규식/와일드카드 패턴)'
+    );
+}
+
+/**
+ * 멀티 워커를 사용하여 여러 패턴 중 하나와 일치하는 vanity 주소를 생성합니다
+ * 각 워커는 후보 주소 하나를 전체 패턴 집합과 비교하며, 결과에 일치한 패턴이 포함됩니다.
+ * @param {Object[]} patterns - 패턴 명세 목록 [{searchMode, pattern, startPattern, endPattern, caseSensitive}]
+ * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount)
+ * @param {Object} options - 추가 옵션 (generateVanityWalletMultiWorker 참고)
+ * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors})
+ */
+export async function generateVanityWalletMultiPatternMultiWorker(patterns, workerCount = null, progressCallback = null, options = {}) {
+    // 패턴 유효성 검사
+    const specs = normalizePatternSpecs(patterns);
+
+    return runMultiWorkerSearch(
+        { patterns: specs, searchMode: 'multi' },
+        workerCount,
+        progressCallback,
+        options,
+        `🚀 {workers}개 워커로 병렬 생성 시작... (${specs.length}개 패턴 동시 검색)`,
+        (message) => {
+            message.matchedPattern = specs[message.matchedPatternIndex];
         }
-    });
+    );
 }
 
 /**
@@ -391,15 +539,11 @@ export async function generateVanityWalletContainsMultiWorker(pattern, workerCou
  * @param {string} endPattern - 끝 패턴
  * @param {number} workerCount - 워커 스레드 수 (기본: CPU 코어 수)
  * @param {boolean} caseSensitive - 대소문자 구분 여부 (기본: true)
- * @param {Function} progressCallback - 진행 상황 콜백 함수
- * @returns {Promise<Object>} 생성된 지갑 정보
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount)
+ * @param {Object} options - 추가 옵션 (generateVanityWalletMultiWorker 참고)
+ * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors})
  */
-export async function generateVanityWalletStartEndMultiWorker(startPattern, endPattern, workerCount = null, caseSensitive = true, progressCallback = null) {
-    const { Worker } = await import('worker_threads');
-    const os = await import('os');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    
+export async function generateVanityWalletStartEndMultiWorker(startPattern, endPattern, workerCount = null, caseSensitive = true, progressCallback = null, options = {}) {
     // 빈 패턴 처리
     const hasStartPattern = startPattern && startPattern.trim().length > 0;
     const hasEndPattern = endPattern && endPattern.trim().length > 0;
@@ -424,70 +568,100 @@ export async function generateVanityWalletStartEndMultiWorker(startPattern, endP
         throw new Error('시작 패턴과 끝 패턴의 총 길이가 너무 깁니다. 합쳐서 43자 이하여야 합니다.');
     }
 
-    return new Promise((resolve, reject) => {
-        const numWorkers = workerCount || os.cpus().length;
-        const workers = [];
-        let totalAttempts = 0;
-        let resolved = false;
-
-        // 현재 디렉토리 경로 계산
-        const __dirname = path.dirname(fileURLToPath(import.meta.url));
-        const workerPath = path.join(__dirname, 'worker.js');
-
-        const patternDescription = hasStartPattern && hasEndPattern 
-            ? `${startPattern}...${endPattern}`
-            : hasStartPattern 
-                ? `${startPattern}로 시작`
-                : `${endPattern}로 끝남`;
-        console.log(`🚀 ${numWorkers}개 워커로 병렬 생성 시작... (앞뒤 패턴: ${patternDescription})`);
-
-        for (let i = 0; i < numWorkers; i++) {
-            try {
-                const worker = new Worker(workerPath, {
-                    workerData: { 
-                        startPattern,
-                        endPattern,
-                        caseSensitive,
-                        workerId: i + 1,
-                        searchMode: 'startEnd' // 새로운 모드 추가
-                    }
-                });
-
-                worker.on('message', (message) => {
-                    if (resolved) return;
-
-                    if (message.success) {
-                        resolved = true;
-                        message.totalAttempts = totalAttempts + message.attempts;
-                        
-                        console.log(`🎉 워커 ${message.workerId}가 해답을 찾았습니다!`);
-                        
-                        // 모든 워커 종료
-                        workers.forEach(w => w.terminate());
-                        resolve(message);
-                    } else if (message.progress) {
-                        totalAttempts += 10000;
-                        if (progressCallback) {
-                            progressCallback(totalAttempts);
-                        }
-                    }
-                });
-
-                worker.on('error', (error) => {
-                    console.error(`❌ 워커 ${i + 1} 오류:`, error.message);
-                    if (!resolved) {
-                        reject(error);
-                    }
-                });
-
-                workers.push(worker);
-            } catch (error) {
-                console.error(`❌ 워커 ${i + 1} 생성 실패:`, error.message);
-                reject(error);
-                return;
-            }
-        }
-    });
+    const patternDescription = hasStartPattern && hasEndPattern 
+        ? `${startPattern}...${endPattern}`
+        : hasStartPattern 
+            ? `${startPattern}로 시작`
+            : `${endPattern}로 끝남`;
+
+    return runMultiWorkerSearch(
+        { startPattern, endPattern, caseSensitive, searchMode: 'startEnd' },
+        workerCount,
+        progressCallback,
+        options,
+        `🚀 {workers}개 워커로 병렬 생성 시작... (앞뒤 패턴: ${patternDescription})`
+    );
+}
+
+/**
+ * 검색 설정에 맞는 생성 함수를 골라 실행합니다
+ * @param {Object} settings - 검색 설정
+ * @param {string} settings.searchMode - 검색 모드 ('startsWith' | 'contains' | 'startEnd' | 'regex' | 'multi')
+ * @param {string} settings.pattern - 단일 패턴
+ * @param {string} settings.startPattern - 시작 패턴 (startEnd 모드)
+ * @param {string} settings.endPattern - 끝 패턴 (startEnd 모드)
+ * @param {Object[]} settings.patterns - 패턴 명세 목록 (multi 모드)
+ * @param {boolean} settings.caseSensitive - 대소문자 구분 여부 (기본: true)
+ * @param {boolean} settings.useMultiCore - 멀티 워커 사용 여부 (기본: true)
+ * @param {number} settings.workerCount - 워커 스레드 수 (기본: CPU 코어 수)
+ * @param {string} settings.keySource - 키 생성 방식 ('random' | 'mnemonic' | 'split' | 'seed' | 'pda', 기본: random)
+ * @param {number} settings.mnemonicWords - 니모닉 단어 수 (mnemonic 방식, 기본: 12)
+ * @param {string} settings.basePoint - 요청자의 base58 기준점 (split 방식)
+ * @param {string} settings.basePubkey - createWithSeed의 base 공개키 (seed 방식)
+ * @param {string} settings.programId - createWithSeed의 owner 프로그램 ID (seed 방식) 또는 PDA의 프로그램 ID (pda 방식)
+ * @param {string} settings.seedPrefix - 모든 seed 앞에 붙일 문자열 (seed 방식, 선택)
+ * @param {string[]} settings.seeds - nonce 앞에 오는 고정 seed 명세 (pda 방식, 선택)
+ * @param {string} settings.nonceEncoding - nonce seed 인코딩 ('text' | 'u64', pda 방식, 기본: text)
+ * @param {Function} progressCallback - 진행 상황 콜백 함수 (totalAttempts, matchCount, workers; 단일 코어에서는 totalAttempts만)
+ * @param {Object} options - 멀티 워커 옵션 (options.signal 외에는 단일 코어에서 무시됨)
+ * @returns {Promise<Object>} 생성된 지갑 정보 또는 수집 결과
+ */
+export async function searchVanityWallet(settings, progressCallback = null, options = {}) {
+    const {
+        searchMode = 'startsWith',
+        pattern,
+        startPattern,
+        endPattern,
+        patterns,
+        caseSensitive = true,
+        useMultiCore: requestedMultiCore = true,
+        workerCount: requestedWorkerCount = null,
+        keySource = 'random',
+        mnemonicWords = 12,
+        basePoint = null,
+        basePubkey = null,
+        programId = null,
+        seedPrefix = '',
+        seeds = [],
+        nonceEncoding = 'text'
+    } = settings;
+
+    if (!KEY_SOURCES.includes(keySource)) {
+        throw new Error(`알 수 없는 키 생성 방식입니다: ${keySource} (${KEY_SOURCES.join(', ')} 중 하나)`);
+    }
+    if (keySource === 'mnemonic' && !MNEMONIC_WORD_COUNTS.includes(mnemonicWords)) {
+        throw new Error(`니모닉 단어 수는 ${MNEMONIC_WORD_COUNTS.join(' 또는 ')}이어야 합니다.`);
+    }
+
+    // 니모닉/분할 키/seed/PDA 방식은 워커에서만 구현되어 있고, 단일 코어 루프는 이벤트 루프를 막아
+    // 중단 신호를 받을 수 없으므로 이런 경우 단일 코어를 선택하면 워커 1개로 실행
+    const useWorkerEngine = keySource !== 'random';
+    const useMultiCore = requestedMultiCore || useWorkerEngine || Boolean(options.signal);
+    const workerCount = requestedMultiCore ? requestedWorkerCount : 1;
+    if (useWorkerEngine) {
+        options = { ...options, engine: keySource, mnemonicWords, basePoint, basePubkey, programId, seedPrefix, seeds, nonceEncoding };
+    }
+
+    if (searchMode === 'multi') {
+        return useMultiCore
+            ? generateVanityWalletMultiPatternMultiWorker(patterns, workerCount, progressCallback, options)
+            : generateVanityWalletMultiPattern(patterns, progressCallback);
+    } else if (searchMode === 'startEnd') {
+        return useMultiCore
+            ? generateVanityWalletStartEndMultiWorker(startPattern, endPattern, workerCount, caseSensitive, progressCallback, options)
+            : generateVanityWalletStartEnd(startPattern, endPattern, caseSensitive, progressCallback);
+    } else if (searchMode === 'regex') {
+        return useMultiCore
+            ? generateVanityWalletRegexMultiWorker(pattern, workerCount, caseSensitive, progressCallback, options)
+            : generateVanityWalletRegex(pattern, caseSensitive, progressCallback);
+    } else if (searchMode === 'contains') {
+        return useMultiCore
+            ? generateVanityWalletContainsMultiWorker(pattern, workerCount, caseSensitive, progressCallback, options)
+            : generateVanityWalletContains(pattern, caseSensitive, progressCallback);
+    }
+    return useMultiCore
+        ? generateVanityWalletMultiWorker(pattern, workerCount, caseSensitive, progressCallback, options)
+        : generateVanityWallet(pattern, caseSensitive, progressCallback);
 }
 
 /**
@@ -502,21 +676,33 @@ export function isValidPattern(pattern) {
 
 /**
  * 패턴의 예상 시도 횟수를 계산합니다
+ * base58 첫 글자의 편향과 대소문자별 문자 수를 반영한 정확한 확률의 역수입니다 (statistics.js 참고).
  * @param {string} pattern - 패턴
  * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @param {string} searchMode - 검색 모드 ('regex'이면 정규식/와일드카드 난이도 추정, 기본: startsWith)
  * @returns {number} 예상 시도 횟수
  */
-export function estimateAttempts(pattern, caseSensitive = true) {
-    const base58Length = 58;
-    const patternLength = pattern.length;
-    
-    if (!caseSensitive) {
-        // 대소문자 구분하지 않을 때는 확률이 더 높아집니다
-        // 하지만 정확한 계산은 복잡하므로 근사치를 사용합니다
-        return Math.pow(base58Length / 2, patternLength);
-    }
-    
-    return Math.pow(base58Length, patternLength);
+export function estimateAttempts(pattern, caseSensitive = true, searchMode = 'startsWith') {
+    return getExpectedAttempts(getMatchProbability({ searchMode, pattern, caseSensitive }));
+}
+
+/**
+ * 패턴 명세 하나의 예상 시도 횟수를 계산합니다
+ * @param {Object} spec - 패턴 명세 {searchMode, pattern, startPattern, endPattern, caseSensitive}
+ * @returns {number} 예상 시도 횟수
+ */
+export function estimatePatternSpecAttempts(spec) {
+    return getExpectedAttempts(getMatchProbability(spec));
+}
+
+/**
+ * 여러 패턴 중 하나와 일치할 때까지의 예상 시도 횟수를 계산합니다
+ * 각 패턴의 일치 확률을 더한 값의 역수입니다.
+ * @param {Object[]} patterns - 패턴 명세 목록
+ * @returns {number} 예상 시도 횟수
+ */
+export function estimateMultiPatternAttempts(patterns) {
+    return getExpectedAttempts(getMatchProbability({ searchMode: 'multi', patterns }));
 }
 
 /**
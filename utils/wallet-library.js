@@ -0,0 +1,414 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+    DEFAULT_WALLETS_DIR,
+    listWalletFiles,
+    loadWalletFile,
+    getSolanaKeypairPath
+} from './wallet-storage.js';
+import { SECRET_FIELDS, isEncryptedWalletData } from './wallet-crypto.js';
+
+/**
+ * 지갑 라이브러리 관리
+ *
+ * 지갑 디렉토리의 파일을 목록으로 읽어 필터/정렬하고, 라벨과 메모를 붙이고,
+ * 덮어쓴 뒤 삭제하거나 여러 지갑을 묶음 파일 하나로 내보냅니다.
+ * 목록 항목에는 기본적으로 개인키가 들어가지 않습니다.
+ */
+
+/**
+ * 정렬 기준
+ */
+export const WALLET_SORT_KEYS = ['createdAt', 'address', 'pattern', 'mode', 'label'];
+
+/**
+ * 필터에 사용할 수 있는 검색 모드 (저장된 지갑의 searchMode 값)
+ */
+export const WALLET_FILTER_MODES = ['startsWith', 'contains', 'startEnd', 'regex'];
+
+/**
+ * 묶음 파일 형식 이름과 버전
+ */
+const BUNDLE_FORMAT = 'solana-vanity-wallet-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * 표에서 메모를 잘라 보여줄 최대 너비
+ */
+const NOTE_COLUMN_WIDTH = 24;
+
+/**
+ * 지갑 디렉토리의 지갑 목록을 읽습니다
+ * 읽을 수 없는 파일은 error 필드만 있는 항목으로 반환합니다.
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @param {Object} options - {includePrivateKeys: 평문 파일의 개인키를 항목에 포함할지 여부 (기본: false)}
+ * @returns {Object[]} 항목 목록 [{file, filepath, address, pattern, searchMode, keyType, encrypted, labels, note, createdAt}]
+ */
+export function loadWalletLibrary(walletsDir = DEFAULT_WALLETS_DIR, options = {}) {
+    const { includePrivateKeys = false } = options;
+
+    return listWalletFiles(walletsDir).map((file) => {
+        const filepath = path.join(walletsDir, file);
+        try {
+            const walletData = loadWalletFile(filepath);
+            if (!walletData || Array.isArray(walletData) || typeof walletData.address !== 'string') {
+                throw new Error('지갑 파일 형식이 아닙니다.');
+            }
+            const entry = {
+                file,
+                filepath,
+                address: walletData.address,
+                pattern: walletData.pattern || null,
+                searchMode: walletData.searchMode || 'startsWith',
+                keyType: walletData.keyType || null,
+                encrypted: isEncryptedWalletData(walletData),
+                labels: Array.isArray(walletData.labels) ? walletData.labels : [],
+                note: walletData.note || null,
+                createdAt: walletData.createdAt || null
+            };
+            if (includePrivateKeys && !entry.encrypted) {
+                entry.privateKey = walletData.privateKey || walletData.privateScalar || null;
+            }
+            return entry;
+        } catch (error) {
+            return { file, filepath, error: error.message };
+        }
+    });
+}
+
+/**
+ * 날짜 필터 값을 Date로 변환합니다
+ * 날짜만 입력하면(YYYY-MM-DD) 시작 날짜는 그날 0시, 끝 날짜는 그날 전체를 포함합니다.
+ * @param {string} value - 날짜 문자열 (YYYY-MM-DD 또는 ISO 8601)
+ * @param {boolean} endOfDay - 끝 날짜로 사용할지 여부
+ * @returns {Date} 변환된 날짜
+ * @throws {Error} 날짜로 읽을 수 없을 때
+ */
+export function parseDateFilter(value, endOfDay = false) {
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly ? `${value}T00:00:00` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`날짜 형식이 올바르지 않습니다: ${value} (예: 2025-01-31)`);
+    }
+    if (isDateOnly && endOfDay) {
+        date.setDate(date.getDate() + 1);
+        date.setMilliseconds(-1);
+    }
+    return date;
+}
+
+/**
+ * 지갑 목록을 조건으로 거릅니다 (읽을 수 없는 파일은 조건이 있으면 제외)
+ * @param {Object[]} entries - loadWalletLibrary 결과
+ * @param {Object} filters - 필터 조건
+ * @param {string} filters.pattern - 지갑의 검색 패턴에 포함된 문자열 (대소문자 무시)
+ * @param {string} filters.mode - 검색 모드 (WALLET_FILTER_MODES)
+ * @param {Date} filters.since - 이 시각 이후에 생성된 지갑
+ * @param {Date} filters.until - 이 시각 이전에 생성된 지갑
+ * @param {string} filters.label - 이 라벨이 붙은 지갑
+ * @returns {Object[]} 조건에 맞는 항목
+ */
+export function filterWallets(entries, filters = {}) {
+    const { pattern = null, mode = null, since = null, until = null, label = null } = filters;
+    const hasFilter = [pattern, mode, since, until, label].some(value => value !== null && value !== '');
+    if (!hasFilter) {
+        return entries;
+    }
+
+    const needle = pattern ? pattern.toLowerCase() : null;
+    return entries.filter((entry) => {
+        if (entry.error) {
+            return false;
+        }
+        if (needle && !(entry.pattern && entry.pattern.toLowerCase().includes(needle))) {
+            return false;
+        }
+        if (mode && entry.searchMode !== mode) {
+            return false;
+        }
+        if (since || until) {
+            const createdAt = entry.createdAt ? new Date(entry.createdAt) : null;
+            if (!createdAt || (since && createdAt < since) || (until && createdAt > until)) {
+                return false;
+            }
+        }
+        return !label || entry.labels.includes(label);
+    });
+}
+
+/**
+ * 지갑 목록을 정렬합니다 (읽을 수 없는 파일은 항상 마지막)
+ * @param {Object[]} entries - loadWalletLibrary 결과
+ * @param {string} key - 정렬 기준 (WALLET_SORT_KEYS, 기본: createdAt)
+ * @param {boolean} descending - 내림차순 여부 (기본: false)
+ * @returns {Object[]} 정렬된 새 배열
+ */
+export function sortWallets(entries, key = 'createdAt', descending = false) {
+    if (!WALLET_SORT_KEYS.includes(key)) {
+        throw new Error(`알 수 없는 정렬 기준입니다: ${key} (${WALLET_SORT_KEYS.join(', ')} 중 하나)`);
+    }
+
+    const getValue = (entry) => {
+        switch (key) {
+            case 'address': return entry.address;
+            case 'pattern': return entry.pattern;
+            case 'mode': return entry.searchMode;
+            case 'label': return entry.labels[0];
+            default: return entry.createdAt;
+        }
+    };
+
+    const direction = descending ? -1 : 1;
+    return [...entries].sort((a, b) => {
+        if (a.error || b.error) {
+            return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+        }
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        // 값이 없는 항목은 정렬 방향과 관계없이 뒤로
+        if (!valueA || !valueB) {
+            return (valueA ? 0 : 1) - (valueB ? 0 : 1);
+        }
+        return valueA.localeCompare(valueB) * direction || a.file.localeCompare(b.file);
+    });
+}
+
+/**
+ * 라벨 목록을 정리합니다 (앞뒤 공백 제거, 빈 값과 중복 제외)
+ * @param {string[]|string} labels - 라벨 배열 또는 쉼표로 구분한 문자열
+ * @returns {string[]} 정리된 라벨
+ */
+export function normalizeLabels(labels) {
+    const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+    return [...new Set(list.map(label => label.trim()).filter(label => label.length > 0))];
+}
+
+/**
+ * 지갑 파일의 라벨과 메모를 바꿉니다
+ * 라벨과 메모는 평문 메타데이터라서 암호화된 파일도 비밀번호 없이 바꿀 수 있습니다.
+ * 중간에 종료되어도 원본이 깨지지 않도록 임시 파일에 쓴 뒤 이름을 바꿉니다.
+ * @param {string} filepath - 지갑 파일 경로
+ * @param {Object} changes - 바꿀 값
+ * @param {string[]} changes.addLabels - 추가할 라벨
+ * @param {string[]} changes.removeLabels - 뺄 라벨
+ * @param {string|null} changes.note - 새 메모 (null이나 빈 문자열이면 삭제, undefined면 그대로)
+ * @returns {{labels: string[], note: string|null}} 바뀐 뒤의 라벨과 메모
+ */
+export function updateWalletMetadata(filepath, changes = {}) {
+    const walletData = loadWalletFile(filepath);
+    if (!walletData || Array.isArray(walletData) || typeof walletData.address !== 'string') {
+        throw new Error(`지갑 파일 형식이 아닙니다: ${filepath}`);
+    }
+
+    const removeLabels = normalizeLabels(changes.removeLabels || []);
+    const labels = normalizeLabels([...(walletData.labels || []), ...normalizeLabels(changes.addLabels || [])])
+        .filter(label => !removeLabels.includes(label));
+    const note = changes.note === undefined ? (walletData.note || null) : (changes.note || '').trim() || null;
+
+    const { labels: _labels, note: _note, ...rest } = walletData;
+    const updated = {
+        ...rest,
+        ...(labels.length > 0 ? { labels } : {}),
+        ...(note ? { note } : {})
+    };
+
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(updated, null, 2), { mode: fs.statSync(filepath).mode & 0o777 });
+    fs.renameSync(tempPath, filepath);
+
+    return { labels, note };
+}
+
+/**
+ * 파일 내용을 무작위 바이트로 덮어쓰고 디스크에 기록한 뒤 삭제합니다
+ * SSD나 저널링/스냅샷 파일 시스템에서는 이전 블록이 남아 있을 수 있어 완전한 복구 방지는 보장하지 않습니다.
+ */
+function overwriteAndUnlink(filepath) {
+    const { size } = fs.statSync(filepath);
+    const fd = fs.openSync(filepath, 'r+');
+    try {
+        const chunk = Buffer.alloc(Math.min(size, 64 * 1024));
+        for (let offset = 0; offset < size; offset += chunk.length) {
+            const length = Math.min(chunk.length, size - offset);
+            crypto.randomFillSync(chunk, 0, length);
+            fs.writeSync(fd, chunk, 0, length, offset);
+        }
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.unlinkSync(filepath);
+}
+
+/**
+ * 지갑 파일을 덮어쓴 뒤 삭제합니다
+ * 같은 주소의 Solana CLI 키페어 파일(<지갑 디렉토리>/keypairs/<주소>.json)에도 개인키가 있으므로
+ * removeKeypair를 지정하면 함께 삭제하고, 아니면 남은 파일 경로를 알려줍니다.
+ * @param {string} filepath - 지갑 파일 경로
+ * @param {Object} options - 삭제 옵션
+ * @param {string} options.walletsDir - 지갑 디렉토리 (기본: 파일이 있는 디렉토리)
+ * @param {boolean} options.removeKeypair - 키페어 파일도 삭제할지 여부 (기본: false)
+ * @returns {{removed: string[], remainingKeypair: string|null}} 삭제한 파일과 남아 있는 키페어 파일
+ */
+export function deleteWalletFile(filepath, options = {}) {
+    const { walletsDir = path.dirname(filepath), removeKeypair = false } = options;
+
+    let address = null;
+    try {
+        address = loadWalletFile(filepath).address || null;
+    } catch {
+        // 깨진 파일도 삭제할 수 있어야 함
+    }
+
+    overwriteAndUnlink(filepath);
+    const removed = [filepath];
+
+    const keypairPath = address ? getSolanaKeypairPath(address, walletsDir) : null;
+    if (!keypairPath || !fs.existsSync(keypairPath)) {
+        return { removed, remainingKeypair: null };
+    }
+    if (!removeKeypair) {
+        return { removed, remainingKeypair: keypairPath };
+    }
+    overwriteAndUnlink(keypairPath);
+    removed.push(keypairPath);
+    return { removed, remainingKeypair: null };
+}
+
+/**
+ * 여러 지갑 파일을 묶음 파일 하나로 내보냅니다
+ * 암호화된 지갑은 암호화된 그대로 들어가며, publicOnly면 개인키 없이 주소와 메타데이터만 담습니다.
+ * 개인키가 들어가는 묶음은 소유자만 읽을 수 있는 권한(0600)으로 만듭니다.
+ * @param {string[]} filepaths - 내보낼 지갑 파일 경로
+ * @param {string} outPath - 묶음 파일 경로
+ * @param {Object} options - {publicOnly: 개인키 제외 (기본: false), overwrite: 이미 있는 파일 덮어쓰기 (기본: false)}
+ * @returns {{filepath: string, count: number, encrypted: number, plaintext: number}} 저장 결과
+ * @throws {Error} 내보낼 지갑이 없거나, 파일이 이미 있고 overwrite가 false일 때
+ */
+export function exportWalletBundle(filepaths, outPath, options = {}) {
+    const { publicOnly = false, overwrite = false } = options;
+
+    if (filepaths.length === 0) {
+        throw new Error('내보낼 지갑이 없습니다.');
+    }
+    if (!overwrite && fs.existsSync(outPath)) {
+        throw new Error(`파일이 이미 존재합니다: ${outPath}`);
+    }
+
+    let encrypted = 0;
+    let plaintext = 0;
+    const wallets = filepaths.map((filepath) => {
+        const walletData = loadWalletFile(filepath);
+        if (publicOnly) {
+            const { encryption: _encryption, warning: _warning, ...publicData } = walletData;
+            for (const field of SECRET_FIELDS) {
+                delete publicData[field];
+            }
+            return { file: path.basename(filepath), ...publicData };
+        }
+        if (isEncryptedWalletData(walletData)) {
+            encrypted++;
+        } else {
+            plaintext++;
+        }
+        return { file: path.basename(filepath), ...walletData };
+    });
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        publicOnly,
+        count: wallets.length,
+        ...(publicOnly ? {} : { warning: '⚠️ 이 묶음 파일에는 개인키가 포함되어 있을 수 있습니다. 절대 다른 사람과 공유하지 마세요!' }),
+        wallets
+    };
+
+    const dir = path.dirname(outPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(outPath, JSON.stringify(bundle, null, 2), publicOnly ? {} : { mode: 0o600 });
+
+    return { filepath: outPath, count: wallets.length, encrypted, plaintext };
+}
+
+/**
+ * 한글처럼 화면에서 두 칸을 차지하는 문자를 고려한 표시 너비
+ */
+function getDisplayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+function padCell(text, width) {
+    return text + ' '.repeat(Math.max(0, width - getDisplayWidth(text)));
+}
+
+function truncateCell(text, width) {
+    if (getDisplayWidth(text) <= width) {
+        return text;
+    }
+    let result = '';
+    for (const char of text) {
+        if (getDisplayWidth(result + char) > width - 1) break;
+        result += char;
+    }
+    return `${result}…`;
+}
+
+/**
+ * 지갑 종류/보관 상태 표시
+ */
+function describeStorage(entry) {
+    if (entry.keyType === 'split-partial') return '부분 키';
+    if (entry.keyType === 'with-seed') return 'seed 주소';
+    if (entry.keyType === 'program-address') return 'PDA';
+    const kind = entry.keyType === 'split' ? '분할 키 ' : '';
+    return `${kind}${entry.encrypted ? '암호화' : '평문'}`;
+}
+
+/**
+ * 지갑 목록을 요약 표로 변환합니다 (기본적으로 개인키 제외)
+ * @param {Object[]} entries - loadWalletLibrary 결과
+ * @param {Object} options - {showPrivateKeys: 개인키 열 표시 (loadWalletLibrary의 includePrivateKeys 필요, 기본: false)}
+ * @returns {string[]} 표의 각 줄 (첫 줄은 머리글)
+ */
+export function formatWalletTable(entries, options = {}) {
+    const { showPrivateKeys = false } = options;
+
+    const columns = [
+        { title: '#', value: (entry, index) => String(index + 1) },
+        { title: '주소', value: entry => entry.address },
+        { title: '패턴', value: entry => entry.pattern || '-' },
+        { title: '모드', value: entry => entry.searchMode },
+        { title: '생성일', value: entry => entry.createdAt ? entry.createdAt.slice(0, 10) : '-' },
+        { title: '보관', value: entry => describeStorage(entry) },
+        { title: '라벨', value: entry => entry.labels.join(',') || '-' },
+        { title: '메모', value: entry => truncateCell(entry.note || '-', NOTE_COLUMN_WIDTH) }
+    ];
+    if (showPrivateKeys) {
+        columns.push({ title: '개인키', value: entry => entry.encrypted ? '(암호화됨)' : (entry.privateKey || '-') });
+    }
+
+    const rows = entries.map((entry, index) => entry.error
+        ? null
+        : columns.map(column => column.value(entry, index)));
+    const widths = columns.map((column, i) => Math.max(
+        getDisplayWidth(column.title),
+        ...rows.filter(Boolean).map(row => getDisplayWidth(row[i]))
+    ));
+
+    const formatRow = cells => cells.map((cell, i) => padCell(cell, widths[i])).join('  ').trimEnd();
+    const lines = [formatRow(columns.map(column => column.title))];
+    entries.forEach((entry, index) => {
+        lines.push(entry.error
+            ? `${padCell(String(index + 1), widths[0])}  ${entry.file} (읽기 실패: ${entry.error})`
+            : formatRow(rows[index]));
+    });
+    return lines;
+}
@@ -0,0 +1,493 @@
+import fs from 'fs';
+import path from 'path';
+import bs58 from 'bs58';
+import { describePatternSpec } from './pattern-set.js';
+import { encryptWalletData, decryptWalletData, isEncryptedWalletData } from './wallet-crypto.js';
+
+/**
+ * 생성된 지갑 파일이 저장되는 기본 디렉토리
+ */
+export const DEFAULT_WALLETS_DIR = 'wallets';
+
+/**
+ * 지갑 저장 형식
+ *   - json: 이 도구의 JSON 형식 (주소, base58 개인키, 패턴, 생성 정보)
+ *   - keypair: solana-keygen/Anchor가 읽는 64바이트 JSON 배열 (id.json)
+ *   - both: 두 형식 모두 저장
+ */
+export const EXPORT_FORMATS = ['json', 'keypair', 'both'];
+
+/**
+ * 지갑 디렉토리 안에서 Solana CLI 키페어 파일을 저장하는 하위 디렉토리
+ */
+const KEYPAIR_SUBDIR = 'keypairs';
+
+/**
+ * 지갑 디렉토리 안에서 분할 키 요청자의 비밀 키 파일을 저장하는 하위 디렉토리
+ */
+const SPLIT_SECRET_SUBDIR = 'split';
+
+/**
+ * 분할 키 관련 파일 종류 (keyType 필드)
+ *   - split-secret: 요청자의 비밀 키와 기준점 (split-init)
+ *   - split-partial: 검색 머신이 찾은 부분 키 (개인키 없음, split-generate)
+ *   - split: 비밀 키와 부분 키를 합친 최종 지갑 (split-combine)
+ */
+export const SPLIT_KEY_TYPES = {
+    SECRET: 'split-secret',
+    PARTIAL: 'split-partial',
+    COMBINED: 'split'
+};
+
+/**
+ * createWithSeed 주소 파일의 keyType (개인키 없이 base 공개키, seed, owner 프로그램만 저장)
+ */
+export const SEED_KEY_TYPE = 'with-seed';
+
+/**
+ * 프로그램 유도 주소(PDA) 파일의 keyType (개인키 없이 프로그램 ID, seed, nonce, bump만 저장)
+ */
+export const PDA_KEY_TYPE = 'program-address';
+
+/**
+ * 검색 모드와 패턴으로 화면/파일에 표시할 패턴 문자열을 만듭니다
+ * @param {string} searchMode - 검색 모드 ('startsWith' | 'contains' | 'startEnd')
+ * @param {string} pattern - 단일 패턴
+ * @param {string} startPattern - 시작 패턴
+ * @param {string} endPattern - 끝 패턴
+ * @returns {string} 표시용 패턴
+ */
+export function getDisplayPattern(searchMode, pattern, startPattern = null, endPattern = null) {
+    if (searchMode !== 'startEnd') {
+        return pattern;
+    }
+
+    const hasStartPattern = startPattern && startPattern.length > 0;
+    const hasEndPattern = endPattern && endPattern.length > 0;
+
+    return hasStartPattern && hasEndPattern
+        ? `${startPattern}...${endPattern}`
+        : hasStartPattern
+            ? startPattern
+            : `...${endPattern}`;
+}
+
+/**
+ * 검색 모드에 대한 사람이 읽을 수 있는 설명을 반환합니다
+ * @param {string} searchMode - 검색 모드
+ * @param {string} startPattern - 시작 패턴
+ * @param {string} endPattern - 끝 패턴
+ * @returns {string} 검색 모드 설명
+ */
+export function getSearchModeDescription(searchMode, startPattern = null, endPattern = null) {
+    if (searchMode === 'startEnd') {
+        const hasStartPattern = startPattern && startPattern.length > 0;
+        const hasEndPattern = endPattern && endPattern.length > 0;
+
+        if (hasStartPattern && hasEndPattern) {
+            return `앞뒤 패턴 (${startPattern}로 시작, ${endPattern}로 끝남)`;
+        } else if (hasStartPattern) {
+            return `시작 패턴 (${startPattern}로 시작)`;
+        }
+        return `끝 패턴 (${endPattern}로 끝남)`;
+    } else if (searchMode === 'contains') {
+        return '주소 내 포함';
+    } else if (searchMode === 'regex') {
+        return '정규식/와일드카드 패턴';
+    }
+    return '주소 시작';
+}
+
+/**
+ * 지갑 파일 이름을 생성합니다
+ * @param {string} searchMode - 검색 모드
+ * @param {string} pattern - 단일 패턴
+ * @param {string} startPattern - 시작 패턴
+ * @param {string} endPattern - 끝 패턴
+ * @returns {string} 파일 이름
+ */
+export function getWalletFileName(searchMode, pattern, startPattern = null, endPattern = null) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let modePrefix, filePattern;
+
+    if (searchMode === 'startEnd') {
+        const hasStartPattern = startPattern && startPattern.length > 0;
+        const hasEndPattern = endPattern && endPattern.length > 0;
+
+        if (hasStartPattern && hasEndPattern) {
+            modePrefix = 'startEnd';
+            filePattern = `${startPattern}-${endPattern}`;
+        } else if (hasStartPattern) {
+            modePrefix = 'starts';
+            filePattern = startPattern;
+        } else {
+            modePrefix = 'ends';
+            filePattern = endPattern;
+        }
+    } else if (searchMode === 'contains') {
+        modePrefix = 'contains';
+        filePattern = pattern;
+    } else if (searchMode === 'regex') {
+        // 파일 이름에 쓸 수 없는 정규식/와일드카드 기호는 '_'로 치환
+        modePrefix = 'regex';
+        filePattern = pattern.replace(/[^1-9A-HJ-NP-Za-km-z]/g, '_');
+    } else {
+        modePrefix = 'starts';
+        filePattern = pattern;
+    }
+
+    return `solana-wallet-${modePrefix}-${filePattern}-${timestamp}.json`;
+}
+
+/**
+ * 생성된 지갑을 저장용 JSON 객체로 변환합니다
+ * @param {Object} wallet - 생성된 지갑 정보
+ * @param {Object} options - 저장 옵션
+ * @param {string} options.pattern - 표시용 패턴
+ * @param {number} options.generationTime - 생성 시간 (초)
+ * @param {string} options.searchMode - 검색 모드
+ * @param {string} options.startPattern - 시작 패턴
+ * @param {string} options.endPattern - 끝 패턴
+ * @param {string} options.createdBy - 생성 도구 설명
+ * @param {Object[]} options.patternSet - 여러 패턴 동시 검색에 사용한 패턴 명세 목록 (선택)
+ * @returns {Object} 저장용 지갑 데이터
+ */
+export function createWalletData(wallet, {
+    pattern,
+    generationTime = null,
+    searchMode = 'startsWith',
+    startPattern = null,
+    endPattern = null,
+    createdBy = 'Solana Vanity Wallet Generator (Interactive Mode)',
+    patternSet = null
+} = {}) {
+    const patternSetInfo = patternSet && wallet.matchedPattern
+        ? {
+            patternSet: patternSet.map(describePatternSpec),
+            matchedPattern: describePatternSpec(wallet.matchedPattern)
+        }
+        : {};
+
+    return {
+        address: wallet.address,
+        ...getKeyFields(wallet),
+        publicKey: wallet.publicKey,
+        pattern: pattern,
+        startPattern: startPattern,
+        endPattern: endPattern,
+        searchMode: searchMode,
+        searchModeDescription: getSearchModeDescription(searchMode, startPattern, endPattern),
+        ...patternSetInfo,
+        individualWorkerAttempts: wallet.attempts || 0,
+        totalAttempts: wallet.totalAttempts || wallet.attempts || 0,
+        generationTime: generationTime ? `${generationTime.toFixed(2)}초` : null,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy,
+        warning: getWalletWarning(wallet)
+    };
+}
+
+/**
+ * 지갑 종류에 맞는 키 필드를 만듭니다
+ */
+function getKeyFields(wallet) {
+    // 분할 키 검색 결과는 개인키 없이 기준점과 부분 키만 저장
+    if (wallet.partialKey) {
+        return { keyType: SPLIT_KEY_TYPES.PARTIAL, basePoint: wallet.basePoint, partialKey: wallet.partialKey };
+    }
+    // createWithSeed 주소는 개인키가 없으므로 주소를 다시 계산할 입력만 저장
+    if (wallet.seed) {
+        return { keyType: SEED_KEY_TYPE, basePubkey: wallet.basePubkey, seed: wallet.seed, programId: wallet.programId };
+    }
+    // PDA는 findProgramAddressSync로 다시 계산할 수 있도록 모든 seed와 bump를 저장
+    if (wallet.nonce !== undefined) {
+        return {
+            keyType: PDA_KEY_TYPE,
+            programId: wallet.programId,
+            seeds: wallet.seeds,
+            nonce: wallet.nonce,
+            nonceEncoding: wallet.nonceEncoding,
+            bump: wallet.bump
+        };
+    }
+    // 분할 키를 합친 지갑의 개인키는 시드가 아닌 스칼라
+    if (wallet.privateScalar) {
+        return { keyType: SPLIT_KEY_TYPES.COMBINED, privateScalar: wallet.privateScalar, basePoint: wallet.basePoint };
+    }
+    // 니모닉 방식으로 찾은 지갑은 시드 문구와 유도 경로를 함께 저장 (지갑 앱에서 가져오기용)
+    if (wallet.mnemonic) {
+        return { privateKey: wallet.privateKey, mnemonic: wallet.mnemonic, derivationPath: wallet.derivationPath };
+    }
+    return { privateKey: wallet.privateKey };
+}
+
+/**
+ * 지갑 종류에 맞는 경고 문구를 반환합니다
+ */
+function getWalletWarning(wallet) {
+    if (wallet.partialKey) {
+        return "🧩 부분 키 파일입니다. 이 값만으로는 지갑을 사용할 수 없으며, 요청자가 자신의 비밀 키와 합쳐야 합니다 (split-combine).";
+    }
+    if (wallet.seed) {
+        return "🌱 createWithSeed 주소입니다. 개인키가 없으며, base 공개키의 소유자가 같은 seed와 owner 프로그램으로 서명해 계정을 만듭니다 (SystemProgram.createAccountWithSeed).";
+    }
+    if (wallet.nonce !== undefined) {
+        return "🏛️ 프로그램 유도 주소(PDA)입니다. 개인키가 없으며, 프로그램이 같은 seed(고정 seed + nonce)와 bump로 invoke_signed를 호출해 서명합니다.";
+    }
+    if (wallet.privateScalar) {
+        return "⚠️ 이 파일에는 분할 키를 합친 개인키(스칼라)가 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요! 시드 형식이 아니므로 지갑 앱이나 solana-keygen으로 가져올 수 없습니다.";
+    }
+    if (wallet.mnemonic) {
+        return "⚠️ 이 파일에는 개인키와 니모닉(시드 문구)이 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요!";
+    }
+    return "⚠️ 이 파일에는 개인키가 포함되어 있습니다. 절대 다른 사람과 공유하지 마세요!";
+}
+
+/**
+ * 분할 키 요청자의 비밀 키 파일을 저장합니다 (소유자 전용 권한)
+ * @param {{secretKey: string, basePoint: string}} splitBase - generateSplitKeyBase 결과
+ * @param {string} walletsDir - 지갑 디렉토리 (파일은 <walletsDir>/split/ 에 저장)
+ * @param {string|null} password - 지정하면 비밀 키를 암호화
+ * @returns {string} 저장된 파일 경로
+ */
+export function saveSplitSecretFile(splitBase, walletsDir = DEFAULT_WALLETS_DIR, password = null) {
+    const dir = path.join(walletsDir, SPLIT_SECRET_SUBDIR);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const secretData = {
+        keyType: SPLIT_KEY_TYPES.SECRET,
+        basePoint: splitBase.basePoint,
+        secretKey: splitBase.secretKey,
+        createdAt: new Date().toISOString(),
+        warning: "⚠️ 분할 키의 비밀 키입니다. 기준점(basePoint)만 검색 머신에 전달하고 이 파일은 절대 공유하지 마세요!"
+    };
+    const filepath = path.join(dir, `split-secret-${splitBase.basePoint}.json`);
+    fs.writeFileSync(filepath, JSON.stringify(password ? encryptWalletData(secretData, password) : secretData, null, 2), { mode: 0o600 });
+
+    return filepath;
+}
+
+/**
+ * 지갑 데이터를 디렉토리에 JSON 파일로 저장합니다
+ * @param {Object} walletData - createWalletData로 만든 지갑 데이터
+ * @param {string} walletsDir - 저장 디렉토리 (기본: wallets)
+ * @returns {string} 저장된 파일 경로
+ */
+export function saveWalletData(walletData, walletsDir = DEFAULT_WALLETS_DIR) {
+    // 디렉토리가 없으면 생성
+    if (!fs.existsSync(walletsDir)) {
+        fs.mkdirSync(walletsDir, { recursive: true });
+    }
+
+    const filename = getWalletFileName(
+        walletData.searchMode,
+        walletData.pattern,
+        walletData.startPattern,
+        walletData.endPattern
+    );
+    // 같은 밀리초에 여러 지갑이 저장되면 파일 이름 뒤에 번호를 붙여 덮어쓰기를 방지
+    let filepath = path.join(walletsDir, filename);
+    for (let suffix = 1; fs.existsSync(filepath); suffix++) {
+        filepath = path.join(walletsDir, filename.replace(/\.json$/, `-${suffix}.json`));
+    }
+    fs.writeFileSync(filepath, JSON.stringify(walletData, null, 2));
+
+    return filepath;
+}
+
+/**
+ * 디렉토리에 저장된 지갑 파일 이름 목록을 반환합니다
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {string[]} .json 파일 이름 목록 (디렉토리가 없으면 빈 배열)
+ */
+export function listWalletFiles(walletsDir = DEFAULT_WALLETS_DIR) {
+    if (!fs.existsSync(walletsDir)) {
+        return [];
+    }
+    return fs.readdirSync(walletsDir).filter(file => file.endsWith('.json'));
+}
+
+/**
+ * 지갑 파일을 읽어 파싱합니다
+ * @param {string} filepath - 지갑 파일 경로
+ * @returns {Object} 지갑 데이터
+ */
+export function loadWalletFile(filepath) {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+/**
+ * 지갑의 Solana CLI 키페어 파일 기본 경로를 반환합니다
+ * 지갑 목록에 섞이지 않도록 하위 디렉토리에 저장합니다.
+ * @param {string} address - 지갑 주소
+ * @param {string} walletsDir - 지갑 디렉토리 (기본: wallets)
+ * @returns {string} 파일 경로 (예: wallets/keypairs/<주소>.json)
+ */
+export function getSolanaKeypairPath(address, walletsDir = DEFAULT_WALLETS_DIR) {
+    return path.join(walletsDir, KEYPAIR_SUBDIR, `${address}.json`);
+}
+
+/**
+ * base58 개인키를 solana-keygen 형식의 JSON 배열 문자열로 변환합니다
+ * @param {string} privateKeyBase58 - base58 인코딩된 64바이트 secretKey
+ * @returns {string} JSON 배열 문자열 (예: "[12,34,...]")
+ * @throws {Error} 64바이트 secretKey가 아닐 때
+ */
+export function toSolanaKeypairJson(privateKeyBase58) {
+    const secretKey = bs58.decode(privateKeyBase58);
+    if (secretKey.length !== 64) {
+        throw new Error(`개인키 길이가 올바르지 않습니다: ${secretKey.length}바이트 (64바이트 필요)`);
+    }
+    // solana-keygen과 같은 공백 없는 배열 형식
+    return JSON.stringify(Array.from(secretKey));
+}
+
+/**
+ * 개인키를 Solana CLI 키페어 파일(id.json)로 저장합니다
+ * 개인키 파일이므로 소유자만 읽을 수 있는 권한(0600)으로 만듭니다.
+ * @param {string} privateKeyBase58 - base58 인코딩된 개인키
+ * @param {string} filepath - 저장할 파일 경로
+ * @param {boolean} overwrite - 이미 파일이 있으면 덮어쓸지 여부 (기본: false)
+ * @returns {string} 저장된 파일 경로
+ * @throws {Error} 파일이 이미 있고 overwrite가 false일 때
+ */
+export function saveSolanaKeypairFile(privateKeyBase58, filepath, overwrite = false) {
+    if (!overwrite && fs.existsSync(filepath)) {
+        throw new Error(`파일이 이미 존재합니다: ${filepath}`);
+    }
+
+    const dir = path.dirname(filepath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filepath, toSolanaKeypairJson(privateKeyBase58), { mode: 0o600 });
+
+    return filepath;
+}
+
+/**
+ * Solana CLI 키페어 파일(64바이트 JSON 배열)을 읽어 base58 개인키로 변환합니다
+ * @param {string} filepath - 키페어 파일 경로
+ * @returns {string} base58 인코딩된 개인키
+ * @throws {Error} 형식이 올바르지 않을 때
+ */
+export function readSolanaKeypairFile(filepath) {
+    return parseSolanaKeypair(JSON.parse(fs.readFileSync(filepath, 'utf8')));
+}
+
+/**
+ * 64바이트 숫자 배열을 base58 개인키로 변환합니다
+ */
+function parseSolanaKeypair(bytes) {
+    const isByteArray = Array.isArray(bytes)
+        && bytes.length === 64
+        && bytes.every(value => Number.isInteger(value) && value >= 0 && value <= 255);
+
+    if (!isByteArray) {
+        throw new Error('Solana CLI 키페어 파일은 0~255 사이 숫자 64개로 된 JSON 배열이어야 합니다.');
+    }
+    return bs58.encode(Uint8Array.from(bytes));
+}
+
+/**
+ * 지갑 파일 또는 Solana CLI 키페어 파일에서 개인키를 읽습니다
+ * @param {string} filepath - 파일 경로
+ * @param {string|null} password - 암호화된 지갑 파일의 비밀번호 (선택)
+ * @returns {{privateKey: string|null, address: string|null, format: string, mnemonic: string|null, derivationPath: string|null, privateScalar?: string}}
+ *          개인키, 파일에 기록된 주소(키페어 파일은 null), 형식, 니모닉과 유도 경로(니모닉 방식 지갑만),
+ *          분할 키를 합친 지갑은 privateKey 대신 privateScalar (format: 'split')
+ * @throws {Error} 지원하지 않는 형식이거나, 암호화된 파일인데 비밀번호가 없거나 틀렸을 때
+ */
+export function loadPrivateKeyFromFile(filepath, password = null) {
+    let data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+    if (Array.isArray(data)) {
+        return { privateKey: parseSolanaKeypair(data), address: null, format: 'keypair', mnemonic: null, derivationPath: null };
+    }
+    if (isEncryptedWalletData(data)) {
+        if (!password) {
+            throw new Error('암호화된 지갑 파일입니다. 비밀번호가 필요합니다.');
+        }
+        data = decryptWalletData(data, password);
+    }
+    if (data && data.keyType === SPLIT_KEY_TYPES.COMBINED) {
+        // 스칼라 개인키는 Solana secretKey 형식으로 바꿀 수 없으므로 별도로 반환
+        return {
+            privateKey: null,
+            address: data.address || null,
+            format: 'split',
+            privateScalar: data.privateScalar,
+            mnemonic: null,
+            derivationPath: null
+        };
+    }
+    if (data && data.keyType === SEED_KEY_TYPE) {
+        throw new Error('createWithSeed 주소 파일에는 개인키가 없습니다. 이 주소의 계정은 base 공개키의 키로 서명해 다룹니다.');
+    }
+    if (data && data.keyType === PDA_KEY_TYPE) {
+        throw new Error('PDA 파일에는 개인키가 없습니다. PDA는 프로그램만 서명할 수 있습니다.');
+    }
+    if (data && typeof data.privateKey === 'string') {
+        return {
+            privateKey: data.privateKey,
+            address: data.address || null,
+            format: 'json',
+            mnemonic: data.mnemonic || null,
+            derivationPath: data.derivationPath || null
+        };
+    }
+    throw new Error('지원하지 않는 파일 형식입니다. 지갑 JSON 파일 또는 Solana CLI 키페어 파일(id.json)을 사용하세요.');
+}
+
+/**
+ * 지갑 데이터를 선택한 형식으로 저장합니다
+ * @param {Object} walletData - createWalletData로 만든 지갑 데이터
+ * @param {string} walletsDir - 저장 디렉토리 (기본: wallets)
+ * @param {string} format - 저장 형식 (EXPORT_FORMATS, 기본: json)
+ * @param {string|null} password - 지정하면 지갑 JSON 파일의 개인키를 암호화 (json 형식 전용)
+ * @returns {{filepath: string|null, keypairPath: string|null}} 저장된 파일 경로
+ */
+export function saveWalletInFormat(walletData, walletsDir = DEFAULT_WALLETS_DIR, format = 'json', password = null) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`알 수 없는 저장 형식입니다: ${format} (${EXPORT_FORMATS.join(', ')} 중 하나)`);
+    }
+    if (password && format !== 'json') {
+        // solana-keygen은 암호화된 키페어 파일을 읽을 수 없음
+        throw new Error('암호화는 json 저장 형식에서만 사용할 수 있습니다.');
+    }
+
+    const filepath = format === 'keypair'
+        ? null
+        : saveWalletData(password ? encryptWalletData(walletData, password) : walletData, walletsDir);
+    // 같은 주소의 키페어 파일은 내용이 같으므로 덮어써도 안전
+    const keypairPath = format === 'json'
+        ? null
+        : saveSolanaKeypairFile(walletData.privateKey, getSolanaKeypairPath(walletData.address, walletsDir), true);
+
+    return { filepath, keypairPath };
+}
+
+/**
+ * 평문 지갑 파일을 그 자리에서 암호화합니다
+ * 중간에 종료되어도 원본이 깨지지 않도록 임시 파일에 쓴 뒤 이름을 바꿉니다.
+ * @param {string} filepath - 지갑 파일 경로
+ * @param {string} password - 비밀번호
+ * @returns {boolean} 암호화했으면 true, 이미 암호화된 파일이면 false
+ * @throws {Error} 지갑 파일 형식이 아니거나 비밀번호가 규칙에 맞지 않을 때
+ */
+export function encryptWalletFile(filepath, password) {
+    const walletData = loadWalletFile(filepath);
+    if (isEncryptedWalletData(walletData)) {
+        return false;
+    }
+    if (![walletData.privateKey, walletData.privateScalar, walletData.secretKey].some(value => typeof value === 'string')) {
+        throw new Error(`개인키가 없는 파일입니다: ${filepath}`);
+    }
+
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(encryptWalletData(walletData, password), null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filepath);
+    return true;
+}
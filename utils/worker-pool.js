@@ -0,0 +1,457 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * 재사용 가능한 검색 워커 풀
+ *
+ * 워커 스레드는 검색이 끝나도 종료되지 않고 다음 검색을 기다리므로, 대화형 메뉴처럼
+ * 여러 검색을 연달아 실행할 때 스레드 시작 비용을 한 번만 치릅니다. 검색 설정(매처 명세)은
+ * 검색마다 워커에 보내며, 실행 중인 검색은 일시 정지/재개/취소하고 워커 수를 바꿀 수 있습니다.
+ *
+ * 검색 중 오류로 죽거나 예기치 않게 종료된 워커는 정해진 횟수까지 다시 시작하고, 죽은 워커의
+ * 시도 횟수도 계속 누적합니다. 살아 있는 워커가 하나도 없을 때만 검색이 실패합니다.
+ */
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'worker.js');
+
+/**
+ * 검색이 취소되었을 때의 오류
+ * 취소 전까지의 시도 횟수, 검색 시간, (수집 모드에서) 찾은 지갑을 담고 있습니다.
+ */
+export class SearchCancelledError extends Error {
+    constructor(message = '검색이 취소되었습니다.', { attempts = 0, elapsedMs = 0, matches = [] } = {}) {
+        super(message);
+        this.name = 'SearchCancelledError';
+        this.attempts = attempts;
+        this.elapsedMs = elapsedMs;
+        this.matches = matches;
+    }
+}
+
+/**
+ * 워커가 모두 실패해 검색을 계속할 수 없을 때의 오류
+ * 워커별 오류 목록(workerErrors)과 실패 전까지의 시도 횟수를 담고 있습니다.
+ */
+export class WorkerPoolError extends Error {
+    constructor(message, { attempts = 0, workerErrors = [] } = {}) {
+        super(message);
+        this.name = 'WorkerPoolError';
+        this.attempts = attempts;
+        this.workerErrors = workerErrors;
+    }
+}
+
+/**
+ * 검색 하나에서 워커 하나를 다시 시작할 수 있는 기본 횟수
+ */
+export const DEFAULT_MAX_WORKER_RESTARTS = 3;
+
+/**
+ * 기본 워커 수 (CPU 코어 수)
+ * @returns {number} 워커 수
+ */
+export function getDefaultWorkerCount() {
+    return os.cpus().length;
+}
+
+/**
+ * 워커 수가 올바른지 검사합니다
+ */
+function validateWorkerCount(count) {
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`워커 수는 1 이상의 정수여야 합니다: ${count}`);
+    }
+}
+
+/**
+ * 검색 워커 풀을 만듭니다
+ * 풀은 한 번에 검색 하나만 실행합니다. 쉬는 동안에는 워커가 프로세스 종료를 막지 않지만,
+ * 다 쓴 풀은 destroy()로 정리하세요.
+ * @param {number} size - 워커 수 (기본: CPU 코어 수)
+ * @param {Object} options - 풀 옵션
+ * @param {number} options.maxRestarts - 검색 하나에서 워커 하나를 다시 시작할 수 있는 횟수 (기본: 3)
+ * @returns {Object} 워커 풀 {run, pause, resume, cancel, resize, destroy, size, isRunning, isPaused}
+ */
+export function createWorkerPool(size = getDefaultWorkerCount(), { maxRestarts = DEFAULT_MAX_WORKER_RESTARTS } = {}) {
+    validateWorkerCount(size);
+    if (!Number.isInteger(maxRestarts) || maxRestarts < 0) {
+        throw new Error(`워커 재시작 횟수는 0 이상의 정수여야 합니다: ${maxRestarts}`);
+    }
+
+    const workers = []; // { id, worker }
+    let targetSize = size;
+    let search = null; // 실행 중인 검색 상태
+    let nextJobId = 1;
+    let destroyed = false;
+
+    /**
+     * 실행 중인 검색의 누적 시도 횟수 (줄어든 워커의 시도 횟수 포함)
+     */
+    const getTotalAttempts = () => {
+        let total = search.retiredAttempts;
+        for (const attempts of search.workerAttempts.values()) {
+            total += attempts;
+        }
+        return total;
+    };
+
+    /**
+     * 현재 워커별 시도 횟수 (다시 시작한 워커는 0부터 다시 셈)
+     */
+    const getWorkerStats = () => [...search.workerAttempts]
+        .map(([workerId, attempts]) => ({ workerId, attempts }))
+        .sort((a, b) => a.workerId - b.workerId);
+
+    /**
+     * 일시 정지한 시간을 뺀 검색 시간
+     */
+    const getElapsedMs = () => {
+        const pausedNow = search.pausedAt !== null ? Date.now() - search.pausedAt : 0;
+        return Date.now() - search.startTime - search.pausedMs - pausedNow;
+    };
+
+    const collectResult = () => ({
+        matches: search.matches,
+        totalAttempts: getTotalAttempts(),
+        elapsedMs: getElapsedMs(),
+        workerErrors: search.workerErrors
+    });
+
+    /**
+     * 검색을 끝내고 워커들을 대기 상태로 돌립니다
+     */
+    const settle = (callback) => {
+        const finished = search;
+        clearTimeout(finished.timer);
+        search = null;
+
+        for (const { worker } of workers) {
+            worker.postMessage({ type: 'stop' });
+            worker.unref();
+        }
+        callback(finished);
+    };
+
+    const cancelSearch = () => {
+        if (!search) return false;
+        const { matches, totalAttempts, elapsedMs } = collectResult();
+        settle(finished => finished.reject(new SearchCancelledError(undefined, { attempts: totalAttempts, elapsedMs, matches })));
+        return true;
+    };
+
+    const startWorker = (entry) => {
+        search.workerAttempts.set(entry.id, 0);
+        entry.worker.ref();
+        entry.worker.postMessage({ type: 'start', jobId: search.jobId, search: search.spec, paused: search.pausedAt !== null });
+    };
+
+    const handleMessage = (entry, message) => {
+        // 취소/완료된 이전 검색의 늦은 메시지는 무시
+        if (!search || message.jobId !== search.jobId) return;
+
+        // 검색 설정 자체가 잘못된 경우는 워커를 다시 시작해도 소용없으므로 바로 실패
+        if (message.searchError) {
+            settle(finished => finished.reject(new Error(message.searchError)));
+            return;
+        }
+
+        search.workerAttempts.set(entry.id, message.attempts);
+
+        if (message.success) {
+            const { options } = search;
+            message.totalAttempts = getTotalAttempts();
+            if (search.workerErrors.length > 0) {
+                message.workerErrors = search.workerErrors;
+            }
+            if (options.decorateMatch) {
+                options.decorateMatch(message);
+            }
+
+            if (!search.collect) {
+                if (!options.silent) console.log(`🎉 워커 ${message.workerId}가 해답을 찾았습니다!`);
+                settle(finished => finished.resolve(message));
+                return;
+            }
+
+            search.matches.push(message);
+            if (!options.silent) console.log(`🎉 워커 ${message.workerId}가 ${search.matches.length}번째 해답을 찾았습니다!`);
+            if (options.onMatch) {
+                options.onMatch(message, search.matches.length);
+            }
+            if (search && search.matches.length >= options.maxMatches) {
+                const result = collectResult();
+                settle(finished => finished.resolve(result));
+            }
+        } else if (message.progress) {
+            if (search.options.onProgress) {
+                search.options.onProgress(getTotalAttempts(), search.matches.length, getWorkerStats());
+            }
+        }
+    };
+
+    const removeWorker = (entry) => {
+        const index = workers.indexOf(entry);
+        if (index !== -1) {
+            workers.splice(index, 1);
+        }
+    };
+
+    const spawnWorker = (id) => {
+        const worker = new Worker(WORKER_PATH, { workerData: { workerId: id } });
+        // retired: 풀이 직접 종료한 워커 (종료를 오류로 보지 않음)
+        const entry = { id, worker, error: null, retired: false };
+
+        worker.on('message', (message) => handleMessage(entry, message));
+        // 'error' 다음에는 항상 'exit'가 오므로 오류는 기록만 하고 처리는 'exit'에서 함
+        worker.on('error', (error) => {
+            entry.error = error;
+        });
+        worker.on('exit', (code) => handleExit(entry, code));
+        worker.unref();
+
+        workers.push(entry);
+        workers.sort((a, b) => a.id - b.id);
+        return entry;
+    };
+
+    const retireWorker = (entry) => {
+        entry.retired = true;
+        removeWorker(entry);
+        return entry.worker.terminate();
+    };
+
+    /**
+     * 죽은 워커를 감독합니다: 검색 중이면 오류를 기록하고 한도까지 다시 시작
+     * 쉬는 중에 죽은 워커는 다음 검색 전에 fillWorkers가 보충합니다.
+     */
+    const handleExit = (entry, code) => {
+        removeWorker(entry);
+        if (entry.retired || !search) return;
+
+        const { options } = search;
+        const error = entry.error || new Error(`워커가 예기치 않게 종료되었습니다 (종료 코드 ${code})`);
+
+        // 죽은 워커가 이번 검색에서 시도한 횟수는 그대로 누적
+        search.retiredAttempts += search.workerAttempts.get(entry.id) || 0;
+        search.workerAttempts.delete(entry.id);
+
+        const restarts = search.restarts.get(entry.id) || 0;
+        const workerError = {
+            workerId: entry.id,
+            message: error.message,
+            restarted: restarts < maxRestarts,
+            restarts: Math.min(restarts + 1, maxRestarts),
+            time: new Date().toISOString()
+        };
+        search.workerErrors.push(workerError);
+
+        if (!options.silent) {
+            const action = workerError.restarted
+                ? `다시 시작합니다 (${workerError.restarts}/${maxRestarts})`
+                : '재시작 한도를 넘어 이 워커 없이 계속합니다';
+            console.error(`❌ 워커 ${entry.id} 오류: ${error.message} → ${action}`);
+        }
+        if (options.onWorkerError) {
+            options.onWorkerError(workerError);
+        }
+        if (!search) return; // 콜백에서 검색을 취소한 경우
+
+        if (workerError.restarted) {
+            search.restarts.set(entry.id, restarts + 1);
+            try {
+                startWorker(spawnWorker(entry.id));
+            } catch (spawnError) {
+                workerError.restarted = false;
+                if (!options.silent) console.error(`❌ 워커 ${entry.id} 생성 실패:`, spawnError.message);
+            }
+        }
+
+        if (workers.length === 0) {
+            const attempts = getTotalAttempts();
+            settle(finished => finished.reject(new WorkerPoolError(
+                `모든 워커가 실패해 검색을 계속할 수 없습니다: ${error.message}`,
+                { attempts, workerErrors: finished.workerErrors }
+            )));
+        }
+    };
+
+    /**
+     * 목표 워커 수만큼 워커를 만듭니다 (오류로 빠진 워커 보충)
+     */
+    const fillWorkers = () => {
+        const usedIds = new Set(workers.map(entry => entry.id));
+        for (let id = 1; workers.length < targetSize; id++) {
+            if (!usedIds.has(id)) {
+                spawnWorker(id);
+            }
+        }
+    };
+
+    const startDurationTimer = () => {
+        search.timer = setTimeout(() => {
+            const result = collectResult();
+            if (!search.options.silent) console.log(`⏰ 검색 시간이 끝났습니다. ${result.matches.length}개의 지갑을 찾았습니다.`);
+            settle(finished => finished.resolve(result));
+        }, search.remainingMs);
+        search.timerStartedAt = Date.now();
+    };
+
+    return {
+        /**
+         * 검색을 실행합니다
+         * 기본적으로 첫 번째 해답에서 끝나고, maxMatches 또는 durationMs가 있으면 계속 수집합니다.
+         * @param {Object} spec - 워커에 보낼 검색 설정 (searchMode, pattern, engine 등)
+         * @param {Object} options - 실행 옵션
+         * @param {Function} options.onProgress - 진행 상황 콜백 (totalAttempts, matchCount, workers: [{workerId, attempts}])
+         * @param {Function} options.onMatch - 수집 모드에서 지갑을 찾을 때마다 호출 (wallet, matchCount)
+         * @param {Function} options.decorateMatch - 해답 메시지를 보강하는 함수
+         * @param {Function} options.onWorkerError - 워커가 죽을 때마다 호출 ({workerId, message, restarted, restarts, time})
+         * @param {number} options.maxMatches - 찾을 지갑 수 (기본: 1)
+         * @param {number} options.durationMs - 검색 시간 제한 (밀리초, 일시 정지한 시간은 제외)
+         * @param {boolean} options.silent - true이면 콘솔 로그를 출력하지 않음
+         * @returns {Promise<Object>} 생성된 지갑 정보 (수집 모드에서는 {matches, totalAttempts, elapsedMs, workerErrors}),
+         *          살아 있는 워커가 없으면 WorkerPoolError로 거부
+         */
+        run(spec, options = {}) {
+            if (destroyed) {
+                return Promise.reject(new Error('종료된 워커 풀입니다.'));
+            }
+            if (search) {
+                return Promise.reject(new Error('워커 풀에서 이미 검색이 실행 중입니다.'));
+            }
+
+            const { maxMatches = 1, durationMs = null, silent = false } = options;
+            const collect = maxMatches !== 1 || durationMs !== null;
+
+            return new Promise((resolve, reject) => {
+                search = {
+                    jobId: nextJobId++,
+                    spec: { ...spec, silent, continueAfterMatch: collect },
+                    options: { ...options, maxMatches, silent },
+                    collect,
+                    matches: [],
+                    workerAttempts: new Map(), // 워커 ID별 이번 검색 시도 횟수
+                    retiredAttempts: 0, // 줄어들거나 죽은 워커의 시도 횟수
+                    restarts: new Map(), // 워커 ID별 재시작 횟수
+                    workerErrors: [],
+                    startTime: Date.now(),
+                    pausedAt: null,
+                    pausedMs: 0,
+                    remainingMs: durationMs,
+                    timer: null,
+                    timerStartedAt: null,
+                    resolve,
+                    reject
+                };
+
+                try {
+                    fillWorkers();
+                } catch (error) {
+                    if (!silent) console.error('❌ 워커 생성 실패:', error.message);
+                    settle(finished => finished.reject(error));
+                    return;
+                }
+
+                if (durationMs !== null) {
+                    startDurationTimer();
+                }
+                workers.forEach(startWorker);
+            });
+        },
+
+        /**
+         * 실행 중인 검색을 일시 정지합니다 (워커는 현재 배치를 마친 뒤 멈춤)
+         * @returns {boolean} 일시 정지했으면 true
+         */
+        pause() {
+            if (!search || search.pausedAt !== null) return false;
+
+            search.pausedAt = Date.now();
+            if (search.timer) {
+                clearTimeout(search.timer);
+                search.timer = null;
+                search.remainingMs -= Date.now() - search.timerStartedAt;
+            }
+            workers.forEach(({ worker }) => worker.postMessage({ type: 'pause' }));
+            return true;
+        },
+
+        /**
+         * 일시 정지한 검색을 재개합니다
+         * @returns {boolean} 재개했으면 true
+         */
+        resume() {
+            if (!search || search.pausedAt === null) return false;
+
+            search.pausedMs += Date.now() - search.pausedAt;
+            search.pausedAt = null;
+            if (search.remainingMs !== null) {
+                startDurationTimer();
+            }
+            workers.forEach(({ worker }) => worker.postMessage({ type: 'resume' }));
+            return true;
+        },
+
+        /**
+         * 실행 중인 검색을 취소합니다
+         * run의 Promise는 SearchCancelledError로 거부되고, 워커는 다음 검색을 위해 유지됩니다.
+         * @returns {boolean} 취소했으면 true
+         */
+        cancel() {
+            return cancelSearch();
+        },
+
+        /**
+         * 워커 수를 바꿉니다 (검색 중이면 새 워커도 바로 검색에 참여)
+         * @param {number} count - 새 워커 수
+         */
+        resize(count) {
+            validateWorkerCount(count);
+            if (destroyed) {
+                throw new Error('종료된 워커 풀입니다.');
+            }
+            targetSize = count;
+
+            while (workers.length > targetSize) {
+                const entry = workers[workers.length - 1];
+                if (search) {
+                    // 줄어든 워커가 이번 검색에서 시도한 횟수는 그대로 누적
+                    search.retiredAttempts += search.workerAttempts.get(entry.id) || 0;
+                    search.workerAttempts.delete(entry.id);
+                }
+                retireWorker(entry);
+            }
+
+            if (search && workers.length < targetSize) {
+                const existing = new Set(workers);
+                fillWorkers();
+                workers.filter(entry => !existing.has(entry)).forEach(startWorker);
+            }
+        },
+
+        /**
+         * 실행 중인 검색을 취소하고 모든 워커를 종료합니다
+         * @returns {Promise<void>}
+         */
+        async destroy() {
+            if (destroyed) return;
+            cancelSearch();
+            destroyed = true;
+            await Promise.all([...workers].map(retireWorker));
+        },
+
+        get size() {
+            return targetSize;
+        },
+
+        get isRunning() {
+            return search !== null;
+        },
+
+        get isPaused() {
+            return search !== null && search.pausedAt !== null;
+        }
+    };
+}
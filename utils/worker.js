@@ -1,6 +1,13 @@
 import { parentPort, workerData } from 'worker_threads';
 import { Keypair } from '@solana/web3.js';
 import bs58 from 'bs58';
+import { compilePatternExpression } from './regex-pattern.js';
+import { createPatternSetMatcher } from './pattern-set.js';
+import { generateRawKeypair, getSecretKeyFromRawKeypair, createSearchPrefixFilter } from './fast-keygen.js';
+import { generateMnemonic, keypairFromMnemonic, SOLANA_DERIVATION_PATH } from './mnemonic.js';
+import { createSplitKeyCandidates } from './split-key.js';
+import { createSeedCandidates } from './seed-address.js';
+import { createProgramAddressCandidates } from './program-address.js';
 
 /**
  * 새로운 솔라나 키페어를 생성합니다
@@ -43,6 +50,13 @@ function containsPattern(address, pattern, caseSensitive = true) {
     return address.includes(pattern);
 }
 
+/**
+ * 주소가 컴파일된 정규식/와일드카드 패턴과 일치하는지 확인합니다
+ */
+function matchesRegexPattern(address, regex) {
+    return regex.test(address);
+}
+
 /**
  * 주소가 지정된 패턴으로 시작하고 끝나는지 확인합니다
  */
@@ -72,65 +86,255 @@ function matchesStartEndPattern(address, startPattern, endPattern, caseSensitive
     return startMatch && endMatch;
 }
 
-// 워커 메인 로직
-const { pattern, startPattern, endPattern, caseSensitive, workerId, searchMode = 'startsWith' } = workerData;
-let attempts = 0;
+/**
+ * 검색 설정 하나에 대한 후보 생성/매칭 루프를 만듭니다
+ * 정규식, 패턴 집합 매처, 시작 패턴 필터는 작업을 시작할 때 한 번만 만듭니다.
+ * @param {Object} search - 검색 설정 (풀의 start 메시지)
+ * @returns {{runBatch: Function, getAttempts: Function, takeProgress: Function, continueAfterMatch: boolean}} 작업 상태
+ */
+function createSearchTask(search) {
+    const { pattern, startPattern, endPattern, caseSensitive, patterns, searchMode = 'startsWith', silent = false, continueAfterMatch = false, engine = 'native', mnemonicWords = 12, basePoint = null, basePubkey = null, programId = null, seedPrefix = '', seeds = [], nonceEncoding = 'text', progressInterval: requestedProgressInterval = null } = search;
+    let attempts = 0;
+    let lastReportedAttempts = 0;
 
-// 검색 모드에 따른 로그 메시지
-let logMessage;
-if (searchMode === 'startEnd') {
-    const hasStartPattern = startPattern && startPattern.trim().length > 0;
-    const hasEndPattern = endPattern && endPattern.trim().length > 0;
-    
-    const patternDescription = hasStartPattern && hasEndPattern 
-        ? `"${startPattern}...${endPattern}"`
-        : hasStartPattern 
-            ? `"${startPattern}로 시작"`
-            : `"${endPattern}로 끝남"`;
-    
-    logMessage = `🔧 워커 ${workerId} 시작: 앞뒤 패턴 ${patternDescription} (모드: ${searchMode})`;
-} else {
-    logMessage = `🔧 워커 ${workerId} 시작: 패턴 "${pattern}" (모드: ${searchMode})`;
-}
-console.log(logMessage);
+    // 정규식/와일드카드 모드는 작업 시작 시 한 번만 컴파일
+    const regex = searchMode === 'regex' ? compilePatternExpression(pattern, caseSensitive) : null;
 
-while (true) {
-    const keypair = generateKeypair();
-    const address = getAddressFromKeypair(keypair);
-    attempts++;
-    
-    let isMatch = false;
-    
-    // 검색 모드에 따른 패턴 매칭
+    // 여러 패턴 동시 검색은 접두사 트라이를 포함한 매처를 한 번만 생성
+    const matchPatternSet = searchMode === 'multi' ? createPatternSetMatcher(patterns) : null;
+
+    // 키 생성 엔진: 'native'는 원시 공개키 + 시작 패턴 범위 필터, 'keypair'는 기존 방식,
+    // 'mnemonic'은 BIP39 니모닉에서 유도 (니모닉 하나에 수 밀리초가 걸림),
+    // 'split'은 기준점에 G를 더해 가며 부분 키만 찾음 (최종 개인키는 워커가 알 수 없음),
+    // 'seed'는 base 공개키와 owner 프로그램을 고정하고 createWithSeed의 seed 문자열을 바꿔 가며 찾음,
+    // 'pda'는 프로그램 ID와 고정 seed 뒤의 nonce seed를 바꿔 가며 bump 255의 PDA를 찾음
+    const useNativeEngine = engine === 'native';
+    const useMnemonicEngine = engine === 'mnemonic';
+    const splitCandidates = engine === 'split' ? createSplitKeyCandidates(basePoint) : null;
+    const seedCandidates = engine === 'seed' ? createSeedCandidates({ basePubkey, programId, seedPrefix }) : null;
+    const pdaCandidates = engine === 'pda' ? createProgramAddressCandidates({ programId, seeds, nonceEncoding }) : null;
+    // 개인키 없이 공개키 바이트만 만드는 후보 생성기
+    const addressCandidates = splitCandidates || seedCandidates || pdaCandidates;
+    const prefixFilter = engine !== 'keypair'
+        ? createSearchPrefixFilter({ searchMode, pattern, startPattern, caseSensitive, patterns })
+        : null;
+
+    // 니모닉 엔진은 훨씬 느리므로 진행 상황을 더 자주 보고 (벤치마크는 더 촘촘한 간격을 요청함)
+    const progressInterval = requestedProgressInterval || (useMnemonicEngine ? 100 : 10000);
+    // 배치 사이에만 메시지를 처리하므로, 일시 정지/취소가 늦지 않도록 보고 간격보다 작게 나눔
+    const batchSize = Math.min(progressInterval, 2000);
+
+    // 검색 모드에 따른 로그 메시지
+    let logMessage;
     if (searchMode === 'startEnd') {
-        isMatch = matchesStartEndPattern(address, startPattern, endPattern, caseSensitive);
-    } else if (searchMode === 'contains') {
-        isMatch = containsPattern(address, pattern, caseSensitive);
-    } else { // 기본값: 'startsWith'
-        isMatch = matchesPattern(address, pattern, caseSensitive);
+        const hasStartPattern = startPattern && startPattern.trim().length > 0;
+        const hasEndPattern = endPattern && endPattern.trim().length > 0;
+
+        const patternDescription = hasStartPattern && hasEndPattern
+            ? `"${startPattern}...${endPattern}"`
+            : hasStartPattern
+                ? `"${startPattern}로 시작"`
+                : `"${endPattern}로 끝남"`;
+
+        logMessage = `🔧 워커 ${workerId} 시작: 앞뒤 패턴 ${patternDescription} (모드: ${searchMode})`;
+    } else if (searchMode === 'multi') {
+        logMessage = `🔧 워커 ${workerId} 시작: ${patterns.length}개 패턴 동시 검색 (모드: ${searchMode})`;
+    } else {
+        logMessage = `🔧 워커 ${workerId} 시작: 패턴 "${pattern}" (모드: ${searchMode})`;
     }
-    
-    if (isMatch) {
-        parentPort.postMessage({
-            success: true,
-            address: address,
-            privateKey: getPrivateKeyFromKeypair(keypair),
-            publicKey: keypair.publicKey.toBase58(),
-            attempts: attempts,
-            workerId: workerId,
-            searchMode: searchMode,
-            startPattern: startPattern,
-            endPattern: endPattern,
-            pattern: pattern
-        });
-        break;
+    if (!silent) {
+        console.log(logMessage);
     }
-    
-    if (attempts % 10000 === 0) {
+
+    /**
+     * 찾은 후보의 키 필드를 만듭니다
+     * 분할 키 모드는 개인키 대신 부분 키만, seed/PDA 모드는 주소를 다시 만들 입력만 돌려줍니다.
+     */
+    function getMatchKeyFields(rawKeypair, keypair, mnemonic) {
+        if (splitCandidates) {
+            return { partialKey: splitCandidates.getPartialKey(), basePoint };
+        }
+        if (seedCandidates) {
+            return { seed: seedCandidates.getSeed(), basePubkey, programId };
+        }
+        if (pdaCandidates) {
+            return { programId, seeds, nonce: pdaCandidates.getNonce(), nonceEncoding, bump: pdaCandidates.bump };
+        }
+        return {
+            privateKey: useNativeEngine
+                ? bs58.encode(getSecretKeyFromRawKeypair(rawKeypair))
+                : getPrivateKeyFromKeypair(keypair),
+            ...(mnemonic ? { mnemonic, derivationPath: SOLANA_DERIVATION_PATH } : {})
+        };
+    }
+
+    /**
+     * 후보를 한 배치만큼 검사합니다
+     * 배치 사이에 이벤트 루프로 돌아가므로 일시 정지/중지 메시지를 처리할 수 있습니다.
+     * @returns {Object|null} 해답 메시지 (배치 안에서 찾지 못하면 null)
+     */
+    function runBatch() {
+        for (let i = 0; i < batchSize; i++) {
+            attempts++;
+
+            let keypair = null;
+            let rawKeypair = null;
+            let mnemonic = null;
+            let address;
+
+            if (addressCandidates) {
+                const publicKeyBytes = addressCandidates.next();
+                if (prefixFilter && !prefixFilter(publicKeyBytes)) {
+                    continue;
+                }
+                address = bs58.encode(publicKeyBytes);
+            } else if (useMnemonicEngine) {
+                mnemonic = generateMnemonic(mnemonicWords);
+                keypair = keypairFromMnemonic(mnemonic, SOLANA_DERIVATION_PATH);
+                const publicKeyBytes = keypair.publicKey.toBuffer();
+                if (prefixFilter && !prefixFilter(publicKeyBytes)) {
+                    continue;
+                }
+                address = bs58.encode(publicKeyBytes);
+            } else if (useNativeEngine) {
+                rawKeypair = generateRawKeypair();
+                // 시작 패턴과 일치할 수 없는 공개키는 base58 인코딩 없이 건너뜀
+                if (prefixFilter && !prefixFilter(rawKeypair.publicKey)) {
+                    continue;
+                }
+                address = bs58.encode(rawKeypair.publicKey);
+            } else {
+                keypair = generateKeypair();
+                address = getAddressFromKeypair(keypair);
+            }
+
+            let isMatch = false;
+            let matchedPatternIndex = -1;
+
+            // 검색 모드에 따른 패턴 매칭
+            if (searchMode === 'startEnd') {
+                isMatch = matchesStartEndPattern(address, startPattern, endPattern, caseSensitive);
+            } else if (searchMode === 'contains') {
+                isMatch = containsPattern(address, pattern, caseSensitive);
+            } else if (searchMode === 'regex') {
+                isMatch = matchesRegexPattern(address, regex);
+            } else if (searchMode === 'multi') {
+                matchedPatternIndex = matchPatternSet(address);
+                isMatch = matchedPatternIndex !== -1;
+            } else { // 기본값: 'startsWith'
+                isMatch = matchesPattern(address, pattern, caseSensitive);
+            }
+
+            // PDA는 곡선 밖이어야 하므로 (곡선 위 확인은 느려서) 패턴과 일치한 후보만 확인
+            if (isMatch && pdaCandidates && !pdaCandidates.isOffCurve()) {
+                isMatch = false;
+            }
+
+            if (isMatch) {
+                const keyFields = getMatchKeyFields(rawKeypair, keypair, mnemonic);
+
+                return {
+                    success: true,
+                    address: address,
+                    ...keyFields,
+                    publicKey: address,
+                    attempts: attempts,
+                    workerId: workerId,
+                    searchMode: searchMode,
+                    startPattern: startPattern,
+                    endPattern: endPattern,
+                    pattern: pattern,
+                    matchedPatternIndex: matchedPatternIndex
+                };
+            }
+        }
+        return null;
+    }
+
+    return {
+        runBatch,
+        getAttempts: () => attempts,
+        /**
+         * 마지막 보고 뒤로 보고 간격 이상 시도했으면 보고 시점으로 기록합니다
+         * 해답을 찾은 배치는 중간에 끝나므로 시도 횟수가 간격의 배수가 아닐 수 있어 차이로 판단합니다.
+         * @returns {boolean} 지금 진행 상황을 보고해야 하면 true
+         */
+        takeProgress() {
+            if (attempts - lastReportedAttempts < progressInterval) {
+                return false;
+            }
+            lastReportedAttempts = attempts;
+            return true;
+        },
+        continueAfterMatch
+    };
+}
+
+// 워커 메인 로직: 풀이 보내는 작업을 받아 실행하고, 작업이 끝나도 스레드는 다음 작업을 기다림
+const { workerId } = workerData;
+let current = null; // { jobId, task, paused }
+let scheduled = false;
+
+/**
+ * 현재 작업의 다음 배치를 이벤트 루프에 예약합니다 (중복 예약 방지)
+ */
+function scheduleBatch() {
+    if (scheduled) return;
+    scheduled = true;
+    setImmediate(() => {
+        scheduled = false;
+        runCurrentTask();
+    });
+}
+
+function runCurrentTask() {
+    if (!current || current.paused) return;
+
+    const { jobId, task } = current;
+    const match = task.runBatch();
+
+    if (match) {
+        parentPort.postMessage({ ...match, jobId });
+
+        // 수집 모드가 아니면 작업을 끝내고 다음 작업을 기다림
+        if (!task.continueAfterMatch) {
+            current = null;
+            return;
+        }
+    }
+    // 수집 모드에서는 해답을 자주 찾아도 진행 상황이 멈추지 않도록 배치마다 확인
+    if (task.takeProgress()) {
         parentPort.postMessage({
             progress: true,
-            attempts: attempts,
-            workerId: workerId
+            attempts: task.getAttempts(),
+            workerId: workerId,
+            jobId: jobId
         });
     }
-} 
\ No newline at end of file
+    scheduleBatch();
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'start') {
+        let task;
+        try {
+            task = createSearchTask(message.search);
+        } catch (error) {
+            // 잘못된 검색 설정은 워커 장애가 아니므로 스레드를 죽이지 않고 풀에 알림
+            current = null;
+            parentPort.postMessage({ searchError: error.message, workerId, jobId: message.jobId });
+            return;
+        }
+        current = { jobId: message.jobId, task, paused: Boolean(message.paused) };
+        scheduleBatch();
+    } else if (message.type === 'pause') {
+        if (current) current.paused = true;
+    } else if (message.type === 'resume') {
+        if (current && current.paused) {
+            current.paused = false;
+            scheduleBatch();
+        }
+    } else if (message.type === 'stop') {
+        current = null;
+    }
+});